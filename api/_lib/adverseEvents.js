@@ -0,0 +1,24 @@
+// Keeps the adverseEvents shown on the board in step with CTCAE grading of the patient's labs
+const { gradeLabs, mergeAdverseEvents } = require('./ctcae');
+const { collectLabs, updatePatientData } = require('./patientData');
+
+// Components whose patientData carries the adverseEvents list
+const ADVERSE_EVENT_COMPONENTS = ['AdverseEventAnalytics'];
+
+// Grade the labs (by default everything recorded for the patient) and, unless apply is
+// false, fold the result into each component's adverseEvents; resolves to
+// { ctcae, updatedItems }
+const applyCtcae = async ({ board, labStore, patientId, labs, baselines, apply = true }) => {
+  const items = await board.listItems();
+  const ctcae = gradeLabs(labs || await collectLabs(labStore, patientId, items), { baselines });
+  const updatedItems = apply
+    ? await updatePatientData(board, items, ADVERSE_EVENT_COMPONENTS, (patientData) => ({
+      ...patientData,
+      adverseEvents: mergeAdverseEvents(patientData.adverseEvents, ctcae),
+      ctcae
+    }))
+    : [];
+  return { ctcae, updatedItems };
+};
+
+module.exports = { applyCtcae };
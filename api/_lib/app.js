@@ -0,0 +1,158 @@
+// Express app shared by every server entry point; only the storage adapter differs
+const express = require('express');
+const cors = require('cors');
+const { createSseHub } = require('./sse');
+const { createRedisPubSub } = require('./pubsub');
+const { createBoardRegistry, DEFAULT_BOARD_ID } = require('./boards');
+const { createAuthService, identifyRequest, requireSignIn } = require('./auth');
+const { createAuditLog, requestContext } = require('./audit');
+const { createHistoryStore } = require('./history');
+
+const createAuthRoutes = require('./routes/auth');
+const createBoardRoutes = require('./routes/boards');
+const createItemRoutes = require('./routes/boardItems');
+const createSchemaRoutes = require('./routes/schemas');
+const createNoteRoutes = require('./routes/notes');
+const createAuditRoutes = require('./routes/audit');
+
+// Routes that act on a single board - mounted at /api (default board) and /api/boards/:boardId
+const boardRouteModules = [
+  require('./routes/todos'),
+  require('./routes/agents'),
+  require('./routes/labResults'),
+  require('./routes/components'),
+  require('./routes/focus'),
+  require('./routes/fhirImport'),
+  require('./routes/analysis'),
+  require('./routes/summary'),
+  require('./routes/zones'),
+  require('./routes/layout'),
+  require('./routes/tours'),
+  require('./routes/presenter')
+];
+
+// Each scope maps a URL prefix to a board: the legacy routes keep working on the default board
+const boardScopes = [
+  { base: '/api/boards/:boardId', items: '/api/boards/:boardId/items' },
+  { base: '/api', items: '/api/board-items' }
+];
+
+// Without Redis each instance only reaches its own SSE clients; pass `pubsub` to override
+const defaultPubSub = () => (process.env.REDIS_URL ? createRedisPubSub() : null);
+
+// CORS_ORIGINS limits which sites may call the API (comma-separated); any origin otherwise
+const corsOrigin = () => {
+  const origins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  return origins.length > 0 ? origins : '*';
+};
+
+const createApp = ({ storage, pubsub = defaultPubSub(), auth = createAuthService({ storage }) }) => {
+  const app = express();
+  const hub = createSseHub({ pubsub });
+  const audit = createAuditLog({ storage });
+  const history = createHistoryStore({ storage });
+  const boards = createBoardRegistry({ storage, hub, audit, history });
+  const context = { storage, hub, boards, auth, audit, history };
+
+  // Middleware
+  app.use(cors({ origin: corsOrigin(), exposedHeaders: ['ETag'] }));
+  // FHIR bundles easily exceed express's 100kb default
+  app.use(express.json({ limit: '5mb' }));
+
+  // Every request is identified (req.auth); the root, health and login routes are open to all
+  app.use('/api', identifyRequest(auth));
+
+  // Root API endpoint
+  app.get('/api', (req, res) => {
+    res.json({
+      name: 'Canvas Board API',
+      version: '1.0.0',
+      status: 'running',
+      timestamp: new Date().toISOString(),
+      endpoints: {
+        health: '/api/health',
+        boards: '/api/boards',
+        exportBoard: '/api/boards/export',
+        importBoard: '/api/boards/import',
+        boardItems: '/api/board-items',
+        boardScopedItems: '/api/boards/:boardId/items',
+        events: '/api/events (SSE)',
+        boardScopedEvents: '/api/boards/:boardId/events (SSE)',
+        schemas: '/api/schemas',
+        importFhir: '/api/import/fhir',
+        labResults: '/api/lab-results',
+        rucam: '/api/analysis/rucam',
+        ctcae: '/api/analysis/ctcae',
+        interactions: '/api/analysis/interactions',
+        risk: '/api/analysis/risk',
+        notes: '/api/patients/:patientId/notes',
+        login: '/api/auth/login',
+        audit: '/api/audit',
+        summary: '/api/summary',
+        zones: '/api/zones',
+        layout: '/api/layout',
+        tours: '/api/tours',
+        presenter: '/api/presenter',
+        joinMeeting: '/api/join-meeting'
+      },
+      documentation: 'https://github.com/your-repo/board-v4-working'
+    });
+  });
+
+  // Health check
+  app.get('/api/health', async (req, res) => {
+    try {
+      res.json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        ...(await storage.status()),
+        sseFanout: pubsub ? pubsub.name : 'none',
+        audit: audit.status()
+      });
+    } catch (error) {
+      console.error('Error checking storage health:', error);
+      res.status(503).json({ status: 'ERROR', timestamp: new Date().toISOString(), storage: storage.name });
+    }
+  });
+
+  app.use('/api', createAuthRoutes(context));
+
+  // Everything else needs a role: a signed-in user, an API key, or the anonymous role
+  app.use('/api', requireSignIn);
+
+  // Attach the board named in the URL (or the default board) as req.board, with its
+  // writes attributed to the caller in the audit log
+  const resolveBoard = async (req, res, next) => {
+    const boardId = req.params.boardId || DEFAULT_BOARD_ID;
+    try {
+      if (boardId !== DEFAULT_BOARD_ID && !(await boards.getBoard(boardId))) {
+        return res.status(404).json({ error: 'Board not found' });
+      }
+      req.board = boards.forBoard(boardId, requestContext(req));
+      next();
+    } catch (error) {
+      console.error('Error resolving board:', error);
+      res.status(500).json({ error: 'Failed to load board' });
+    }
+  };
+
+  app.use('/api', createBoardRoutes(context));
+  app.use('/api', createSchemaRoutes(context));
+  app.use('/api', createNoteRoutes(context));
+  app.use('/api', createAuditRoutes(context));
+
+  for (const scope of boardScopes) {
+    // SSE endpoint to push item and focus events to the board's clients
+    app.get(`${scope.base}/events`, resolveBoard, (req, res) => req.board.channel.handleConnection(req, res));
+
+    app.use(scope.items, resolveBoard, createItemRoutes(context));
+
+    for (const createRoutes of boardRouteModules) {
+      app.use(scope.base, resolveBoard, createRoutes(context));
+    }
+  }
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,137 @@
+// Board layout strategies for POST /api/layout. A strategy sorts the items into bands that
+// are packed in rows, band under band, from the top-left corner of the area laid out.
+const { boardBounds, createSpatialIndex, ITEM_GAP, ZONE_PADDING } = require('./layout');
+
+const LAYOUT_STRATEGIES = ['grid', 'timeline', 'clinical-story'];
+
+const BAND_GAP = 2 * ITEM_GAP; // Extra space between bands, so they read as groups
+
+const ENCOUNTER_TYPES = ['SingleEncounterDocument', 'EncounterDocument'];
+
+// Clinical story bands, top to bottom; items in none of them come last
+const STORY_BANDS = [
+  { componentTypes: ['PatientContext'] },
+  { componentTypes: ['EncounterTimeline', ...ENCOUNTER_TYPES] },
+  { componentTypes: ['LabTable', 'LabChart'], types: ['lab-result'] },
+  { componentTypes: ['AdverseEventAnalytics', 'DifferentialDiagnosis', 'DrugInteractions'], types: ['agent'] }
+];
+
+// An encounter document's date, falling back to its encounter number
+const encounterOrder = (item) => {
+  const encounter = item.content?.props?.encounter || {};
+  const time = Date.parse(encounter.meta?.date_time || encounter.date);
+  return [Number.isFinite(time) ? time : Infinity, Number(encounter.encounter_no) || Infinity];
+};
+
+const byEncounter = (a, b) => {
+  const [timeA, numberA] = encounterOrder(a.item);
+  const [timeB, numberB] = encounterOrder(b.item);
+  return (timeA - timeB) || (numberA - numberB);
+};
+
+const byReadingOrder = (a, b) => a.y - b.y || a.x - b.x;
+
+const isEncounter = (box) => ENCOUNTER_TYPES.includes(box.item.componentType);
+
+// Position in the band's list of types, so e.g. the lab table comes before the chart
+const bandRank = (band, item) => {
+  const types = [...band.componentTypes, ...(band.types || [])];
+  const rank = types.indexOf(item.type === 'component' ? item.componentType : item.type);
+  return rank === -1 ? types.length : rank;
+};
+
+const inBand = (band, item) => (item.type === 'component'
+  ? band.componentTypes.includes(item.componentType)
+  : (band.types || []).includes(item.type));
+
+// Each strategy resolves to a list of bands: { boxes, wrap } with wrap false for a single
+// row. Inside a zone every band wraps, as the zone only grows downwards to fit its items.
+const STRATEGIES = {
+  // Tallest first, so each row wastes little height
+  grid: (boxes) => [{ boxes: [...boxes].sort((a, b) => b.height - a.height || byReadingOrder(a, b)), wrap: true }],
+
+  // Encounters in one row (rows, in a zone), oldest on the left, with everything else below
+  timeline: (boxes) => [
+    { boxes: boxes.filter(isEncounter).sort(byEncounter), wrap: false },
+    { boxes: boxes.filter(box => !isEncounter(box)).sort(byReadingOrder), wrap: true }
+  ],
+
+  // Patient context, then encounters, labs and analysis, then the rest
+  'clinical-story': (boxes) => [
+    ...STORY_BANDS.map(band => ({
+      boxes: boxes
+        .filter(box => inBand(band, box.item))
+        .sort((a, b) => bandRank(band, a.item) - bandRank(band, b.item) ||
+          (isEncounter(a) && isEncounter(b) ? byEncounter(a, b) : 0) || byReadingOrder(a, b)),
+      wrap: true
+    })),
+    { boxes: boxes.filter(box => !STORY_BANDS.some(band => inBand(band, box.item))).sort(byReadingOrder), wrap: true }
+  ]
+};
+
+// Lay boxes out left to right from (left, top), wrapping at `right` and stepping past
+// anything already in `index`; resolves to their positions and the bottom of the last row
+const packRows = (boxes, { left, top, right, gap, index }) => {
+  const positions = [];
+  let x = left;
+  let y = top;
+  let rowHeight = 0;
+  let bottom = top;
+
+  for (const box of boxes) {
+    for (;;) {
+      if (x > left && x + box.width > right) {
+        x = left;
+        y += rowHeight + gap;
+        rowHeight = 0;
+      }
+      const blocker = index.collision({ x, y, width: box.width, height: box.height }, gap);
+      if (!blocker) break;
+      x = blocker.x + blocker.width + gap;
+    }
+    positions.push({ id: box.id, x, y, ...(box.pin ? { height: box.height } : {}) });
+    index.insert({ id: box.id, x, y, width: box.width, height: box.height });
+    x += box.width + gap;
+    rowHeight = Math.max(rowHeight, box.height);
+    bottom = Math.max(bottom, y + box.height);
+  }
+  return { positions, bottom };
+};
+
+// New positions for `items` under `strategy`. Inside `zone` they start at its top-left
+// corner and wrap at its width; otherwise they start where the items begin today and wrap
+// at a width that keeps the result about 16:9. `boardItems` (the whole board) gives the
+// 'auto' heights as laid out now and the items to keep clear of. Resolves to
+// { positions: [{ id, x, y, height }], bounds } with the rectangle the items now cover;
+// `height` is only set for 'auto' items, which should keep the height they were packed at
+// so that later layouts do not have to guess it again from a different arrangement.
+const arrangeItems = (items, strategy, { boardItems = items, zone = null, gap = ITEM_GAP } = {}) => {
+  const allBounds = boardBounds(boardItems);
+  const boundsOf = new Map(boardItems.map((item, index) => [item.id, allBounds[index]]));
+  const boxes = items.map(item => ({ ...boundsOf.get(item.id), item, pin: typeof item.height !== 'number' }));
+  if (boxes.length === 0) return { positions: [], bounds: null };
+
+  const selected = new Set(items.map(item => item.id));
+  const index = createSpatialIndex(allBounds.filter(bounds => !selected.has(bounds.id)));
+
+  const widest = Math.max(...boxes.map(box => box.width));
+  const area = boxes.reduce((sum, box) => sum + (box.width + gap) * (box.height + gap), 0);
+  const left = zone ? zone.x + ZONE_PADDING : Math.min(...boxes.map(box => box.x));
+  const top = zone ? zone.y + ZONE_PADDING : Math.min(...boxes.map(box => box.y));
+  const width = zone ? zone.width - 2 * ZONE_PADDING : Math.max(widest, Math.round(Math.sqrt(area * 16 / 9)));
+
+  const positions = [];
+  let bandTop = top;
+  for (const band of STRATEGIES[strategy](boxes).filter(band => band.boxes.length > 0)) {
+    const packed = packRows(band.boxes, { left, top: bandTop, right: band.wrap || zone ? left + width : Infinity, gap, index });
+    positions.push(...packed.positions);
+    bandTop = packed.bottom + BAND_GAP;
+  }
+
+  const placed = positions.map(({ id, x, y }) => ({ ...boundsOf.get(id), x, y }));
+  const right = Math.max(...placed.map(box => box.x + box.width));
+  const bottom = Math.max(...placed.map(box => box.y + box.height));
+  return { positions, bounds: { x: left, y: top, width: right - left, height: bottom - top } };
+};
+
+module.exports = { arrangeItems, LAYOUT_STRATEGIES };
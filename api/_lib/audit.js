@@ -0,0 +1,200 @@
+// Audit log - an append-only record of who created, changed, deleted or focused what,
+// when and from where. Each entry carries the hash of the one before it, so editing,
+// removing or reordering entries breaks the chain and shows up in verify().
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+
+const HEAD_DOCUMENT = 'audit-head';
+const SEGMENT_SIZE = 500;
+const GENESIS_HASH = '0'.repeat(64);
+
+const MAX_QUERY_LIMIT = 1000;
+
+// Entries are split over documents of SEGMENT_SIZE so an append does not rewrite the whole log
+const segmentKey = (seq) => `audit-log-${Math.floor((seq - 1) / SEGMENT_SIZE)}`;
+
+// JSON with sorted keys, so the hash does not depend on how a store orders properties
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// With AUDIT_CHAIN_SECRET set the chain is an HMAC chain, which cannot be rebuilt by
+// someone who can write to storage but does not know the secret
+const hashEntry = (entry, secret) => {
+  const { hash, ...content } = entry;
+  const digest = secret ? crypto.createHmac('sha256', secret) : crypto.createHash('sha256');
+  return digest.update(canonicalJson(content)).digest('hex');
+};
+
+// Only the fields that changed; a create has no before and a delete no after
+const diffItems = (before, after) => {
+  if (!before || !after) return { before: before || null, after: after || null };
+  const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !isDeepStrictEqual(before[key], after[key]));
+  const pick = (item) => Object.fromEntries(changed.filter(key => key in item).map(key => [key, item[key]]));
+  return { before: pick(before), after: pick(after) };
+};
+
+// Who made a request and where it came from, for entries written on its behalf
+const requestContext = (req) => ({
+  actor: req.auth
+    ? { id: req.auth.id, name: req.auth.name, role: req.auth.role, kind: req.auth.kind }
+    : { id: null, name: null, role: null, kind: 'anonymous' },
+  origin: {
+    ip: req.ip || null,
+    userAgent: req.get('User-Agent') || null,
+    method: req.method,
+    // The query string is left out: it may carry an access token
+    path: req.originalUrl.split('?')[0]
+  }
+});
+
+const SYSTEM_CONTEXT = { actor: { id: null, name: 'system', role: null, kind: 'system' }, origin: null };
+
+const createAuditLog = ({ storage, secret = process.env.AUDIT_CHAIN_SECRET, required = process.env.AUDIT_REQUIRED === 'true' }) => {
+  // Writes that went through without their audit entry, reported by /api/health
+  const failures = { count: 0, lastFailedAt: null, lastError: null };
+
+  const head = async () => (await storage.loadDocument(HEAD_DOCUMENT)) || { seq: 0, hash: GENESIS_HASH };
+
+  // The head only ever moves forward, to an entry already in its segment
+  const advanceHead = (entry) => storage.updateDocument(HEAD_DOCUMENT, (current) =>
+    (current && current.seq >= entry.seq ? current : { seq: entry.seq, hash: entry.hash }));
+
+  // Resolves to the sealed entry. The entry is written to its segment before the head
+  // moves, so a failure in between never leaves the head pointing at a missing entry.
+  // The append only goes through when the segment holds nothing past the head; otherwise
+  // another append got there first (or stopped before moving the head), so the head is
+  // moved up to it and the entry is chained again after it.
+  const record = async ({ action, resource = 'item', boardId = null, itemId = null, itemType = null,
+    actor = SYSTEM_CONTEXT.actor, origin = SYSTEM_CONTEXT.origin, before = null, after = null, details = null }) => {
+    const timestamp = new Date().toISOString();
+    const diff = diffItems(before, after);
+    // Round-trip through JSON so the hash covers exactly what will be read back
+    const fields = JSON.parse(JSON.stringify({
+      timestamp, action, resource, boardId, itemId, itemType, actor, origin, ...diff, details
+    }));
+
+    for (;;) {
+      const { seq, hash } = await head();
+      let entry = null;
+      let ahead = null;
+      await storage.updateDocument(segmentKey(seq + 1), (current) => {
+        const segment = current || [];
+        const last = segment[segment.length - 1];
+        if (last && last.seq > seq) {
+          entry = null;
+          ahead = last;
+          return segment;
+        }
+        entry = { seq: seq + 1, ...fields, prevHash: hash };
+        entry.hash = hashEntry(entry, secret);
+        ahead = null;
+        return [...segment, entry];
+      });
+      await advanceHead(entry || ahead);
+      if (entry) return entry;
+    }
+  };
+
+  // Called for a write whose entry could not be recorded
+  const recordFailure = (error) => {
+    failures.count += 1;
+    failures.lastFailedAt = new Date().toISOString();
+    failures.lastError = error?.message || String(error);
+  };
+
+  // Record the entry for a write that has been made. A failure is counted rather than
+  // failing the write, unless AUDIT_REQUIRED is set: then `undo` takes the write back and
+  // the error is rethrown, so nothing stays stored that the log does not show. Resolves to
+  // the entry, or null when it could not be recorded.
+  const recordOrUndo = async (fields, undo = null) => {
+    try {
+      return await record(fields);
+    } catch (error) {
+      console.error(`Error recording ${fields.action} in the audit log:`, error);
+      recordFailure(error);
+      if (!required) return null;
+      if (undo) {
+        try {
+          await undo();
+        } catch (undoError) {
+          console.error(`Error taking back the unaudited ${fields.action}:`, undoError);
+        }
+      }
+      throw error;
+    }
+  };
+
+  const status = () => ({ required, failures: failures.count, lastFailedAt: failures.lastFailedAt, lastError: failures.lastError });
+
+  // Every entry, oldest first
+  const entries = async () => {
+    const { seq } = await head();
+    const segments = await Promise.all(
+      Array.from({ length: Math.ceil(seq / SEGMENT_SIZE) }, (_, index) => storage.loadDocument(segmentKey(index * SEGMENT_SIZE + 1)))
+    );
+    return segments.flatMap(segment => segment || []).sort((a, b) => a.seq - b.seq);
+  };
+
+  // Newest first. `actor` matches the actor's id or name; from/to bound the timestamp.
+  const query = async ({ itemId, boardId, actor, action, resource, from, to, limit = 100, offset = 0 } = {}) => {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    const matches = (await entries())
+      .filter(entry => !itemId || entry.itemId === itemId)
+      .filter(entry => !boardId || entry.boardId === boardId)
+      .filter(entry => !actor || entry.actor?.id === actor || entry.actor?.name === actor)
+      .filter(entry => !action || entry.action === action)
+      .filter(entry => !resource || entry.resource === resource)
+      .filter(entry => fromTime === null || Date.parse(entry.timestamp) >= fromTime)
+      .filter(entry => toTime === null || Date.parse(entry.timestamp) <= toTime)
+      .reverse();
+    const size = Math.min(Math.max(Number(limit) || 100, 1), MAX_QUERY_LIMIT);
+    const start = Math.max(Number(offset) || 0, 0);
+    return { total: matches.length, offset: start, limit: size, entries: matches.slice(start, start + size) };
+  };
+
+  // Walk the chain from the first entry; stops at the first entry that does not fit. An
+  // entry just past the head that chains on is an append that has not moved the head yet.
+  const verify = async () => {
+    const { seq: latestSeq, hash: latestHash } = await head();
+    const all = await entries();
+    const result = (problem) => ({
+      valid: !problem,
+      checked: all.length,
+      latestSeq,
+      latestHash,
+      verifiedAt: new Date().toISOString(),
+      problem: problem || null
+    });
+
+    let prevHash = GENESIS_HASH;
+    for (let index = 0; index < Math.max(latestSeq, all.length); index++) {
+      const expectedSeq = index + 1;
+      const entry = all[index];
+      if (!entry || entry.seq !== expectedSeq) {
+        return result({ seq: expectedSeq, reason: index < latestSeq ? 'Entry is missing' : 'Entry is not part of the chain' });
+      }
+      if (entry.prevHash !== prevHash) {
+        return result({ seq: expectedSeq, reason: 'prevHash does not match the previous entry' });
+      }
+      if (hashEntry(entry, secret) !== entry.hash) {
+        return result({ seq: expectedSeq, reason: 'Entry content does not match its hash' });
+      }
+      if (expectedSeq === latestSeq && entry.hash !== latestHash) {
+        return result({ seq: latestSeq, reason: 'Last entry does not match the recorded head' });
+      }
+      prevHash = entry.hash;
+    }
+    return result(null);
+  };
+
+  return { record, recordOrUndo, query, verify, recordFailure, status, required };
+};
+
+module.exports = { createAuditLog, requestContext };
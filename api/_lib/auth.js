@@ -0,0 +1,265 @@
+// Authentication and role-based authorization - people sign in for a signed token (JWT,
+// HS256), agents call with an API key. Roles: viewer reads, clinician also writes,
+// agent may only add todo/agent/lab-result items, admin may do anything.
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'clinician', 'agent', 'admin'];
+
+// Item types an agent may create and update; everything else is off limits to agents
+const AGENT_ITEM_TYPES = ['todo', 'agent', 'agent_result', 'lab-result'];
+
+const USERS_DOCUMENT = 'auth-users';
+const API_KEYS_DOCUMENT = 'auth-api-keys';
+
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL_SECONDS) || 8 * 60 * 60;
+
+// Thrown when credentials are present but cannot be accepted
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const signToken = (claims, secret, ttlSeconds = TOKEN_TTL_SECONDS) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${payload}.${hmac(secret, `${header}.${payload}`)}`;
+};
+
+const verifyToken = (token, secret) => {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw new AuthError('Malformed token');
+  const [header, payload, signature] = parts;
+
+  let decodedHeader;
+  let claims;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (_) {
+    throw new AuthError('Malformed token');
+  }
+  if (decodedHeader.alg !== 'HS256') throw new AuthError('Unsupported token algorithm');
+  if (!safeEqual(signature, hmac(secret, `${header}.${payload}`))) throw new AuthError('Invalid token signature');
+  if (!Number.isFinite(claims.exp) || claims.exp <= Math.floor(Date.now() / 1000)) throw new AuthError('Token expired');
+  return claims;
+};
+
+// scrypt with a per-user salt, stored as scrypt$<salt>$<hash>
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  return `scrypt$${salt}$${crypto.scryptSync(password, salt, 32).toString('base64url')}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  return safeEqual(crypto.scryptSync(String(password), salt, 32).toString('base64url'), hash);
+};
+
+// API keys are only ever stored hashed; the key itself is shown once, when created
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// "name:key" pairs from AUTH_API_KEYS, each an agent key that needs no storage
+const parseEnvApiKeys = (value = '') => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry, index) => {
+    const separator = entry.indexOf(':');
+    const name = separator === -1 ? `agent-${index + 1}` : entry.slice(0, separator);
+    const key = separator === -1 ? entry : entry.slice(separator + 1);
+    return { id: `env-${index + 1}`, name, role: 'agent', keyHash: hashApiKey(key), revokedAt: null };
+  });
+
+// EventSource cannot send headers, so only event streams may carry the token in the query
+const isEventStream = (req) => req.method === 'GET' && req.path.endsWith('/events');
+
+const publicUser = ({ passwordHash, ...user }) => user;
+const publicApiKey = ({ keyHash, ...apiKey }) => apiKey;
+
+const createAuthService = ({
+  storage,
+  secret = process.env.AUTH_JWT_SECRET,
+  required = process.env.AUTH_REQUIRED === 'true',
+  anonymousRole = process.env.AUTH_ANONYMOUS_ROLE || 'viewer',
+  envApiKeys = parseEnvApiKeys(process.env.AUTH_API_KEYS),
+  admin = { username: process.env.AUTH_ADMIN_USERNAME, password: process.env.AUTH_ADMIN_PASSWORD }
+}) => {
+  if (!ROLES.includes(anonymousRole)) {
+    throw new Error(`AUTH_ANONYMOUS_ROLE must be one of ${ROLES.join(', ')}`);
+  }
+  // Without a configured secret, tokens only last as long as this process
+  const signingSecret = secret || crypto.randomBytes(32).toString('hex');
+  if (!secret) console.warn('⚠️  AUTH_JWT_SECRET is not set; sign-in tokens will not survive a restart');
+  if (!required) console.warn(`⚠️  AUTH_REQUIRED is not "true"; requests without credentials act as ${anonymousRole}`);
+
+  const loadUsers = async () => {
+    const users = (await storage.loadDocument(USERS_DOCUMENT)) || [];
+    // The first admin comes from the environment, so a new deployment can be signed in to
+    if (users.length === 0 && admin.username && admin.password) {
+      return storage.updateDocument(USERS_DOCUMENT, (current) => (current && current.length > 0 ? current : [{
+        id: `user-${crypto.randomUUID()}`,
+        username: admin.username,
+        name: admin.username,
+        role: 'admin',
+        passwordHash: hashPassword(admin.password),
+        createdAt: new Date().toISOString()
+      }]));
+    }
+    return users;
+  };
+
+  const loadApiKeys = async () => [...envApiKeys, ...((await storage.loadDocument(API_KEYS_DOCUMENT)) || [])];
+
+  // Resolves to { token, expiresAt, user }, or null when the username or password is wrong
+  const login = async (username, password) => {
+    const user = (await loadUsers()).find(candidate => candidate.username === username);
+    if (!user || user.disabled || !verifyPassword(password, user.passwordHash)) return null;
+
+    const token = signToken({ sub: user.id, name: user.name, role: user.role }, signingSecret);
+    const { exp } = verifyToken(token, signingSecret);
+    return { token, expiresAt: new Date(exp * 1000).toISOString(), user: publicUser(user) };
+  };
+
+  // Principal for a request: { id, name, role, kind } where kind is user, api-key or
+  // anonymous. Anonymous requests get anonymousRole, or no role when sign-in is required.
+  const identify = async (req) => {
+    const header = req.get('Authorization') || '';
+    const apiKey = req.get('X-API-Key') || (header.startsWith('ApiKey ') ? header.slice('ApiKey '.length).trim() : null);
+    const bearer = header.startsWith('Bearer ')
+      ? header.slice('Bearer '.length).trim()
+      : (isEventStream(req) ? req.query.access_token : null);
+
+    if (apiKey) {
+      const keyHash = hashApiKey(apiKey);
+      const match = (await loadApiKeys()).find(candidate => safeEqual(candidate.keyHash, keyHash));
+      if (!match || match.revokedAt) throw new AuthError('Invalid API key');
+      return { id: match.id, name: match.name, role: match.role, kind: 'api-key' };
+    }
+
+    if (bearer) {
+      const claims = verifyToken(bearer, signingSecret);
+      const user = (await loadUsers()).find(candidate => candidate.id === claims.sub);
+      if (!user || user.disabled) throw new AuthError('User no longer exists');
+      return { id: user.id, name: user.name, role: user.role, kind: 'user' };
+    }
+
+    return { id: null, name: null, role: required ? null : anonymousRole, kind: 'anonymous' };
+  };
+
+  const listUsers = async () => (await loadUsers()).map(publicUser);
+
+  // Resolves to null when the username is taken
+  const createUser = async ({ username, password, name, role }) => {
+    let created = null;
+    await storage.updateDocument(USERS_DOCUMENT, (current) => {
+      const users = current || [];
+      created = null;
+      if (users.some(user => user.username === username)) return users;
+      created = {
+        id: `user-${crypto.randomUUID()}`,
+        username,
+        name: name || username,
+        role,
+        passwordHash: hashPassword(password),
+        createdAt: new Date().toISOString()
+      };
+      return [...users, created];
+    });
+    return created && publicUser(created);
+  };
+
+  const listApiKeys = async () => (await loadApiKeys()).map(publicApiKey);
+
+  // Resolves to the stored key record plus `key`, the only time the key is revealed
+  const createApiKey = async ({ name, role = 'agent' }) => {
+    const key = `pck_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: `key-${crypto.randomUUID()}`,
+      name,
+      role,
+      keyHash: hashApiKey(key),
+      prefix: key.slice(0, 8),
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    await storage.updateDocument(API_KEYS_DOCUMENT, (current) => [...(current || []), record]);
+    return { ...publicApiKey(record), key };
+  };
+
+  // Resolves to the revoked key, or null when there is no such stored key
+  const revokeApiKey = async (id) => {
+    let revoked = null;
+    await storage.updateDocument(API_KEYS_DOCUMENT, (current) => (current || []).map(record => {
+      if (record.id !== id) return record;
+      revoked = { ...record, revokedAt: record.revokedAt || new Date().toISOString() };
+      return revoked;
+    }));
+    return revoked && publicApiKey(revoked);
+  };
+
+  return { login, identify, listUsers, createUser, listApiKeys, createApiKey, revokeApiKey, required };
+};
+
+// Middleware: attach req.auth, or answer 401 when the credentials sent are not valid
+const identifyRequest = (auth) => async (req, res, next) => {
+  try {
+    req.auth = await auth.identify(req);
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+// Middleware: 401 for requests without a role (sign-in required and none given)
+const requireSignIn = (req, res, next) => {
+  if (!req.auth?.role) {
+    return res.status(401).json({ error: 'Sign in or send an API key' });
+  }
+  next();
+};
+
+// Middleware: only the given roles (and admin) may continue
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.auth?.role;
+  if (!role) {
+    return res.status(401).json({ error: 'Sign in or send an API key' });
+  }
+  if (role !== 'admin' && !roles.includes(role)) {
+    return res.status(403).json({ error: `Requires role ${[...roles, 'admin'].join(' or ')}` });
+  }
+  next();
+};
+
+// Agents may only touch their own kinds of items
+const agentMayWrite = (auth, itemType) => auth?.role !== 'agent' || AGENT_ITEM_TYPES.includes(itemType);
+
+module.exports = {
+  createAuthService,
+  identifyRequest,
+  requireSignIn,
+  requireRole,
+  agentMayWrite,
+  signToken,
+  verifyToken,
+  AuthError,
+  ROLES,
+  AGENT_ITEM_TYPES
+};
@@ -0,0 +1,178 @@
+// Board service - item operations for one board, independent of storage
+const { placeItem, itemBounds, ZONE_PADDING } = require('./layout');
+const { createZoneStore, findZone, preferredZone, ZoneError } = require('./zones');
+const { getItemVersion } = require('./items');
+const { ValidationError, assertValidItem } = require('./validation');
+
+// Thrown when a write names a version other than the item's current one
+class VersionConflictError extends Error {
+  constructor(current) {
+    super(`Item ${current.id} is at version ${getItemVersion(current)}`);
+    this.name = 'VersionConflictError';
+    this.current = current;
+  }
+}
+
+// `audit` and `history` record every write; `requester` ({ actor, origin }, see
+// audit.requestContext) says on whose behalf, and writes without one are the system's
+const createBoardService = ({ storage, channel, boardId, audit = null, history = null, requester = {} }) => {
+  const zoneStore = createZoneStore({ storage });
+
+  const listItems = () => storage.loadBoardItems(boardId);
+
+  const listZones = () => zoneStore.list(boardId);
+
+  const getItem = (id) => storage.getItem(boardId, id);
+
+  const broadcast = (message, options) => channel.broadcast(message, options);
+
+  // Add an entry to the audit log (see audit.recordOrUndo); with AUDIT_REQUIRED a failure
+  // runs `undo` and throws, so the request fails rather than go unaudited
+  const recordAudit = async (action, fields, undo = null) => {
+    if (!audit) return;
+    await audit.recordOrUndo({ action, boardId, ...requester, ...fields }, undo);
+  };
+
+  // Record a write in the audit log and the item's history; `cause` marks writes made
+  // by a revert or restore, and `undo` takes the write back when it cannot be audited
+  const recordWrite = async (action, { before = null, after = null, cause = null }, undo) => {
+    const item = after || before;
+    await recordAudit(action, { itemId: item.id, itemType: item.type, before, after, details: cause ? { cause } : null }, undo);
+    if (!history) return;
+    try {
+      await history.record(boardId, { action, before, after, actor: requester.actor || null, cause });
+    } catch (error) {
+      console.error(`Error recording ${action} of ${item.id} in its history:`, error);
+    }
+  };
+
+  // Abort a write when the caller's expected version is stale
+  const assertVersion = (current, expectedVersion) => {
+    if (expectedVersion !== undefined && expectedVersion !== getItemVersion(current)) {
+      throw new VersionConflictError(current);
+    }
+  };
+
+  // Let clients redraw the zones after any change
+  const broadcastZones = (zones) => broadcast({ event: 'zones-updated', zones, timestamp: new Date().toISOString() });
+
+  // Stretch a zone down over `bounds` (see zones.grow), auditing the change with `details`
+  // and notifying clients; resolves to the grown zone, or null when it already fits
+  const growZone = async (name, bounds, details = null) => {
+    const grown = await zoneStore.grow(boardId, name, bounds, ZONE_PADDING);
+    if (!grown) return null;
+    console.log(`↕️  Grew zone ${grown.zone.name} on board ${boardId} to ${grown.zone.height}px`);
+    await recordAudit('update', { resource: 'zone', itemId: grown.zone.name, before: grown.before, after: grown.zone, details });
+    broadcastZones(grown.zones);
+    return grown.zone;
+  };
+
+  // Add a new item, optionally placing it clear of existing items, and notify clients.
+  // With `zone` (a zone name) the item goes inside that zone, which grows when it is full;
+  // throws ZoneError when the board has no such zone. `action` tells clients how the item
+  // came about (they re-centre 'created' items that were not put in a zone).
+  const addItem = async (newItem, { avoidCollisions = true, zone = null, broadcast: notify = true, action = 'created', cause = null } = {}) => {
+    let placement = null;
+    if (avoidCollisions || zone) {
+      // Placement packs the item by its size, so check that before its position is known
+      assertValidItem({ ...newItem, x: 0, y: 0, version: 1 });
+      const zones = await listZones();
+      if (zone && !findZone(zones, zone)) {
+        throw new ZoneError(`Board ${boardId} has no zone "${zone}"`);
+      }
+      placement = placeItem(newItem, await storage.loadBoardItems(boardId), { zones, zone, defaultZone: preferredZone(newItem) });
+      newItem.x = placement.x;
+      newItem.y = placement.y;
+      console.log(`📍 Positioned new ${newItem.componentType || newItem.type} item at (${newItem.x}, ${newItem.y})${placement.zone ? ` in ${placement.zone}` : ''}`);
+    }
+
+    newItem.version = 1;
+    assertValidItem(newItem);
+    const inserted = await storage.insertItem(boardId, newItem);
+    if (!inserted) {
+      throw new Error(`Item ${newItem.id} already exists on board ${boardId}`);
+    }
+
+    // Taken back only while nobody has changed the item since
+    await recordWrite('create', { after: newItem, cause },
+      () => storage.removeItem(boardId, newItem.id, (current) => assertVersion(current, newItem.version)));
+
+    // A full zone is stretched to take the item
+    if (placement?.overflow) {
+      await growZone(placement.zone, itemBounds(newItem), { cause: 'grow', itemId: newItem.id });
+    }
+
+    if (notify) {
+      broadcast({ event: 'new-item', item: newItem, timestamp: new Date().toISOString(), action, ...(zone ? { zone: placement.zone } : {}) });
+    }
+
+    return newItem;
+  };
+
+  // Merge updates into an item (or, with `replace`, swap the item for them) and notify
+  // clients; resolves to null when the item does not exist, throws VersionConflictError
+  // when expectedVersion is stale and ValidationError when the result would not match its schema
+  const updateItem = async (id, updates, { expectedVersion, broadcast: notify = true, replace = false, cause = null } = {}) => {
+    const { version, id: renamedId, ...changes } = updates; // the version is owned by the server
+
+    if (renamedId !== undefined && renamedId !== id) {
+      throw new ValidationError([
+        { path: '/id', message: 'cannot be changed', keyword: 'const', params: { allowedValue: id } }
+      ]);
+    }
+
+    let before = null;
+    const item = await storage.updateItem(boardId, id, (current) => {
+      before = current;
+      assertVersion(current, expectedVersion);
+      const merged = {
+        ...(replace ? { id } : current),
+        ...changes,
+        version: getItemVersion(current) + 1,
+        updatedAt: new Date().toISOString()
+      };
+      assertValidItem(merged);
+      return merged;
+    });
+
+    if (item) {
+      await recordWrite('update', { before, after: item, cause }, () => storage.updateItem(boardId, id, (current) => {
+        assertVersion(current, item.version);
+        return before;
+      }));
+    }
+
+    if (item && notify) {
+      // Clients merge the patch into their copy of the item, or swap their copy for it when `replace` is set
+      broadcast({
+        event: 'item-updated',
+        id,
+        patch: replace ? item : { ...changes, version: item.version, updatedAt: item.updatedAt },
+        ...(replace ? { replace: true } : {}),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return item;
+  };
+
+  // Remove an item and notify clients; resolves to false when the item does not
+  // exist and throws VersionConflictError when expectedVersion is stale
+  const deleteItem = async (id, { expectedVersion, broadcast: notify = true, cause = null } = {}) => {
+    const removed = await storage.removeItem(boardId, id, (current) => assertVersion(current, expectedVersion));
+
+    if (removed) {
+      await recordWrite('delete', { before: removed, cause }, () => storage.insertItem(boardId, removed));
+    }
+
+    if (removed && notify) {
+      broadcast({ event: 'item-deleted', id, timestamp: new Date().toISOString() });
+    }
+
+    return Boolean(removed);
+  };
+
+  return { id: boardId, channel, listItems, getItem, addItem, updateItem, deleteItem, listZones, growZone, broadcast, broadcastZones, recordAudit };
+};
+
+module.exports = { createBoardService, VersionConflictError };
@@ -0,0 +1,221 @@
+// Board archives - a board's items, zones and patient notes as one versioned JSON bundle,
+// so boards can be shipped as demos or moved between deployments
+const { generateId, getItemVersion } = require('./items');
+const { ValidationError, validateItem, assertValidItem } = require('./validation');
+const { checkZone } = require('./zones');
+const { mayChangeNote } = require('./notes');
+
+// Thrown when a bundle cannot be imported as given
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+const ARCHIVE_FORMAT = 'patient-canvas-board';
+const SCHEMA_VERSION = 1;
+
+const IMPORT_MODES = ['merge', 'replace'];
+const CONFLICT_STRATEGIES = ['remap', 'skip', 'overwrite'];
+
+// Editor recorded for a note overwritten by an import that names nobody
+const IMPORT_AUTHOR = 'Board import';
+
+// New id for an imported record, keeping the old id's prefix (item-, dashboard-item-, note-)
+const remapId = (id) => generateId(String(id).replace(/-\d{10,}.*$/, '') || 'item');
+
+const exportBoard = async ({ boards, notes, boardId }) => {
+  const board = await boards.getBoard(boardId);
+  const patientId = await boards.getPatientId(boardId);
+  return {
+    format: ARCHIVE_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    board: { id: board.id, name: board.name, patientId: board.patientId },
+    items: await boards.forBoard(boardId).listItems(),
+    zones: await boards.forBoard(boardId).listZones(),
+    notes: { patientId, notes: await notes.list(patientId, { includeDeleted: true }) }
+  };
+};
+
+// Throws ArchiveError for a bundle this version cannot read and ValidationError, with
+// paths into the bundle, for items that would not pass their schema
+const checkBundle = (bundle) => {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== ARCHIVE_FORMAT) {
+    throw new ArchiveError(`Not a board archive: format must be "${ARCHIVE_FORMAT}"`);
+  }
+  if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion > SCHEMA_VERSION) {
+    throw new ArchiveError(`Unsupported archive schemaVersion ${bundle.schemaVersion}; this server reads up to ${SCHEMA_VERSION}`);
+  }
+  if (!Array.isArray(bundle.items)) {
+    throw new ArchiveError('items must be an array');
+  }
+  if (bundle.notes !== undefined && !Array.isArray(bundle.notes?.notes)) {
+    throw new ArchiveError('notes.notes must be an array');
+  }
+  if (bundle.zones !== undefined && !Array.isArray(bundle.zones)) {
+    throw new ArchiveError('zones must be an array');
+  }
+  (bundle.zones || []).forEach((zone, index) => {
+    try {
+      checkZone(zone || {});
+    } catch (error) {
+      throw new ArchiveError(`zones[${index}]: ${error.message}`);
+    }
+  });
+  (bundle.notes?.notes || []).forEach((note, index) => {
+    if (typeof note?.id !== 'string' || typeof note.content !== 'string' || note.content.trim() === '' || typeof note.author !== 'string') {
+      throw new ArchiveError(`notes.notes[${index}] needs an id, content and author`);
+    }
+  });
+
+  const ids = new Set();
+  const details = bundle.items.flatMap((item, index) => {
+    if (item?.id && ids.has(item.id)) {
+      return [{ path: `/items/${index}/id`, message: `duplicates another item's id ${item.id}`, keyword: 'uniqueItems', params: {} }];
+    }
+    ids.add(item?.id);
+    return validateItem({ ...item, version: 1 }).map(detail => ({ ...detail, path: `/items/${index}${detail.path === '/' ? '' : detail.path}` }));
+  });
+  if (details.length > 0) throw new ValidationError(details);
+};
+
+// Import into an existing board. `replace` removes the board's current items first and
+// takes the archive's zones; `merge` keeps them, adds the zones the board lacks and
+// settles id clashes with onConflict: remap (give the imported record a new id), skip
+// (keep ours) or overwrite (take theirs). Notes are patient records, so they are always
+// merged and never removed or replaced by an import. Item writes are audited by the board
+// service; `audit` and `requester` record the notes.
+const importBoard = async ({ board, zones, notes, patientId, bundle, mode = 'merge', onConflict = 'remap', audit, requester = {} }) => {
+  const result = {
+    mode,
+    onConflict,
+    items: { created: [], overwritten: [], skipped: [], removed: [] },
+    notes: { created: [], overwritten: [], skipped: [] },
+    zones: { created: [], skipped: [], removed: [] },
+    idMap: {},
+    warnings: []
+  };
+
+  // Check every item first so a bad bundle never leaves the board half replaced
+  const incomingItems = bundle.items.map(({ version, updatedAt, ...item }) => item);
+  incomingItems.forEach(item => assertValidItem({ ...item, version: 1 }));
+
+  const currentItems = await board.listItems();
+  if (mode === 'replace') {
+    for (const item of currentItems) {
+      await board.deleteItem(item.id, { cause: 'import' });
+      result.items.removed.push(item.id);
+    }
+  }
+  const taken = new Set(mode === 'replace' ? [] : currentItems.map(item => item.id));
+
+  for (const item of incomingItems) {
+    const clash = taken.has(item.id);
+    if (clash && onConflict === 'skip') {
+      result.items.skipped.push(item.id);
+      continue;
+    }
+    if (clash && onConflict === 'overwrite') {
+      await board.updateItem(item.id, item, { replace: true, cause: 'import' });
+      result.items.overwritten.push(item.id);
+      continue;
+    }
+    const id = clash ? remapId(item.id) : item.id;
+    if (id !== item.id) result.idMap[item.id] = id;
+    await board.addItem({ ...item, id }, { avoidCollisions: false, action: 'imported', cause: 'import' });
+    taken.add(id);
+    result.items.created.push(id);
+  }
+
+  // A stored note is never replaced wholesale. With overwrite the archive's text becomes an
+  // edit of it by the importer, so the earlier text stays in its history, and only where
+  // they may edit the note.
+  const existingNotes = new Map((await notes.list(patientId, { includeDeleted: true })).map(note => [note.id, note]));
+  const incoming = [];
+  for (const note of bundle.notes?.notes || []) {
+    const ours = existingNotes.get(note.id);
+    if (ours && onConflict === 'overwrite') {
+      if (ours.deletedAt || !mayChangeNote(requester.actor, ours)) {
+        result.warnings.push(`Note ${note.id} is kept as it is: ${ours.deletedAt ? 'it has been deleted' : 'only its author or an admin may edit it'}`);
+        result.notes.skipped.push(note.id);
+        continue;
+      }
+      if (ours.content === note.content.trim()) {
+        result.notes.skipped.push(note.id);
+        continue;
+      }
+      const updated = await notes.update(patientId, note.id, { content: note.content, author: requester.actor?.name || IMPORT_AUTHOR });
+      await audit.recordOrUndo(
+        { action: 'update', resource: 'note', itemId: note.id, details: { patientId, cause: 'import' }, ...requester, before: ours, after: updated },
+        () => notes.takeBack(patientId, note.id, { version: updated.version, previous: ours })
+      );
+      result.notes.overwritten.push(note.id);
+      continue;
+    }
+    if (ours && onConflict === 'skip') {
+      result.notes.skipped.push(note.id);
+      continue;
+    }
+    const id = ours ? remapId(note.id) : note.id;
+    if (id !== note.id) result.idMap[note.id] = id;
+    incoming.push({ ...note, id, patientId });
+  }
+  const added = await notes.importNotes(patientId, incoming);
+  for (const [index, note] of added.entries()) {
+    // An entry that fails under AUDIT_REQUIRED takes back this note and the ones after it
+    await audit.recordOrUndo(
+      { action: 'create', resource: 'note', itemId: note.id, details: { patientId, cause: 'import' }, ...requester, after: note },
+      async () => {
+        for (const unrecorded of added.slice(index)) {
+          await notes.takeBack(patientId, unrecorded.id, { version: getItemVersion(unrecorded) });
+        }
+      }
+    );
+    result.notes.created.push(note.id);
+  }
+
+  // Archives written before zones were kept per board carry the bundled ones or none
+  if (bundle.zones) {
+    const currentZones = await zones.list(board.id);
+    if (mode === 'replace') {
+      const replaced = await zones.replace(board.id, bundle.zones);
+      for (const zone of currentZones) {
+        await board.recordAudit('delete', { resource: 'zone', itemId: zone.name, before: zone, details: { cause: 'import' } });
+        result.zones.removed.push(zone.name);
+      }
+      for (const zone of replaced) {
+        await board.recordAudit('create', { resource: 'zone', itemId: zone.name, after: zone, details: { cause: 'import' } });
+        result.zones.created.push(zone.name);
+      }
+    } else {
+      for (const fields of bundle.zones) {
+        const { zone } = await zones.create(board.id, fields);
+        if (!zone) {
+          const ours = currentZones.find(existing => existing.name === fields.name);
+          if (ours && JSON.stringify(ours) !== JSON.stringify(checkZone(fields))) {
+            result.warnings.push(`The archive's zone ${fields.name} differs from this board's; the board's is kept`);
+          }
+          result.zones.skipped.push(fields.name);
+          continue;
+        }
+        await board.recordAudit('create', { resource: 'zone', itemId: zone.name, after: zone, details: { cause: 'import' } });
+        result.zones.created.push(zone.name);
+      }
+    }
+    if (mode === 'replace' || result.zones.created.length > 0) {
+      board.broadcastZones(await zones.list(board.id));
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  exportBoard,
+  importBoard,
+  checkBundle,
+  ArchiveError,
+  IMPORT_MODES,
+  CONFLICT_STRATEGIES
+};
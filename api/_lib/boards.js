@@ -0,0 +1,109 @@
+// Board registry - boards are workspaces (usually one per patient) with their own
+// storage namespace and SSE channel
+const { createBoardService } = require('./board');
+const { createZoneStore } = require('./zones');
+const { createTourStore, createTourPlayer } = require('./tours');
+const { createPresenterStore } = require('./presenter');
+const { DEFAULT_BOARD_ID } = require('./storage');
+
+const BOARDS_DOCUMENT = 'boards';
+const BOARD_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,63}$/;
+
+const DEFAULT_BOARD = {
+  id: DEFAULT_BOARD_ID,
+  name: 'Default board',
+  patientId: null,
+  createdAt: null
+};
+
+// /api/boards/export and /api/boards/import would hide boards with these ids
+const RESERVED_BOARD_IDS = ['export', 'import'];
+
+const isValidBoardId = (boardId) =>
+  typeof boardId === 'string' && BOARD_ID_PATTERN.test(boardId) && !RESERVED_BOARD_IDS.includes(boardId);
+
+const createBoardRegistry = ({ storage, hub, audit = null, history = null }) => {
+  const services = new Map();
+  const zones = createZoneStore({ storage });
+  // One player for every route scope, so its timers are found whichever prefix a request uses
+  const tours = createTourStore({ storage });
+  const tourPlayer = createTourPlayer({ tours });
+  const presenters = createPresenterStore({ storage });
+
+  const loadBoards = async () => (await storage.loadDocument(BOARDS_DOCUMENT)) || [];
+
+  const listBoards = async () => [DEFAULT_BOARD, ...(await loadBoards())];
+
+  // Resolves to the board's metadata, or null when it does not exist
+  const getBoard = async (boardId) => {
+    if (boardId === DEFAULT_BOARD_ID) return DEFAULT_BOARD;
+    const boards = await loadBoards();
+    return boards.find(board => board.id === boardId) || null;
+  };
+
+  // The patient a board's clinical data belongs to: its patientId, else the board id
+  const getPatientId = async (boardId) => (await getBoard(boardId))?.patientId || boardId;
+
+  // Boards whose clinical data belongs to the patient, for events about patient-level records
+  const boardsForPatient = async (patientId) =>
+    (await listBoards()).filter(board => (board.patientId || board.id) === patientId);
+
+  // Resolves to null when a board with the same id already exists
+  const createBoard = async ({ id, name, patientId }) => {
+    if (id === DEFAULT_BOARD_ID) return null;
+
+    let created = null;
+    await storage.updateDocument(BOARDS_DOCUMENT, (current) => {
+      const boards = current || [];
+      created = null;
+      if (boards.some(board => board.id === id)) return boards;
+      created = {
+        id,
+        name: name || id,
+        patientId: patientId || null,
+        createdAt: new Date().toISOString()
+      };
+      return [...boards, created];
+    });
+    return created;
+  };
+
+  // Resolves to false when the board does not exist
+  const deleteBoard = async (boardId) => {
+    let found = false;
+    await storage.updateDocument(BOARDS_DOCUMENT, (current) => {
+      const boards = current || [];
+      found = boards.some(board => board.id === boardId);
+      return boards.filter(board => board.id !== boardId);
+    });
+    if (!found) {
+      return false;
+    }
+
+    await storage.deleteBoardItems(boardId);
+    await zones.reset(boardId);
+    tourPlayer.forgetBoard(boardId);
+    await tours.reset(boardId);
+    await presenters.reset(boardId);
+    // A board created later with the same id starts without the old revisions
+    if (history) await history.reset(boardId);
+    services.delete(boardId);
+    return true;
+  };
+
+  // Item operations scoped to one board; with a requester ({ actor, origin }) the writes
+  // are attributed to them in the audit log and item history
+  const forBoard = (boardId, requester = null) => {
+    if (requester) {
+      return createBoardService({ storage, channel: hub.channel(boardId), boardId, audit, history, requester });
+    }
+    if (!services.has(boardId)) {
+      services.set(boardId, createBoardService({ storage, channel: hub.channel(boardId), boardId, audit, history }));
+    }
+    return services.get(boardId);
+  };
+
+  return { listBoards, getBoard, getPatientId, boardsForPatient, createBoard, deleteBoard, forBoard, tours, tourPlayer };
+};
+
+module.exports = { createBoardRegistry, isValidBoardId, DEFAULT_BOARD_ID };
@@ -0,0 +1,240 @@
+// CTCAE v5.0 grading of lab-driven adverse events: ALT, AST, total bilirubin and
+// creatinine increases, and neutrophil and platelet count decreases
+
+const GRADE_SEVERITY = ['None', 'Mild', 'Moderate', 'Severe', 'Life-threatening'];
+
+// Thresholds are multiples of ULN (or of baseline when baseline was abnormal) for
+// increases, and absolute counts in 10^9/L for decreases
+const ANALYTES = {
+  alt: {
+    term: 'Alanine aminotransferase increased',
+    label: 'ALT',
+    codes: ['1742-6', '1743-4', '76625-3'],
+    pattern: /\bALT\b|alanine aminotransferase|\bSGPT\b/i,
+    direction: 'increase',
+    defaultLimit: 40,
+    uln: [3, 5, 20],
+    abnormalBaseline: [1.5, 3, 5, 20]
+  },
+  ast: {
+    term: 'Aspartate aminotransferase increased',
+    label: 'AST',
+    codes: ['1920-8', '30239-8'],
+    pattern: /\bAST\b|aspartate aminotransferase|\bSGOT\b/i,
+    direction: 'increase',
+    defaultLimit: 40,
+    uln: [3, 5, 20],
+    abnormalBaseline: [1.5, 3, 5, 20]
+  },
+  bilirubin: {
+    term: 'Blood bilirubin increased',
+    label: 'Total bilirubin',
+    codes: ['1975-2', '42719-5'],
+    pattern: /bilirubin/i,
+    direction: 'increase',
+    defaultLimit: 1.2,
+    uln: [1.5, 3, 10],
+    abnormalBaseline: [1, 1.5, 3, 10]
+  },
+  creatinine: {
+    term: 'Creatinine increased',
+    label: 'Creatinine',
+    codes: ['2160-0', '38483-4'],
+    pattern: /creatinine/i,
+    direction: 'increase',
+    defaultLimit: 1.2,
+    uln: [1.5, 3, 6],
+    // Grade 2 and 3 also apply at >1.5x and >3x baseline, whatever the baseline was
+    baselineAlways: [1.5, 3]
+  },
+  neutrophils: {
+    term: 'Neutrophil count decreased',
+    label: 'Neutrophils',
+    codes: ['751-8', '753-4', '26499-4'],
+    pattern: /neutrophil|\bANC\b/i,
+    direction: 'decrease',
+    defaultLimit: 2.0,
+    counts: [1.5, 1.0, 0.5]
+  },
+  platelets: {
+    term: 'Platelet count decreased',
+    label: 'Platelets',
+    codes: ['777-3', '26515-7'],
+    pattern: /platelet|\bPLT\b/i,
+    direction: 'decrease',
+    defaultLimit: 150,
+    counts: [75, 50, 25]
+  }
+};
+
+const analyteOf = (lab) => {
+  const name = String(lab.name || lab.parameter || '');
+  return Object.keys(ANALYTES).find(key => ANALYTES[key].codes.includes(lab.code) || ANALYTES[key].pattern.test(name)) || null;
+};
+
+const isGradable = (lab) => analyteOf(lab) !== null;
+
+// Counts may come as 10^9/L or as cells per mm3 (/uL); grading uses 10^9/L
+const toBillionsPerLiter = (value, unit, analyte) => {
+  const text = String(unit || '').toLowerCase();
+  if (/10\*?\^?9|10\*3|10\^3|k\/u?l|x10/.test(text)) return value;
+  if (/mm3|\/u?l|cells/.test(text)) return value / 1000;
+  // No usable unit: counts above the plausible 10^9/L range must be per mm3
+  const plausibleMax = analyte === 'platelets' ? 2000 : 100;
+  return value > plausibleMax ? value / 1000 : value;
+};
+
+const formatMultiple = (multiple) => `${Math.round(multiple * 10) / 10}×`;
+
+// Grade for an increase given fold-over-reference multiples; thresholds are the lower
+// bounds of grades 2..4 (ULN) or 1..4 (abnormal baseline)
+const gradeAbove = (multiple, thresholds) => {
+  const bounds = thresholds.length === 3 ? [1, ...thresholds] : thresholds;
+  let grade = 0;
+  bounds.forEach((bound, index) => {
+    if (multiple > bound) grade = index + 1;
+  });
+  return grade;
+};
+
+const gradeIncrease = (spec, value, { uln, baseline }) => {
+  const abnormalBaseline = spec.abnormalBaseline && baseline !== null && baseline > uln;
+  if (abnormalBaseline) {
+    const multiple = value / baseline;
+    return {
+      grade: gradeAbove(multiple, spec.abnormalBaseline),
+      basis: `${formatMultiple(multiple)} baseline (${baseline}; baseline above ULN)`
+    };
+  }
+
+  const multiple = value / uln;
+  let grade = gradeAbove(multiple, spec.uln);
+  let basis = `${formatMultiple(multiple)} ULN (${uln})`;
+
+  if (spec.baselineAlways && baseline !== null && baseline > 0) {
+    const fromBaseline = value / baseline;
+    const baselineGrade = fromBaseline > spec.baselineAlways[1] ? 3 : fromBaseline > spec.baselineAlways[0] ? 2 : 0;
+    if (baselineGrade > grade) {
+      grade = baselineGrade;
+      basis = `${formatMultiple(fromBaseline)} baseline (${baseline})`;
+    }
+  }
+  return { grade, basis };
+};
+
+const gradeDecrease = (spec, count, { lln }) => {
+  if (count >= lln) return { grade: 0, basis: `${count} ×10⁹/L (LLN ${lln})` };
+  const [grade2, grade3, grade4] = spec.counts;
+  let grade = 1;
+  if (count < grade4) grade = 4;
+  else if (count < grade3) grade = 3;
+  else if (count < grade2) grade = 2;
+  return { grade, basis: `${count} ×10⁹/L (LLN ${lln})` };
+};
+
+// Group observations ({ name | parameter, code, value, unit, date | observedAt,
+// referenceRange | range }) by graded analyte, oldest first
+const collectSeries = (labs = []) => {
+  const series = {};
+  for (const lab of labs) {
+    const analyte = analyteOf(lab);
+    const value = Number(lab.value);
+    const observedAt = lab.date || lab.observedAt || null;
+    if (!analyte || !Number.isFinite(value)) continue;
+    const range = lab.referenceRange || lab.range || {};
+    (series[analyte] = series[analyte] || []).push({
+      value,
+      unit: lab.unit || null,
+      observedAt,
+      low: Number.isFinite(Number(range.low ?? range.min)) ? Number(range.low ?? range.min) : null,
+      high: Number.isFinite(Number(range.high ?? range.max)) ? Number(range.high ?? range.max) : null
+    });
+  }
+  Object.values(series).forEach(points => points.sort((a, b) => String(a.observedAt || '').localeCompare(String(b.observedAt || ''))));
+  return series;
+};
+
+// Grade every observation of one analyte; the event takes the worst grade seen. The
+// baseline is the given value, else the first observation when there are several.
+const gradeSeries = (analyte, points, baselineOverride) => {
+  const spec = ANALYTES[analyte];
+  const baseline = Number.isFinite(baselineOverride)
+    ? baselineOverride
+    : (points.length > 1 ? points[0].value : null);
+
+  const graded = points.map(point => {
+    if (spec.direction === 'increase') {
+      const uln = point.high && point.high > 0 ? point.high : spec.defaultLimit;
+      const baselineForPoint = point === points[0] && !Number.isFinite(baselineOverride) ? null : baseline;
+      return { ...point, ...gradeIncrease(spec, point.value, { uln, baseline: baselineForPoint }) };
+    }
+    const count = toBillionsPerLiter(point.value, point.unit, analyte);
+    const lln = point.low !== null ? toBillionsPerLiter(point.low, point.unit, analyte) : spec.defaultLimit;
+    return { ...point, ...gradeDecrease(spec, count, { lln }) };
+  });
+
+  const worst = graded.reduce((best, point) => (point.grade > best.grade ? point : best), graded[0]);
+  const latest = graded[graded.length - 1];
+  return {
+    analyte,
+    term: spec.term,
+    label: spec.label,
+    grade: worst.grade,
+    severity: GRADE_SEVERITY[worst.grade],
+    value: worst.value,
+    unit: worst.unit,
+    observedAt: worst.observedAt,
+    basis: worst.basis,
+    baseline,
+    currentGrade: latest.grade,
+    currentValue: latest.value
+  };
+};
+
+// Grade all recognised analytes; `baselines` maps analyte keys (alt, ast, bilirubin,
+// creatinine, neutrophils, platelets) to pre-treatment values
+const gradeLabs = (labs, { baselines = {} } = {}) => {
+  const series = collectSeries(labs);
+  const results = Object.keys(ANALYTES)
+    .filter(analyte => series[analyte])
+    .map(analyte => gradeSeries(analyte, series[analyte], Number(baselines[analyte])));
+  const overall = results.reduce((max, result) => Math.max(max, result.grade), 0);
+
+  return {
+    version: 'CTCAE v5.0',
+    results,
+    overall_grade: overall > 0 ? `CTCAE Grade ${overall} — ${GRADE_SEVERITY[overall]}` : 'No CTCAE-gradable abnormality',
+    parameters: results.filter(result => result.grade > 0).map(result => ({
+      name: result.term,
+      grade: String(result.grade),
+      description: `${result.label} ${result.value}${result.unit ? ` ${result.unit}` : ''} = ${result.basis}`
+    })),
+    gradedAt: new Date().toISOString()
+  };
+};
+
+// adverseEvents entries for the graded results, in the shape AdverseEventAnalytics renders
+const toAdverseEvents = (grading) => grading.results
+  .filter(result => result.grade > 0)
+  .map(result => ({
+    event: result.term,
+    severity: result.severity,
+    description: `CTCAE grade ${result.grade}: ${result.label} ${result.value}${result.unit ? ` ${result.unit}` : ''} = ${result.basis}` +
+      (result.observedAt ? ` on ${String(result.observedAt).slice(0, 10)}` : ''),
+    grade: result.grade,
+    source: 'ctcae',
+    analyte: result.analyte,
+    observedAt: result.observedAt,
+    updatedAt: grading.gradedAt
+  }));
+
+// Replace the CTCAE-sourced entries for graded analytes and keep everything typed in by
+// hand; an analyte that no longer grades drops its entry
+const mergeAdverseEvents = (existing = [], grading) => {
+  const graded = new Set(grading.results.map(result => result.analyte));
+  const events = toAdverseEvents(grading);
+  const kept = existing.filter(entry => entry.source !== 'ctcae' || !graded.has(entry.analyte));
+  return [...kept, ...events];
+};
+
+module.exports = { gradeLabs, toAdverseEvents, mergeAdverseEvents, isGradable, GRADE_SEVERITY };
@@ -0,0 +1,93 @@
+// Bounded log of broadcast events so reconnecting SSE clients can catch up
+// Event ids are monotonic per board; the log keeps the most recent `capacity` events
+const { getRedisClient, isRedisConnected } = require('./redis');
+
+const DEFAULT_CAPACITY = Number(process.env.SSE_EVENT_LOG_SIZE) || 500;
+
+// Events after lastId, or null when some of them have already been dropped
+// (or lastId comes from a log that has since been reset) and the client must resync
+const selectSince = (entries, latestId, lastId) => {
+  if (lastId > latestId) return null;
+  if (lastId === latestId) return [];
+  if (entries.length === 0 || entries[0].id > lastId + 1) return null;
+  return entries.filter(entry => entry.id > lastId);
+};
+
+const createMemoryEventLog = ({ capacity = DEFAULT_CAPACITY } = {}) => {
+  let entries = [];
+  let latestId = 0;
+
+  const append = async (event, data) => {
+    const entry = { id: ++latestId, event, data };
+    entries.push(entry);
+    if (entries.length > capacity) {
+      entries = entries.slice(-capacity);
+    }
+    return entry;
+  };
+
+  const since = async (lastId) => selectSince(entries, latestId, lastId);
+
+  const latest = async () => latestId;
+
+  return { append, since, latest };
+};
+
+// INCR the sequence and push the entry in one step so ids and list order always agree
+const APPEND_SCRIPT = `
+local id = redis.call('INCR', KEYS[1])
+redis.call('RPUSH', KEYS[2], id .. ' ' .. ARGV[1])
+redis.call('LTRIM', KEYS[2], -tonumber(ARGV[2]), -1)
+return id
+`;
+
+// Shared by every instance through Redis; falls back to a process-local log without it
+const createRedisEventLog = ({ boardId, capacity = DEFAULT_CAPACITY, prefix = 'board' }) => {
+  const fallback = createMemoryEventLog({ capacity });
+  const seqKey = `${prefix}:${boardId}:event-seq`;
+  const listKey = `${prefix}:${boardId}:events`;
+
+  const connectedClient = async () => {
+    const redis = await getRedisClient();
+    return redis && isRedisConnected() ? redis : null;
+  };
+
+  const parseEntry = (raw) => {
+    const separator = raw.indexOf(' ');
+    return { id: Number(raw.slice(0, separator)), ...JSON.parse(raw.slice(separator + 1)) };
+  };
+
+  const append = async (event, data) => {
+    const redis = await connectedClient();
+    if (!redis) return fallback.append(event, data);
+
+    const id = await redis.eval(APPEND_SCRIPT, {
+      keys: [seqKey, listKey],
+      arguments: [JSON.stringify({ event, data }), String(capacity)]
+    });
+    return { id: Number(id), event, data };
+  };
+
+  const since = async (lastId) => {
+    const redis = await connectedClient();
+    if (!redis) return fallback.since(lastId);
+
+    const [rawEntries, latestId] = await Promise.all([redis.lRange(listKey, 0, -1), redis.get(seqKey)]);
+    return selectSince(rawEntries.map(parseEntry), Number(latestId) || 0, lastId);
+  };
+
+  const latest = async () => {
+    const redis = await connectedClient();
+    if (!redis) return fallback.latest();
+    return Number(await redis.get(seqKey)) || 0;
+  };
+
+  return { append, since, latest };
+};
+
+// Use Redis whenever it is configured, so every instance shares one sequence
+const createEventLog = ({ boardId }) => (
+  process.env.REDIS_URL ? createRedisEventLog({ boardId }) : createMemoryEventLog()
+);
+
+module.exports = { createEventLog, createMemoryEventLog, createRedisEventLog };
@@ -0,0 +1,249 @@
+// Maps a FHIR R4 Bundle into the board's patient data shape (see src/data/data.json):
+// patient, problem_list, medication_timeline, encounters and lab observations
+
+// Thrown when the payload is not a Bundle we can build a patient board from
+class FhirImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FhirImportError';
+  }
+}
+
+const CODE_SYSTEM_LABELS = {
+  'http://snomed.info/sct': 'SNOMED',
+  'http://hl7.org/fhir/sid/icd-10': 'ICD-10',
+  'http://hl7.org/fhir/sid/icd-10-cm': 'ICD-10',
+  'http://loinc.org': 'LOINC',
+  'http://www.nlm.nih.gov/research/umls/rxnorm': 'RxNorm'
+};
+
+const conceptText = (concept) => {
+  if (!concept) return null;
+  return concept.text || concept.coding?.find(coding => coding.display)?.display || concept.coding?.[0]?.code || null;
+};
+
+const conceptCodes = (concept) => (concept?.coding || []).map(coding => ({
+  system: CODE_SYSTEM_LABELS[coding.system] || coding.system || null,
+  code: coding.code || null,
+  display: coding.display || null
+}));
+
+const firstCode = (concept) => concept?.coding?.[0]?.code || null;
+
+// Dates are kept as FHIR gives them; YYYY-MM-DD is enough for the timeline components
+const toDate = (value) => (value ? String(value).slice(0, 10) : null);
+
+const humanName = (names = []) => {
+  const name = names.find(n => n.use === 'official') || names[0];
+  if (!name) return null;
+  if (name.text) return name.text;
+  return [...(name.given || []), name.family].filter(Boolean).join(' ') || null;
+};
+
+const yearsBetween = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return null;
+  let years = end.getFullYear() - start.getFullYear();
+  const beforeBirthday = end.getMonth() < start.getMonth() ||
+    (end.getMonth() === start.getMonth() && end.getDate() < start.getDate());
+  if (beforeBirthday) years -= 1;
+  return years;
+};
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : value);
+
+// References may use ResourceType/id or the entry's fullUrl (urn:uuid:...)
+const indexResources = (entries) => {
+  const byReference = new Map();
+  for (const { fullUrl, resource } of entries) {
+    if (resource.id) byReference.set(`${resource.resourceType}/${resource.id}`, resource);
+    if (fullUrl) byReference.set(fullUrl, resource);
+  }
+  return byReference;
+};
+
+const mapPatient = (resource, firstEncounterDate) => {
+  const mrn = (resource.identifier || []).find(identifier =>
+    identifier.type?.coding?.some(coding => coding.code === 'MR')
+  ) || resource.identifier?.[0];
+
+  return {
+    name: humanName(resource.name),
+    sex: capitalize(resource.gender) || null,
+    birthDate: resource.birthDate || null,
+    age: resource.birthDate ? yearsBetween(resource.birthDate, new Date()) : null,
+    age_at_first_encounter: resource.birthDate && firstEncounterDate
+      ? yearsBetween(resource.birthDate, firstEncounterDate)
+      : null,
+    identifiers: { mrn: mrn?.value || null }
+  };
+};
+
+const mapCondition = (resource) => ({
+  name: conceptText(resource.code),
+  status: firstCode(resource.clinicalStatus) || 'active',
+  codes: conceptCodes(resource.code),
+  first_recorded: toDate(resource.onsetDateTime || resource.onsetPeriod?.start || resource.recordedDate)
+});
+
+const mapDose = (dosage) => {
+  const quantity = dosage?.doseAndRate?.[0]?.doseQuantity;
+  if (quantity?.value !== undefined) return [quantity.value, quantity.unit || quantity.code].filter(v => v !== undefined).join(' ');
+  return dosage?.text || null;
+};
+
+const mapFrequency = (dosage) => {
+  const timing = dosage?.timing;
+  if (!timing) return null;
+  if (timing.code) return conceptText(timing.code);
+  const repeat = timing.repeat;
+  if (repeat?.frequency && repeat?.period && repeat?.periodUnit) {
+    return `${repeat.frequency}x per ${repeat.period === 1 ? '' : `${repeat.period} `}${repeat.periodUnit}`;
+  }
+  return null;
+};
+
+const mapMedicationStatement = (resource, byReference) => {
+  const medication = resource.medicationCodeableConcept ||
+    byReference.get(resource.medicationReference?.reference)?.code;
+  const dosage = resource.dosage?.[0];
+
+  return {
+    name: conceptText(medication) || resource.medicationReference?.display || 'Unknown medication',
+    dose: mapDose(dosage),
+    route: conceptText(dosage?.route),
+    frequency: mapFrequency(dosage),
+    start: toDate(resource.effectivePeriod?.start || resource.effectiveDateTime),
+    end: toDate(resource.effectivePeriod?.end),
+    indication: conceptText(resource.reasonCode?.[0]),
+    status: resource.status || null
+  };
+};
+
+const isLabObservation = (resource) => {
+  const categories = (resource.category || []).flatMap(category => category.coding || []);
+  return categories.length === 0
+    ? resource.valueQuantity !== undefined
+    : categories.some(coding => coding.code === 'laboratory');
+};
+
+const mapObservation = (resource) => {
+  const range = resource.referenceRange?.[0];
+  return {
+    name: conceptText(resource.code),
+    code: firstCode(resource.code),
+    value: resource.valueQuantity?.value ?? resource.valueString ?? conceptText(resource.valueCodeableConcept),
+    unit: resource.valueQuantity?.unit || resource.valueQuantity?.code || null,
+    referenceRange: range ? { low: range.low?.value ?? null, high: range.high?.value ?? null } : null,
+    interpretation: firstCode(resource.interpretation?.[0]),
+    date: toDate(resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued),
+    encounterRef: resource.encounter?.reference || null
+  };
+};
+
+// Build the encounter documents and timeline entries, numbered in date order
+const mapEncounters = (encounterEntries, { conditions, medications, observations }) => {
+  const sorted = [...encounterEntries].sort((a, b) =>
+    String(a.resource.period?.start || '').localeCompare(String(b.resource.period?.start || ''))
+  );
+
+  return sorted.map(({ fullUrl, resource }, index) => {
+    const references = [fullUrl, `Encounter/${resource.id}`].filter(Boolean);
+    const belongs = (ref) => ref && references.includes(ref);
+    const date = toDate(resource.period?.start);
+    const performer = resource.participant?.find(participant => participant.individual?.display);
+    const diagnoses = conditions.filter(condition => belongs(condition.encounterRef));
+    const labs = observations.filter(observation => belongs(observation.encounterRef) || (!observation.encounterRef && observation.date === date));
+    const activeMedications = medications.filter(med => med.start && med.start <= date && (!med.end || med.end >= date));
+    const visitType = conceptText(resource.type?.[0]) || resource.class?.display || resource.class?.code || 'Encounter';
+
+    return {
+      references,
+      encounter_no: index + 1,
+      meta: {
+        visit_type: visitType,
+        date_time: resource.period?.start || null,
+        provider: {
+          name: performer?.individual.display || null,
+          specialty: conceptText(resource.serviceType)
+        },
+        ui_risk_color: 'green'
+      },
+      reason_for_visit: conceptText(resource.reasonCode?.[0]),
+      diagnoses: diagnoses.flatMap(condition => (
+        condition.codes.length > 0
+          ? condition.codes.map(code => ({ ...code, status: condition.status }))
+          : [{ system: null, code: null, display: condition.name, status: condition.status }]
+      )),
+      medications_prior: activeMedications.map(({ name, dose, route, frequency, indication }) => ({
+        name, dose, route, frequency, indication
+      })),
+      labs: labs.map(({ encounterRef, ...lab }) => lab),
+      summary: {
+        encounter_no: index + 1,
+        date,
+        type: visitType,
+        provider: performer?.individual.display || null,
+        diagnosis: diagnoses.map(condition => condition.name).join(', ') || conceptText(resource.reasonCode?.[0]),
+        medications: activeMedications.map(med => [med.name, med.dose, med.frequency].filter(Boolean).join(' ')),
+        meta: { ui_risk_color: 'green' }
+      }
+    };
+  });
+};
+
+// Map a Bundle into { patientId, patientData, encounterDocuments, timeline, labs }
+const mapFhirBundle = (bundle) => {
+  if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+    throw new FhirImportError('Body must be a FHIR Bundle with an entry array');
+  }
+
+  const entries = bundle.entry.filter(entry => entry && entry.resource && entry.resource.resourceType);
+  const ofType = (type) => entries.filter(entry => entry.resource.resourceType === type);
+
+  const patients = ofType('Patient');
+  if (patients.length !== 1) {
+    throw new FhirImportError(`Bundle must contain exactly one Patient resource (found ${patients.length})`);
+  }
+
+  const byReference = indexResources(entries);
+  const conditions = ofType('Condition').map(({ resource }) => ({
+    ...mapCondition(resource),
+    encounterRef: resource.encounter?.reference || null
+  }));
+  const medications = ofType('MedicationStatement')
+    .map(({ resource }) => mapMedicationStatement(resource, byReference))
+    .sort((a, b) => String(a.start || '').localeCompare(String(b.start || '')));
+  const observations = ofType('Observation')
+    .filter(({ resource }) => isLabObservation(resource))
+    .map(({ resource }) => mapObservation(resource))
+    .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+
+  const encounters = mapEncounters(ofType('Encounter'), { conditions, medications, observations });
+  const patient = mapPatient(patients[0].resource, encounters[0]?.summary.date);
+  const encounterNoByRef = new Map();
+  encounters.forEach(encounter => {
+    encounter.references.forEach(ref => encounterNoByRef.set(ref, encounter.encounter_no));
+  });
+
+  const problemList = conditions.map(({ encounterRef, ...condition }) => condition);
+  const documents = encounters.map(({ references, summary, ...document }) => document);
+
+  return {
+    patientId: patients[0].resource.id || null,
+    patientData: {
+      patient,
+      problem_list: problemList,
+      medication_timeline: medications,
+      encounters: documents
+    },
+    timeline: encounters.map(encounter => encounter.summary),
+    labs: observations.map(({ encounterRef, ...lab }) => ({
+      ...lab,
+      encounter_no: encounterNoByRef.get(encounterRef) ?? null
+    }))
+  };
+};
+
+module.exports = { mapFhirBundle, FhirImportError };
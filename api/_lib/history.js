@@ -0,0 +1,179 @@
+// Item history - every revision of every item on a board, so one item can be reverted and
+// a whole board rolled back to how it looked at a given time
+const { isDeepStrictEqual } = require('util');
+const { getItemVersion } = require('./items');
+
+// Thrown when a revert or restore cannot be carried out as asked
+class HistoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HistoryError';
+  }
+}
+
+const HISTORY_LIMIT = Number(process.env.ITEM_HISTORY_LIMIT) || 100;
+
+// Board ids cannot contain ".", so the two parts never run into each other
+const itemKey = (boardId, itemId) => `history-${boardId}.${encodeURIComponent(itemId)}`;
+const indexKey = (boardId) => `history-index-${boardId}`;
+
+// Fields the server sets on every write, left out when comparing two states of an item
+const withoutServerFields = ({ version, updatedAt, ...item }) => item;
+
+const sameState = (a, b) => isDeepStrictEqual(withoutServerFields(a), withoutServerFields(b));
+
+// The item as it was at `time` from its history document: { known: true, item } with item
+// null when it did not exist then, or { known: false } when the kept revisions do not
+// reach back that far
+const stateAt = (document, time) => {
+  const { revisions, truncated } = document;
+  const latest = [...revisions].reverse()
+    .find(revision => revision.timestamp === null || Date.parse(revision.timestamp) <= time);
+  if (latest) return { known: true, item: latest.item };
+  return truncated ? { known: false } : { known: true, item: null };
+};
+
+const createHistoryStore = ({ storage, limit = HISTORY_LIMIT }) => {
+  // Add a revision for a write: `after` is the item as written, null for a delete. An item
+  // seen for the first time with a `before` (seed data, items older than history) gets that
+  // state as its baseline revision, so it can be reverted to how it started.
+  const record = async (boardId, { action, before = null, after = null, actor = null, cause = null }) => {
+    const itemId = (after || before).id;
+    let isNew = false;
+    await storage.updateDocument(itemKey(boardId, itemId), (current) => {
+      isNew = !current;
+      const document = current || { boardId, itemId, truncated: false, revisions: [] };
+      const revisions = [...document.revisions];
+      if (revisions.length === 0 && before) {
+        revisions.push({ revision: 1, action: 'baseline', cause: null, timestamp: null, actor: null, version: getItemVersion(before), item: before });
+      }
+      revisions.push({
+        revision: (revisions[revisions.length - 1]?.revision || 0) + 1,
+        action,
+        cause,
+        timestamp: new Date().toISOString(),
+        actor,
+        version: after ? getItemVersion(after) : null,
+        item: after
+      });
+      const dropped = Math.max(revisions.length - limit, 0);
+      return { ...document, truncated: document.truncated || dropped > 0, revisions: revisions.slice(dropped) };
+    });
+
+    // The index lets a board restore find items that have since been deleted
+    if (isNew) {
+      await storage.updateDocument(indexKey(boardId), (ids) => (
+        (ids || []).includes(itemId) ? ids : [...(ids || []), itemId]
+      ));
+    }
+  };
+
+  // Resolves to { boardId, itemId, truncated, revisions } (oldest first), or null when the
+  // item has never been written through the API
+  const getHistory = (boardId, itemId) => storage.loadDocument(itemKey(boardId, itemId));
+
+  // The board's items as they were at `time`; `unknown` lists items whose kept history does
+  // not reach back that far, which are left as they are now
+  const snapshot = async (boardId, time, currentItems) => {
+    const ids = (await storage.loadDocument(indexKey(boardId))) || [];
+    const documents = new Map(
+      (await Promise.all(ids.map(id => getHistory(boardId, id)))).filter(Boolean).map(document => [document.itemId, document])
+    );
+
+    const items = [];
+    const unknown = [];
+    // Items without history have not changed since history began
+    for (const item of currentItems) {
+      if (!documents.has(item.id)) items.push(item);
+    }
+    for (const [id, document] of documents) {
+      const state = stateAt(document, time);
+      if (!state.known) {
+        unknown.push(id);
+        const current = currentItems.find(item => item.id === id);
+        if (current) items.push(current);
+      } else if (state.item) {
+        items.push(state.item);
+      }
+    }
+    return { items, unknown };
+  };
+
+  // Drop every item's history, for a board that is deleted
+  const reset = async (boardId) => {
+    const ids = (await storage.loadDocument(indexKey(boardId))) || [];
+    for (const itemId of ids) {
+      await storage.saveDocument(itemKey(boardId, itemId), null);
+    }
+    await storage.saveDocument(indexKey(boardId), null);
+  };
+
+  return { record, getHistory, snapshot, reset };
+};
+
+// Put one item back to a revision: recreate it if it has been deleted, delete it if the
+// revision is its deletion, otherwise replace it with the revision's copy
+const revertItem = async (board, history, itemId, { revision, expectedVersion } = {}) => {
+  const document = await history.getHistory(board.id, itemId);
+  if (!document) throw new HistoryError(`Item ${itemId} has no history`);
+
+  const { revisions } = document;
+  // Without a revision, undo the latest change
+  const target = revision === undefined
+    ? revisions[revisions.length - 2]
+    : revisions.find(candidate => candidate.revision === revision);
+  if (!target) {
+    throw new HistoryError(revision === undefined ? `Item ${itemId} has no earlier revision` : `Item ${itemId} has no revision ${revision}`);
+  }
+
+  const current = await board.getItem(itemId);
+  if (!target.item) {
+    if (current) await board.deleteItem(itemId, { expectedVersion, cause: 'revert' });
+    return { revision: target, item: null };
+  }
+  if (!current) {
+    const { version, ...item } = target.item;
+    return { revision: target, item: await board.addItem(item, { avoidCollisions: false, action: 'restored', cause: 'revert' }) };
+  }
+  const item = await board.updateItem(itemId, target.item, { expectedVersion, replace: true, cause: 'revert' });
+  return { revision: target, item };
+};
+
+// Roll every item on the board back to how it was at `time`. A write that fails stops the
+// restore and is rethrown with `restore` set to the failed itemId and the ids already
+// written; those writes stay, each a revision of its own that a later restore can undo.
+const restoreBoard = async (board, history, time) => {
+  const currentItems = await board.listItems();
+  const { items, unknown } = await history.snapshot(board.id, time, currentItems);
+  const target = new Map(items.map(item => [item.id, item]));
+  const result = { created: [], updated: [], deleted: [], unknown };
+
+  let itemId = null;
+  try {
+    for (const current of currentItems) {
+      if (!target.has(current.id)) {
+        itemId = current.id;
+        await board.deleteItem(current.id, { cause: 'restore' });
+        result.deleted.push(current.id);
+      }
+    }
+    for (const item of items) {
+      itemId = item.id;
+      const current = currentItems.find(candidate => candidate.id === item.id);
+      if (!current) {
+        const { version, ...restored } = item;
+        await board.addItem(restored, { avoidCollisions: false, action: 'restored', cause: 'restore' });
+        result.created.push(item.id);
+      } else if (!sameState(current, item)) {
+        await board.updateItem(item.id, item, { replace: true, cause: 'restore' });
+        result.updated.push(item.id);
+      }
+    }
+  } catch (error) {
+    error.restore = { itemId, ...result };
+    throw error;
+  }
+  return result;
+};
+
+module.exports = { createHistoryStore, revertItem, restoreBoard, HistoryError };
@@ -0,0 +1,114 @@
+// Drug-drug interaction checker - finds pairs in a medication timeline that appear in the
+// bundled table (src/data/drug-interactions.json) and were taken at the same time
+const interactionTable = require('../../src/data/drug-interactions.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEVERITY_ORDER = ['contraindicated', 'major', 'moderate', 'minor'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match so "Trimethoprim-Sulfamethoxazole 800/160 mg" is found but
+// "ampicillin" is not mistaken for "penicillin"
+const mentions = (text, name) => new RegExp(`(^|[^a-z])${escapeRegExp(name)}([^a-z]|$)`).test(text);
+
+// Canonical generic names a timeline entry refers to, e.g. "Bactrim DS" ->
+// ["trimethoprim-sulfamethoxazole"]
+const canonicalNames = (name, table = interactionTable) => {
+  const text = String(name || '').toLowerCase();
+  const names = new Set();
+  Object.entries(table.aliases || {}).forEach(([alias, canonical]) => {
+    if (mentions(text, alias)) names.add(canonical);
+  });
+
+  const known = new Set([
+    ...Object.values(table.classes || {}).flat(),
+    ...table.interactions.flatMap(interaction => interaction.drugs.filter(drug => !drug.startsWith('class:')))
+  ]);
+  known.forEach(drug => {
+    if (mentions(text, drug)) names.add(drug);
+  });
+  return [...names];
+};
+
+// Does one side of a table entry ("methotrexate" or "class:nsaid") cover any of the names?
+const covers = (drug, names, table) => {
+  if (drug.startsWith('class:')) {
+    const members = table.classes?.[drug.slice('class:'.length)] || [];
+    return names.some(name => members.includes(name));
+  }
+  return names.includes(drug);
+};
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// The period both drugs were taken; an entry without an end date is still being taken
+const overlapWindow = (first, second, now) => {
+  const starts = [toTime(first.start || first.startDate), toTime(second.start || second.startDate)];
+  if (starts.includes(null)) return null;
+
+  const ends = [toTime(first.end || first.endDate), toTime(second.end || second.endDate)];
+  const start = Math.max(...starts);
+  const finite = ends.filter(end => end !== null);
+  const end = finite.length > 0 ? Math.min(...finite) : null;
+  if (start > (end ?? now)) return null;
+
+  return {
+    start: formatDate(start),
+    end: end === null ? null : formatDate(end),
+    ongoing: end === null,
+    days: Math.floor(((end ?? now) - start) / DAY_MS) + 1
+  };
+};
+
+// Check every pair of timeline entries; results are ordered most severe first, then by
+// when the overlap began
+const checkInteractions = (medications = [], { table = interactionTable, now = Date.now() } = {}) => {
+  const entries = medications
+    .map(medication => ({ medication, name: medication.medication || medication.name, names: canonicalNames(medication.medication || medication.name, table) }))
+    .filter(entry => entry.name && entry.names.length > 0);
+
+  const results = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const first = entries[i];
+      const second = entries[j];
+      if (first.names.some(name => second.names.includes(name))) continue;
+
+      for (const interaction of table.interactions) {
+        const [a, b] = interaction.drugs;
+        const forward = covers(a, first.names, table) && covers(b, second.names, table);
+        const reverse = covers(a, second.names, table) && covers(b, first.names, table);
+        if (!forward && !reverse) continue;
+
+        const overlap = overlapWindow(first.medication, second.medication, now);
+        if (!overlap) continue;
+
+        const drugs = forward ? [first.name, second.name] : [second.name, first.name];
+        results.push({
+          id: `${interaction.id}:${drugs.join('+')}:${overlap.start}`,
+          interactionId: interaction.id,
+          drugs,
+          severity: interaction.severity,
+          mechanism: interaction.mechanism,
+          effect: interaction.effect,
+          management: interaction.management,
+          overlap
+        });
+      }
+    }
+  }
+
+  return results.sort((x, y) =>
+    SEVERITY_ORDER.indexOf(x.severity) - SEVERITY_ORDER.indexOf(y.severity) ||
+    x.overlap.start.localeCompare(y.overlap.start)
+  );
+};
+
+module.exports = { checkInteractions, canonicalNames, covers, SEVERITY_ORDER, TABLE_VERSION: interactionTable.version };
@@ -0,0 +1,44 @@
+// Shared helpers for building board items
+
+const generateId = (prefix = 'item', length = 9) =>
+  `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, length)}`;
+
+// Default dimensions for dashboard components
+const getComponentDimensions = (componentType) => {
+  switch (componentType) {
+    case 'PatientContext':
+      return { width: 1600, height: 300 };
+    case 'EncounterTimeline':
+      return { width: 1600, height: 400 };
+    case 'AdverseEventAnalytics':
+      return { width: 1600, height: 500 };
+    case 'LabTable':
+    case 'LabChart':
+    case 'DifferentialDiagnosis':
+      return { width: 520, height: 400 };
+    case 'SingleEncounterDocument':
+      return { width: 500, height: 600 };
+    case 'DrugInteractions':
+      return { width: 900, height: 500 };
+    case 'NotesPanel':
+      return { width: 600, height: 560 };
+    default:
+      return { width: 600, height: 400 };
+  }
+};
+
+// Items start at version 1 and gain one per update; items saved before versioning count as 0
+const getItemVersion = (item) => item.version || 0;
+
+// Strong ETag for an item's current version
+const formatETag = (item) => `"${getItemVersion(item)}"`;
+
+// Parse an If-Match header ("3", W/"3" or *) into the version the client expects;
+// resolves to undefined when there is no precondition and NaN when it is malformed
+const parseIfMatch = (header) => {
+  if (!header || header.trim() === '*') return undefined;
+  const match = header.trim().match(/^(?:W\/)?"(\d+)"$/);
+  return match ? Number(match[1]) : NaN;
+};
+
+module.exports = { generateId, getComponentDimensions, getItemVersion, formatETag, parseIfMatch };
@@ -0,0 +1,127 @@
+// Lab observation store - every value posted for a patient, grouped by analyte, with
+// status and trend worked out on the server from reference ranges and earlier values
+const { generateId } = require('./items');
+
+// Thrown when an observation cannot be recorded as given
+class LabObservationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LabObservationError';
+  }
+}
+
+const HISTORY_LIMIT = Number(process.env.LAB_HISTORY_LIMIT) || 100;
+
+// Changes smaller than this share of the reference range count as stable
+const TREND_TOLERANCE = 0.05;
+
+// Observations of the same analyte share a LOINC code, or a parameter name when there is no code
+const analyteKey = ({ code, parameter }) => String(code || parameter).trim().toLowerCase();
+
+const documentKey = (patientId) => `labs-${encodeURIComponent(patientId)}`;
+
+// critical outside criticalMin/criticalMax (default: half the lower and twice the upper
+// limit), warning outside warningMin/warningMax (default: the reference range itself)
+const labStatus = (value, range) => {
+  const criticalMin = range.criticalMin ?? range.min / 2;
+  const criticalMax = range.criticalMax ?? range.max * 2;
+  if (value < criticalMin || value > criticalMax) return 'critical';
+
+  const warningMin = range.warningMin ?? range.min;
+  const warningMax = range.warningMax ?? range.max;
+  if (value < warningMin || value > warningMax) return 'warning';
+
+  return 'optimal';
+};
+
+const labTrend = (value, previous, range) => {
+  if (!previous) return 'stable';
+  const delta = value - previous.value;
+  if (Math.abs(delta) <= (range.max - range.min) * TREND_TOLERANCE) return 'stable';
+  return delta > 0 ? 'up' : 'down';
+};
+
+// Observations may arrive out of order, so status and trend are recomputed over the
+// whole series, oldest first, each time one is added
+const withFlags = (observations, range) => observations.map((observation, index) => ({
+  ...observation,
+  status: labStatus(observation.value, range),
+  trend: labTrend(observation.value, observations[index - 1], range)
+}));
+
+const createLabStore = ({ storage }) => {
+  const load = async (patientId) => (await storage.loadDocument(documentKey(patientId))) || { patientId, analytes: {} };
+
+  // Add one observation; resolves to { analyte, observation } where observation is the
+  // newly recorded value with its status, trend and previousValue. The unit and range
+  // may be left out once the analyte has been seen with them.
+  const record = async (patientId, { parameter, code, value, unit, range, observedAt }) => {
+    const key = analyteKey({ code, parameter });
+    const entry = {
+      id: generateId('lab', 6),
+      value,
+      observedAt: observedAt || new Date().toISOString(),
+      receivedAt: new Date().toISOString()
+    };
+
+    const document = await storage.updateDocument(documentKey(patientId), (current) => {
+      const labs = current || { patientId, analytes: {} };
+      const known = labs.analytes[key];
+      const analyteRange = range || known?.range;
+      const analyteUnit = unit || known?.unit;
+      if (!analyteRange || !analyteUnit) {
+        throw new LabObservationError(`unit and range are required for the first ${parameter || code} result`);
+      }
+
+      const observations = [...(known?.observations || []), entry]
+        .sort((a, b) => a.observedAt.localeCompare(b.observedAt))
+        .slice(-HISTORY_LIMIT);
+
+      labs.analytes[key] = {
+        key,
+        parameter: parameter || known?.parameter,
+        code: code || known?.code || null,
+        unit: analyteUnit,
+        range: analyteRange,
+        observations: withFlags(observations, analyteRange)
+      };
+      return labs;
+    });
+
+    const analyte = document.analytes[key];
+    const index = analyte.observations.findIndex(observation => observation.id === entry.id);
+    return {
+      analyte,
+      observation: index === -1 ? null : {
+        ...analyte.observations[index],
+        previousValue: analyte.observations[index - 1]?.value ?? null
+      }
+    };
+  };
+
+  // The stored series for one analyte, found by its code or its parameter name in any
+  // case, or null when nothing was recorded for it
+  const getAnalyte = async (patientId, analyte) => {
+    const { analytes } = await load(patientId);
+    const wanted = analyteKey({ parameter: analyte });
+    const matches = (name) => typeof name === 'string' && name.trim().toLowerCase() === wanted;
+    return analytes[wanted] || Object.values(analytes).find(entry => matches(entry.code) || matches(entry.parameter)) || null;
+  };
+
+  // Every analyte recorded for the patient, each with its full series
+  const listAnalytes = async (patientId) => Object.values((await load(patientId)).analytes);
+
+  // Latest observation of every analyte recorded for the patient
+  const listLatest = async (patientId) => {
+    const labs = await load(patientId);
+    return Object.values(labs.analytes).map(({ observations, ...analyte }) => ({
+      ...analyte,
+      latest: observations[observations.length - 1] || null,
+      count: observations.length
+    }));
+  };
+
+  return { record, getAnalyte, listAnalytes, listLatest };
+};
+
+module.exports = { createLabStore, LabObservationError, analyteKey, labStatus };
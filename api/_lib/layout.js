@@ -0,0 +1,240 @@
+// Placement helpers for items created through the API
+const { getComponentDimensions } = require('./items');
+const { findZone } = require('./zones');
+
+const ITEM_GAP = 50; // Minimum gap between placed items
+const ZONE_PADDING = 100; // Margin kept inside a zone's border
+const CELL_SIZE = 500; // Spatial index cell; about the size of a card
+const MAX_INDEXED_CELLS = 64; // Rectangles spanning more cells are checked one by one instead
+
+// Collision detection function
+const checkCollision = (item1, item2) => (
+  // Two rectangles overlap unless one is entirely left of, right of, above or below the other
+  !(
+    item1.x + item1.width <= item2.x ||
+    item2.x + item2.width <= item1.x ||
+    item1.y + item1.height <= item2.y ||
+    item2.y + item2.height <= item1.y
+  )
+);
+
+// The rectangle an item covers; components sized 'auto' count at their default size
+const itemBounds = (item) => {
+  const defaults = getComponentDimensions(item.componentType);
+  return {
+    id: item.id,
+    x: Number(item.x) || 0,
+    y: Number(item.y) || 0,
+    width: typeof item.width === 'number' ? item.width : defaults.width,
+    height: typeof item.height === 'number' ? item.height : defaults.height
+  };
+};
+
+// Rectangles of all the items on a board. An 'auto' height is only known to the browser,
+// so such an item is taken to reach down to the next item starting below its default size
+const boardBounds = (items) => {
+  const bounds = items.map(itemBounds);
+  return bounds.map((box, index) => {
+    if (typeof items[index].height === 'number') return box;
+    const next = Math.min(...bounds
+      .filter(other => other.y >= box.y + box.height && other.x < box.x + box.width && other.x + other.width > box.x)
+      .map(other => other.y));
+    return Number.isFinite(next) ? { ...box, height: Math.max(box.height, next - box.y - ITEM_GAP) } : box;
+  });
+};
+
+// Uniform grid over the canvas: each rectangle is filed under every cell it touches, so a
+// lookup only compares against the few items near the area asked about. Rectangles too big
+// for that (and lookups over areas that big) fall back to a scan of the list.
+const createSpatialIndex = (items = [], { cellSize = CELL_SIZE, maxCells = MAX_INDEXED_CELLS } = {}) => {
+  const cells = new Map();
+  const all = [];
+  const oversized = [];
+
+  // Keys of the cells a rectangle touches, or null when there are more than maxCells
+  const cellsOf = ({ x, y, width, height }) => {
+    const [firstColumn, lastColumn] = [Math.floor(x / cellSize), Math.floor((x + width) / cellSize)];
+    const [firstRow, lastRow] = [Math.floor(y / cellSize), Math.floor((y + height) / cellSize)];
+    // Also null for sizes that are not finite numbers
+    if (!((lastColumn - firstColumn + 1) * (lastRow - firstRow + 1) <= maxCells)) return null;
+
+    const keys = [];
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      for (let row = firstRow; row <= lastRow; row++) {
+        keys.push(`${column}:${row}`);
+      }
+    }
+    return keys;
+  };
+
+  const insert = (item) => {
+    const bounds = itemBounds(item);
+    const keys = cellsOf(bounds);
+    all.push(bounds);
+    if (!keys) {
+      oversized.push(bounds);
+      return bounds;
+    }
+    keys.forEach((key) => {
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(bounds);
+    });
+    return bounds;
+  };
+
+  // Rectangles that overlap `area`, each once
+  const search = (area) => {
+    const keys = cellsOf(area);
+    const candidates = keys ? [...oversized, ...keys.flatMap(key => cells.get(key) || [])] : all;
+    return [...new Set(candidates.filter(bounds => checkCollision(area, bounds)))];
+  };
+
+  // The first rectangle closer than `gap` to `area`, or null when it is clear
+  const collision = (area, gap = 0) => search({
+    x: area.x - gap,
+    y: area.y - gap,
+    width: area.width + 2 * gap,
+    height: area.height + 2 * gap
+  })[0] || null;
+
+  items.forEach(insert);
+  return { insert, search, collision };
+};
+
+const insideZone = (zone, { x, y, width, height }) =>
+  x >= zone.x && y >= zone.y && x + width <= zone.x + zone.width && y + height <= zone.y + zone.height;
+
+const zoneAt = (zones, x, y) =>
+  zones.find(zone => x >= zone.x && x < zone.x + zone.width && y >= zone.y && y < zone.y + zone.height) || null;
+
+// Items belong together when they share an encounter or, failing that, a patient
+const relationKeys = (item) => {
+  const props = item.content?.props || {};
+  const encounter = item.encounterNo ?? props.encounter?.encounter_no;
+  const patient = item.patientId ?? item.labResultData?.patientId ?? props.patientId;
+  return {
+    encounter: encounter === undefined ? null : String(encounter),
+    patient: patient === undefined ? null : String(patient)
+  };
+};
+
+const relatedItems = (newItem, existingItems) => {
+  const keys = relationKeys(newItem);
+  for (const key of ['encounter', 'patient']) {
+    if (keys[key] === null) continue;
+    const related = existingItems.filter(item => relationKeys(item)[key] === keys[key]);
+    if (related.length > 0) return related;
+  }
+  return [];
+};
+
+// Choose a free position for a new item. The zone it goes in is `zone` (a zone label) when
+// given; else the zone holding the position asked for, if any; else `defaultZone`, the
+// zone of its related items or the first zone. The position asked for is kept when
+// nothing is there; otherwise the item goes in the free slot next to a related item (or
+// any item in the zone) that is closest to where it was wanted, and failing that in the
+// first free row of the zone, continuing below the zone when it is full. Resolves to
+// { x, y, zone, overflow } with the zone's name, and overflow set when the item sticks
+// out of the bottom of a full zone.
+const placeItem = (newItem, existingItems, { zones = [], zone: required = null, defaultZone = null, gap = ITEM_GAP } = {}) => {
+  const existing = boardBounds(existingItems);
+  const index = createSpatialIndex(existing);
+  const { width, height } = itemBounds(newItem);
+  const requested = Number.isFinite(newItem.x) && Number.isFinite(newItem.y) ? { x: newItem.x, y: newItem.y } : null;
+  const related = relatedItems(newItem, existingItems).map(item => existing[existingItems.indexOf(item)]);
+
+  const orderedZones = [...zones].sort((a, b) => a.y - b.y || a.x - b.x);
+  const relatedZone = related.map(bounds => zoneAt(zones, bounds.x, bounds.y)).find(Boolean);
+  const requiredZone = findZone(zones, required);
+  const zone = requiredZone ||
+    (requested ? zoneAt(zones, requested.x, requested.y) : findZone(zones, defaultZone) || relatedZone || orderedZones[0]) ||
+    null;
+
+  const fits = (x, y) => {
+    const area = { x, y, width, height };
+    return (!zone || insideZone(zone, area)) && !index.collision(area, gap);
+  };
+  const result = (x, y) => ({
+    x,
+    y,
+    zone: zone?.name || null,
+    overflow: Boolean(zone) && !insideZone(zone, { x, y, width, height })
+  });
+
+  // An explicit position only has to be clear of other items (and inside a zone asked for)
+  if (requested && !index.collision({ ...requested, width, height }) &&
+    (!requiredZone || insideZone(requiredZone, { ...requested, width, height }))) {
+    return { ...result(requested.x, requested.y), overflow: false };
+  }
+
+  // Slots beside each neighbour, nearest to the wanted position first
+  const origin = zone ? { x: zone.x + ZONE_PADDING, y: zone.y + ZONE_PADDING } : { x: ZONE_PADDING, y: ZONE_PADDING };
+  const target = requested || (related[0] ? { x: related[0].x, y: related[0].y } : origin);
+  const neighbours = related.length > 0
+    ? related
+    : existing.filter(bounds => !zone || checkCollision(bounds, zone));
+  const candidates = [origin, ...neighbours.flatMap(bounds => [
+    { x: bounds.x + bounds.width + gap, y: bounds.y },
+    { x: bounds.x, y: bounds.y + bounds.height + gap },
+    { x: bounds.x - width - gap, y: bounds.y },
+    { x: bounds.x, y: bounds.y - height - gap }
+  ])];
+  const distance = ({ x, y }) => Math.hypot(x - target.x, y - target.y);
+  const best = candidates
+    .filter(({ x, y }) => fits(x, y))
+    .sort((a, b) => distance(a) - distance(b))[0];
+  if (best) return result(best.x, best.y);
+
+  // Row by row from the top of the zone, skipping past whatever is in the way. A full row
+  // stays full until the first of the items that filled it ends, so the next row tried
+  // starts there. Below the zone only its left and right edges still apply, so a row is
+  // always found eventually.
+  const left = origin.x;
+  const right = zone ? zone.x + zone.width - ZONE_PADDING : Infinity;
+  for (let y = origin.y; ;) {
+    let x = left;
+    let nextRow = Infinity;
+    while (x === left || x + width <= right) {
+      const blocker = index.collision({ x, y, width, height }, gap);
+      if (!blocker) return result(x, y);
+      x = blocker.x + blocker.width + gap;
+      nextRow = Math.min(nextRow, blocker.y + blocker.height + gap);
+    }
+    y = Math.max(y + 1, nextRow);
+  }
+};
+
+// Lay items out left to right in rows inside a zone, starting at `top` and wrapping
+// at the zone's width; rows that do not fit continue below the zone
+const flowIntoZone = (zone, items, { padding = 100, gap = 50, top = zone.y + padding } = {}) => {
+  const left = zone.x + padding;
+  const right = zone.x + zone.width - padding;
+  let x = left;
+  let y = top;
+  let rowHeight = 0;
+
+  for (const item of items) {
+    if (x > left && x + item.width > right) {
+      x = left;
+      y += rowHeight + gap;
+      rowHeight = 0;
+    }
+    item.x = x;
+    item.y = y;
+    x += item.width + gap;
+    rowHeight = Math.max(rowHeight, item.height);
+  }
+};
+
+module.exports = {
+  checkCollision,
+  itemBounds,
+  boardBounds,
+  createSpatialIndex,
+  insideZone,
+  zoneAt,
+  placeItem,
+  flowIntoZone,
+  ITEM_GAP,
+  ZONE_PADDING
+};
@@ -0,0 +1,177 @@
+// Clinical notes store - notes belong to a patient, not a board, so every board for the
+// patient sees the same notes. Edits keep the earlier text in `history` and deletes only
+// mark the note, so nothing written about a patient is lost.
+const { generateId, getItemVersion } = require('./items');
+const { VersionConflictError } = require('./board');
+
+// Thrown when a note cannot be written as given
+class NoteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NoteError';
+  }
+}
+
+const MAX_NOTE_LENGTH = 20000;
+
+const documentKey = (patientId) => `notes-${encodeURIComponent(patientId)}`;
+
+const checkContent = (content) => {
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new NoteError('content must be a non-empty string');
+  }
+  if (content.length > MAX_NOTE_LENGTH) {
+    throw new NoteError(`content must be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  return content.trim();
+};
+
+const checkAuthor = (author) => {
+  if (typeof author !== 'string' || author.trim() === '') {
+    throw new NoteError('author is required');
+  }
+  return author.trim();
+};
+
+// Signed-in users other than admins may only change the notes they wrote; `principal` is
+// a request's auth or an audit actor
+const mayChangeNote = (principal, note) =>
+  !principal || principal.kind === 'anonymous' || principal.role === 'admin' || note.authorId === principal.id;
+
+const createNoteStore = ({ storage }) => {
+  const load = async (patientId) => (await storage.loadDocument(documentKey(patientId))) || { patientId, notes: [] };
+
+  // Apply change(note) to one note; resolves to the updated note, or null when there is
+  // no such note. Throws VersionConflictError when expectedVersion is given and stale.
+  const modify = async (patientId, noteId, { expectedVersion }, change) => {
+    let updated = null;
+    await storage.updateDocument(documentKey(patientId), (current) => {
+      const document = current || { patientId, notes: [] };
+      const index = document.notes.findIndex(note => note.id === noteId);
+      updated = null;
+      if (index === -1) return document;
+
+      const note = document.notes[index];
+      if (expectedVersion !== undefined && expectedVersion !== getItemVersion(note)) {
+        throw new VersionConflictError(note);
+      }
+      updated = change(note);
+      document.notes[index] = updated;
+      return document;
+    });
+    return updated;
+  };
+
+  // Newest first; deleted notes are left out unless includeDeleted is set
+  const list = async (patientId, { includeDeleted = false } = {}) => {
+    const { notes } = await load(patientId);
+    return notes
+      .filter(note => includeDeleted || !note.deletedAt)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  };
+
+  // The note with its history, deleted or not; null when there is no such note
+  const get = async (patientId, noteId) => (await load(patientId)).notes.find(note => note.id === noteId) || null;
+
+  // authorId is the signed-in principal, when there is one, so ownership survives a rename
+  const create = async (patientId, { content, author, authorId = null }) => {
+    const now = new Date().toISOString();
+    const writer = checkAuthor(author);
+    const note = {
+      id: generateId('note', 6),
+      patientId,
+      content: checkContent(content),
+      author: writer,
+      authorId,
+      createdAt: now,
+      updatedAt: now,
+      updatedBy: writer,
+      version: 1,
+      history: [],
+      deletedAt: null,
+      deletedBy: null
+    };
+    await storage.updateDocument(documentKey(patientId), (current) => {
+      const document = current || { patientId, notes: [] };
+      document.notes.push(note);
+      return document;
+    });
+    return note;
+  };
+
+  // Replace the text; the previous text, author and time go into history
+  const update = (patientId, noteId, { content, author, expectedVersion }) => {
+    const text = checkContent(content);
+    const editor = checkAuthor(author);
+    return modify(patientId, noteId, { expectedVersion }, (note) => {
+      if (note.deletedAt) throw new NoteError('deleted notes cannot be edited');
+      return {
+        ...note,
+        content: text,
+        updatedAt: new Date().toISOString(),
+        updatedBy: editor,
+        version: getItemVersion(note) + 1,
+        history: [
+          ...note.history,
+          { version: getItemVersion(note), content: note.content, updatedBy: note.updatedBy, updatedAt: note.updatedAt }
+        ]
+      };
+    });
+  };
+
+  // Soft delete: the note is hidden from the list but kept with who deleted it and when
+  const remove = (patientId, noteId, { author, expectedVersion }) => {
+    const deleter = checkAuthor(author);
+    return modify(patientId, noteId, { expectedVersion }, (note) => (note.deletedAt ? note : {
+      ...note,
+      deletedAt: new Date().toISOString(),
+      deletedBy: deleter,
+      version: getItemVersion(note) + 1
+    }));
+  };
+
+  // Store new notes from a board archive as they are, history included. A stored note is
+  // never replaced: one whose id is already taken is left out, and resolves to the notes
+  // that were added.
+  const importNotes = async (patientId, incoming) => {
+    const checked = incoming.map(note => ({
+      ...note,
+      patientId,
+      content: checkContent(note.content),
+      author: checkAuthor(note.author),
+      history: Array.isArray(note.history) ? note.history : []
+    }));
+    if (checked.length === 0) return [];
+    let added = [];
+    await storage.updateDocument(documentKey(patientId), (current) => {
+      const document = current || { patientId, notes: [] };
+      const taken = new Set(document.notes.map(note => note.id));
+      added = checked.filter(note => !taken.has(note.id));
+      return { ...document, notes: [...document.notes, ...added] };
+    });
+    return added;
+  };
+
+  // Take back a write whose audit entry could not be recorded: put `previous` back, or drop
+  // a note that had just been created. Only while the note is still at `version`, one past
+  // `previous`, so nobody else's write is undone. Used when AUDIT_REQUIRED is set, so the
+  // write never counted as made.
+  const takeBack = async (patientId, noteId, { version, previous = null }) => {
+    if (previous && getItemVersion(previous) !== version - 1) return;
+    await storage.updateDocument(documentKey(patientId), (current) => {
+      const document = current || { patientId, notes: [] };
+      const note = document.notes.find(existing => existing.id === noteId);
+      if (!note || getItemVersion(note) !== version) return document;
+      return {
+        ...document,
+        notes: previous
+          ? document.notes.map(existing => (existing.id === noteId ? previous : existing))
+          : document.notes.filter(existing => existing.id !== noteId)
+      };
+    });
+  };
+
+  return { list, get, create, update, remove, importNotes, takeBack };
+};
+
+module.exports = { createNoteStore, mayChangeNote, NoteError };
@@ -0,0 +1,60 @@
+// Reads and writes the patient data the dashboard components carry in their props, for
+// analyses that derive from the board and feed their results back into it
+const { VersionConflictError } = require('./board');
+const { getItemVersion } = require('./items');
+
+const componentProps = (items, componentType) =>
+  items.find(item => item.type === 'component' && item.componentType === componentType)?.content?.props || {};
+
+// Lab observations from the lab store, else from the board's LabTable/LabChart
+const collectLabs = async (labStore, patientId, items) => {
+  const analytes = await labStore.listAnalytes(patientId);
+  if (analytes.length > 0) {
+    return analytes.flatMap(analyte => analyte.observations.map(observation => ({
+      parameter: analyte.parameter,
+      code: analyte.code,
+      value: observation.value,
+      unit: analyte.unit,
+      observedAt: observation.observedAt,
+      range: analyte.range
+    })));
+  }
+  return componentProps(items, 'LabTable').labs || componentProps(items, 'LabChart').labs || [];
+};
+
+const MAX_ATTEMPTS = 3;
+
+// Replace props with update(props) on every component of the given types, so each
+// client re-renders it; resolves to the ids of the updated items. Each write is
+// conditional on the version it read, so concurrent analyses never drop each other's
+// changes.
+const updateComponentProps = async (board, items, componentTypes, update) => {
+  const updated = [];
+  const targets = items.filter(item => item.type === 'component' && componentTypes.includes(item.componentType));
+
+  for (const { id } of targets) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const current = await board.getItem(id);
+      if (!current) break;
+
+      const content = { ...current.content, props: update(current.content?.props || {}) };
+      try {
+        await board.updateItem(id, { content }, { expectedVersion: getItemVersion(current) });
+        updated.push(id);
+        break;
+      } catch (error) {
+        if (!(error instanceof VersionConflictError) || attempt === MAX_ATTEMPTS) throw error;
+      }
+    }
+  }
+  return updated;
+};
+
+// Same, for the patientData prop most dashboard components take
+const updatePatientData = (board, items, componentTypes, update) =>
+  updateComponentProps(board, items, componentTypes, (props) => ({
+    ...props,
+    patientData: update(props.patientData || {})
+  }));
+
+module.exports = { componentProps, collectLabs, updateComponentProps, updatePatientData };
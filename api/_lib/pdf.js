@@ -0,0 +1,206 @@
+// Minimal PDF writer - A4 pages of wrapped text, rules and table cells in the standard
+// Helvetica fonts, so documents can be produced on the server without a browser
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Advance widths (per 1000 units of font size) of the printable ASCII characters, from
+// the Adobe font metrics of the standard fonts; other characters use DEFAULT_WIDTH
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+const FONT_RESOURCES = { regular: 'F1', bold: 'F2' };
+
+// WinAnsi has no glyph for these, so they are spelled out
+const SUBSTITUTES = {
+  '→': '->', '←': '<-', '≈': '~', '≥': '>=', '≤': '<=', '≠': '!=', '⁹': '9', '³': '3',
+  '‑': '-', '−': '-', '✓': 'v', '✗': 'x', '⚠': '!', '\t': ' '
+};
+// Characters WinAnsi keeps in 0x80-0x9F instead of their Unicode position
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// Text as WinAnsi bytes (one per character); anything else becomes "?"
+const toWinAnsi = (text) => {
+  const bytes = [];
+  for (const char of String(text).replace(/[^\n]/g, c => SUBSTITUTES[c] ?? c)) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) bytes.push(WIN_ANSI_EXTRAS[char]);
+    else if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) bytes.push(code);
+    else bytes.push(0x3f);
+  }
+  return Buffer.from(bytes);
+};
+
+const textWidth = (text, size, font = 'regular') => {
+  let units = 0;
+  for (const byte of toWinAnsi(text)) {
+    units += byte >= 32 && byte <= 126 ? WIDTHS[font][byte - 32] : DEFAULT_WIDTH;
+  }
+  return (units * size) / 1000;
+};
+
+// Break text into lines no wider than `width`; words longer than a line are split
+const wrapText = (text, width, size, font = 'regular') => String(text ?? '').split('\n').flatMap((paragraph) => {
+  const lines = [];
+  let line = '';
+  for (const word of paragraph.split(/ +/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (textWidth(candidate, size, font) <= width) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word;
+    while (textWidth(line, size, font) > width && line.length > 1) {
+      let cut = line.length - 1;
+      while (cut > 1 && textWidth(line.slice(0, cut), size, font) > width) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  }
+  lines.push(line);
+  return lines;
+});
+
+const escapeString = (bytes) => Buffer.concat([...bytes].map(byte => (
+  byte === 0x28 || byte === 0x29 || byte === 0x5c ? Buffer.from([0x5c, byte]) : Buffer.from([byte])
+)));
+
+const color = ([r, g, b]) => `${(r / 255).toFixed(3)} ${(g / 255).toFixed(3)} ${(b / 255).toFixed(3)}`;
+
+// A document is built top to bottom: `y` is the distance from the top margin, and
+// ensureSpace() starts a new page when the next block would not fit
+const createPdfDocument = ({ title = 'Document' } = {}) => {
+  const pages = [];
+  let page = null;
+  const contentWidth = PAGE_WIDTH - 2 * MARGIN;
+  const contentHeight = PAGE_HEIGHT - 2 * MARGIN;
+
+  const addPage = () => {
+    page = { operations: [] };
+    pages.push(page);
+    document.y = 0;
+  };
+
+  const ensureSpace = (height) => {
+    if (!page || (document.y + height > contentHeight && document.y > 0)) addPage();
+  };
+
+  // x and y are relative to the top-left corner of the content area
+  const text = (value, x, y, { size = 10, font = 'regular', rgb = [0, 0, 0] } = {}) => {
+    const baseline = PAGE_HEIGHT - MARGIN - y - size;
+    page.operations.push(Buffer.concat([
+      Buffer.from(`BT ${color(rgb)} rg /${FONT_RESOURCES[font]} ${size} Tf ${(MARGIN + x).toFixed(2)} ${baseline.toFixed(2)} Td (`),
+      escapeString(toWinAnsi(value)),
+      Buffer.from(') Tj ET\n')
+    ]));
+  };
+
+  const line = (x1, y1, x2, y2, { rgb = [200, 200, 200], width = 0.5 } = {}) => {
+    page.operations.push(Buffer.from(
+      `${color(rgb)} RG ${width} w ${(MARGIN + x1).toFixed(2)} ${(PAGE_HEIGHT - MARGIN - y1).toFixed(2)} m ` +
+      `${(MARGIN + x2).toFixed(2)} ${(PAGE_HEIGHT - MARGIN - y2).toFixed(2)} l S\n`
+    ));
+  };
+
+  const rect = (x, y, width, height, { rgb = [240, 240, 240] } = {}) => {
+    page.operations.push(Buffer.from(
+      `${color(rgb)} rg ${(MARGIN + x).toFixed(2)} ${(PAGE_HEIGHT - MARGIN - y - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f\n`
+    ));
+  };
+
+  // Wrapped paragraph at the current position; moves `y` below it
+  const paragraph = (value, { x = 0, width = contentWidth - x, size = 10, font = 'regular', rgb, leading = 1.35, gap = 4 } = {}) => {
+    for (const wrapped of wrapText(value, width, size, font)) {
+      ensureSpace(size * leading);
+      text(wrapped, x, document.y, { size, font, rgb });
+      document.y += size * leading;
+    }
+    document.y += gap;
+  };
+
+  // Footer on every page, then the file itself
+  const toBuffer = () => {
+    if (!page) addPage();
+    pages.forEach((current, index) => {
+      page = current;
+      const label = `${title} - page ${index + 1} of ${pages.length}`;
+      text(label, contentWidth - textWidth(label, 8), contentHeight + 20, { size: 8, rgb: [120, 120, 120] });
+    });
+
+    const objects = [];
+    // Object numbers start at 1, so the new length is the object's number
+    const add = (body) => objects.push(Buffer.isBuffer(body) ? body : Buffer.from(body));
+    const catalog = add('');
+    const pagesRef = add('');
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const info = add(Buffer.concat([
+      Buffer.from('<< /Title ('), escapeString(toWinAnsi(title)),
+      Buffer.from(`) /Producer (Patient Canvas) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`)
+    ]));
+
+    const pageRefs = pages.map((current) => {
+      const stream = zlib.deflateSync(Buffer.concat(current.operations));
+      const contents = add(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`), stream, Buffer.from('\nendstream')
+      ]));
+      return add(`<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${contents} 0 R >>`);
+    });
+    objects[catalog - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesRef} 0 R >>`);
+    objects[pagesRef - 1] = Buffer.from(`<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`);
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+    objects.forEach((body, index) => {
+      const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+      offsets.push(length);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(`${xref}\n`));
+    return Buffer.concat(chunks);
+  };
+
+  const document = { y: 0, contentWidth, ensureSpace, addPage, text, line, rect, paragraph, toBuffer };
+  return document;
+};
+
+module.exports = { createPdfDocument, textWidth, wrapText };
@@ -0,0 +1,120 @@
+// Presenter mode - one client on a board streams its viewport and the others follow it.
+// The presenter is kept as a document so every instance can tell who is presenting. A
+// presenter that stops sending (e.g. a closed tab) lapses after PRESENTER_TIMEOUT.
+
+// Thrown when a presenter request is not well formed
+class PresenterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PresenterError';
+  }
+}
+
+const PRESENTER_TIMEOUT = 30 * 1000; // ms without a viewport update
+const MAX_SESSION_ID_LENGTH = 100;
+const MIN_ZOOM = 0.1; // The canvas zooms between these
+const MAX_ZOOM = 3;
+
+const documentKey = (boardId) => `presenter-${boardId}`;
+
+const checkSessionId = (sessionId) => {
+  if (typeof sessionId !== 'string' || sessionId === '' || sessionId.length > MAX_SESSION_ID_LENGTH) {
+    throw new PresenterError(`sessionId must be a string of 1 to ${MAX_SESSION_ID_LENGTH} characters`);
+  }
+  return sessionId;
+};
+
+// A viewport is the world point at the centre of the screen and the zoom, so clients
+// with different screen sizes still show the same part of the board
+const checkViewport = (viewport) => {
+  const { x, y, zoom } = viewport || {};
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    throw new PresenterError('viewport x and y must be numbers');
+  }
+  if (!Number.isFinite(zoom) || zoom < MIN_ZOOM || zoom > MAX_ZOOM) {
+    throw new PresenterError(`viewport zoom must be between ${MIN_ZOOM} and ${MAX_ZOOM}`);
+  }
+  return { x, y, zoom };
+};
+
+const isActive = (presenter, now = Date.now()) =>
+  Boolean(presenter) && now - Date.parse(presenter.updatedAt) < PRESENTER_TIMEOUT;
+
+const createPresenterStore = ({ storage }) => {
+  // The board's presenter, or null when nobody is presenting
+  const get = async (boardId) => {
+    const presenter = await storage.loadDocument(documentKey(boardId));
+    return isActive(presenter) ? presenter : null;
+  };
+
+  // Start presenting. Resolves to { presenter, started }, where started is false when the
+  // session was already presenting; when someone else is, it resolves to { conflict } with
+  // them instead, unless takeOver is set.
+  const start = async (boardId, { sessionId, name = null, viewport, takeOver = false }) => {
+    checkSessionId(sessionId);
+    const view = checkViewport(viewport);
+    let result = null;
+    await storage.updateDocument(documentKey(boardId), (current) => {
+      const now = new Date().toISOString();
+      const active = isActive(current) ? current : null;
+      if (active && active.sessionId !== sessionId && !takeOver) {
+        result = { conflict: active };
+        return current;
+      }
+      const resumed = active?.sessionId === sessionId;
+      const presenter = {
+        sessionId,
+        name,
+        viewport: view,
+        startedAt: resumed ? active.startedAt : now,
+        updatedAt: now
+      };
+      result = { presenter, started: !resumed, previous: resumed ? null : active };
+      return presenter;
+    });
+    return result;
+  };
+
+  // Record the presenter's viewport. Resolves to { presenter }, or { conflict } with the
+  // current presenter (null when there is none) when the session is not presenting.
+  const move = async (boardId, sessionId, viewport) => {
+    checkSessionId(sessionId);
+    const view = checkViewport(viewport);
+    let result = null;
+    await storage.updateDocument(documentKey(boardId), (current) => {
+      const active = isActive(current) ? current : null;
+      if (active?.sessionId !== sessionId) {
+        result = { conflict: active };
+        return current;
+      }
+      const presenter = { ...active, viewport: view, updatedAt: new Date().toISOString() };
+      result = { presenter };
+      return presenter;
+    });
+    return result;
+  };
+
+  // Stop presenting. Resolves to { presenter } with the presenter that stopped, or
+  // { conflict } with the current presenter (null when there is none).
+  const stop = async (boardId, sessionId) => {
+    checkSessionId(sessionId);
+    let result = null;
+    await storage.updateDocument(documentKey(boardId), (current) => {
+      const active = isActive(current) ? current : null;
+      if (active?.sessionId !== sessionId) {
+        result = { conflict: active };
+        return current;
+      }
+      result = { presenter: active };
+      return null;
+    });
+    return result;
+  };
+
+  // Forget the presenter of a board that is deleted
+  const reset = (boardId) => storage.saveDocument(documentKey(boardId), null);
+
+  return { get, start, move, stop, reset };
+};
+
+module.exports = { createPresenterStore, PresenterError };
@@ -0,0 +1,82 @@
+// Pub/sub transports that relay SSE broadcasts between server instances
+// Each transport exposes publish(message) and subscribe(handler) on a single channel
+const { EventEmitter } = require('events');
+const { getRedisClient, isRedisConnected } = require('./redis');
+
+const DEFAULT_CHANNEL = process.env.SSE_PUBSUB_CHANNEL || 'board:sse-events';
+
+// In-process stand-in for Redis: apps created with the same instance behave like
+// separate server instances behind a shared broker (useful for tests and local runs)
+const createMemoryPubSub = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  const publish = async (message) => {
+    // Deliver asynchronously, like a real broker would
+    const payload = JSON.stringify(message);
+    setImmediate(() => emitter.emit('message', payload));
+  };
+
+  const subscribe = async (handler) => {
+    emitter.on('message', payload => handler(JSON.parse(payload)));
+  };
+
+  return { name: 'memory', publish, subscribe };
+};
+
+// Redis needs a dedicated connection in subscriber mode, duplicated from the shared client
+const createRedisPubSub = ({ channel = DEFAULT_CHANNEL } = {}) => {
+  const handlers = [];
+  let subscriber = null;
+  let subscribing = null;
+
+  const ensureSubscribed = () => {
+    if (subscriber || subscribing || handlers.length === 0) return subscribing;
+
+    subscribing = (async () => {
+      try {
+        const redis = await getRedisClient();
+        if (!redis) return;
+
+        const connection = redis.duplicate();
+        connection.on('error', (err) => console.error('Redis subscriber error:', err));
+        await connection.connect();
+        await connection.subscribe(channel, (payload) => {
+          let message;
+          try {
+            message = JSON.parse(payload);
+          } catch (error) {
+            console.error('Ignoring malformed pub/sub message:', error);
+            return;
+          }
+          handlers.forEach(handler => handler(message));
+        });
+        subscriber = connection;
+        console.log(`📡 Subscribed to Redis channel ${channel}`);
+      } catch (error) {
+        console.error('Failed to subscribe to Redis channel:', error);
+      } finally {
+        subscribing = null;
+      }
+    })();
+    return subscribing;
+  };
+
+  const publish = async (message) => {
+    // Retry a subscription that failed while Redis was unavailable
+    ensureSubscribed();
+
+    const redis = await getRedisClient();
+    if (!redis || !isRedisConnected()) return;
+    await redis.publish(channel, JSON.stringify(message));
+  };
+
+  const subscribe = async (handler) => {
+    handlers.push(handler);
+    await ensureSubscribed();
+  };
+
+  return { name: 'redis', publish, subscribe };
+};
+
+module.exports = { createMemoryPubSub, createRedisPubSub };
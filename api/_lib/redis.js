@@ -0,0 +1,52 @@
+// Shared Redis connection used by the Redis storage adapter
+const { createClient } = require('redis');
+
+let redisClient = null;
+let redisConnected = false;
+
+const getRedisClient = async () => {
+  if (redisClient && redisConnected) {
+    return redisClient;
+  }
+
+  try {
+    if (!process.env.REDIS_URL) {
+      console.log('⚠️  No REDIS_URL found, using in-memory storage');
+      return null;
+    }
+
+    redisClient = createClient({ 
+      url: process.env.REDIS_URL,
+      socket: {
+        reconnectStrategy: (retries) => {
+          if (retries > 3) {
+            console.log('❌ Redis reconnection failed after 3 attempts');
+            return new Error('Redis connection failed');
+          }
+          return retries * 100;
+        }
+      }
+    });
+
+    redisClient.on('error', (err) => {
+      console.error('Redis Client Error:', err);
+      redisConnected = false;
+    });
+
+    redisClient.on('connect', () => {
+      console.log('✅ Redis connected');
+      redisConnected = true;
+    });
+
+    await redisClient.connect();
+    return redisClient;
+  } catch (error) {
+    console.error('Failed to connect to Redis:', error);
+    redisConnected = false;
+    return null;
+  }
+};
+
+const isRedisConnected = () => redisConnected;
+
+module.exports = { getRedisClient, isRedisConnected };
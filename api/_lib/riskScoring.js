@@ -0,0 +1,203 @@
+// Adverse event risk scoring - scores each encounter against the rules declared in
+// src/data/ae-risk-rules.json (or RISK_RULES_PATH) and records which rules fired
+const fs = require('fs');
+const path = require('path');
+const { canonicalNames, covers } = require('./interactions');
+const interactionTable = require('../../src/data/drug-interactions.json');
+
+// Thrown when the rules file declares something the scorer cannot evaluate
+class RiskRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RiskRuleError';
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULE_TYPES = ['drug-exposure', 'exposure-change', 'lab-delta', 'risk-factor'];
+
+const checkRule = (rule) => {
+  const fail = (problem) => { throw new RiskRuleError(`risk rule ${rule.id || '(no id)'}: ${problem}`); };
+  if (!rule.id) fail('id is required');
+  if (!RULE_TYPES.includes(rule.type)) fail(`type must be one of ${RULE_TYPES.join(', ')}`);
+  if (!Number.isFinite(rule.points)) fail('points must be a number');
+  if ((rule.type === 'drug-exposure' || rule.type === 'exposure-change') && !(rule.drugs?.length > 0)) fail('drugs is required');
+  if ((rule.type === 'exposure-change' || rule.type === 'lab-delta') && !(rule.withinDays > 0)) fail('withinDays must be positive');
+  if (rule.type === 'exposure-change' && !['start', 'stop', 'any'].includes(rule.change || 'any')) fail('change must be start, stop or any');
+  if (rule.type === 'lab-delta') {
+    if (!rule.analyte?.codes?.length && !rule.analyte?.names?.length) fail('analyte needs codes or names');
+    if (!['increase', 'decrease'].includes(rule.direction)) fail('direction must be increase or decrease');
+    if (!(rule.minChangePercent > 0)) fail('minChangePercent must be positive');
+  }
+  if (rule.type === 'risk-factor') {
+    if (rule.factor === 'age' && !Number.isFinite(rule.min)) fail('min age is required');
+    if (rule.factor === 'condition' && !(rule.conditions?.length > 0)) fail('conditions is required');
+    if (!['age', 'condition'].includes(rule.factor)) fail('factor must be age or condition');
+  }
+};
+
+// Read and check a rules file; a bad file stops the server rather than scoring wrongly
+const loadRiskRules = (file = process.env.RISK_RULES_PATH || path.join(__dirname, '../../src/data/ae-risk-rules.json')) => {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(config.rules)) throw new RiskRuleError(`${file}: rules must be an array`);
+  if (!Array.isArray(config.levels) || config.levels.length === 0) throw new RiskRuleError(`${file}: levels must be a non-empty array`);
+  config.rules.forEach(checkRule);
+  return config;
+};
+
+const riskRules = loadRiskRules();
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// A bare date covers the whole day, so results drawn that afternoon count for the encounter
+const endOfDay = (value) => {
+  const time = toTime(value);
+  if (time === null) return null;
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? time + DAY_MS - 1 : time;
+};
+
+const medicationName = (medication) => medication.medication || medication.name;
+const startOf = (medication) => toTime(medication.start || medication.startDate);
+const endOf = (medication) => toTime(medication.end || medication.endDate);
+
+const matchesDrug = (medication, drug) => covers(drug, canonicalNames(medicationName(medication), interactionTable), interactionTable);
+
+const takenAt = (medication, time) => {
+  const start = startOf(medication);
+  const end = endOf(medication);
+  return start !== null && start <= time && (end === null || time <= end);
+};
+
+const words = (text) => new RegExp(`(^|[^a-z])${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^a-z]|$)`);
+
+// Age from the birth date, else from the age at the first encounter, else the recorded age
+const ageAt = (patient = {}, encounters, time) => {
+  const years = (from) => Math.floor((time - from) / (365.25 * DAY_MS));
+  const birth = toTime(patient.birthDate);
+  if (birth !== null) return years(birth);
+
+  const first = Math.min(...encounters.map(encounter => toTime(encounter.date || encounter.meta?.date_time)).filter(Number.isFinite));
+  if (Number.isFinite(patient.age_at_first_encounter) && Number.isFinite(first)) {
+    return patient.age_at_first_encounter + years(first);
+  }
+  return Number.isFinite(patient.age) ? patient.age : null;
+};
+
+// Each evaluator returns a detail string when its rule fires, else null
+const evaluators = {
+  // Any (or, with `all`, every) listed drug taken on the encounter date
+  'drug-exposure': (rule, { medications, time }) => {
+    const current = medications.filter(medication => takenAt(medication, time));
+    const taken = rule.drugs.map(drug => current.filter(medication => matchesDrug(medication, drug)));
+    const fired = rule.all ? taken.every(found => found.length > 0) : taken.some(found => found.length > 0);
+    if (!fired) return null;
+    const names = [...new Set(taken.flat().map(medicationName))];
+    return `${names.join(' + ')} on ${formatDate(time)}`;
+  },
+
+  // A listed drug started or stopped within withinDays before the encounter; restarting
+  // at a new dose counts as a start
+  'exposure-change': (rule, { medications, time }) => {
+    const change = rule.change || 'any';
+    const recent = (when) => when !== null && when <= time && time - when <= rule.withinDays * DAY_MS;
+    const changes = medications
+      .filter(medication => rule.drugs.some(drug => matchesDrug(medication, drug)))
+      .flatMap(medication => [
+        change !== 'stop' && recent(startOf(medication)) ? { verb: 'started', when: startOf(medication), medication } : null,
+        change !== 'start' && recent(endOf(medication)) ? { verb: 'stopped', when: endOf(medication), medication } : null
+      ])
+      .filter(Boolean);
+    if (changes.length === 0) return null;
+    return changes
+      .map(({ verb, when, medication }) => {
+        const days = Math.floor((time - when) / DAY_MS);
+        return `${medicationName(medication)}${medication.dose ? ` ${medication.dose}` : ''} ${verb} ${formatDate(when)} (${days} ${days === 1 ? 'day' : 'days'} before)`;
+      })
+      .join('; ');
+  },
+
+  // The latest value by the encounter against the lowest (increase) or highest (decrease)
+  // value in the withinDays before it
+  'lab-delta': (rule, { labs, time }) => {
+    const { codes = [], names = [] } = rule.analyte;
+    const series = labs
+      .filter(lab => {
+        const name = String(lab.name || lab.parameter || '').toLowerCase();
+        return codes.includes(lab.code) || names.some(candidate => words(candidate).test(name));
+      })
+      .map(lab => ({ value: Number(lab.value), time: toTime(lab.date || lab.observedAt), unit: lab.unit }))
+      .filter(point => Number.isFinite(point.value) && point.time !== null && point.time <= time)
+      .sort((a, b) => a.time - b.time);
+    if (series.length < 2) return null;
+
+    const latest = series[series.length - 1];
+    const window = series.filter(point => point !== latest && latest.time - point.time <= rule.withinDays * DAY_MS);
+    if (window.length === 0) return null;
+
+    const reference = rule.direction === 'increase'
+      ? window.reduce((low, point) => (point.value < low.value ? point : low))
+      : window.reduce((high, point) => (point.value > high.value ? point : high));
+    if (reference.value === 0) return null;
+    const change = ((latest.value - reference.value) / Math.abs(reference.value)) * 100;
+    const fired = rule.direction === 'increase' ? change >= rule.minChangePercent : -change >= rule.minChangePercent;
+    if (!fired) return null;
+    return `${reference.value} → ${latest.value}${latest.unit ? ` ${latest.unit}` : ''} (${change > 0 ? '+' : ''}${Math.round(change)}%) ` +
+      `${formatDate(reference.time)} to ${formatDate(latest.time)}`;
+  },
+
+  // Patient age on the encounter date, or a condition on the problem list (recorded by
+  // then, when dated) or in an encounter diagnosis up to that date
+  'risk-factor': (rule, { patient, problems, encounters, time }) => {
+    if (rule.factor === 'age') {
+      const age = ageAt(patient, encounters, time);
+      return age !== null && age >= rule.min ? `Age ${age} at the encounter` : null;
+    }
+
+    const mentions = (text) => rule.conditions.find(condition => words(condition.toLowerCase()).test(String(text || '').toLowerCase()));
+    const problem = problems.find(entry => {
+      const recorded = toTime(entry.first_recorded || entry.onset);
+      return (recorded === null || recorded <= time) && mentions(entry.name || entry.display || entry);
+    });
+    if (problem) return `${problem.name || problem.display || problem} on the problem list`;
+
+    const encounter = encounters.find(entry => toTime(entry.date || entry.meta?.date_time) <= time && mentions(entry.diagnosis));
+    return encounter ? `${encounter.diagnosis} (${encounter.date || encounter.meta?.date_time})` : null;
+  }
+};
+
+const levelFor = (score, levels) =>
+  [...levels].sort((a, b) => b.min - a.min).find(level => score >= level.min)?.level || null;
+
+// Score every encounter as of its own date; each score lists the rules that fired with
+// their points, so the total can be read off the breakdown
+const scoreEncounters = ({ encounters = [], medications = [], labs = [], patient = {}, problems = [], rules = riskRules }) => {
+  const scores = encounters.map(encounter => {
+    const date = encounter.date || encounter.meta?.date_time || null;
+    const time = endOfDay(date);
+    const fired = time === null ? [] : rules.rules.flatMap(rule => {
+      const detail = evaluators[rule.type](rule, { medications, labs, patient, problems, encounters, time });
+      return detail ? [{ id: rule.id, type: rule.type, label: rule.label || rule.id, points: rule.points, detail }] : [];
+    });
+    const baseline = rules.baseline || 0;
+    const score = Math.max(0, Math.min(100, fired.reduce((sum, rule) => sum + rule.points, baseline)));
+    return {
+      encounter_no: encounter.encounter_no ?? null,
+      date,
+      score,
+      level: levelFor(score, rules.levels),
+      baseline,
+      rules: fired
+    };
+  });
+
+  return { rulesVersion: rules.version || null, scoredAt: new Date().toISOString(), scores };
+};
+
+module.exports = { scoreEncounters, loadRiskRules, RiskRuleError };
@@ -0,0 +1,68 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const { generateId } = require('../items');
+const { ValidationError, validationErrorBody } = require('../validation');
+const { ZoneError } = require('../zones');
+
+// Calculate dynamic height based on content
+const calculateHeight = (content) => {
+  const baseHeight = 80; // Header + padding
+  const lineHeight = 20; // Approximate line height
+  const maxWidth = 520; // Container width
+  
+  // Estimate lines based on content length and width
+  const estimatedLines = Math.ceil(content.length / (maxWidth / 12)); // 12px char width
+  const contentHeight = Math.max(estimatedLines * lineHeight, 100); // Minimum 100px
+  
+  return Math.min(baseHeight + contentHeight, 800); // Cap at 800px
+};
+
+module.exports = () => {
+  const router = express.Router();
+
+  // POST /api/agents - Create a new agent result item
+  router.post('/agents', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { title, content, zone } = req.body || {};
+
+      if (!title || !content) {
+        return res.status(400).json({
+          error: 'title (string) and content (string) are required'
+        });
+      }
+
+      const newItem = {
+        id: generateId('item', 6),
+        type: 'agent',
+        x: null, // Placed by the board, inside `zone` when given
+        y: null,
+        width: 520,
+        height: calculateHeight(content),
+        content: content,
+        color: '#ffffff',
+        rotation: 0,
+        agentData: {
+          title,
+          markdown: content,
+        },
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await req.board.addItem(newItem, { zone });
+
+      res.status(201).json(newItem);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      if (error instanceof ZoneError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error creating agent item:', error);
+      res.status(500).json({ error: 'Failed to create agent item' });
+    }
+  });
+
+  return router;
+};
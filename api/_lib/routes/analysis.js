@@ -0,0 +1,240 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const { assessRucam, RucamInputError } = require('../rucam');
+const { applyCtcae } = require('../adverseEvents');
+const { checkInteractions, TABLE_VERSION } = require('../interactions');
+const { scoreEncounters } = require('../riskScoring');
+const { createLabStore } = require('../labs');
+const { generateId, getComponentDimensions, getItemVersion } = require('../items');
+const { VersionConflictError } = require('../board');
+const { componentProps, collectLabs, updateComponentProps, updatePatientData } = require('../patientData');
+const { ValidationError, validationErrorBody } = require('../validation');
+
+// The board kept changing under the write-back of a result, even after retries
+const sendConflict = (res, error) => res.status(409).json({
+  error: 'Board item was modified by someone else',
+  currentVersion: getItemVersion(error.current),
+  item: error.current
+});
+
+// Components that show the RUCAM assessment, updated after each scoring run
+const RUCAM_COMPONENTS = ['AdverseEventAnalytics', 'DifferentialDiagnosis'];
+
+// The medication timeline an analysis runs over: the body's, else the board's
+const boardMedications = (items) =>
+  componentProps(items, 'PatientContext').patientData?.medication_timeline ||
+  componentProps(items, 'EncounterTimeline').medicationTimeline ||
+  [];
+
+// New DrugInteractions panel, placed to the right of the timeline it annotates
+const buildInteractionsPanel = (items, props) => {
+  const timeline = items.find(item => item.type === 'component' && item.componentType === 'EncounterTimeline');
+  const now = new Date().toISOString();
+  return {
+    id: generateId('dashboard-item-druginteractions', 6),
+    type: 'component',
+    componentType: 'DrugInteractions',
+    x: timeline ? timeline.x + timeline.width + 100 : 100,
+    y: timeline ? timeline.y : 100,
+    ...getComponentDimensions('DrugInteractions'),
+    content: { title: 'Drug Interactions', component: 'DrugInteractions', props },
+    color: '#ffffff',
+    rotation: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+module.exports = ({ storage, boards }) => {
+  const router = express.Router();
+  const labs = createLabStore({ storage });
+
+  const resolvePatientId = async (req) => (req.body?.patientId ? String(req.body.patientId) : boards.getPatientId(req.board.id));
+
+  // POST /api/analysis/rucam - Score RUCAM causality for a suspect drug
+  router.post('/analysis/rucam', requireRole('clinician'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      if (body.medications !== undefined && !Array.isArray(body.medications)) {
+        return res.status(400).json({ error: 'medications must be an array of timeline entries' });
+      }
+      if (body.labs !== undefined && !Array.isArray(body.labs)) {
+        return res.status(400).json({ error: 'labs must be an array of observations' });
+      }
+      const notArray = ['hepatotoxins', 'implicatedDrugs'].find(field => body[field] !== undefined && !Array.isArray(body[field]));
+      if (notArray) {
+        return res.status(400).json({ error: `${notArray} must be an array of drug names` });
+      }
+
+      const patientId = await resolvePatientId(req);
+      const items = await req.board.listItems();
+      const patientData = componentProps(items, 'PatientContext').patientData || {};
+
+      const rucam = assessRucam({
+        suspectDrug: body.suspectDrug,
+        medications: body.medications || boardMedications(items),
+        labs: body.labs || await collectLabs(labs, patientId, items),
+        onsetDate: body.onsetDate,
+        age: body.age ?? patientData.patient?.age,
+        alcohol: body.alcohol,
+        pregnancy: body.pregnancy,
+        exclusions: body.exclusions,
+        alternativeCause: body.alternativeCause,
+        hepatotoxicity: body.hepatotoxicity,
+        hepatotoxins: body.hepatotoxins,
+        implicatedDrugs: body.implicatedDrugs,
+        rechallenge: body.rechallenge,
+        now: Date.now()
+      });
+
+      const updatedItems = body.apply === false
+        ? []
+        : await updatePatientData(req.board, items, RUCAM_COMPONENTS, (current) => ({ ...current, rucam }));
+
+      console.log(`🧮 RUCAM for ${rucam.suspectDrug} (patient ${patientId}): ${rucam.total_score} ${rucam.causality_category}`);
+
+      res.json({ patientId, rucam, updatedItems });
+    } catch (error) {
+      if (error instanceof RucamInputError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      console.error('Error scoring RUCAM:', error);
+      res.status(500).json({ error: 'Failed to score RUCAM' });
+    }
+  });
+
+  // POST /api/analysis/ctcae - Grade lab-driven adverse events (CTCAE v5)
+  router.post('/analysis/ctcae', requireRole('clinician'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      if (body.labs !== undefined && !Array.isArray(body.labs)) {
+        return res.status(400).json({ error: 'labs must be an array of observations' });
+      }
+      if (body.baselines !== undefined && (typeof body.baselines !== 'object' || Array.isArray(body.baselines))) {
+        return res.status(400).json({ error: 'baselines must be an object keyed by analyte' });
+      }
+
+      const patientId = await resolvePatientId(req);
+      const { ctcae, updatedItems } = await applyCtcae({
+        board: req.board,
+        labStore: labs,
+        patientId,
+        labs: body.labs,
+        baselines: body.baselines,
+        apply: body.apply !== false
+      });
+
+      console.log(`🩸 CTCAE for patient ${patientId}: ${ctcae.overall_grade}`);
+
+      res.json({ patientId, ctcae, updatedItems });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      console.error('Error grading CTCAE:', error);
+      res.status(500).json({ error: 'Failed to grade CTCAE' });
+    }
+  });
+
+  // POST /api/analysis/interactions - Check the medication timeline for drug-drug interactions
+  router.post('/analysis/interactions', requireRole('clinician'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      if (body.medications !== undefined && !Array.isArray(body.medications)) {
+        return res.status(400).json({ error: 'medications must be an array of timeline entries' });
+      }
+
+      const items = await req.board.listItems();
+      const medications = body.medications || boardMedications(items);
+      const result = {
+        tableVersion: TABLE_VERSION,
+        checkedAt: new Date().toISOString(),
+        medicationCount: medications.length,
+        interactions: checkInteractions(medications)
+      };
+
+      const updatedItems = [];
+      const createdItems = [];
+      if (body.apply !== false) {
+        const { interactions } = result;
+        updatedItems.push(
+          ...await updateComponentProps(req.board, items, ['EncounterTimeline'], (props) => ({ ...props, interactions })),
+          ...await updateComponentProps(req.board, items, ['DrugInteractions'], (props) => ({ ...props, ...result })),
+          ...await updatePatientData(req.board, items, ['DifferentialDiagnosis'], (patientData) => ({ ...patientData, interactions }))
+        );
+
+        if (!items.some(item => item.type === 'component' && item.componentType === 'DrugInteractions')) {
+          const panel = await req.board.addItem(buildInteractionsPanel(items, result), { action: 'analysis' });
+          createdItems.push(panel.id);
+        }
+      }
+
+      console.log(`💊 Checked ${medications.length} medications on board ${req.board.id}: ${result.interactions.length} interactions`);
+
+      res.json({ ...result, updatedItems, createdItems });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      console.error('Error checking drug interactions:', error);
+      res.status(500).json({ error: 'Failed to check drug interactions' });
+    }
+  });
+
+  // POST /api/analysis/risk - Score adverse event risk for each encounter from the configured rules
+  router.post('/analysis/risk', requireRole('clinician'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      for (const field of ['encounters', 'medications', 'labs']) {
+        if (body[field] !== undefined && !Array.isArray(body[field])) {
+          return res.status(400).json({ error: `${field} must be an array` });
+        }
+      }
+
+      const patientId = await resolvePatientId(req);
+      const items = await req.board.listItems();
+      const patientData = componentProps(items, 'PatientContext').patientData || {};
+
+      // Scored against the timeline the cards sit on, which may carry more history than PatientContext
+      const timeline = componentProps(items, 'EncounterTimeline');
+      const result = scoreEncounters({
+        encounters: body.encounters || timeline.encounters || patientData.encounters || [],
+        medications: body.medications || timeline.medicationTimeline || boardMedications(items),
+        labs: body.labs || await collectLabs(labs, patientId, items),
+        patient: patientData.patient,
+        problems: patientData.problem_list || []
+      });
+
+      const updatedItems = body.apply === false
+        ? []
+        : await updateComponentProps(req.board, items, ['EncounterTimeline'], (props) => ({ ...props, riskScores: result }));
+
+      console.log(`⚖️ Scored AE risk for ${result.scores.length} encounters (patient ${patientId})`);
+
+      res.json({ patientId, ...result, updatedItems });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      console.error('Error scoring AE risk:', error);
+      res.status(500).json({ error: 'Failed to score AE risk' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,38 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+
+const isTime = (value) => value === undefined || !Number.isNaN(Date.parse(value));
+
+module.exports = ({ audit }) => {
+  const router = express.Router();
+
+  // GET /api/audit - Audit entries, newest first (?itemId=&boardId=&actor=&action=&resource=&from=&to=&limit=&offset=)
+  router.get('/audit', requireRole('clinician'), async (req, res) => {
+    try {
+      const { itemId, boardId, actor, action, resource, from, to, limit, offset } = req.query;
+      if (!isTime(from) || !isTime(to)) {
+        return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps' });
+      }
+      res.json(await audit.query({ itemId, boardId, actor, action, resource, from, to, limit, offset }));
+    } catch (error) {
+      console.error('Error querying audit log:', error);
+      res.status(500).json({ error: 'Failed to query audit log' });
+    }
+  });
+
+  // GET /api/audit/verify - Check the hash chain; 409 when an entry was altered or removed
+  router.get('/audit/verify', requireRole('clinician'), async (req, res) => {
+    try {
+      const result = await audit.verify();
+      if (!result.valid) {
+        console.warn(`⚠️  Audit chain broken at entry ${result.problem.seq}: ${result.problem.reason}`);
+      }
+      res.status(result.valid ? 200 : 409).json(result);
+    } catch (error) {
+      console.error('Error verifying audit log:', error);
+      res.status(500).json({ error: 'Failed to verify audit log' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,118 @@
+const express = require('express');
+const { requireSignIn, requireRole, ROLES } = require('../auth');
+
+const MIN_PASSWORD_LENGTH = 12;
+
+module.exports = ({ auth }) => {
+  const router = express.Router();
+
+  // POST /api/auth/login - Exchange a username and password for a bearer token
+  router.post('/auth/login', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'username and password are required' });
+      }
+
+      const session = await auth.login(username, password);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      console.log(`🔑 ${session.user.username} signed in (${session.user.role})`);
+      res.json({ tokenType: 'Bearer', ...session });
+    } catch (error) {
+      console.error('Error signing in:', error);
+      res.status(500).json({ error: 'Failed to sign in' });
+    }
+  });
+
+  // GET /api/auth/me - Who the request is authenticated as
+  router.get('/auth/me', requireSignIn, (req, res) => {
+    res.json(req.auth);
+  });
+
+  // GET /api/auth/users - List users (admin)
+  router.get('/auth/users', requireRole('admin'), async (req, res) => {
+    try {
+      res.json(await auth.listUsers());
+    } catch (error) {
+      console.error('Error listing users:', error);
+      res.status(500).json({ error: 'Failed to list users' });
+    }
+  });
+
+  // POST /api/auth/users - Create a user (admin)
+  router.post('/auth/users', requireRole('admin'), async (req, res) => {
+    try {
+      const { username, password, name, role } = req.body || {};
+      if (typeof username !== 'string' || !/^[a-zA-Z0-9._@-]{1,64}$/.test(username)) {
+        return res.status(400).json({ error: 'username must be 1-64 letters, digits, ".", "_", "@" or "-"' });
+      }
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (!ROLES.includes(role) || role === 'agent') {
+        return res.status(400).json({ error: 'role must be viewer, clinician or admin; agents use API keys' });
+      }
+
+      const user = await auth.createUser({ username, password, name, role });
+      if (!user) {
+        return res.status(409).json({ error: `User ${username} already exists` });
+      }
+
+      console.log(`👤 Created ${role} user ${username}`);
+      res.status(201).json(user);
+    } catch (error) {
+      console.error('Error creating user:', error);
+      res.status(500).json({ error: 'Failed to create user' });
+    }
+  });
+
+  // GET /api/auth/api-keys - List API keys without the keys themselves (admin)
+  router.get('/auth/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+      res.json(await auth.listApiKeys());
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      res.status(500).json({ error: 'Failed to list API keys' });
+    }
+  });
+
+  // POST /api/auth/api-keys - Issue an API key; the key is only returned here (admin)
+  router.post('/auth/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+      const { name, role = 'agent' } = req.body || {};
+      if (typeof name !== 'string' || name.trim() === '') {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      }
+
+      const apiKey = await auth.createApiKey({ name: name.trim(), role });
+      console.log(`🔑 Issued ${role} API key ${apiKey.id} (${apiKey.name})`);
+      res.status(201).json(apiKey);
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      res.status(500).json({ error: 'Failed to create API key' });
+    }
+  });
+
+  // DELETE /api/auth/api-keys/:id - Revoke an API key (admin)
+  router.delete('/auth/api-keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const apiKey = await auth.revokeApiKey(req.params.id);
+      if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+      console.log(`🔒 Revoked API key ${apiKey.id} (${apiKey.name})`);
+      res.json(apiKey);
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+  });
+
+  return router;
+};
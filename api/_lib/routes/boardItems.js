@@ -0,0 +1,260 @@
+const express = require('express');
+const { generateId, getComponentDimensions, getItemVersion, formatETag, parseIfMatch } = require('../items');
+const { VersionConflictError } = require('../board');
+const { ValidationError, validationErrorBody } = require('../validation');
+const { requireRole, agentMayWrite, AGENT_ITEM_TYPES } = require('../auth');
+const { revertItem, restoreBoard, HistoryError } = require('../history');
+
+const agentForbidden = (res) => res.status(403).json({
+  error: `Agents may only write ${AGENT_ITEM_TYPES.join(', ')} items`
+});
+
+const sendConflict = (res, error, details = {}) => res.status(409).json({
+  error: 'Board item was modified by someone else',
+  currentVersion: getItemVersion(error.current),
+  item: error.current,
+  ...details
+});
+
+// Resolves `at` to a time, or null when it is missing or not a timestamp
+const parseTime = (at) => {
+  const time = typeof at === 'string' ? Date.parse(at) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+module.exports = ({ history }) => {
+  // Mounted at /api/board-items and /api/boards/:boardId/items
+  const router = express.Router();
+
+  // GET /api/board-items - Get all board items
+  router.get('/', async (req, res) => {
+    try {
+      const items = await req.board.listItems();
+      res.json(items);
+    } catch (error) {
+      console.error('Error loading board items:', error);
+      res.status(500).json({ error: 'Failed to load board items' });
+    }
+  });
+
+  // GET /api/board-items/snapshot?at= - The board's items as they were at a point in time
+  router.get('/snapshot', async (req, res) => {
+    try {
+      const time = parseTime(req.query.at);
+      if (time === null) {
+        return res.status(400).json({ error: 'at must be an ISO 8601 timestamp' });
+      }
+      const { items, unknown } = await history.snapshot(req.board.id, time, await req.board.listItems());
+      res.json({ at: new Date(time).toISOString(), items, unknown });
+    } catch (error) {
+      console.error('Error building board snapshot:', error);
+      res.status(500).json({ error: 'Failed to build board snapshot' });
+    }
+  });
+
+  // POST /api/board-items/restore - Roll the whole board back to how it was at `at`
+  router.post('/restore', requireRole('clinician'), async (req, res) => {
+    try {
+      const time = parseTime(req.body?.at);
+      if (time === null) {
+        return res.status(400).json({ error: 'at must be an ISO 8601 timestamp' });
+      }
+
+      const result = await restoreBoard(req.board, history, time);
+      console.log(`⏪ Restored board ${req.board.id} to ${new Date(time).toISOString()}: ` +
+        `${result.created.length} recreated, ${result.updated.length} reverted, ${result.deleted.length} removed`);
+      res.json({ at: new Date(time).toISOString(), ...result });
+    } catch (error) {
+      // A restore that stops partway names the item it stopped at and what it had written
+      const progress = error.restore || {};
+      if (error instanceof ValidationError) {
+        return res.status(422).json({ ...validationErrorBody(error), ...progress });
+      }
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error, progress);
+      }
+      console.error('Error restoring board:', error);
+      res.status(500).json({ error: 'Failed to restore board', ...progress });
+    }
+  });
+
+  // GET /api/board-items/:id/history - Every kept revision of an item, newest first
+  router.get('/:id/history', async (req, res) => {
+    try {
+      const document = await history.getHistory(req.board.id, req.params.id);
+      if (!document) {
+        return res.status(404).json({ error: 'No history for this board item' });
+      }
+      res.json({ ...document, revisions: [...document.revisions].reverse() });
+    } catch (error) {
+      console.error('Error loading board item history:', error);
+      res.status(500).json({ error: 'Failed to load board item history' });
+    }
+  });
+
+  // POST /api/board-items/:id/revert - Put an item back to a revision ({ "revision": n }; the one before the latest when omitted)
+  router.post('/:id/revert', requireRole('clinician'), async (req, res) => {
+    try {
+      const expectedVersion = parseIfMatch(req.get('If-Match'));
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'If-Match must be an ETag returned by this API' });
+      }
+      const { revision } = req.body || {};
+      if (revision !== undefined && !Number.isInteger(revision)) {
+        return res.status(400).json({ error: 'revision must be an integer' });
+      }
+
+      const result = await revertItem(req.board, history, req.params.id, { revision, expectedVersion });
+      console.log(`↩️ Reverted ${req.params.id} to revision ${result.revision.revision}`);
+      if (result.item) res.set('ETag', formatETag(result.item));
+      res.json({ revertedTo: result.revision.revision, item: result.item });
+    } catch (error) {
+      if (error instanceof HistoryError) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      console.error('Error reverting board item:', error);
+      res.status(500).json({ error: 'Failed to revert board item' });
+    }
+  });
+
+  // GET /api/board-items/:id - Get one board item with its version as ETag
+  router.get('/:id', async (req, res) => {
+    try {
+      const item = await req.board.getItem(req.params.id);
+      
+      if (!item) {
+        return res.status(404).json({ error: 'Board item not found' });
+      }
+      
+      res.set('ETag', formatETag(item)).json(item);
+    } catch (error) {
+      console.error('Error loading board item:', error);
+      res.status(500).json({ error: 'Failed to load board item' });
+    }
+  });
+
+  // POST /api/board-items - Create a new board item
+  router.post('/', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { type, componentType, x, y, width, height, content, color, rotation, ehrData } = req.body;
+      
+      // Validate required fields
+      if (!type) {
+        return res.status(400).json({ error: 'Type is required' });
+      }
+      if (!agentMayWrite(req.auth, type)) {
+        return agentForbidden(res);
+      }
+      
+      // Set default values based on type
+      let defaultWidth, defaultHeight, defaultColor, defaultContent;
+      
+      if (type === 'component') {
+        ({ width: defaultWidth, height: defaultHeight } = getComponentDimensions(componentType));
+        defaultColor = '#ffffff';
+        defaultContent = content || {};
+      } else {
+        // Legacy item types
+        defaultWidth = type === 'text' ? 200 : type === 'ehr' ? 550 : 150;
+        defaultHeight = type === 'text' ? 100 : type === 'ehr' ? 450 : 150;
+        defaultColor = type === 'sticky' ? '#ffeb3b' : type === 'ehr' ? '#e8f5e8' : '#2196f3';
+        defaultContent = type === 'text' ? 'Double click to edit' : type === 'ehr' ? 'EHR Data' : '';
+      }
+      
+      const newItem = {
+        id: generateId('item'),
+        type,
+        componentType: componentType || undefined,
+        x: x ?? null,
+        y: y ?? null,
+        width: width || defaultWidth,
+        height: height || defaultHeight,
+        content: content || defaultContent,
+        color: color || defaultColor,
+        rotation: rotation || 0,
+        ehrData: type === 'ehr' ? (ehrData || {}) : null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      
+      // Items dropped at a position stay there; items without one are placed by the board
+      const placed = !Number.isFinite(newItem.x) || !Number.isFinite(newItem.y);
+      await req.board.addItem(newItem, { avoidCollisions: placed, broadcast: false });
+      
+      res.status(201).set('ETag', formatETag(newItem)).json(newItem);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      console.error('Error creating board item:', error);
+      res.status(500).json({ error: 'Failed to create board item' });
+    }
+  });
+
+  // PUT /api/board-items/:id - Update a board item (send If-Match to avoid overwriting newer changes)
+  router.put('/:id', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const expectedVersion = parseIfMatch(req.get('If-Match'));
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'If-Match must be an ETag returned by this API' });
+      }
+
+      // An agent may neither edit another kind of item nor turn its own into one
+      if (req.auth.role === 'agent') {
+        const current = await req.board.getItem(req.params.id);
+        if (current && (!agentMayWrite(req.auth, current.type) || !agentMayWrite(req.auth, req.body?.type ?? current.type))) {
+          return agentForbidden(res);
+        }
+      }
+
+      const item = await req.board.updateItem(req.params.id, req.body, { expectedVersion });
+      
+      if (!item) {
+        return res.status(404).json({ error: 'Board item not found' });
+      }
+      
+      res.set('ETag', formatETag(item)).json(item);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      console.error('Error updating board item:', error);
+      res.status(500).json({ error: 'Failed to update board item' });
+    }
+  });
+
+  // DELETE /api/board-items/:id - Delete a board item (If-Match is honoured as for PUT)
+  router.delete('/:id', requireRole('clinician'), async (req, res) => {
+    try {
+      const expectedVersion = parseIfMatch(req.get('If-Match'));
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'If-Match must be an ETag returned by this API' });
+      }
+
+      const deleted = await req.board.deleteItem(req.params.id, { expectedVersion });
+      
+      if (!deleted) {
+        return res.status(404).json({ error: 'Board item not found' });
+      }
+      
+      res.json({ message: 'Board item deleted successfully' });
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      console.error('Error deleting board item:', error);
+      res.status(500).json({ error: 'Failed to delete board item' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,171 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const { isValidBoardId, DEFAULT_BOARD_ID } = require('../boards');
+const { generateId } = require('../items');
+const { requestContext } = require('../audit');
+const { createNoteStore, NoteError } = require('../notes');
+const { createZoneStore } = require('../zones');
+const { ValidationError, validationErrorBody } = require('../validation');
+const {
+  exportBoard, importBoard, checkBundle, ArchiveError, IMPORT_MODES, CONFLICT_STRATEGIES
+} = require('../boardArchive');
+
+module.exports = ({ storage, boards, audit }) => {
+  const router = express.Router();
+  const notes = createNoteStore({ storage });
+  const zones = createZoneStore({ storage });
+
+  // GET /api/boards - List boards
+  router.get('/boards', async (req, res) => {
+    try {
+      res.json(await boards.listBoards());
+    } catch (error) {
+      console.error('Error listing boards:', error);
+      res.status(500).json({ error: 'Failed to list boards' });
+    }
+  });
+
+  // POST /api/boards - Create a board (one workspace per patient)
+  router.post('/boards', requireRole('clinician'), async (req, res) => {
+    try {
+      const { id, name, patientId } = req.body || {};
+      const boardId = id || generateId('board', 6);
+
+      if (!isValidBoardId(boardId)) {
+        return res.status(400).json({
+          error: 'id must be 1-64 letters, digits, "-" or "_" and start with a letter or digit'
+        });
+      }
+
+      const board = await boards.createBoard({ id: boardId, name, patientId });
+      if (!board) {
+        return res.status(409).json({ error: `Board ${boardId} already exists` });
+      }
+
+      console.log(`🗂️  Created board ${boardId}`);
+      await audit.recordOrUndo(
+        { action: 'create', resource: 'board', boardId, itemId: boardId, ...requestContext(req), after: board },
+        () => boards.deleteBoard(boardId)
+      );
+      res.status(201).json(board);
+    } catch (error) {
+      console.error('Error creating board:', error);
+      res.status(500).json({ error: 'Failed to create board' });
+    }
+  });
+
+  // GET /api/boards/export?boardId= - Download a board (default: the default board) as an archive
+  router.get('/boards/export', async (req, res) => {
+    try {
+      const boardId = req.query.boardId || DEFAULT_BOARD_ID;
+      if (!(await boards.getBoard(boardId))) {
+        return res.status(404).json({ error: 'Board not found' });
+      }
+
+      const archive = await exportBoard({ boards, notes, boardId });
+      console.log(`📦 Exported board ${boardId}: ${archive.items.length} items, ${archive.notes.notes.length} notes`);
+      res
+        .set('Content-Disposition', `attachment; filename="board-${boardId}-${archive.exportedAt.slice(0, 10)}.json"`)
+        .json(archive);
+    } catch (error) {
+      console.error('Error exporting board:', error);
+      res.status(500).json({ error: 'Failed to export board' });
+    }
+  });
+
+  // POST /api/boards/import?boardId=&mode=merge|replace&onConflict=remap|skip|overwrite - Load an archive into a board
+  router.post('/boards/import', requireRole('clinician'), async (req, res) => {
+    try {
+      const bundle = req.body;
+      const { mode = 'merge', onConflict = 'remap' } = req.query;
+      if (!IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of ${IMPORT_MODES.join(', ')}` });
+      }
+      if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+        return res.status(400).json({ error: `onConflict must be one of ${CONFLICT_STRATEGIES.join(', ')}` });
+      }
+      checkBundle(bundle);
+
+      // The archive's own board is created when it does not exist here yet
+      const boardId = req.query.boardId || bundle.board?.id || DEFAULT_BOARD_ID;
+      let board = await boards.getBoard(boardId);
+      if (!board) {
+        if (!isValidBoardId(boardId)) {
+          return res.status(400).json({ error: `Cannot create board ${boardId}: not a valid board id` });
+        }
+        board = await boards.createBoard({ id: boardId, name: bundle.board?.name, patientId: bundle.board?.patientId });
+        await audit.recordOrUndo(
+          { action: 'create', resource: 'board', boardId, itemId: boardId, ...requestContext(req), after: board },
+          () => boards.deleteBoard(boardId)
+        );
+      }
+
+      const result = await importBoard({
+        board: boards.forBoard(boardId, requestContext(req)),
+        zones,
+        notes,
+        patientId: await boards.getPatientId(boardId),
+        bundle,
+        mode,
+        onConflict,
+        audit,
+        requester: requestContext(req)
+      });
+      console.log(`📦 Imported into board ${boardId} (${mode}): ${result.items.created.length} items created, ` +
+        `${result.items.overwritten.length} overwritten, ${result.items.skipped.length} skipped`);
+      res.json({ boardId, ...result });
+    } catch (error) {
+      if (error instanceof ArchiveError || error instanceof NoteError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      console.error('Error importing board:', error);
+      res.status(500).json({ error: 'Failed to import board' });
+    }
+  });
+
+  // GET /api/boards/:boardId - Get board metadata
+  router.get('/boards/:boardId', async (req, res) => {
+    try {
+      const board = await boards.getBoard(req.params.boardId);
+      if (!board) {
+        return res.status(404).json({ error: 'Board not found' });
+      }
+      res.json(board);
+    } catch (error) {
+      console.error('Error loading board:', error);
+      res.status(500).json({ error: 'Failed to load board' });
+    }
+  });
+
+  // DELETE /api/boards/:boardId - Delete a board and its items
+  router.delete('/boards/:boardId', requireRole('admin'), async (req, res) => {
+    try {
+      const { boardId } = req.params;
+      if (boardId === DEFAULT_BOARD_ID) {
+        return res.status(400).json({ error: 'The default board cannot be deleted' });
+      }
+
+      const board = await boards.getBoard(boardId);
+      if (!board) {
+        return res.status(404).json({ error: 'Board not found' });
+      }
+      // Recorded first: a deleted board's items cannot be put back if the entry then fails
+      await audit.recordOrUndo({ action: 'delete', resource: 'board', boardId, itemId: boardId, ...requestContext(req), before: board });
+      const deleted = await boards.deleteBoard(boardId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Board not found' });
+      }
+
+      boards.forBoard(boardId).broadcast({ event: 'board-deleted', timestamp: new Date().toISOString() });
+      res.json({ message: 'Board deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting board:', error);
+      res.status(500).json({ error: 'Failed to delete board' });
+    }
+  });
+
+  return router;
+};
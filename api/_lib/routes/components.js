@@ -0,0 +1,57 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const { getComponentDimensions } = require('../items');
+const { ValidationError, validationErrorBody } = require('../validation');
+const { ZoneError } = require('../zones');
+
+module.exports = () => {
+  const router = express.Router();
+
+  // POST /api/components - Create a new dashboard component
+  router.post('/components', requireRole('clinician'), async (req, res) => {
+    try {
+      const { componentType, x, y, width, height, props, zone } = req.body;
+
+      if (!componentType) {
+        return res.status(400).json({
+          error: 'componentType is required'
+        });
+      }
+
+      const defaults = getComponentDimensions(componentType);
+      
+      const newItem = {
+        id: `dashboard-item-${componentType.toLowerCase()}-${Date.now()}`,
+        type: 'component',
+        componentType,
+        x: x ?? null, // Placed by the board when not given
+        y: y ?? null,
+        width: width || defaults.width,
+        height: height || defaults.height,
+        content: {
+          title: componentType,
+          props: props || {}
+        },
+        color: '#ffffff',
+        rotation: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await req.board.addItem(newItem, { zone });
+
+      res.status(201).json(newItem);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      if (error instanceof ZoneError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error creating component:', error);
+      res.status(500).json({ error: 'Failed to create component' });
+    }
+  });
+
+  return router;
+};
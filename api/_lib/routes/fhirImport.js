@@ -0,0 +1,131 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const { generateId, getComponentDimensions } = require('../items');
+const { mapFhirBundle, FhirImportError } = require('../fhir');
+const { flowIntoZone, itemBounds, ITEM_GAP, ZONE_PADDING } = require('../layout');
+const { findZone, PREFERRED_ZONES } = require('../zones');
+const { ValidationError, validationErrorBody, assertValidItem } = require('../validation');
+
+// Used when the board has no zone with that label
+const FALLBACK_ZONES = {
+  'Adverse Events Zone': { x: 0, y: 0, width: 2000, height: 4000 },
+  'Data Zone': { x: 2400, y: 0, width: 4000, height: 1000 }
+};
+
+// Start below anything already inside the zone so imports never cover existing items
+const firstFreeRow = (zone, existingItems) => existingItems
+  .map(itemBounds)
+  .filter(item => item.x < zone.x + zone.width && item.x + item.width > zone.x &&
+    item.y < zone.y + zone.height && item.y + item.height > zone.y)
+  .reduce((top, item) => Math.max(top, item.y + item.height + ITEM_GAP), zone.y + ZONE_PADDING);
+
+const buildComponent = (componentType, title, props, source) => {
+  const now = new Date().toISOString();
+  return {
+    id: generateId(`dashboard-item-${componentType.toLowerCase()}`, 6),
+    type: 'component',
+    componentType,
+    x: 0,
+    y: 0,
+    ...getComponentDimensions(componentType),
+    content: { title, component: componentType, props },
+    color: '#ffffff',
+    rotation: 0,
+    source,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+module.exports = () => {
+  const router = express.Router();
+
+  // POST /api/import/fhir - Build patient components from a FHIR R4 Bundle
+  router.post('/import/fhir', requireRole('clinician'), async (req, res) => {
+    try {
+      const { patientId, patientData, timeline, labs } = mapFhirBundle(req.body);
+      const { patient, problem_list, medication_timeline, encounters } = patientData;
+      const source = { type: 'fhir', bundleId: req.body.id || null, patientId };
+      const primaryProblem = problem_list.find(problem => problem.status === 'active') || problem_list[0];
+
+      const items = [
+        buildComponent('PatientContext', 'Patient Context', {
+          patientData: {
+            ...patientData,
+            ...(primaryProblem && { primaryDiagnosis: primaryProblem.name })
+          }
+        }, source),
+        buildComponent('EncounterTimeline', 'Patient Encounter Timeline', {
+          encounters: timeline,
+          medicationTimeline: medication_timeline
+        }, source),
+        buildComponent('LabTable', 'Lab Findings', { encounters: timeline, labs }, source),
+        buildComponent('LabChart', 'Lab Trends', {
+          encounters: timeline,
+          medicationTimeline: medication_timeline,
+          labs
+        }, source),
+        ...encounters.map((encounter, index) => buildComponent(
+          'SingleEncounterDocument',
+          `Encounter #${encounter.encounter_no} - ${encounter.meta.visit_type}`,
+          {
+            encounter,
+            patient: {
+              name: patient.name,
+              sex: patient.sex,
+              age_at_first_encounter: patient.age_at_first_encounter
+            },
+            encounterIndex: index,
+            dataSource: 'FHIR'
+          },
+          source
+        ))
+      ];
+
+      // Lay each zone's components out in rows below whatever the zone already holds
+      const zones = await req.board.listZones();
+      const existingItems = await req.board.listItems();
+      for (const label of new Set(Object.values(PREFERRED_ZONES))) {
+        const zone = findZone(zones, label) || FALLBACK_ZONES[label];
+        const zoneItems = items.filter(item => PREFERRED_ZONES[item.componentType] === label);
+        flowIntoZone(zone, zoneItems, {
+          padding: ZONE_PADDING,
+          gap: ITEM_GAP,
+          top: firstFreeRow(zone, existingItems)
+        });
+      }
+
+      // Check every component first so a bad bundle never leaves a partial import behind
+      items.forEach(assertValidItem);
+      for (const item of items) {
+        await req.board.addItem(item, { avoidCollisions: false, action: 'imported' });
+      }
+
+      console.log(`📥 Imported FHIR bundle for patient ${patientId || 'unknown'}: ${items.length} components on board ${req.board.id}`);
+
+      res.status(201).json({
+        boardId: req.board.id,
+        patientId,
+        patient,
+        counts: {
+          conditions: problem_list.length,
+          medications: medication_timeline.length,
+          observations: labs.length,
+          encounters: encounters.length
+        },
+        items
+      });
+    } catch (error) {
+      if (error instanceof FhirImportError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      console.error('Error importing FHIR bundle:', error);
+      res.status(500).json({ error: 'Failed to import FHIR bundle' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,46 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+
+module.exports = () => {
+  const router = express.Router();
+
+  // POST /api/focus - Focus item (with optional sub-element support)
+  router.post('/focus', requireRole('clinician', 'agent'), async (req, res) => {
+    const { objectId, subElement, focusOptions } = req.body;
+    
+    if (!objectId) {
+      return res.status(400).json({ error: 'objectId is required' });
+    }
+    
+    // Default options - higher zoom for sub-elements
+    const defaultOptions = {
+      zoom: subElement ? 1.5 : 0.8,
+      highlight: !!subElement,
+      duration: 2000,
+      scrollIntoView: true
+    };
+    
+    const options = { ...defaultOptions, ...(focusOptions || {}) };
+    
+    console.log(`🎯 Focus request: ${objectId}${subElement ? `#${subElement}` : ''}`);
+    
+    req.board.broadcast({ 
+      event: 'focus-item',
+      objectId, 
+      subElement: subElement || null,
+      focusOptions: options,
+      timestamp: new Date().toISOString() 
+    });
+    await req.board.recordAudit('focus', { itemId: objectId, details: { subElement: subElement || null, focusOptions: options } });
+    
+    res.json({ 
+      success: true, 
+      message: `Focusing on item: ${objectId}${subElement ? `#${subElement}` : ''}`,
+      objectId,
+      subElement,
+      focusOptions: options
+    });
+  });
+
+  return router;
+};
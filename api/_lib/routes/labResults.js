@@ -0,0 +1,199 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const { generateId } = require('../items');
+const { createLabStore, LabObservationError, analyteKey } = require('../labs');
+const { isGradable } = require('../ctcae');
+const { applyCtcae } = require('../adverseEvents');
+const { ValidationError, validationErrorBody } = require('../validation');
+const { findZone, ZoneError } = require('../zones');
+
+// Observations shown on the card next to the latest value
+const CARD_HISTORY = 10;
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+};
+
+// Check the range's limits are numbers, with min < max; returns an error message or null
+const checkRange = (range) => {
+  if (!range || typeof range !== 'object') return 'range must be an object with min and max';
+  if (!Number.isFinite(range.min) || !Number.isFinite(range.max) || range.min >= range.max) {
+    return 'range must have valid min and max values where min < max';
+  }
+  const thresholds = ['warningMin', 'warningMax', 'criticalMin', 'criticalMax'];
+  const invalid = thresholds.find(name => range[name] !== undefined && !Number.isFinite(range[name]));
+  return invalid ? `range.${invalid} must be a number` : null;
+};
+
+// The board's card for an analyte; cards created before the store existed carry no analyte key
+const findCard = (items, patientId, key) => items.find(item => item.type === 'lab-result' && item.labResultData &&
+  (item.labResultData.analyte || analyteKey(item.labResultData)) === key &&
+  (!item.labResultData.patientId || item.labResultData.patientId === patientId));
+
+const cardData = (patientId, analyte) => {
+  const { observations } = analyte;
+  const latest = observations[observations.length - 1];
+  return {
+    parameter: analyte.parameter,
+    code: analyte.code,
+    analyte: analyte.key,
+    patientId,
+    value: latest.value,
+    unit: analyte.unit,
+    status: latest.status,
+    range: analyte.range,
+    trend: latest.trend,
+    observedAt: latest.observedAt,
+    previousValue: observations[observations.length - 2]?.value ?? null,
+    history: observations.slice(-CARD_HISTORY).map(({ value, observedAt, status }) => ({ value, observedAt, status }))
+  };
+};
+
+module.exports = ({ storage, boards }) => {
+  const router = express.Router();
+  const labs = createLabStore({ storage });
+  const pending = new Map();
+
+  // Run fn after earlier ingestions of the same analyte on this instance, so two values
+  // arriving together update one card instead of both creating one
+  const serialize = (target, fn) => {
+    const previous = pending.get(target) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const tail = run.catch(() => {});
+    pending.set(target, tail);
+    tail.then(() => {
+      if (pending.get(target) === tail) pending.delete(target);
+    });
+    return run;
+  };
+
+  // Observations belong to the patient named in the request, else the board's patient
+  const resolvePatientId = async (req, patientId) => (patientId ? String(patientId) : boards.getPatientId(req.board.id));
+
+  // POST /api/lab-results - Record a lab value and create or update the analyte's card
+  router.post('/lab-results', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { parameter, code, unit, range, observedAt, zone } = req.body || {};
+      const value = toNumber(req.body?.value);
+
+      if (!parameter || req.body?.value === undefined) {
+        return res.status(400).json({
+          error: 'parameter and value are required; unit and range are required for an analyte\'s first result'
+        });
+      }
+
+      if (value === null) {
+        return res.status(400).json({ error: 'value must be numeric' });
+      }
+
+      if (range !== undefined && checkRange(range)) {
+        return res.status(400).json({ error: checkRange(range) });
+      }
+
+      if (observedAt !== undefined && Number.isNaN(Date.parse(observedAt))) {
+        return res.status(400).json({ error: 'observedAt must be an ISO 8601 date' });
+      }
+
+      // Checked up front so a bad zone does not leave the value recorded without its card
+      if (zone && !findZone(await req.board.listZones(), zone)) {
+        return res.status(400).json({ error: `Board ${req.board.id} has no zone "${zone}"` });
+      }
+
+      const patientId = await resolvePatientId(req, req.body.patientId);
+      const key = analyteKey({ code, parameter });
+
+      const { item, created, observation } = await serialize(`${req.board.id}:${patientId}:${key}`, async () => {
+        const recorded = await labs.record(patientId, {
+          parameter,
+          code,
+          value,
+          unit,
+          range,
+          observedAt: observedAt && new Date(observedAt).toISOString()
+        });
+        const labResultData = cardData(patientId, recorded.analyte);
+        const card = findCard(await req.board.listItems(), patientId, key);
+
+        if (card) {
+          const updated = await req.board.updateItem(card.id, { content: parameter, labResultData });
+          if (updated) {
+            return { item: updated, created: false, observation: recorded.observation };
+          }
+        }
+
+        const newItem = {
+          id: generateId('item', 6),
+          type: 'lab-result',
+          x: null, // Placed by the board, inside `zone` when given
+          y: null,
+          width: 400,
+          height: 280,
+          content: parameter,
+          color: '#ffffff',
+          rotation: 0,
+          labResultData,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+        await req.board.addItem(newItem, { zone });
+        return { item: newItem, created: true, observation: recorded.observation };
+      });
+
+      console.log(`🧪 ${created ? 'Created' : 'Updated'} ${parameter} result for patient ${patientId}: ${value} (${observation?.status}, ${observation?.trend})`);
+
+      // Re-grade CTCAE adverse events when the value is one CTCAE grades; the result is
+      // already stored, so a grading failure is only logged
+      if (isGradable({ parameter, code })) {
+        try {
+          await applyCtcae({ board: req.board, labStore: labs, patientId });
+        } catch (error) {
+          console.error('Error grading CTCAE after lab result:', error);
+        }
+      }
+
+      res.status(created ? 201 : 200).json(item);
+    } catch (error) {
+      if (error instanceof LabObservationError || error instanceof ZoneError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      console.error('Error recording lab result:', error);
+      res.status(500).json({ error: 'Failed to record lab result' });
+    }
+  });
+
+  // GET /api/lab-results - Latest value of every analyte for a patient (?patientId=)
+  router.get('/lab-results', async (req, res) => {
+    try {
+      const patientId = await resolvePatientId(req, req.query.patientId);
+      res.json({ patientId, analytes: await labs.listLatest(patientId) });
+    } catch (error) {
+      console.error('Error loading lab results:', error);
+      res.status(500).json({ error: 'Failed to load lab results' });
+    }
+  });
+
+  // GET /api/lab-results/:analyte/history - Every stored value of one analyte (code or parameter)
+  router.get('/lab-results/:analyte/history', async (req, res) => {
+    try {
+      const patientId = await resolvePatientId(req, req.query.patientId);
+      const analyte = await labs.getAnalyte(patientId, req.params.analyte);
+      if (!analyte) {
+        return res.status(404).json({ error: `No ${req.params.analyte} results for patient ${patientId}` });
+      }
+      res.json({ patientId, ...analyte });
+    } catch (error) {
+      console.error('Error loading lab history:', error);
+      res.status(500).json({ error: 'Failed to load lab history' });
+    }
+  });
+
+  return router;
+};
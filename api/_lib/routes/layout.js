@@ -0,0 +1,92 @@
+const express = require('express');
+const { requireRole, agentMayWrite } = require('../auth');
+const { arrangeItems, LAYOUT_STRATEGIES } = require('../arrange');
+const { itemBounds, zoneAt } = require('../layout');
+const { findZone } = require('../zones');
+const { ValidationError, validateItem } = require('../validation');
+
+// Items whose centre lies inside the zone
+const itemsInZone = (items, zone) => items.filter((item) => {
+  const bounds = itemBounds(item);
+  return zoneAt([zone], bounds.x + bounds.width / 2, bounds.y + bounds.height / 2) === zone;
+});
+
+module.exports = () => {
+  const router = express.Router();
+
+  // POST /api/layout - Rearrange the board (or one zone) with a strategy: grid, timeline or clinical-story
+  router.post('/layout', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { strategy, zone: zoneName } = req.body || {};
+      if (!LAYOUT_STRATEGIES.includes(strategy)) {
+        return res.status(400).json({ error: `strategy must be one of ${LAYOUT_STRATEGIES.join(', ')}` });
+      }
+
+      const boardItems = await req.board.listItems();
+      const zone = zoneName ? findZone(await req.board.listZones(), zoneName) : null;
+      if (zoneName && !zone) {
+        return res.status(400).json({ error: `Board ${req.board.id} has no zone "${zoneName}"` });
+      }
+
+      // An agent only moves its own kinds of items; the rest stay put and are laid out around
+      const items = (zone ? itemsInZone(boardItems, zone) : boardItems).filter(item => agentMayWrite(req.auth, item.type));
+      const { positions, bounds } = arrangeItems(items, strategy, { boardItems, zone });
+
+      // Check every new position before moving anything, so a bad one leaves the board as it was
+      const current = new Map(items.map(item => [item.id, item]));
+      const changed = positions.filter(({ id, ...position }) => Object.keys(position).some(key => current.get(id)[key] !== position[key]));
+      for (const { id, ...position } of changed) {
+        const details = validateItem({ ...current.get(id), ...position });
+        if (details.length > 0) {
+          return res.status(400).json({ error: `The ${strategy} layout would move item ${id} out of bounds; nothing was moved`, itemId: id, details });
+        }
+      }
+
+      // Clients are told about all the moves at once below, so they can animate them together
+      const moves = [];
+      let failure = null;
+      for (const { id, ...position } of changed) {
+        try {
+          const updated = await req.board.updateItem(id, position, { broadcast: false, cause: 'layout' });
+          if (updated) moves.push({ id, ...position, version: updated.version, updatedAt: updated.updatedAt });
+        } catch (error) {
+          failure = { id, error };
+          break;
+        }
+      }
+
+      // Whatever was moved is announced, even when the layout stopped part way
+      req.board.broadcast({
+        event: 'layout-applied',
+        strategy,
+        zone: zone?.name || null,
+        moves,
+        timestamp: new Date().toISOString()
+      });
+
+      if (failure) {
+        console.error(`Error moving item ${failure.id} in the ${strategy} layout of board ${req.board.id}:`, failure.error);
+        const changedMeanwhile = failure.error instanceof ValidationError;
+        return res.status(changedMeanwhile ? 409 : 500).json({
+          error: `The ${strategy} layout stopped at item ${failure.id}${changedMeanwhile ? ', which was changed meanwhile' : ''}; ${moves.length} items were moved before it`,
+          itemId: failure.id,
+          moved: moves.map(move => move.id),
+          ...(changedMeanwhile ? { details: failure.error.details } : {})
+        });
+      }
+
+      if (zone && bounds) {
+        await req.board.growZone(zone.name, bounds, { cause: 'layout', strategy });
+      }
+
+      console.log(`🧩 Applied ${strategy} layout to ${zone ? `zone ${zone.name} of ` : ''}board ${req.board.id}: ${moves.length} of ${items.length} items moved`);
+
+      res.json({ boardId: req.board.id, strategy, zone: zone?.name || null, positions, moved: moves.map(move => move.id) });
+    } catch (error) {
+      console.error('Error applying layout:', error);
+      res.status(500).json({ error: 'Failed to apply layout' });
+    }
+  });
+
+  return router;
+};
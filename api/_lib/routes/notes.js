@@ -0,0 +1,181 @@
+const express = require('express');
+const { createNoteStore, mayChangeNote, NoteError } = require('../notes');
+const { VersionConflictError } = require('../board');
+const { formatETag, getItemVersion, parseIfMatch } = require('../items');
+const { requireRole } = require('../auth');
+const { requestContext } = require('../audit');
+
+const sendConflict = (res, error) => res.status(409).json({
+  error: 'Note was modified by someone else',
+  currentVersion: getItemVersion(error.current),
+  note: error.current
+});
+
+module.exports = ({ storage, boards, audit }) => {
+  const router = express.Router();
+  const notes = createNoteStore({ storage });
+
+  // Notes are per patient, so every board open on the patient hears about changes
+  const broadcastNote = async (event, note) => {
+    try {
+      const targets = await boards.boardsForPatient(note.patientId);
+      await Promise.all(targets.map(board => boards.forBoard(board.id).broadcast({
+        event,
+        patientId: note.patientId,
+        note,
+        timestamp: new Date().toISOString()
+      })));
+    } catch (error) {
+      console.error(`Error broadcasting ${event}:`, error);
+    }
+  };
+
+  // Author of a change: the signed-in user or API key, else body `author`, else ?author= (for DELETE)
+  const authorOf = (req) => (req.auth?.kind !== 'anonymous' && req.auth?.name) || req.body?.author || req.query.author;
+
+  // GET /api/patients/:patientId/notes - List a patient's notes, newest first (?includeDeleted=true for all)
+  router.get('/patients/:patientId/notes', async (req, res) => {
+    try {
+      const { patientId } = req.params;
+      const includeDeleted = req.query.includeDeleted === 'true';
+      res.json({ patientId, notes: await notes.list(patientId, { includeDeleted }) });
+    } catch (error) {
+      console.error('Error listing notes:', error);
+      res.status(500).json({ error: 'Failed to list notes' });
+    }
+  });
+
+  // GET /api/patients/:patientId/notes/:noteId - Get one note with its edit history
+  router.get('/patients/:patientId/notes/:noteId', async (req, res) => {
+    try {
+      const note = await notes.get(req.params.patientId, req.params.noteId);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      res.set('ETag', formatETag(note)).json(note);
+    } catch (error) {
+      console.error('Error loading note:', error);
+      res.status(500).json({ error: 'Failed to load note' });
+    }
+  });
+
+  // POST /api/patients/:patientId/notes - Write a note
+  router.post('/patients/:patientId/notes', requireRole('clinician'), async (req, res) => {
+    try {
+      const { content } = req.body || {};
+      const note = await notes.create(req.params.patientId, {
+        content,
+        author: authorOf(req),
+        authorId: req.auth?.id ?? null
+      });
+
+      console.log(`📝 ${note.author} added note ${note.id} for patient ${note.patientId}`);
+      await audit.recordOrUndo(
+        { action: 'create', resource: 'note', itemId: note.id, details: { patientId: note.patientId }, ...requestContext(req), after: note },
+        () => notes.takeBack(note.patientId, note.id, { version: note.version })
+      );
+      await broadcastNote('note-created', note);
+
+      res.status(201).set('ETag', formatETag(note)).json(note);
+    } catch (error) {
+      if (error instanceof NoteError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error creating note:', error);
+      res.status(500).json({ error: 'Failed to create note' });
+    }
+  });
+
+  // PATCH /api/patients/:patientId/notes/:noteId - Edit a note (send If-Match to avoid overwriting newer edits)
+  router.patch('/patients/:patientId/notes/:noteId', requireRole('clinician'), async (req, res) => {
+    try {
+      const expectedVersion = parseIfMatch(req.get('If-Match'));
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'If-Match must be an ETag returned by this API' });
+      }
+
+      const { patientId, noteId } = req.params;
+      const existing = await notes.get(patientId, noteId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      if (existing.deletedAt) {
+        return res.status(409).json({ error: 'Note has been deleted', note: existing });
+      }
+      if (!mayChangeNote(req.auth, existing)) {
+        return res.status(403).json({ error: 'Only the author or an admin may edit this note' });
+      }
+
+      const { content } = req.body || {};
+      const note = await notes.update(patientId, noteId, { content, author: authorOf(req), expectedVersion });
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+
+      console.log(`📝 ${note.updatedBy} edited note ${note.id} (v${note.version})`);
+      await audit.recordOrUndo(
+        { action: 'update', resource: 'note', itemId: note.id, details: { patientId: note.patientId }, ...requestContext(req), before: existing, after: note },
+        () => notes.takeBack(patientId, note.id, { version: note.version, previous: existing })
+      );
+      await broadcastNote('note-updated', note);
+
+      res.set('ETag', formatETag(note)).json(note);
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      if (error instanceof NoteError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error updating note:', error);
+      res.status(500).json({ error: 'Failed to update note' });
+    }
+  });
+
+  // DELETE /api/patients/:patientId/notes/:noteId - Soft-delete a note (?author= names who deleted it)
+  router.delete('/patients/:patientId/notes/:noteId', requireRole('clinician'), async (req, res) => {
+    try {
+      const expectedVersion = parseIfMatch(req.get('If-Match'));
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'If-Match must be an ETag returned by this API' });
+      }
+
+      const { patientId, noteId } = req.params;
+      const existing = await notes.get(patientId, noteId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      if (!mayChangeNote(req.auth, existing)) {
+        return res.status(403).json({ error: 'Only the author or an admin may delete this note' });
+      }
+      if (existing.deletedAt) {
+        return res.json(existing);
+      }
+
+      const note = await notes.remove(patientId, noteId, { author: authorOf(req), expectedVersion });
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+
+      console.log(`🗑️ ${note.deletedBy} deleted note ${note.id}`);
+      await audit.recordOrUndo(
+        { action: 'delete', resource: 'note', itemId: note.id, details: { patientId: note.patientId }, ...requestContext(req), before: existing, after: note },
+        () => notes.takeBack(patientId, note.id, { version: note.version, previous: existing })
+      );
+      await broadcastNote('note-deleted', note);
+
+      res.json(note);
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      if (error instanceof NoteError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error deleting note:', error);
+      res.status(500).json({ error: 'Failed to delete note' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,118 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const { createPresenterStore, PresenterError } = require('../presenter');
+
+module.exports = ({ storage }) => {
+  const router = express.Router();
+  const presenters = createPresenterStore({ storage });
+
+  // Who is presenting: the signed-in user or API key, if any
+  const nameOf = (req) => (req.auth?.kind !== 'anonymous' && req.auth?.name) || null;
+
+  const conflictBody = (req, presenter) => ({
+    error: presenter ? `Board ${req.board.id} is being presented by another session` : `No one is presenting board ${req.board.id}`,
+    presenter
+  });
+
+  // Tell clients who presents now (null when nobody does); kept in the event log like other changes
+  const announce = (req, presenter) => req.board.broadcast({
+    event: 'presenter-changed',
+    presenter,
+    timestamp: new Date().toISOString()
+  });
+
+  // GET /api/presenter - Who is presenting, with their latest viewport
+  router.get('/presenter', async (req, res) => {
+    try {
+      res.json({ boardId: req.board.id, presenter: await presenters.get(req.board.id) });
+    } catch (error) {
+      console.error('Error loading presenter:', error);
+      res.status(500).json({ error: 'Failed to load presenter' });
+    }
+  });
+
+  // POST /api/presenter - Start presenting (sessionId, viewport: { x, y, zoom }, takeOver)
+  router.post('/presenter', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { sessionId, viewport, takeOver } = req.body || {};
+      const { presenter, started, previous, conflict } = await presenters.start(req.board.id, {
+        sessionId,
+        name: nameOf(req),
+        viewport,
+        takeOver: takeOver === true
+      });
+      if (!presenter) {
+        return res.status(409).json(conflictBody(req, conflict));
+      }
+
+      if (started) {
+        console.log(`📽️  ${presenter.name || 'A session'} is presenting board ${req.board.id}${previous ? ' (took over)' : ''}`);
+        await req.board.recordAudit('start', {
+          resource: 'presenter',
+          itemId: presenter.sessionId,
+          details: { name: presenter.name, tookOverFrom: previous?.sessionId || null }
+        });
+        announce(req, presenter);
+      }
+
+      res.json({ boardId: req.board.id, presenter });
+    } catch (error) {
+      if (error instanceof PresenterError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error starting presenter:', error);
+      res.status(500).json({ error: 'Failed to start presenting' });
+    }
+  });
+
+  // POST /api/presenter/viewport - Stream the presenter's viewport (sessionId, x, y, zoom)
+  router.post('/presenter/viewport', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { sessionId, x, y, zoom } = req.body || {};
+      const { presenter, conflict } = await presenters.move(req.board.id, sessionId, { x, y, zoom });
+      if (!presenter) {
+        return res.status(409).json(conflictBody(req, conflict));
+      }
+
+      // Sent often, and only the latest one matters, so not kept for replay
+      req.board.broadcast({
+        event: 'presenter-viewport',
+        sessionId: presenter.sessionId,
+        ...presenter.viewport,
+        timestamp: presenter.updatedAt
+      }, { log: false });
+
+      res.status(204).end();
+    } catch (error) {
+      if (error instanceof PresenterError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error updating presenter viewport:', error);
+      res.status(500).json({ error: 'Failed to update presenter viewport' });
+    }
+  });
+
+  // DELETE /api/presenter?sessionId= - Stop presenting
+  router.delete('/presenter', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { presenter, conflict } = await presenters.stop(req.board.id, req.query.sessionId);
+      if (!presenter) {
+        return res.status(409).json(conflictBody(req, conflict));
+      }
+
+      console.log(`📽️  Presenting stopped on board ${req.board.id}`);
+      await req.board.recordAudit('stop', { resource: 'presenter', itemId: presenter.sessionId, details: { name: presenter.name } });
+      announce(req, null);
+
+      res.status(204).end();
+    } catch (error) {
+      if (error instanceof PresenterError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error stopping presenter:', error);
+      res.status(500).json({ error: 'Failed to stop presenting' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+const { itemSchemas, componentSchemas } = require('../schemas');
+
+module.exports = () => {
+  const router = express.Router();
+
+  // GET /api/schemas - Every item schema and componentType props schema
+  router.get('/schemas', (req, res) => {
+    res.json({ items: itemSchemas, components: componentSchemas });
+  });
+
+  // GET /api/schemas/items/:type - Schema for one item type
+  router.get('/schemas/items/:type', (req, res) => {
+    if (!Object.prototype.hasOwnProperty.call(itemSchemas, req.params.type)) {
+      return res.status(404).json({ error: 'Unknown item type', types: Object.keys(itemSchemas) });
+    }
+    res.json(itemSchemas[req.params.type]);
+  });
+
+  // GET /api/schemas/components/:componentType - Props schema for one dashboard component
+  router.get('/schemas/components/:componentType', (req, res) => {
+    if (!Object.prototype.hasOwnProperty.call(componentSchemas, req.params.componentType)) {
+      return res.status(404).json({ error: 'Unknown componentType', componentTypes: Object.keys(componentSchemas) });
+    }
+    res.json(componentSchemas[req.params.componentType]);
+  });
+
+  return router;
+};
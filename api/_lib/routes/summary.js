@@ -0,0 +1,46 @@
+const express = require('express');
+const { createLabStore } = require('../labs');
+const { createNoteStore } = require('../notes');
+const { collectLabs } = require('../patientData');
+const { buildSummary, renderSummaryHtml, renderSummaryPdf, SUMMARY_FORMATS } = require('../summary');
+
+module.exports = ({ storage, boards }) => {
+  const router = express.Router();
+  const labs = createLabStore({ storage });
+  const notes = createNoteStore({ storage });
+
+  // GET /api/summary?format=html|pdf&download=true - Printable clinical summary of the board
+  router.get('/summary', async (req, res) => {
+    try {
+      const { format = 'html', download } = req.query;
+      if (!SUMMARY_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of ${SUMMARY_FORMATS.join(', ')}` });
+      }
+
+      const board = await boards.getBoard(req.board.id);
+      const patientId = await boards.getPatientId(req.board.id);
+      const items = await req.board.listItems();
+      const summary = buildSummary({
+        board,
+        items,
+        zones: await req.board.listZones(),
+        labs: await collectLabs(labs, patientId, []),
+        notes: await notes.list(patientId)
+      });
+
+      const filename = `summary-${board.id}-${summary.generatedAt.slice(0, 10)}.${format}`;
+      const disposition = `${download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`;
+      console.log(`🖨️  ${format.toUpperCase()} summary of board ${board.id}: ${summary.sections.length} sections`);
+
+      if (format === 'pdf') {
+        return res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': disposition }).send(renderSummaryPdf(summary));
+      }
+      res.set('Content-Disposition', disposition).type('html').send(renderSummaryHtml(summary));
+    } catch (error) {
+      console.error('Error building summary:', error);
+      res.status(500).json({ error: 'Failed to build summary' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,174 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const { generateId } = require('../items');
+const { ValidationError, validationErrorBody } = require('../validation');
+const { ZoneError } = require('../zones');
+
+const TODO_STATUSES = ['todo', 'in_progress', 'done', 'pending', 'executing', 'finished'];
+const ENHANCED_TODO_STATUSES = ['pending', 'executing', 'finished'];
+
+// Calculate dynamic height based on todo items
+const calculateTodoHeight = (todos, description) => {
+  const baseHeight = 80; // Header + padding
+  const itemHeight = 35; // Height per todo item
+  const descriptionHeight = description ? 20 : 0; // Extra height for description
+  const padding = 20; // Bottom padding
+  
+  const totalItems = todos.length;
+  const contentHeight = baseHeight + (totalItems * itemHeight) + descriptionHeight + padding;
+  
+  return Math.min(Math.max(contentHeight, 200), 600); // Min 200px, max 600px
+};
+
+module.exports = () => {
+  const router = express.Router();
+
+  // POST /api/todos - Create a new TODO board item
+  router.post('/todos', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { title, description, todo_items, zone } = req.body || {};
+
+      if (!title || !Array.isArray(todo_items)) {
+        return res.status(400).json({
+          error: 'title (string) and todo_items (array) are required'
+        });
+      }
+
+      // Normalize todo items: accept strings or { text, status } in either status vocabulary
+      const normalizeStatus = (s) => (TODO_STATUSES.includes((s || '').toLowerCase()) ? s.toLowerCase() : 'todo');
+      const todos = todo_items.map((t) => {
+        if (typeof t === 'string') return { text: t, status: 'todo' };
+        if (t && typeof t.text === 'string') return { text: t.text, status: normalizeStatus(t.status) };
+        return { text: String(t), status: 'todo' };
+      });
+
+      const newItem = {
+        id: generateId('item', 6),
+        type: 'todo',
+        x: null, // Placed by the board, inside `zone` when given
+        y: null,
+        width: 420,
+        height: calculateTodoHeight(todos, description),
+        content: 'Todo List',
+        color: '#ffffff',
+        rotation: 0,
+        todoData: {
+          title,
+          description: description || '',
+          todos,
+        },
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await req.board.addItem(newItem, { zone });
+
+      res.status(201).json(newItem);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      if (error instanceof ZoneError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error creating todo item:', error);
+      res.status(500).json({ error: 'Failed to create todo item' });
+    }
+  });
+
+  // POST /api/enhanced-todo - Create enhanced todo with agent delegation
+  router.post('/enhanced-todo', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { 
+        title, 
+        description,
+        todos,
+        x, 
+        y, 
+        width = 450, 
+        height = 'auto',
+        color = '#ffffff',
+        zone
+      } = req.body;
+
+      // Validate required fields
+      if (!title || !todos || !Array.isArray(todos)) {
+        return res.status(400).json({
+          error: 'title and todos array are required'
+        });
+      }
+
+      // Validate and generate IDs for todo items
+      for (let i = 0; i < todos.length; i++) {
+        const todo = todos[i];
+        
+        if (!todo.text || !todo.status || !todo.agent) {
+          return res.status(400).json({
+            error: 'Each main todo item must have text, status, and agent fields'
+          });
+        }
+        if (!ENHANCED_TODO_STATUSES.includes(todo.status)) {
+          return res.status(400).json({
+            error: 'Todo status must be one of: pending, executing, finished'
+          });
+        }
+        
+        // Generate unique task ID if not provided
+        if (!todo.id) {
+          todo.id = `task-${Date.now()}-${Math.random().toString(36).substr(2, 6)}-${i}`;
+          console.log(`🔧 Generated task ID: ${todo.id} for task: ${todo.text}`);
+        }
+        
+        // Validate sub-todos if they exist
+        if (todo.subTodos && Array.isArray(todo.subTodos)) {
+          for (const subTodo of todo.subTodos) {
+            if (!subTodo.text || !subTodo.status) {
+              return res.status(400).json({
+                error: 'Each sub-todo item must have text and status fields'
+              });
+            }
+            if (!ENHANCED_TODO_STATUSES.includes(subTodo.status)) {
+              return res.status(400).json({
+                error: 'Sub-todo status must be one of: pending, executing, finished'
+              });
+            }
+          }
+        }
+      }
+
+      const newItem = {
+        id: generateId('enhanced-todo'),
+        type: 'todo',
+        x: x ?? null, // Placed by the board when not given
+        y: y ?? null,
+        width,
+        height,
+        color,
+        description: description || title,
+        todoData: {
+          title,
+          description: description || '',
+          todos
+        },
+        rotation: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await req.board.addItem(newItem, { zone });
+
+      res.status(201).json(newItem);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json(validationErrorBody(error));
+      }
+      if (error instanceof ZoneError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error creating enhanced todo:', error);
+      res.status(500).json({ error: 'Failed to create enhanced todo' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,117 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const { TourError } = require('../tours');
+
+// Mounted once per route scope; the store and player come from the board registry, so a
+// tour played through /api can be paused through /api/boards/default and the other way round
+module.exports = ({ boards }) => {
+  const router = express.Router();
+  const { tours, tourPlayer: player } = boards;
+
+  // Who wrote a tour: the signed-in user or API key, if any
+  const authorOf = (req) => (req.auth?.kind !== 'anonymous' && req.auth?.name) || null;
+
+  // GET /api/tours - List the board's tours
+  router.get('/tours', async (req, res) => {
+    try {
+      res.json({ boardId: req.board.id, tours: await tours.list(req.board.id) });
+    } catch (error) {
+      console.error('Error listing tours:', error);
+      res.status(500).json({ error: 'Failed to list tours' });
+    }
+  });
+
+  // GET /api/tours/:tourId - Get a tour with its playback state
+  router.get('/tours/:tourId', async (req, res) => {
+    try {
+      const tour = await tours.get(req.board.id, req.params.tourId);
+      if (!tour) {
+        return res.status(404).json({ error: 'Tour not found' });
+      }
+      res.json(tour);
+    } catch (error) {
+      console.error('Error loading tour:', error);
+      res.status(500).json({ error: 'Failed to load tour' });
+    }
+  });
+
+  // POST /api/tours - Create a tour (title, steps: [{ objectId, subElement, zoom, dwell, caption }])
+  router.post('/tours', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { title, steps } = req.body || {};
+      const tour = await tours.create(req.board.id, { title, steps, createdBy: authorOf(req) });
+
+      console.log(`🎬 Created tour ${tour.id} (${tour.steps.length} steps) on board ${req.board.id}`);
+      await req.board.recordAudit('create', { resource: 'tour', itemId: tour.id, after: tour });
+
+      res.status(201).json(tour);
+    } catch (error) {
+      if (error instanceof TourError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error creating tour:', error);
+      res.status(500).json({ error: 'Failed to create tour' });
+    }
+  });
+
+  // PATCH /api/tours/:tourId - Change a tour's title or steps
+  router.patch('/tours/:tourId', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const { title, steps } = req.body || {};
+      const { before, tour } = await tours.update(req.board.id, req.params.tourId, { title, steps });
+      if (!tour) {
+        return res.status(404).json({ error: 'Tour not found' });
+      }
+
+      await req.board.recordAudit('update', { resource: 'tour', itemId: tour.id, before, after: tour });
+      res.json(tour);
+    } catch (error) {
+      if (error instanceof TourError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error updating tour:', error);
+      res.status(500).json({ error: 'Failed to update tour' });
+    }
+  });
+
+  // DELETE /api/tours/:tourId - Delete a tour, stopping it if it is running
+  router.delete('/tours/:tourId', requireRole('clinician', 'agent'), async (req, res) => {
+    try {
+      const tour = await tours.remove(req.board.id, req.params.tourId);
+      if (!tour) {
+        return res.status(404).json({ error: 'Tour not found' });
+      }
+
+      player.forget(req.board, tour);
+      await req.board.recordAudit('delete', { resource: 'tour', itemId: tour.id, before: tour });
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error deleting tour:', error);
+      res.status(500).json({ error: 'Failed to delete tour' });
+    }
+  });
+
+  // POST /api/tours/:tourId/play|pause|next|prev|stop - Control playback; play takes an optional { step }
+  for (const action of ['play', 'pause', 'next', 'prev', 'stop']) {
+    router.post(`/tours/:tourId/${action}`, requireRole('clinician', 'agent'), async (req, res) => {
+      try {
+        const options = action === 'play' ? { step: req.body?.step } : undefined;
+        const tour = await player[action](req.board, req.params.tourId, options);
+        if (!tour) {
+          return res.status(404).json({ error: 'Tour not found' });
+        }
+
+        await req.board.recordAudit(action, { resource: 'tour', itemId: tour.id, details: { playback: tour.playback } });
+        res.json(tour);
+      } catch (error) {
+        if (error instanceof TourError) {
+          return res.status(400).json({ error: error.message });
+        }
+        console.error(`Error running ${action} on tour:`, error);
+        res.status(500).json({ error: `Failed to ${action} tour` });
+      }
+    });
+  }
+
+  return router;
+};
@@ -0,0 +1,97 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const { createZoneStore, ZoneError } = require('../zones');
+
+module.exports = ({ storage }) => {
+  const router = express.Router();
+  const zoneStore = createZoneStore({ storage });
+
+  // GET /api/zones - List the board's zones
+  router.get('/zones', async (req, res) => {
+    try {
+      res.json({ boardId: req.board.id, zones: await zoneStore.list(req.board.id) });
+    } catch (error) {
+      console.error('Error listing zones:', error);
+      res.status(500).json({ error: 'Failed to list zones' });
+    }
+  });
+
+  // GET /api/zones/:name - Get one zone
+  router.get('/zones/:name', async (req, res) => {
+    try {
+      const zone = await zoneStore.get(req.board.id, req.params.name);
+      if (!zone) {
+        return res.status(404).json({ error: 'Zone not found' });
+      }
+      res.json(zone);
+    } catch (error) {
+      console.error('Error loading zone:', error);
+      res.status(500).json({ error: 'Failed to load zone' });
+    }
+  });
+
+  // POST /api/zones - Add a zone (name, label, x, y, width, height; color, gradient, borderGradient, description)
+  router.post('/zones', requireRole('clinician'), async (req, res) => {
+    try {
+      const { zones, zone } = await zoneStore.create(req.board.id, req.body || {});
+      if (!zone) {
+        return res.status(409).json({ error: 'A zone with that name already exists' });
+      }
+
+      console.log(`🗺️  Added zone ${zone.name} to board ${req.board.id}`);
+      await req.board.recordAudit('create', { resource: 'zone', itemId: zone.name, after: zone });
+      req.board.broadcastZones(zones);
+
+      res.status(201).json(zone);
+    } catch (error) {
+      if (error instanceof ZoneError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error creating zone:', error);
+      res.status(500).json({ error: 'Failed to create zone' });
+    }
+  });
+
+  // PATCH /api/zones/:name - Move, resize or restyle a zone
+  router.patch('/zones/:name', requireRole('clinician'), async (req, res) => {
+    try {
+      const { zones, before, zone } = await zoneStore.update(req.board.id, req.params.name, req.body || {});
+      if (!zone) {
+        return res.status(404).json({ error: 'Zone not found' });
+      }
+
+      console.log(`🗺️  Updated zone ${zone.name} on board ${req.board.id}`);
+      await req.board.recordAudit('update', { resource: 'zone', itemId: zone.name, before, after: zone });
+      req.board.broadcastZones(zones);
+
+      res.json(zone);
+    } catch (error) {
+      if (error instanceof ZoneError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error updating zone:', error);
+      res.status(500).json({ error: 'Failed to update zone' });
+    }
+  });
+
+  // DELETE /api/zones/:name - Remove a zone; the items in it stay where they are
+  router.delete('/zones/:name', requireRole('clinician'), async (req, res) => {
+    try {
+      const { zones, zone } = await zoneStore.remove(req.board.id, req.params.name);
+      if (!zone) {
+        return res.status(404).json({ error: 'Zone not found' });
+      }
+
+      console.log(`🗑️ Removed zone ${zone.name} from board ${req.board.id}`);
+      await req.board.recordAudit('delete', { resource: 'zone', itemId: zone.name, before: zone });
+      req.board.broadcastZones(zones);
+
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error deleting zone:', error);
+      res.status(500).json({ error: 'Failed to delete zone' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,476 @@
+// RUCAM (Roussel Uclaf Causality Assessment Method, 2016 update) for drug-induced liver
+// injury: scores the seven criteria from the medication timeline, ALT/ALP history and the
+// work-up for alternative causes
+const { canonicalNames } = require('./interactions');
+
+// Thrown when the inputs do not describe a liver injury we can score
+class RucamInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RucamInputError';
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ALT_CODES = ['1742-6', '1743-4', '76625-3'];
+const ALP_CODES = ['6768-6'];
+
+// Upper limits of normal used when an observation carries no reference range (U/L)
+const DEFAULT_ULN = { ALT: 40, ALP: 120 };
+
+// Spellings that refer to the same drug
+const DRUG_ALIASES = {
+  'tmp-smx': 'trimethoprim-sulfamethoxazole',
+  'co-trimoxazole': 'trimethoprim-sulfamethoxazole',
+  'cotrimoxazole': 'trimethoprim-sulfamethoxazole',
+  'bactrim': 'trimethoprim-sulfamethoxazole',
+  'mtx': 'methotrexate',
+  'paracetamol': 'acetaminophen',
+  'co-amoxiclav': 'amoxicillin-clavulanate',
+  'augmentin': 'amoxicillin-clavulanate',
+  'inh': 'isoniazid'
+};
+
+// Drugs whose hepatotoxicity is in the product labelling (criterion 6 +2, criterion 4 -2)
+const LABELLED_HEPATOTOXINS = [
+  'acetaminophen',
+  'amiodarone',
+  'amoxicillin-clavulanate',
+  'azathioprine',
+  'diclofenac',
+  'isoniazid',
+  'ketoconazole',
+  'leflunomide',
+  'methotrexate',
+  'nitrofurantoin',
+  'rifampicin',
+  'trimethoprim-sulfamethoxazole',
+  'valproate'
+];
+
+// Alternative causes to rule out (criterion 5); group I is the minimum work-up
+const EXCLUSION_GROUPS = {
+  I: {
+    hav: 'Hepatitis A (anti-HAV IgM)',
+    hbv: 'Hepatitis B (HBsAg, anti-HBc IgM)',
+    hcv: 'Hepatitis C (anti-HCV, HCV RNA)',
+    hev: 'Hepatitis E (anti-HEV IgM)',
+    imaging: 'Hepatobiliary imaging',
+    alcohol: 'Alcoholic liver disease',
+    hypotension: 'Recent hypotension / ischemic hepatitis'
+  },
+  II: {
+    underlyingDisease: 'Complications of underlying disease (sepsis, malignancy, autoimmune or chronic liver disease)',
+    cmv: 'Cytomegalovirus',
+    ebv: 'Epstein-Barr virus',
+    hsv: 'Herpes simplex virus',
+    vzv: 'Varicella zoster virus'
+  }
+};
+
+const EXCLUSION_STATUSES = ['excluded', 'pending', 'not-done', 'positive'];
+
+const COLUMNS = ['#', 'Parameter', 'Key findings from this case', 'Score', 'Explanation'];
+
+const normalizeDrug = (name) => {
+  const key = String(name || '').trim().toLowerCase();
+  return DRUG_ALIASES[key] || key;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One half of a combination ("amoxicillin" in "amoxicillin-clavulanate") is another drug
+const isCombinationPart = (text, name) =>
+  new RegExp(`[a-z]-${escapeRegExp(name)}|${escapeRegExp(name)}-[a-z]`).test(text);
+
+// The names a medication entry goes by: as written, without its dose or form
+// ("Methotrexate 20 mg" -> "methotrexate"), with aliases resolved, plus the generic names
+// the interaction table recognises in it ("Bactrim DS" -> "trimethoprim-sulfamethoxazole")
+const drugNames = (name) => {
+  const text = String(name || '').trim().toLowerCase();
+  if (!text) return [];
+  const bare = text.replace(/\s*[\d(].*$/, '');
+  const generic = canonicalNames(text).filter(candidate => !isCombinationPart(text, candidate));
+  return [...new Set([normalizeDrug(text), normalizeDrug(bare), ...generic].filter(Boolean))];
+};
+
+// Whole names only, so a short name ("ir") does not match every drug that contains it
+const sameDrug = (a, b) => {
+  const right = drugNames(b);
+  return drugNames(a).some(name => right.includes(name));
+};
+
+const isLabelledHepatotoxin = (name, extra = []) =>
+  [...LABELLED_HEPATOTOXINS, ...extra].some(drug => sameDrug(drug, name));
+
+const toTime = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS);
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const formatScore = (score) => (score > 0 ? `+${score}` : String(score));
+
+// Pull the ALT and ALP series, oldest first, out of loosely shaped observations
+// ({ name | parameter, code, value, date | observedAt, referenceRange | range })
+const liverSeries = (labs = []) => {
+  const analyteOf = (lab) => {
+    const name = String(lab.name || lab.parameter || '');
+    if (ALT_CODES.includes(lab.code) || /\bALT\b|alanine aminotransferase/i.test(name)) return 'ALT';
+    if (ALP_CODES.includes(lab.code) || /\bALP\b|alkaline phosphatase/i.test(name)) return 'ALP';
+    return null;
+  };
+
+  const series = { ALT: [], ALP: [] };
+  for (const lab of labs) {
+    const analyte = analyteOf(lab);
+    const value = Number(lab.value);
+    const time = toTime(lab.date || lab.observedAt);
+    if (!analyte || !Number.isFinite(value) || time === null) continue;
+
+    const range = lab.referenceRange || lab.range || {};
+    const uln = Number(range.high ?? range.max);
+    series[analyte].push({ value, time, uln: Number.isFinite(uln) && uln > 0 ? uln : DEFAULT_ULN[analyte] });
+  }
+  series.ALT.sort((a, b) => a.time - b.time);
+  series.ALP.sort((a, b) => a.time - b.time);
+  return series;
+};
+
+// Injury onset is the first ALT (or, failing that, ALP) above its upper limit
+const findOnset = (series) => {
+  const firstHigh = (points) => points.find(point => point.value > point.uln);
+  const alt = firstHigh(series.ALT);
+  const alp = firstHigh(series.ALP);
+  if (alt && alp) return Math.min(alt.time, alp.time);
+  return (alt || alp)?.time ?? null;
+};
+
+// R = (ALT/ULN) / (ALP/ULN) from the first samples at or after onset; R >= 5 is
+// hepatocellular, R <= 2 cholestatic, anything between mixed
+const injuryPattern = (series, onset) => {
+  const atOnset = (points) => points.find(point => point.time >= onset) || points[points.length - 1];
+  const alt = atOnset(series.ALT);
+  const alp = atOnset(series.ALP);
+  if (!alt || !alp) {
+    return { pattern: 'hepatocellular', rRatio: null };
+  }
+
+  const rRatio = Math.round(((alt.value / alt.uln) / (alp.value / alp.uln)) * 10) / 10;
+  if (rRatio >= 5) return { pattern: 'hepatocellular', rRatio };
+  if (rRatio <= 2) return { pattern: 'cholestatic', rRatio };
+  return { pattern: 'mixed', rRatio };
+};
+
+// Criterion 1: time from drug start (or cessation) to onset. Returns `excludes` when the
+// timing rules the drug out altogether.
+const scoreTimeToOnset = ({ drug, onset, pattern }) => {
+  const start = toTime(drug.start || drug.startDate);
+  const end = toTime(drug.end || drug.endDate);
+  if (start === null) {
+    return { finding: `No start date recorded for ${drug.name}`, score: 0, rationale: 'Time to onset cannot be assessed.' };
+  }
+  if (onset < start) {
+    return {
+      finding: `Injury on ${formatDate(onset)} preceded ${drug.name} start on ${formatDate(start)}`,
+      score: 0,
+      rationale: 'Reaction began before the drug was taken: unrelated.',
+      excludes: 'Injury began before the suspect drug was started'
+    };
+  }
+
+  if (end !== null && end < onset) {
+    const sinceStop = daysBetween(end, onset);
+    const limit = pattern === 'hepatocellular' ? 15 : 30;
+    if (sinceStop <= limit) {
+      return {
+        finding: `Onset ${sinceStop} days after ${drug.name} was stopped`,
+        score: 1,
+        rationale: `Onset within ${limit} days of cessation.`
+      };
+    }
+    return {
+      finding: `Onset ${sinceStop} days after ${drug.name} was stopped`,
+      score: 0,
+      rationale: `Onset more than ${limit} days after cessation: unrelated.`,
+      excludes: `Injury began more than ${limit} days after the suspect drug was stopped`
+    };
+  }
+
+  const sinceStart = daysBetween(start, onset);
+  const finding = `${drug.name} started ${formatDate(start)} → injury ${formatDate(onset)} (${sinceStart} days)`;
+  if (sinceStart >= 5 && sinceStart <= 90) {
+    return { finding, score: 2, rationale: 'Compatible interval for idiosyncratic DILI (5–90 days).' };
+  }
+  return { finding, score: 1, rationale: 'Onset outside the typical 5–90 day window (<5 or >90 days).' };
+};
+
+// Criterion 2: how far the marker falls after the drug is stopped (ALT for hepatocellular,
+// ALP otherwise), measured as the share of the peak excess over the upper limit
+const scoreCourse = ({ drug, series, onset, pattern, now }) => {
+  const end = toTime(drug.end || drug.endDate);
+  const marker = pattern === 'hepatocellular' ? 'ALT' : 'ALP';
+  if (end === null || end > now) {
+    return { finding: `${drug.name} not stopped`, score: 0, rationale: 'Continued drug use: course cannot be assessed.' };
+  }
+
+  const points = series[marker].filter(point => point.time >= onset);
+  const peak = points.reduce((best, point) => (!best || point.value > best.value ? point : best), null);
+  const after = points.filter(point => peak && point.time > peak.time && point.time >= end);
+  if (!peak || after.length === 0) {
+    return {
+      finding: `${drug.name} stopped ${formatDate(end)}; no ${marker} values since`,
+      score: 0,
+      rationale: 'No information on the course after cessation.'
+    };
+  }
+
+  const excess = (point) => Math.max(point.value - point.uln, 0);
+  const halved = after.find(point => excess(point) <= excess(peak) * 0.5);
+  const last = after[after.length - 1];
+
+  if (pattern === 'hepatocellular') {
+    if (halved) {
+      const days = daysBetween(end, halved.time);
+      const finding = `ALT fell ≥50% from peak ${peak.value} to ${halved.value} U/L ${days} days after stopping`;
+      if (days <= 8) return { finding, score: 3, rationale: 'Decrease ≥50% within 8 days.' };
+      if (days <= 30) return { finding, score: 2, rationale: 'Decrease ≥50% within 30 days.' };
+      return { finding, score: 0, rationale: 'Decrease ≥50% only after day 30.' };
+    }
+    if (daysBetween(end, last.time) > 30) {
+      return {
+        finding: `ALT still ${last.value} U/L (peak ${peak.value}) ${daysBetween(end, last.time)} days after stopping`,
+        score: -2,
+        rationale: 'Decrease <50% after day 30, or recurrent increase.'
+      };
+    }
+    return {
+      finding: `ALT ${last.value} U/L (peak ${peak.value}) ${daysBetween(end, last.time)} days after stopping`,
+      score: 0,
+      rationale: 'Course not yet conclusive (under 30 days of follow-up).'
+    };
+  }
+
+  if (halved && daysBetween(end, halved.time) <= 180) {
+    return {
+      finding: `ALP fell ≥50% from peak ${peak.value} to ${halved.value} U/L within ${daysBetween(end, halved.time)} days`,
+      score: 2,
+      rationale: 'Decrease ≥50% within 180 days.'
+    };
+  }
+  if (last.value < peak.value && daysBetween(end, last.time) <= 180) {
+    return {
+      finding: `ALP fell from peak ${peak.value} to ${last.value} U/L`,
+      score: 1,
+      rationale: 'Decrease <50% within 180 days.'
+    };
+  }
+  return {
+    finding: `ALP ${last.value} U/L (peak ${peak.value}) after stopping`,
+    score: 0,
+    rationale: 'Persistence, increase or no information.'
+  };
+};
+
+// Criterion 3: age >= 55 and alcohol (or pregnancy, for cholestatic/mixed injury)
+const scoreRiskFactors = ({ age, alcohol, pregnancy, pattern }) => {
+  const findings = [];
+  let score = 0;
+  if (Number.isFinite(age) && age >= 55) {
+    findings.push(`Age ${age} (+1)`);
+    score += 1;
+  }
+  if (alcohol) {
+    findings.push('Alcohol use (+1)');
+    score += 1;
+  } else if (pregnancy && pattern !== 'hepatocellular') {
+    findings.push('Pregnancy (+1)');
+    score += 1;
+  }
+  return {
+    finding: findings.join('; ') || 'No risk factors reported',
+    score,
+    rationale: score > 0 ? 'Age ≥55 and alcohol use (or pregnancy in cholestatic injury) increase risk.' : 'No RUCAM risk factors.'
+  };
+};
+
+// Criterion 4: co-medication taken when the injury began
+const scoreConcomitantDrugs = ({ drug, medications, onset, hepatotoxins, implicated }) => {
+  const compatible = medications.filter(med => {
+    if (med === drug || sameDrug(med.name, drug.name)) return false;
+    const start = toTime(med.start || med.startDate);
+    const end = toTime(med.end || med.endDate);
+    return start !== null && start <= onset && (end === null || daysBetween(end, onset) <= 15);
+  });
+
+  if (compatible.length === 0) {
+    return { finding: 'No concomitant drugs with a compatible time to onset', score: 0, rationale: 'No confounding co-medication.' };
+  }
+
+  const proven = compatible.filter(med => implicated.some(name => sameDrug(name, med.name)));
+  const toxic = compatible.filter(med => isLabelledHepatotoxin(med.name, hepatotoxins));
+  const names = (meds) => meds.map(med => med.name).join(', ');
+  if (proven.length > 0) {
+    return { finding: `${names(proven)} (evidence for its role)`, score: -3, rationale: 'Concomitant drug with evidence for its role in this case.' };
+  }
+  if (toxic.length > 0) {
+    return { finding: `${names(toxic)} (known hepatotoxin)`, score: -2, rationale: 'Concomitant hepatotoxic drug with a compatible time to onset.' };
+  }
+  return { finding: names(compatible), score: -1, rationale: 'Concomitant drug with a compatible time to onset.' };
+};
+
+// Criterion 5: how thoroughly non-drug causes were ruled out; a positive finding, or an
+// alternative cause flagged as highly probable, scores -3
+const scoreExclusions = ({ exclusions, alternativeCause }) => {
+  const statusOf = (key) => (EXCLUSION_STATUSES.includes(exclusions[key]) ? exclusions[key] : 'not-done');
+  const groupI = Object.keys(EXCLUSION_GROUPS.I);
+  const groupII = Object.keys(EXCLUSION_GROUPS.II);
+  const positive = [...groupI, ...groupII].filter(key => statusOf(key) === 'positive');
+  const excludedI = groupI.filter(key => statusOf(key) === 'excluded').length;
+  const excludedII = groupII.filter(key => statusOf(key) === 'excluded').length;
+  const pending = [...groupI, ...groupII].filter(key => statusOf(key) === 'pending');
+  const label = (key) => EXCLUSION_GROUPS.I[key] || EXCLUSION_GROUPS.II[key];
+  const pendingNote = pending.length > 0 ? `; pending: ${pending.map(label).join(', ')}` : '';
+
+  if (alternativeCause || positive.length > 0) {
+    return {
+      finding: alternativeCause ? `Alternative cause: ${alternativeCause}` : `Positive: ${positive.map(label).join(', ')}`,
+      score: -3,
+      rationale: 'Alternative cause highly probable.'
+    };
+  }
+
+  const finding = `${excludedI}/7 group I and ${excludedII}/5 group II causes ruled out${pendingNote}`;
+  if (excludedI === 7 && excludedII === 5) return { finding, score: 2, rationale: 'All group I and II causes reasonably ruled out.' };
+  if (excludedI === 7) return { finding, score: 1, rationale: 'The seven group I causes ruled out.' };
+  if (excludedI >= 5) return { finding, score: 0, rationale: 'Five or six group I causes ruled out.' };
+  return { finding, score: -2, rationale: 'Fewer than five group I causes ruled out.' };
+};
+
+// Criterion 6: what is already known about the drug's hepatotoxicity
+const scorePreviousHepatotoxicity = ({ drug, hepatotoxicity, hepatotoxins }) => {
+  const known = hepatotoxicity || (isLabelledHepatotoxin(drug.name, hepatotoxins) ? 'labelled' : 'unknown');
+  if (known === 'labelled') {
+    return { finding: `${drug.name} hepatotoxicity is labelled`, score: 2, rationale: 'Reaction labelled in the product characteristics.' };
+  }
+  if (known === 'published') {
+    return { finding: `${drug.name} hepatotoxicity published, not labelled`, score: 1, rationale: 'Reaction published but unlabelled.' };
+  }
+  return { finding: `No known hepatotoxicity for ${drug.name}`, score: 0, rationale: 'Reaction unknown.' };
+};
+
+// Criterion 7: response to unintentional re-exposure
+const scoreRechallenge = ({ rechallenge, pattern }) => {
+  const marker = pattern === 'hepatocellular' ? 'ALT' : 'ALP';
+  switch (rechallenge) {
+    case 'positive':
+      return { finding: `${marker} doubled on re-exposure to the drug alone`, score: 3, rationale: 'Positive rechallenge.' };
+    case 'positive-with-co-drugs':
+      return { finding: `${marker} doubled on re-exposure with the same co-medication`, score: 1, rationale: 'Rechallenge compatible, co-drugs also given.' };
+    case 'negative':
+      return { finding: `${marker} rose but stayed below ULN on re-exposure`, score: -2, rationale: 'Negative rechallenge.' };
+    default:
+      return { finding: 'No re-exposure', score: 0, rationale: 'Not done or not interpretable.' };
+  }
+};
+
+const causalityCategory = (total) => {
+  if (total <= 0) return 'Excluded';
+  if (total <= 2) return 'Unlikely';
+  if (total <= 5) return 'Possible';
+  if (total <= 8) return 'Probable';
+  return 'Highly probable';
+};
+
+const CRITERIA = [
+  ['timeToOnset', 'Time to onset (from drug start to injury)'],
+  ['course', 'Course after stopping the drug'],
+  ['riskFactors', 'Risk factors'],
+  ['concomitantDrugs', 'Concomitant drugs'],
+  ['alternativeCauses', 'Exclusion of non-drug causes'],
+  ['previousHepatotoxicity', 'Previous information on hepatotoxicity'],
+  ['rechallenge', 'Response to re-exposure']
+];
+
+// Score one suspect drug. `criteria` holds the structured rows; `columns`/`rows` are the
+// table shape the dashboard components render.
+const assessRucam = ({
+  suspectDrug,
+  medications = [],
+  labs = [],
+  onsetDate,
+  age,
+  alcohol = false,
+  pregnancy = false,
+  exclusions = {},
+  alternativeCause = null,
+  hepatotoxicity,
+  hepatotoxins = [],
+  implicatedDrugs = [],
+  rechallenge = null,
+  now = Date.now()
+}) => {
+  if (!suspectDrug) {
+    throw new RucamInputError('suspectDrug is required');
+  }
+  if (exclusions !== null && (typeof exclusions !== 'object' || Array.isArray(exclusions))) {
+    throw new RucamInputError('exclusions must be an object of cause: status');
+  }
+  const ruledOut = exclusions || {};
+
+  const drug = medications.find(med => sameDrug(med.name, suspectDrug));
+  if (!drug) {
+    throw new RucamInputError(`${suspectDrug} is not in the medication timeline`);
+  }
+
+  const series = liverSeries(labs);
+  const onset = onsetDate ? toTime(onsetDate) : findOnset(series);
+  if (onset === null) {
+    throw new RucamInputError('No ALT or ALP above the upper limit of normal; pass onsetDate to score anyway');
+  }
+
+  const { pattern, rRatio } = injuryPattern(series, onset);
+  const scores = {
+    timeToOnset: scoreTimeToOnset({ drug, onset, pattern }),
+    course: scoreCourse({ drug, series, onset, pattern, now }),
+    riskFactors: scoreRiskFactors({ age, alcohol, pregnancy, pattern }),
+    concomitantDrugs: scoreConcomitantDrugs({ drug, medications, onset, hepatotoxins, implicated: implicatedDrugs }),
+    alternativeCauses: scoreExclusions({ exclusions: ruledOut, alternativeCause }),
+    previousHepatotoxicity: scorePreviousHepatotoxicity({ drug, hepatotoxicity, hepatotoxins }),
+    rechallenge: scoreRechallenge({ rechallenge, pattern })
+  };
+
+  const criteria = CRITERIA.map(([id, parameter], index) => {
+    const { finding, score, rationale } = scores[id];
+    return { number: index + 1, id, parameter, finding, score, rationale };
+  });
+  const totalScore = criteria.reduce((sum, criterion) => sum + criterion.score, 0);
+  const excludedBy = scores.timeToOnset.excludes || null;
+  const patternLabel = pattern.charAt(0).toUpperCase() + pattern.slice(1);
+
+  return {
+    title: `RUCAM Scoring (${patternLabel} pattern)`,
+    suspectDrug: drug.name,
+    pattern,
+    rRatio,
+    onsetDate: formatDate(onset),
+    columns: COLUMNS,
+    rows: criteria.map(({ number, parameter, finding, score, rationale }) => [number, parameter, finding, formatScore(score), rationale]),
+    criteria,
+    total_score: totalScore,
+    causality_category: excludedBy ? 'Excluded' : causalityCategory(totalScore),
+    excluded_by: excludedBy,
+    exclusions: Object.entries({ ...EXCLUSION_GROUPS.I, ...EXCLUSION_GROUPS.II }).map(([cause, label]) => ({
+      cause,
+      label,
+      status: EXCLUSION_STATUSES.includes(ruledOut[cause]) ? ruledOut[cause] : 'not-done'
+    })),
+    computedAt: new Date(now).toISOString()
+  };
+};
+
+module.exports = { assessRucam, RucamInputError, EXCLUSION_GROUPS, EXCLUSION_STATUSES };
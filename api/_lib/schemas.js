@@ -0,0 +1,519 @@
+// JSON Schemas for board items and dashboard component props, published at GET /api/schemas
+// Known fields are typed; unknown fields are allowed so clients can keep extra UI state on items
+
+const SCHEMA_BASE = '/api/schemas';
+
+const TODO_STATUSES = ['todo', 'in_progress', 'done', 'pending', 'executing', 'finished'];
+const LAB_STATUSES = ['optimal', 'warning', 'critical'];
+const LAB_TRENDS = ['up', 'down', 'stable'];
+
+// Bounds for positions and sizes: far beyond any real board, but small enough that the
+// placement index (layout.js) never has to cover an absurd area
+const MAX_COORDINATE = 1000000;
+const MAX_ITEM_SIZE = 20000;
+
+const coordinate = { type: 'number', minimum: -MAX_COORDINATE, maximum: MAX_COORDINATE };
+const size = { type: 'number', exclusiveMinimum: 0, maximum: MAX_ITEM_SIZE };
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const objectArray = { type: 'array', items: { type: 'object' } };
+
+// Fields every item shares, whatever its type
+const baseProperties = {
+  id: { type: 'string', minLength: 1 },
+  type: { type: 'string' },
+  x: coordinate,
+  y: coordinate,
+  width: size,
+  height: {
+    anyOf: [size, { const: 'auto' }]
+  },
+  color: { type: 'string' },
+  rotation: { type: 'number' },
+  description: { type: 'string' },
+  createdAt: { type: 'string' },
+  updatedAt: { type: 'string' },
+  version: { type: 'integer', minimum: 0 }
+};
+
+const itemSchema = (type, { description, properties = {}, required = [] }) => ({
+  $id: `${SCHEMA_BASE}/items/${type}`,
+  title: `${type} board item`,
+  description,
+  type: 'object',
+  properties: { ...baseProperties, type: { const: type }, ...properties },
+  required: ['id', 'type', 'x', 'y', 'width', 'height', ...required]
+});
+
+const todoEntry = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    text: { type: 'string', minLength: 1 },
+    status: { enum: TODO_STATUSES },
+    agent: { type: 'string' },
+    subTodos: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          status: { enum: TODO_STATUSES }
+        },
+        required: ['text', 'status']
+      }
+    }
+  },
+  required: ['text', 'status']
+};
+
+const agentProperties = {
+  content: { type: 'string' },
+  agentData: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      markdown: { type: 'string' }
+    },
+    required: ['title', 'markdown']
+  }
+};
+
+const itemSchemas = {
+  sticky: itemSchema('sticky', {
+    description: 'Sticky note with plain text content',
+    properties: { content: { type: 'string' } }
+  }),
+  text: itemSchema('text', {
+    description: 'Editable text block',
+    properties: { content: { type: 'string' } }
+  }),
+  shape: itemSchema('shape', {
+    description: 'Plain shape with an optional label',
+    properties: { content: { type: 'string' } }
+  }),
+  ehr: itemSchema('ehr', {
+    description: 'EHR encounter record',
+    properties: {
+      content: { type: 'string' },
+      ehrData: { type: ['object', 'null'] }
+    }
+  }),
+  todo: itemSchema('todo', {
+    description: 'Todo list, optionally with agent delegation and sub-todos',
+    properties: {
+      content: { type: 'string' },
+      todoData: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          todos: { type: 'array', items: todoEntry }
+        },
+        required: ['title', 'todos']
+      }
+    },
+    required: ['todoData']
+  }),
+  agent: itemSchema('agent', {
+    description: 'Markdown result produced by an agent',
+    properties: agentProperties,
+    required: ['agentData']
+  }),
+  agent_result: itemSchema('agent_result', {
+    description: 'Legacy alias of the agent item',
+    properties: agentProperties
+  }),
+  'lab-result': itemSchema('lab-result', {
+    description: 'Single lab parameter with its reference range',
+    properties: {
+      content: { type: 'string' },
+      labResultData: {
+        type: 'object',
+        properties: {
+          parameter: { type: 'string', minLength: 1 },
+          value: { type: ['number', 'string'] },
+          unit: { type: 'string' },
+          status: { enum: LAB_STATUSES },
+          range: {
+            type: 'object',
+            properties: {
+              min: { type: 'number' },
+              max: { type: 'number' },
+              warningMin: { type: 'number' },
+              warningMax: { type: 'number' },
+              criticalMin: { type: 'number' },
+              criticalMax: { type: 'number' }
+            },
+            required: ['min', 'max']
+          },
+          trend: { enum: LAB_TRENDS },
+          code: { type: ['string', 'null'] },
+          analyte: { type: 'string' },
+          patientId: { type: 'string' },
+          observedAt: { type: 'string' },
+          previousValue: { type: ['number', 'null'] },
+          history: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                value: { type: 'number' },
+                observedAt: { type: 'string' },
+                status: { enum: LAB_STATUSES }
+              },
+              required: ['value', 'observedAt']
+            }
+          }
+        },
+        required: ['parameter', 'value', 'unit', 'status', 'range']
+      }
+    },
+    required: ['labResultData']
+  })
+};
+
+const encounterSummary = {
+  type: 'object',
+  properties: {
+    encounter_no: { type: 'integer' },
+    date: { type: ['string', 'null'] },
+    type: { type: 'string' },
+    provider: { type: ['string', 'null'] },
+    diagnosis: { type: ['string', 'null'] },
+    medications: stringArray,
+    notes: { type: 'string' },
+    meta: { type: 'object' }
+  }
+};
+
+// Both the data.json (start/end) and the older startDate/endDate spellings are accepted
+const medicationTimelineEntry = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    dose: { type: ['string', 'null'] },
+    start: { type: ['string', 'null'] },
+    end: { type: ['string', 'null'] },
+    startDate: { type: 'string' },
+    endDate: { type: ['string', 'null'] },
+    indication: { type: ['string', 'null'] }
+  },
+  required: ['name']
+};
+
+// Lab observations with real values, e.g. from a FHIR import; `demo: true` synthesizes values instead
+const labResultEntry = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    code: { type: ['string', 'null'] },
+    value: { type: ['number', 'string', 'null'] },
+    unit: { type: ['string', 'null'] },
+    referenceRange: {
+      type: ['object', 'null'],
+      properties: {
+        low: { type: ['number', 'null'] },
+        high: { type: ['number', 'null'] }
+      }
+    },
+    date: { type: ['string', 'null'] },
+    encounter_no: { type: ['integer', 'null'] }
+  },
+  required: ['name', 'value']
+};
+
+// Per-encounter scores from POST /api/analysis/risk, each with the rules that fired
+const riskScores = {
+  type: 'object',
+  properties: {
+    rulesVersion: { type: ['string', 'null'] },
+    scoredAt: { type: 'string' },
+    scores: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          encounter_no: { type: ['integer', 'null'] },
+          date: { type: ['string', 'null'] },
+          score: { type: 'number', minimum: 0, maximum: 100 },
+          level: { type: ['string', 'null'] },
+          baseline: { type: 'number' },
+          rules: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                type: { type: 'string' },
+                label: { type: 'string' },
+                points: { type: 'number' },
+                detail: { type: 'string' }
+              },
+              required: ['id', 'points']
+            }
+          }
+        },
+        required: ['score', 'rules']
+      }
+    }
+  },
+  required: ['scores']
+};
+
+// One result of POST /api/analysis/interactions; overlap.end is null while both drugs continue
+const drugInteraction = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    interactionId: { type: 'string' },
+    drugs: { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 2 },
+    severity: { enum: ['contraindicated', 'major', 'moderate', 'minor'] },
+    mechanism: { type: 'string' },
+    effect: { type: 'string' },
+    management: { type: 'string' },
+    overlap: {
+      type: 'object',
+      properties: {
+        start: { type: 'string' },
+        end: { type: ['string', 'null'] },
+        ongoing: { type: 'boolean' },
+        days: { type: 'integer', minimum: 1 }
+      },
+      required: ['start', 'end']
+    }
+  },
+  required: ['drugs', 'severity', 'overlap']
+};
+
+// Output of POST /api/analysis/rucam (older encounter data has only title/columns/rows/total)
+const rucamAssessment = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    suspectDrug: { type: 'string' },
+    pattern: { enum: ['hepatocellular', 'cholestatic', 'mixed'] },
+    rRatio: { type: ['number', 'null'] },
+    columns: stringArray,
+    rows: { type: 'array', items: { type: 'array' } },
+    criteria: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          parameter: { type: 'string' },
+          finding: { type: 'string' },
+          score: { type: 'integer' },
+          rationale: { type: 'string' }
+        },
+        required: ['parameter', 'score']
+      }
+    },
+    total_score: { type: 'number' },
+    causality_category: { type: 'string' },
+    exclusions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          cause: { type: 'string' },
+          label: { type: 'string' },
+          status: { enum: ['excluded', 'pending', 'not-done', 'positive'] }
+        },
+        required: ['cause', 'status']
+      }
+    }
+  },
+  required: ['rows', 'total_score', 'causality_category']
+};
+
+// Output of POST /api/analysis/ctcae
+const ctcaeGrading = {
+  type: 'object',
+  properties: {
+    version: { type: 'string' },
+    overall_grade: { type: 'string' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          analyte: { type: 'string' },
+          term: { type: 'string' },
+          grade: { type: 'integer', minimum: 0, maximum: 5 },
+          value: { type: 'number' }
+        },
+        required: ['analyte', 'term', 'grade']
+      }
+    },
+    parameters: objectArray
+  },
+  required: ['overall_grade', 'results']
+};
+
+const componentSchema = (componentType, { description, properties, required = [] }) => ({
+  $id: `${SCHEMA_BASE}/components/${componentType}`,
+  title: `${componentType} props`,
+  description,
+  type: 'object',
+  properties,
+  required
+});
+
+// Props for each componentType, validated against item.content.props
+const componentSchemas = {
+  PatientContext: componentSchema('PatientContext', {
+    description: 'Patient header: demographics, problems, medications and allergies',
+    properties: {
+      patientData: {
+        type: 'object',
+        properties: {
+          patient: { type: 'object' },
+          riskLevel: { type: 'string' },
+          primaryDiagnosis: { type: 'string' },
+          problem_list: objectArray,
+          medication_timeline: objectArray,
+          allergies: stringArray,
+          encounters: objectArray
+        }
+      }
+    },
+    required: ['patientData']
+  }),
+  EncounterTimeline: componentSchema('EncounterTimeline', {
+    description: 'Encounters and medication periods on a shared timeline',
+    properties: {
+      encounters: { type: 'array', items: encounterSummary },
+      medicationTimeline: { type: 'array', items: medicationTimelineEntry },
+      interactions: { type: 'array', items: drugInteraction },
+      riskScores
+    },
+    required: ['encounters']
+  }),
+  AdverseEventAnalytics: componentSchema('AdverseEventAnalytics', {
+    description: 'Adverse events and causality assessment',
+    properties: {
+      patientData: {
+        type: 'object',
+        properties: {
+          adverseEvents: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                event: { type: 'string' },
+                severity: { type: 'string' },
+                description: { type: 'string' },
+                grade: { type: 'integer', minimum: 1, maximum: 5 },
+                source: { type: 'string' },
+                analyte: { type: 'string' }
+              },
+              required: ['event']
+            }
+          },
+          riskAssessment: { type: 'object' },
+          rucam: rucamAssessment,
+          ctcae: ctcaeGrading
+        }
+      }
+    },
+    required: ['patientData']
+  }),
+  LabTable: componentSchema('LabTable', {
+    description: 'Lab findings per encounter',
+    properties: {
+      encounters: { type: 'array', items: encounterSummary },
+      labs: { type: 'array', items: labResultEntry },
+      demo: { type: 'boolean' }
+    },
+    required: ['encounters']
+  }),
+  LabChart: componentSchema('LabChart', {
+    description: 'Lab trends over time with medication overlays',
+    properties: {
+      encounters: { type: 'array', items: encounterSummary },
+      medicationTimeline: { type: 'array', items: medicationTimelineEntry },
+      labs: { type: 'array', items: labResultEntry },
+      demo: { type: 'boolean' }
+    },
+    required: ['encounters']
+  }),
+  DifferentialDiagnosis: componentSchema('DifferentialDiagnosis', {
+    description: 'Differential diagnosis from the latest encounter assessment',
+    properties: {
+      patientData: {
+        type: 'object',
+        properties: {
+          encounters: objectArray,
+          rucam: rucamAssessment,
+          interactions: { type: 'array', items: drugInteraction }
+        }
+      }
+    },
+    required: ['patientData']
+  }),
+  DrugInteractions: componentSchema('DrugInteractions', {
+    description: 'Drug-drug interactions found in the medication timeline',
+    properties: {
+      interactions: { type: 'array', items: drugInteraction },
+      checkedAt: { type: 'string' },
+      tableVersion: { type: 'string' },
+      medicationCount: { type: 'integer', minimum: 0 }
+    },
+    required: ['interactions']
+  }),
+  NotesPanel: componentSchema('NotesPanel', {
+    description: 'Clinical notes for the patient, stored through /api/patients/:patientId/notes',
+    properties: {
+      patientId: { type: 'string', description: "Defaults to the board's patient" }
+    }
+  }),
+  EHRSystemComponent: componentSchema('EHRSystemComponent', {
+    description: 'EHR system view of the patient record',
+    properties: {
+      patientData: { type: 'object' }
+    }
+  }),
+  EncounterDocument: componentSchema('EncounterDocument', {
+    description: 'All encounter documents for the patient',
+    properties: {
+      patientData: { type: 'object' }
+    }
+  }),
+  SingleEncounterDocument: componentSchema('SingleEncounterDocument', {
+    description: 'One encounter rendered as a clinical document',
+    properties: {
+      encounter: {
+        type: 'object',
+        properties: {
+          encounter_no: { type: 'integer' },
+          meta: { type: 'object' }
+        }
+      },
+      patient: { type: 'object' },
+      encounterIndex: { type: 'integer', minimum: 0 },
+      dataSource: { type: 'string' }
+    },
+    required: ['encounter']
+  })
+};
+
+itemSchemas.component = itemSchema('component', {
+  description: 'Dashboard component; content.props must match the schema for its componentType',
+  properties: {
+    componentType: { enum: Object.keys(componentSchemas) },
+    content: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        component: { type: 'string' },
+        props: { type: 'object' }
+      },
+      required: ['props']
+    }
+  },
+  required: ['componentType', 'content']
+});
+
+module.exports = { itemSchemas, componentSchemas, SCHEMA_BASE };
@@ -0,0 +1,168 @@
+// Server-Sent Events hub shared by all routes - one channel per board
+// Every broadcast gets a monotonic event id and is kept in a bounded event log, so clients
+// reconnecting with Last-Event-ID receive what they missed (or `resync-required` if it is gone)
+// With a pub/sub transport, broadcasts are also relayed to clients connected to other instances
+const crypto = require('crypto');
+const { createEventLog } = require('./eventLog');
+
+const writeEvent = (res, { id, event, data }) => {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Last-Event-ID header (browser auto-reconnect) or ?lastEventId= (manual reconnects)
+const parseLastEventId = (req) => {
+  const raw = req.headers['last-event-id'] ?? req.query.lastEventId;
+  if (raw === undefined || raw === '') return null;
+  const lastId = Number(raw);
+  return Number.isInteger(lastId) && lastId >= 0 ? lastId : null;
+};
+
+const createSseChannel = (boardId, eventLog, relay) => {
+  // Simple in-memory list of SSE clients; clients still replaying queue live events
+  const sseClients = new Set();
+
+  const send = (client, entry) => {
+    if (client.queue) {
+      client.queue.push(entry);
+      return;
+    }
+    try {
+      writeEvent(client.res, entry);
+    } catch (_) {
+      // Ignore write errors, cleanup will remove the client
+    }
+  };
+
+  // Broadcast a message; `event` selects the SSE event name and is stripped from the payload.
+  // With `log: false` the event gets no id and is not kept for replay - for frequent events
+  // where only the latest matters, which would otherwise push the rest out of the log.
+  const broadcast = async (message, { log = true } = {}) => {
+    const eventType = message.event || 'new-item';
+    const data = { ...message, boardId };
+    delete data.event;
+
+    let entry = { event: eventType, data };
+    if (log) {
+      try {
+        entry = await eventLog.append(eventType, data);
+      } catch (error) {
+        console.error('Error appending to event log:', error);
+      }
+    }
+
+    deliver(entry);
+    relay(entry);
+  };
+
+  // Write an already-logged event to this instance's clients
+  const deliver = (entry) => {
+    for (const client of sseClients) {
+      send(client, entry);
+    }
+  };
+
+  // Events the client missed since lastId, or `resync-required` when they are no longer in the log
+  const replay = async (client, lastId) => {
+    const missed = await eventLog.since(lastId);
+    if (missed === null) {
+      console.log(`🔁 SSE client on board ${boardId} is too far behind (last id ${lastId}), requesting resync`);
+      const latestId = await eventLog.latest();
+      writeEvent(client.res, {
+        id: latestId,
+        event: 'resync-required',
+        data: { boardId, lastEventId: lastId, timestamp: new Date().toISOString() }
+      });
+      return latestId;
+    }
+    missed.forEach(entry => writeEvent(client.res, entry));
+    return missed.length > 0 ? missed[missed.length - 1].id : lastId;
+  };
+
+  // Express handler for GET /api/events and /api/boards/:boardId/events
+  const handleConnection = async (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    // Access-Control-Allow-Origin is already set by the app's cors middleware (CORS_ORIGINS)
+
+    // Flush headers immediately
+    if (res.flushHeaders) res.flushHeaders();
+
+    // Live events are queued until the connected event and any replay have been written
+    const client = { res, queue: [] };
+    sseClients.add(client);
+
+    // Keep connection alive
+    const heartbeat = setInterval(() => {
+      try {
+        res.write(`event: ping\n`);
+        res.write(`data: ${Date.now()}\n\n`);
+      } catch (_) {}
+    }, 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      sseClients.delete(client);
+      try { res.end(); } catch (_) {}
+    });
+
+    const lastId = parseLastEventId(req);
+    let sentId = 0;
+    try {
+      if (lastId === null) {
+        // Initial event to confirm connection; a fresh client starts from the current id
+        sentId = await eventLog.latest();
+        writeEvent(res, { id: sentId || undefined, event: 'connected', data: 'ok' });
+      } else {
+        writeEvent(res, { event: 'connected', data: 'ok' });
+        sentId = await replay(client, lastId);
+      }
+    } catch (error) {
+      console.error('Error replaying SSE events:', error);
+    }
+
+    // Flush live events that arrived meanwhile, skipping any the replay already covered
+    const queued = client.queue;
+    client.queue = null;
+    queued
+      .filter(entry => entry.id === undefined || entry.id > sentId)
+      .forEach(entry => send(client, entry));
+  };
+
+  return { broadcast, deliver, handleConnection, clientCount: () => sseClients.size };
+};
+
+const createSseHub = ({ eventLogFactory = createEventLog, pubsub = null } = {}) => {
+  const channels = new Map();
+  // Identifies this instance so it can skip its own messages coming back from the broker
+  const instanceId = crypto.randomUUID();
+
+  const relay = (boardId) => (entry) => {
+    if (!pubsub) return;
+    pubsub.publish({ origin: instanceId, boardId, entry })
+      .catch(error => console.error('Error publishing SSE event:', error));
+  };
+
+  // Channels are created lazily, the first time a board is used
+  const channel = (boardId) => {
+    if (!channels.has(boardId)) {
+      channels.set(boardId, createSseChannel(boardId, eventLogFactory({ boardId }), relay(boardId)));
+    }
+    return channels.get(boardId);
+  };
+
+  if (pubsub) {
+    pubsub.subscribe((message) => {
+      if (!message || message.origin === instanceId || !message.entry) return;
+      // Boards without a channel here have no connected clients on this instance
+      const target = channels.get(message.boardId);
+      if (target) target.deliver(message.entry);
+    }).catch(error => console.error('Error subscribing to SSE events:', error));
+  }
+
+  return { channel };
+};
+
+module.exports = { createSseHub };
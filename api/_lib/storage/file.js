@@ -0,0 +1,131 @@
+// File storage - persists each board to a JSON file (local development)
+// Writes to a file are serialised through a per-file lock and replace it atomically
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_BOARD_ID, SEED_FILE, loadInitialItems } = require('./seed');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', '..', 'data', 'store');
+
+const createFileStorage = ({
+  file = process.env.BOARD_DATA_FILE || SEED_FILE,
+  dataDir = process.env.BOARD_DATA_DIR || DEFAULT_DATA_DIR
+} = {}) => {
+  const locks = new Map(); // file path -> tail of its pending operations
+
+  // The default board keeps living in its original file; other boards get their own
+  const boardFile = (boardId) => (
+    boardId === DEFAULT_BOARD_ID ? file : path.join(dataDir, 'boards', `${boardId}.json`)
+  );
+  const documentFile = (key) => path.join(dataDir, `${key}.json`);
+
+  // Run fn once every earlier operation on the same file has finished
+  const withLock = (target, fn) => {
+    const previous = locks.get(target) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(target, tail);
+    tail.then(() => {
+      if (locks.get(target) === tail) locks.delete(target);
+    });
+    return run;
+  };
+
+  const readJson = async (target) => {
+    try {
+      return JSON.parse(await fs.readFile(target, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  };
+
+  // Write to a temporary file first so readers never see a half-written board
+  const writeJson = async (target, value) => {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(value, null, 2));
+    await fs.rename(tempFile, target);
+    return true;
+  };
+
+  const readBoard = async (boardId) => {
+    const items = await readJson(boardFile(boardId));
+    if (items === undefined) {
+      console.log(`No existing data file for board ${boardId}, starting fresh`);
+      return loadInitialItems(boardId);
+    }
+    return items;
+  };
+
+  // Read-modify-write a board under its lock; mutate returns the new items and a result
+  const mutateBoard = (boardId, mutate) => withLock(boardFile(boardId), async () => {
+    const { items, result, changed = true } = mutate(await readBoard(boardId));
+    if (changed) {
+      await writeJson(boardFile(boardId), items);
+    }
+    return result;
+  });
+
+  const loadBoardItems = (boardId) => withLock(boardFile(boardId), () => readBoard(boardId));
+
+  const saveBoardItems = (boardId, items) => withLock(boardFile(boardId), () => writeJson(boardFile(boardId), items));
+
+  const deleteBoardItems = (boardId) => withLock(boardFile(boardId), () => fs.rm(boardFile(boardId), { force: true }));
+
+  const getItem = async (boardId, id) => (await loadBoardItems(boardId)).find(item => item.id === id) || null;
+
+  const insertItem = (boardId, item) => mutateBoard(boardId, (items) => {
+    if (items.some(existing => existing.id === item.id)) {
+      return { items, result: null, changed: false };
+    }
+    return { items: [...items, item], result: item };
+  });
+
+  const updateItem = (boardId, id, update) => mutateBoard(boardId, (items) => {
+    const itemIndex = items.findIndex(item => item.id === id);
+    if (itemIndex === -1) {
+      return { items, result: null, changed: false };
+    }
+    const next = update(items[itemIndex]);
+    items[itemIndex] = next;
+    return { items, result: next };
+  });
+
+  const removeItem = (boardId, id, check = () => {}) => mutateBoard(boardId, (items) => {
+    const current = items.find(item => item.id === id);
+    if (!current) {
+      return { items, result: null, changed: false };
+    }
+    check(current);
+    return { items: items.filter(item => item.id !== id), result: current };
+  });
+
+  const loadDocument = async (key) => (await readJson(documentFile(key))) ?? null;
+
+  const saveDocument = (key, value) => withLock(documentFile(key), () => writeJson(documentFile(key), value));
+
+  const updateDocument = (key, update) => withLock(documentFile(key), async () => {
+    const next = update((await readJson(documentFile(key))) ?? null);
+    await writeJson(documentFile(key), next);
+    return next;
+  });
+
+  const status = async () => ({ storage: 'file', file, dataDir });
+
+  return {
+    name: 'file',
+    loadBoardItems,
+    saveBoardItems,
+    deleteBoardItems,
+    getItem,
+    insertItem,
+    updateItem,
+    removeItem,
+    loadDocument,
+    saveDocument,
+    updateDocument,
+    status
+  };
+};
+
+module.exports = { createFileStorage };
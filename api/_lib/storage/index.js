@@ -0,0 +1,44 @@
+// Storage adapters - every adapter exposes the same interface:
+//   name                           - identifier reported by /api/health
+//   loadBoardItems(boardId)        - resolves to the full array of items on a board
+//   saveBoardItems(boardId, items) - replaces every item on a board, resolves to true when durable
+//   deleteBoardItems(boardId)      - drops everything stored for a board
+//   getItem(boardId, id)           - resolves to one item, or null
+//   insertItem(boardId, item)      - adds an item, resolves to null if the id is taken
+//   updateItem(boardId, id, fn)    - atomically replaces an item with fn(current), resolves
+//                                    to the new item or null; fn may run more than once and
+//                                    may throw to abort
+//   removeItem(boardId, id, check) - atomically removes an item after check(current) passes,
+//                                    resolves to the removed item or null
+//   loadDocument(key)              - resolves to a stored JSON document, or null
+//   saveDocument(key, value)       - persists a JSON document, resolves to true when durable
+//   updateDocument(key, fn)        - atomically replaces a document with fn(current or null),
+//                                    resolves to the new value; fn may run more than once
+//   status()                       - resolves to health details for /api/health
+const { createFileStorage } = require('./file');
+const { createMemoryStorage } = require('./memory');
+const { createRedisStorage } = require('./redis');
+const { createSqliteStorage } = require('./sqlite');
+const { DEFAULT_BOARD_ID } = require('./seed');
+
+const adapters = {
+  file: createFileStorage,
+  memory: createMemoryStorage,
+  redis: createRedisStorage,
+  sqlite: createSqliteStorage
+};
+
+// Pick an adapter by name; STORAGE_ADAPTER overrides the entry point's default
+const createStorage = (defaultAdapter = 'file', options = {}) => {
+  const name = process.env.STORAGE_ADAPTER || defaultAdapter;
+  const factory = adapters[name];
+
+  if (!factory) {
+    throw new Error(`Unknown storage adapter "${name}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+  }
+
+  console.log(`🗄️  Using ${name} storage`);
+  return factory(options);
+};
+
+module.exports = { createStorage, adapters, DEFAULT_BOARD_ID };
@@ -0,0 +1,97 @@
+// In-memory storage - lives for the lifetime of the process (serverless, tests)
+// Item operations run synchronously once a board is loaded, so they are atomic
+const { loadInitialItems } = require('./seed');
+
+const createMemoryStorage = ({ initialItems = loadInitialItems } = {}) => {
+  const boards = new Map(); // boardId -> Map(itemId -> item), in insertion order
+  const documents = new Map();
+
+  const loadBoard = async (boardId) => {
+    if (!boards.has(boardId)) {
+      const items = await initialItems(boardId);
+      if (!boards.has(boardId)) {
+        boards.set(boardId, new Map(items.map(item => [item.id, item])));
+        console.log(`📊 Loaded ${items.length} items for board ${boardId}`);
+      }
+    }
+    return boards.get(boardId);
+  };
+
+  const loadBoardItems = async (boardId) => {
+    const board = await loadBoard(boardId);
+    return [...board.values()].map(item => structuredClone(item)); // Return copies
+  };
+
+  const saveBoardItems = async (boardId, items) => {
+    boards.set(boardId, new Map(items.map(item => [item.id, structuredClone(item)])));
+    return true;
+  };
+
+  const deleteBoardItems = async (boardId) => {
+    boards.delete(boardId);
+  };
+
+  const getItem = async (boardId, id) => {
+    const item = (await loadBoard(boardId)).get(id);
+    return item ? structuredClone(item) : null;
+  };
+
+  const insertItem = async (boardId, item) => {
+    const board = await loadBoard(boardId);
+    if (board.has(item.id)) return null;
+    board.set(item.id, structuredClone(item));
+    return item;
+  };
+
+  const updateItem = async (boardId, id, update) => {
+    const board = await loadBoard(boardId);
+    const current = board.get(id);
+    if (!current) return null;
+
+    const next = update(structuredClone(current));
+    board.set(id, structuredClone(next));
+    return next;
+  };
+
+  const removeItem = async (boardId, id, check = () => {}) => {
+    const board = await loadBoard(boardId);
+    const current = board.get(id);
+    if (!current) return null;
+
+    check(structuredClone(current));
+    board.delete(id);
+    return current;
+  };
+
+  const loadDocument = async (key) => (documents.has(key) ? structuredClone(documents.get(key)) : null);
+
+  const saveDocument = async (key, value) => {
+    documents.set(key, structuredClone(value));
+    return true;
+  };
+
+  const updateDocument = async (key, update) => {
+    const next = update(documents.has(key) ? structuredClone(documents.get(key)) : null);
+    documents.set(key, structuredClone(next));
+    return structuredClone(next);
+  };
+
+  const status = async () => ({ storage: 'memory' });
+
+  return {
+    name: 'memory',
+    loadBoardItems,
+    saveBoardItems,
+    deleteBoardItems,
+    getItem,
+    insertItem,
+    updateItem,
+    removeItem,
+    loadDocument,
+    saveDocument,
+    updateDocument,
+    status
+  };
+};
+
+module.exports = { createMemoryStorage };
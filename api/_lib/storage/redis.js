@@ -0,0 +1,247 @@
+// Redis storage - each board is a hash of items plus a sorted set for their order,
+// documents are plain JSON keys; falls back to memory when Redis is unavailable
+// Item read-modify-writes use WATCH/MULTI and retry when another writer gets in first
+const { WatchError } = require('redis');
+const { getRedisClient, isRedisConnected } = require('../redis');
+const { DEFAULT_BOARD_ID, loadInitialItems } = require('./seed');
+const { createMemoryStorage } = require('./memory');
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const createRedisStorage = ({ prefix = 'board' } = {}) => {
+  const fallback = createMemoryStorage();
+  const seededBoards = new Set();
+
+  const boardKeys = (boardId) => ({
+    data: `${prefix}:${boardId}:item-data`,
+    order: `${prefix}:${boardId}:item-order`,
+    seeded: `${prefix}:${boardId}:seeded`,
+    // Whole-array JSON key used before items were stored individually
+    legacy: boardId === DEFAULT_BOARD_ID ? `${prefix}:items` : `${prefix}:${boardId}:items`
+  });
+  const documentKey = (key) => `${prefix}:doc:${key}`;
+
+  // Resolves to a connected client, or null when the memory fallback should be used
+  const connectedClient = async () => {
+    const redis = await getRedisClient();
+    return redis && isRedisConnected() ? redis : null;
+  };
+
+  // Queue the commands that store a full list of items on a transaction
+  const queueItems = (multi, keys, items) => {
+    if (items.length === 0) return multi;
+    return multi
+      .hSet(keys.data, Object.fromEntries(items.map(item => [item.id, JSON.stringify(item)])))
+      .zAdd(keys.order, items.map((item, index) => ({ score: index, value: item.id })));
+  };
+
+  // Run a WATCHed read-modify-write, retrying when the watched key changes underneath it
+  const withWatch = (redis, key, fn) => redis.executeIsolated(async (client) => {
+    for (let attempt = 1; ; attempt++) {
+      await client.watch(key);
+      try {
+        return await fn(client);
+      } catch (error) {
+        if (!(error instanceof WatchError) || attempt >= MAX_TRANSACTION_ATTEMPTS) {
+          await client.unwatch();
+          throw error;
+        }
+        console.log(`🔁 Concurrent write on ${key}, retrying (attempt ${attempt + 1})`);
+      }
+    }
+  });
+
+  // Import the legacy whole-array key, or the initial items, the first time a board is used
+  const ensureBoard = async (redis, boardId) => {
+    if (seededBoards.has(boardId)) return;
+
+    const keys = boardKeys(boardId);
+    // WATCH the marker so only one instance imports when several cold-start together
+    await withWatch(redis, keys.seeded, async (client) => {
+      if (await client.exists(keys.seeded)) {
+        await client.unwatch();
+        return;
+      }
+
+      const legacyData = await client.get(keys.legacy);
+      const items = legacyData ? JSON.parse(legacyData) : await loadInitialItems(boardId);
+      const multi = client.multi().set(keys.seeded, new Date().toISOString());
+      await queueItems(multi, keys, items).exec();
+      console.log(`💾 Imported ${items.length} items for board ${boardId} into Redis`);
+    });
+    seededBoards.add(boardId);
+  };
+
+  const loadBoardItems = async (boardId) => {
+    const redis = await connectedClient();
+    if (!redis) {
+      return fallback.loadBoardItems(boardId);
+    }
+
+    await ensureBoard(redis, boardId);
+    const keys = boardKeys(boardId);
+    const ids = await redis.zRange(keys.order, 0, -1);
+    if (ids.length === 0) return [];
+
+    const values = await redis.hmGet(keys.data, ids);
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  };
+
+  const saveBoardItems = async (boardId, items) => {
+    const redis = await connectedClient();
+    if (!redis) {
+      console.log('⚠️  Redis not available, items will not persist');
+      await fallback.saveBoardItems(boardId, items);
+      return false;
+    }
+
+    const keys = boardKeys(boardId);
+    const multi = redis.multi()
+      .del(keys.data)
+      .del(keys.order)
+      .set(keys.seeded, new Date().toISOString());
+    await queueItems(multi, keys, items).exec();
+    seededBoards.add(boardId);
+    console.log(`💾 Saved ${items.length} items for board ${boardId} to Redis`);
+    return true;
+  };
+
+  const deleteBoardItems = async (boardId) => {
+    const redis = await connectedClient();
+    if (!redis) {
+      return fallback.deleteBoardItems(boardId);
+    }
+    const keys = boardKeys(boardId);
+    await redis.del([keys.data, keys.order, keys.seeded, keys.legacy]);
+    seededBoards.delete(boardId);
+  };
+
+  const getItem = async (boardId, id) => {
+    const redis = await connectedClient();
+    if (!redis) {
+      return fallback.getItem(boardId, id);
+    }
+
+    await ensureBoard(redis, boardId);
+    const value = await redis.hGet(boardKeys(boardId).data, id);
+    return value ? JSON.parse(value) : null;
+  };
+
+  const insertItem = async (boardId, item) => {
+    const redis = await connectedClient();
+    if (!redis) {
+      console.log('⚠️  Redis not available, item will not persist');
+      return fallback.insertItem(boardId, item);
+    }
+
+    await ensureBoard(redis, boardId);
+    const keys = boardKeys(boardId);
+    const added = await redis.hSetNX(keys.data, item.id, JSON.stringify(item));
+    if (!added) return null;
+
+    await redis.zAdd(keys.order, { score: Date.now(), value: item.id });
+    return item;
+  };
+
+  const updateItem = async (boardId, id, update) => {
+    const redis = await connectedClient();
+    if (!redis) {
+      return fallback.updateItem(boardId, id, update);
+    }
+
+    await ensureBoard(redis, boardId);
+    const { data } = boardKeys(boardId);
+    return withWatch(redis, data, async (client) => {
+      const value = await client.hGet(data, id);
+      if (!value) {
+        await client.unwatch();
+        return null;
+      }
+
+      const next = update(JSON.parse(value));
+      await client.multi().hSet(data, id, JSON.stringify(next)).exec();
+      return next;
+    });
+  };
+
+  const removeItem = async (boardId, id, check = () => {}) => {
+    const redis = await connectedClient();
+    if (!redis) {
+      return fallback.removeItem(boardId, id, check);
+    }
+
+    await ensureBoard(redis, boardId);
+    const keys = boardKeys(boardId);
+    return withWatch(redis, keys.data, async (client) => {
+      const value = await client.hGet(keys.data, id);
+      if (!value) {
+        await client.unwatch();
+        return null;
+      }
+
+      const current = JSON.parse(value);
+      check(current);
+      await client.multi().hDel(keys.data, id).zRem(keys.order, id).exec();
+      return current;
+    });
+  };
+
+  const loadDocument = async (key) => {
+    const redis = await connectedClient();
+    if (!redis) {
+      return fallback.loadDocument(key);
+    }
+    const data = await redis.get(documentKey(key));
+    return data ? JSON.parse(data) : null;
+  };
+
+  const saveDocument = async (key, value) => {
+    const redis = await connectedClient();
+    if (!redis) {
+      await fallback.saveDocument(key, value);
+      return false;
+    }
+    await redis.set(documentKey(key), JSON.stringify(value));
+    return true;
+  };
+
+  const updateDocument = async (key, update) => {
+    const redis = await connectedClient();
+    if (!redis) {
+      return fallback.updateDocument(key, update);
+    }
+
+    const target = documentKey(key);
+    return withWatch(redis, target, async (client) => {
+      const data = await client.get(target);
+      const next = update(data ? JSON.parse(data) : null);
+      await client.multi().set(target, JSON.stringify(next)).exec();
+      return next;
+    });
+  };
+
+  const status = async () => {
+    await getRedisClient();
+    return {
+      storage: isRedisConnected() ? 'redis' : 'fallback',
+      redis: isRedisConnected() ? 'connected' : 'disconnected'
+    };
+  };
+
+  return {
+    name: 'redis',
+    loadBoardItems,
+    saveBoardItems,
+    deleteBoardItems,
+    getItem,
+    insertItem,
+    updateItem,
+    removeItem,
+    loadDocument,
+    saveDocument,
+    updateDocument,
+    status
+  };
+};
+
+module.exports = { createRedisStorage };
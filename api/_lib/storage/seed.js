@@ -0,0 +1,23 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Board that legacy /api/* routes operate on; it is seeded from the frontend data
+const DEFAULT_BOARD_ID = 'default';
+
+// Source data bundled with the frontend - used to seed the default board
+const SEED_FILE = path.join(__dirname, '..', '..', '..', 'src', 'data', 'boardItems.json');
+
+const loadSeedItems = async () => {
+  try {
+    const sourceData = await fs.readFile(SEED_FILE, 'utf8');
+    return JSON.parse(sourceData);
+  } catch (error) {
+    console.log('Source data not found, starting with an empty board');
+    return [];
+  }
+};
+
+// Items a board starts with before anything has been saved to it
+const loadInitialItems = (boardId) => (boardId === DEFAULT_BOARD_ID ? loadSeedItems() : Promise.resolve([]));
+
+module.exports = { DEFAULT_BOARD_ID, SEED_FILE, loadSeedItems, loadInitialItems };
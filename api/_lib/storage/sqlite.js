@@ -0,0 +1,150 @@
+// SQLite storage - one row per item, keyed by board, in a local database file
+// Item read-modify-writes run inside IMMEDIATE transactions, so they are atomic
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_BOARD_ID, loadInitialItems } = require('./seed');
+
+const DEFAULT_DB_FILE = path.join(__dirname, '..', '..', '..', 'data', 'board.sqlite');
+
+const createSqliteStorage = ({ file = process.env.SQLITE_PATH || DEFAULT_DB_FILE } = {}) => {
+  let db = null;
+
+  // better-sqlite3 is an optional native dependency, so only load it when selected
+  const openDatabase = async () => {
+    if (db) return db;
+
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS board_items (
+        board_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (board_id, id)
+      );
+      CREATE TABLE IF NOT EXISTS documents (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+    `);
+
+    // user_version marks a database whose default board has already been seeded
+    if (db.pragma('user_version', { simple: true }) === 0) {
+      writeItems(db, DEFAULT_BOARD_ID, await loadInitialItems(DEFAULT_BOARD_ID));
+      db.pragma('user_version = 1');
+      console.log('💾 Seeded SQLite board from source data');
+    }
+    return db;
+  };
+
+  const writeItems = (database, boardId, items) => {
+    const insert = database.prepare('INSERT INTO board_items (board_id, id, position, data) VALUES (?, ?, ?, ?)');
+    database.transaction(() => {
+      database.prepare('DELETE FROM board_items WHERE board_id = ?').run(boardId);
+      items.forEach((item, index) => insert.run(boardId, item.id, index, JSON.stringify(item)));
+    })();
+  };
+
+  const loadBoardItems = async (boardId) => {
+    const database = await openDatabase();
+    const rows = database.prepare('SELECT data FROM board_items WHERE board_id = ? ORDER BY position').all(boardId);
+    return rows.map(row => JSON.parse(row.data));
+  };
+
+  const saveBoardItems = async (boardId, items) => {
+    writeItems(await openDatabase(), boardId, items);
+    return true;
+  };
+
+  const deleteBoardItems = async (boardId) => {
+    const database = await openDatabase();
+    database.prepare('DELETE FROM board_items WHERE board_id = ?').run(boardId);
+  };
+
+  const getItem = async (boardId, id) => {
+    const database = await openDatabase();
+    const row = database.prepare('SELECT data FROM board_items WHERE board_id = ? AND id = ?').get(boardId, id);
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  const insertItem = async (boardId, item) => {
+    const database = await openDatabase();
+    const { changes } = database.prepare(`
+      INSERT OR IGNORE INTO board_items (board_id, id, position, data)
+      VALUES (?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM board_items WHERE board_id = ?), ?)
+    `).run(boardId, item.id, boardId, JSON.stringify(item));
+    return changes ? item : null;
+  };
+
+  const updateItem = async (boardId, id, update) => {
+    const database = await openDatabase();
+    return database.transaction(() => {
+      const row = database.prepare('SELECT data FROM board_items WHERE board_id = ? AND id = ?').get(boardId, id);
+      if (!row) return null;
+
+      const next = update(JSON.parse(row.data));
+      database.prepare('UPDATE board_items SET data = ? WHERE board_id = ? AND id = ?')
+        .run(JSON.stringify(next), boardId, id);
+      return next;
+    }).immediate();
+  };
+
+  const removeItem = async (boardId, id, check = () => {}) => {
+    const database = await openDatabase();
+    return database.transaction(() => {
+      const row = database.prepare('SELECT data FROM board_items WHERE board_id = ? AND id = ?').get(boardId, id);
+      if (!row) return null;
+
+      const current = JSON.parse(row.data);
+      check(current);
+      database.prepare('DELETE FROM board_items WHERE board_id = ? AND id = ?').run(boardId, id);
+      return current;
+    }).immediate();
+  };
+
+  const loadDocument = async (key) => {
+    const database = await openDatabase();
+    const row = database.prepare('SELECT data FROM documents WHERE key = ?').get(key);
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  const saveDocument = async (key, value) => {
+    const database = await openDatabase();
+    database.prepare('INSERT INTO documents (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data')
+      .run(key, JSON.stringify(value));
+    return true;
+  };
+
+  const updateDocument = async (key, update) => {
+    const database = await openDatabase();
+    return database.transaction(() => {
+      const row = database.prepare('SELECT data FROM documents WHERE key = ?').get(key);
+      const next = update(row ? JSON.parse(row.data) : null);
+      database.prepare('INSERT INTO documents (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data')
+        .run(key, JSON.stringify(next));
+      return next;
+    }).immediate();
+  };
+
+  const status = async () => ({ storage: 'sqlite', file });
+
+  return {
+    name: 'sqlite',
+    loadBoardItems,
+    saveBoardItems,
+    deleteBoardItems,
+    getItem,
+    insertItem,
+    updateItem,
+    removeItem,
+    loadDocument,
+    saveDocument,
+    updateDocument,
+    status
+  };
+};
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,487 @@
+// Clinical summary - the documents on a board (patient context, encounters, labs,
+// differential, agent output) as one printable HTML or PDF document, read in zone order
+const { labStatus } = require('./labs');
+const { createPdfDocument, textWidth, wrapText } = require('./pdf');
+
+const SUMMARY_FORMATS = ['html', 'pdf'];
+
+// Items outside every zone are listed last under this heading
+const UNZONED_SECTION = 'Other items';
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const display = (value) => {
+  if (isBlank(value)) return '';
+  if (Array.isArray(value)) return value.map(display).filter(Boolean).join(', ');
+  if (typeof value === 'object') return medicationLine(value);
+  return String(value);
+};
+
+const medicationLine = (medication) => {
+  if (typeof medication !== 'object' || medication === null) return display(medication);
+  const text = [medication.name, medication.dose, medication.route, medication.frequency].filter(Boolean).join(' ');
+  return medication.indication ? `${text} (${medication.indication})` : text;
+};
+
+const dateOnly = (value) => (typeof value === 'string' ? value.split('T')[0] : display(value));
+
+// Blocks are the document's building parts, rendered the same way by both formats
+const fields = (pairs) => {
+  const rows = pairs.map(([label, value]) => [label, display(value)]).filter(([, value]) => value !== '');
+  return rows.length > 0 ? [{ kind: 'fields', rows }] : [];
+};
+const table = (title, columns, rows) => (rows.length > 0
+  ? [...(title ? [{ kind: 'subheading', text: title }] : []), { kind: 'table', columns, rows: rows.map(row => row.map(display)) }]
+  : []);
+const list = (title, entries) => {
+  const items = (entries || []).map(display).filter(Boolean);
+  return items.length > 0 ? [...(title ? [{ kind: 'subheading', text: title }] : []), { kind: 'list', items }] : [];
+};
+const text = (value) => (isBlank(value) ? [] : [{ kind: 'text', text: String(value) }]);
+
+// Headings, bullet lists and paragraphs; inline emphasis is dropped
+const markdownBlocks = (markdown) => {
+  const blocks = [];
+  let bullets = [];
+  let paragraph = [];
+  const flush = () => {
+    if (bullets.length > 0) blocks.push({ kind: 'list', items: bullets });
+    if (paragraph.length > 0) blocks.push({ kind: 'text', text: paragraph.join(' ') });
+    bullets = [];
+    paragraph = [];
+  };
+  for (const raw of String(markdown || '').split('\n')) {
+    const line = raw.trim().replace(/\*\*|__|`/g, '');
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    const bullet = line.match(/^(?:[-*+]|\d+\.)\s+(.*)$/);
+    if (heading) {
+      flush();
+      blocks.push({ kind: 'subheading', text: heading[1] });
+    } else if (bullet) {
+      if (paragraph.length > 0) flush();
+      bullets.push(bullet[1]);
+    } else if (line === '') {
+      flush();
+    } else {
+      if (bullets.length > 0) flush();
+      paragraph.push(line);
+    }
+  }
+  flush();
+  return blocks;
+};
+
+// Lab store observations use parameter/observedAt/range, board props name/date/referenceRange
+const labTableRows = (labs) => labs.map((lab) => {
+  const range = lab.range || lab.referenceRange || null;
+  const min = range?.min ?? range?.low;
+  const max = range?.max ?? range?.high;
+  const value = typeof lab.value === 'string' && lab.value.trim() !== '' ? Number(lab.value) : lab.value;
+  const status = lab.status ||
+    (Number.isFinite(value) && Number.isFinite(min) && Number.isFinite(max) ? labStatus(value, { ...range, min, max }) : lab.interpretation);
+  return [
+    lab.parameter || lab.name,
+    [lab.value, lab.unit].filter(part => !isBlank(part)).join(' '),
+    Number.isFinite(min) && Number.isFinite(max) ? `${min}-${max}` : '',
+    status,
+    dateOnly(lab.observedAt || lab.date)
+  ];
+});
+
+const encounterBlocks = (encounter = {}) => {
+  const meta = encounter.meta || {};
+  const plan = encounter.plan || {};
+  return [
+    ...fields([
+      ['Date', meta.date_time?.replace('T', ' ')],
+      ['Visit type', meta.visit_type],
+      ['Provider', [meta.provider?.name, meta.provider?.specialty].filter(Boolean).join(', ')],
+      ['Tags', meta.event_tags],
+      ['Reason for visit', encounter.reason_for_visit],
+      ['Chief complaint', encounter.chief_complaint !== encounter.reason_for_visit ? encounter.chief_complaint : null]
+    ]),
+    ...(encounter.hpi ? [{ kind: 'subheading', text: 'History of present illness' }, ...text(encounter.hpi)] : []),
+    ...list('Prior medications', (encounter.medications_prior || []).map(medicationLine)),
+    ...(encounter.physical_exam && Object.keys(encounter.physical_exam).length > 0
+      ? [{ kind: 'subheading', text: 'Physical exam' }, ...fields(Object.entries(encounter.physical_exam).map(([system, finding]) => [system.replace(/_/g, ' '), finding]))]
+      : []),
+    ...(encounter.assessment ? [{ kind: 'subheading', text: 'Assessment' }, ...fields([['Impression', encounter.assessment.impression]])] : []),
+    ...list('Differential', encounter.assessment?.differential),
+    ...list('Investigations', plan.investigations?.labs),
+    ...list('Medications started', (plan.management?.medications_started || []).map(medicationLine)),
+    ...list('Management', plan.management?.education)
+  ];
+};
+
+const encounterHeading = (encounter = {}) => {
+  const date = dateOnly(encounter.meta?.date_time || encounter.date);
+  return [['Encounter', encounter.encounter_no].filter(part => !isBlank(part)).join(' '), date].filter(Boolean).join(' - ');
+};
+
+const rucamBlocks = (rucam) => (rucam?.rows?.length > 0
+  ? [
+    ...table(rucam.title || 'RUCAM', rucam.columns || ['#', 'Parameter', 'Findings', 'Score', 'Explanation'], rucam.rows),
+    ...fields([['Total score', rucam.total_score], ['Causality', rucam.causality_category]])
+  ]
+  : []);
+
+const interactionBlocks = (interactions) => table('Drug interactions', ['Drugs', 'Severity', 'Effect', 'Management', 'Overlap'],
+  (interactions || []).map(interaction => [
+    interaction.drugs,
+    interaction.severity,
+    interaction.effect || interaction.mechanism,
+    interaction.management,
+    interaction.overlap ? `${interaction.overlap.start} to ${interaction.overlap.ongoing ? 'ongoing' : interaction.overlap.end}` : ''
+  ]));
+
+// Blocks for each component type; returning null leaves the item out of the summary
+const componentRenderers = {
+  PatientContext: (props) => {
+    const data = props.patientData || {};
+    return [
+      ...fields([
+        ['Primary diagnosis', data.primaryDiagnosis],
+        ['Risk level', data.riskLevel],
+        ['Allergies', data.allergies]
+      ]),
+      ...table('Problem list', ['Problem', 'Status', 'First recorded'],
+        (data.problem_list || []).map(problem => [problem.name, problem.status, problem.first_recorded])),
+      ...table('Medications', ['Medication', 'Dose', 'Route', 'Frequency', 'Start', 'End'],
+        (data.medication_timeline || []).map(medication => [medication.name, medication.dose, medication.route, medication.frequency, medication.start, medication.end]))
+    ];
+  },
+  EncounterTimeline: (props) => {
+    const risk = new Map((props.riskScores?.scores || []).map(score => [score.encounter_no, score]));
+    return [
+      ...table('Encounters', ['#', 'Date', 'Type', 'Provider', 'Diagnosis', 'Risk', 'Notes'],
+        (props.encounters || []).map(encounter => {
+          const score = risk.get(encounter.encounter_no);
+          return [encounter.encounter_no, encounter.date, encounter.type, encounter.provider, encounter.diagnosis,
+            score ? `${score.score} (${score.level})` : '', encounter.notes];
+        })),
+      ...table('Medication timeline', ['Medication', 'Dose', 'Start', 'End', 'Indication'],
+        (props.medicationTimeline || []).map(medication => [medication.name, medication.dose, medication.startDate, medication.endDate, medication.indication])),
+      ...interactionBlocks(props.interactions)
+    ];
+  },
+  SingleEncounterDocument: (props) => encounterBlocks(props.encounter),
+  EncounterDocument: (props) => (props.patientData?.encounters || []).flatMap(encounter => [
+    { kind: 'subheading', text: encounterHeading(encounter) },
+    ...encounterBlocks(encounter)
+  ]),
+  // LabTable and LabChart show the same observations; the summary lists them once
+  LabTable: (props, context) => {
+    if (context.labsShown) return null;
+    context.labsShown = true;
+    const labs = context.labs.length > 0
+      ? context.labs
+      : (props.labs || (props.encounters || []).flatMap(encounter => (encounter.labs || []).map(lab => ({ date: encounter.date, ...lab }))));
+    const rows = labTableRows(labs);
+    return rows.length > 0
+      ? table(null, ['Test', 'Value', 'Reference range', 'Status', 'Date'], rows)
+      : text('No lab observations recorded.');
+  },
+  AdverseEventAnalytics: (props) => {
+    const data = props.patientData || {};
+    return [
+      ...table('Adverse events', ['Event', 'Severity', 'Description'],
+        (data.adverseEvents || []).map(event => [event.event, event.severity, event.description])),
+      ...rucamBlocks(data.rucam),
+      ...table(data.ctcae ? `CTCAE grades (overall ${data.ctcae.overall_grade})` : null, ['Analyte', 'Term', 'Grade', 'Value'],
+        (data.ctcae?.results || []).map(result => [result.analyte, result.term, result.grade, result.value]))
+    ];
+  },
+  DifferentialDiagnosis: (props) => {
+    const data = props.patientData || {};
+    return [
+      ...(data.encounters || []).flatMap(encounter => [
+        { kind: 'subheading', text: encounterHeading(encounter) },
+        ...fields([['Impression', encounter.assessment?.impression]]),
+        ...list(null, encounter.assessment?.differential),
+        ...rucamBlocks(encounter.rucam_ctcae_analysis?.rucam),
+        ...fields([['Reasoning', encounter.rucam_ctcae_analysis?.reasoning]])
+      ]),
+      ...rucamBlocks(data.rucam),
+      ...interactionBlocks(data.interactions)
+    ];
+  },
+  DrugInteractions: (props) => [
+    ...fields([['Checked', props.checkedAt], ['Interaction table', props.tableVersion], ['Medications checked', props.medicationCount]]),
+    ...(props.interactions?.length > 0 ? interactionBlocks(props.interactions) : text('No interactions found.'))
+  ],
+  NotesPanel: (props, context) => (context.notes.length > 0
+    ? context.notes.flatMap(note => [
+      { kind: 'subheading', text: `${note.author}, ${dateOnly(note.createdAt)}` },
+      ...text(note.content)
+    ])
+    : text('No clinical notes.'))
+};
+componentRenderers.LabChart = componentRenderers.LabTable;
+
+const COMPONENT_HEADINGS = {
+  PatientContext: 'Patient context',
+  EncounterTimeline: 'Encounter timeline',
+  SingleEncounterDocument: 'Encounter',
+  EncounterDocument: 'Encounter documents',
+  LabTable: 'Laboratory results',
+  LabChart: 'Laboratory results',
+  AdverseEventAnalytics: 'Adverse event analysis',
+  DifferentialDiagnosis: 'Differential diagnosis',
+  DrugInteractions: 'Drug interactions',
+  NotesPanel: 'Clinical notes'
+};
+
+// Blocks for any item; shapes and components the summary cannot read are left out
+const itemEntry = (item, context) => {
+  switch (item.type) {
+    case 'component': {
+      const render = componentRenderers[item.componentType];
+      const props = item.content?.props || {};
+      const blocks = render ? render(props, context) : null;
+      if (!blocks || blocks.length === 0) return null;
+      const heading = item.componentType === 'SingleEncounterDocument'
+        ? encounterHeading(props.encounter)
+        : COMPONENT_HEADINGS[item.componentType];
+      return { heading, blocks };
+    }
+    case 'agent':
+    case 'agent_result':
+      return item.agentData
+        ? { heading: item.agentData.title || 'Agent output', blocks: markdownBlocks(item.agentData.markdown) }
+        : { heading: 'Agent output', blocks: markdownBlocks(item.content) };
+    case 'todo':
+      return {
+        heading: item.todoData?.title || 'Tasks',
+        blocks: [
+          ...text(item.todoData?.description),
+          ...table(null, ['Task', 'Status', 'Assigned to'],
+            (item.todoData?.todos || []).map(todo => [todo.text, todo.status, todo.agent]))
+        ]
+      };
+    case 'lab-result': {
+      const data = item.labResultData || {};
+      return { heading: data.parameter || 'Lab result', blocks: table(null, ['Test', 'Value', 'Reference range', 'Status', 'Date'], labTableRows([data])) };
+    }
+    case 'text':
+    case 'sticky':
+    case 'ehr':
+      return isBlank(item.content) ? null : { heading: item.type === 'ehr' ? 'EHR record' : 'Note', blocks: text(item.content) };
+    default:
+      return null;
+  }
+};
+
+const numeric = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+// The zone an item belongs to is the one holding its centre ('auto' heights count as 0)
+const zoneOf = (zones, item) => {
+  const x = numeric(item.x) + numeric(item.width) / 2;
+  const y = numeric(item.y) + numeric(item.height) / 2;
+  return zones.find(zone => x >= zone.x && x < zone.x + zone.width && y >= zone.y && y < zone.y + zone.height) || null;
+};
+
+const byPosition = (a, b) => numeric(a.y) - numeric(b.y) || numeric(a.x) - numeric(b.x);
+
+// The summary as plain data: zones top to bottom then left to right, and items in each
+// zone in reading order. `labs` are observations from the lab store and `notes` the
+// patient's clinical notes.
+const buildSummary = ({ board, items, zones = [], labs = [], notes = [], generatedAt = new Date().toISOString() }) => {
+  const orderedZones = [...zones].sort(byPosition);
+  const context = { labs, notes, labsShown: false };
+  const sections = orderedZones.map(zone => ({ title: zone.label || zone.name, items: [] }));
+  const unzoned = { title: UNZONED_SECTION, items: [] };
+
+  for (const item of [...items].sort(byPosition)) {
+    const entry = itemEntry(item, context);
+    if (!entry) continue;
+    const zone = zoneOf(orderedZones, item);
+    (zone ? sections[orderedZones.indexOf(zone)] : unzoned).items.push({ id: item.id, ...entry });
+  }
+
+  const patientData = items.find(item => item.componentType === 'PatientContext')?.content?.props?.patientData || {};
+  const patient = patientData.patient || {};
+  return {
+    title: `Clinical summary${patient.name ? ` - ${patient.name}` : ''}`,
+    generatedAt,
+    board: { id: board.id, name: board.name, patientId: board.patientId },
+    patient: fields([
+      ['Name', patient.name],
+      ['MRN', patient.identifiers?.mrn],
+      ['Age', patient.age],
+      ['Sex', patient.sex],
+      ['Board', board.name || board.id]
+    ])[0]?.rows || [],
+    sections: [...sections, unzoned].filter(section => section.items.length > 0)
+  };
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const htmlBlock = (block) => {
+  switch (block.kind) {
+    case 'fields':
+      return `<dl>${block.rows.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`;
+    case 'table':
+      return `<table><thead><tr>${block.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>` +
+        `<tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+    case 'list':
+      return `<ul>${block.items.map(entry => `<li>${escapeHtml(entry)}</li>`).join('')}</ul>`;
+    case 'subheading':
+      return `<h4>${escapeHtml(block.text)}</h4>`;
+    default:
+      return block.text.split(/\n{2,}/).map(part => `<p>${escapeHtml(part)}</p>`).join('');
+  }
+};
+
+const HTML_STYLE = `
+  @page { size: A4; margin: 18mm; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 10pt; color: #111; max-width: 190mm; margin: 0 auto; padding: 12px; }
+  h1 { font-size: 18pt; margin: 0 0 4px; }
+  h2 { font-size: 14pt; border-bottom: 1px solid #999; padding-bottom: 2px; margin-top: 24px; }
+  h3 { font-size: 12pt; margin: 16px 0 6px; }
+  h4 { font-size: 10pt; margin: 10px 0 4px; }
+  .meta { color: #666; font-size: 9pt; margin-bottom: 12px; }
+  dl { display: grid; grid-template-columns: 35mm 1fr; gap: 2px 8px; margin: 4px 0; }
+  dt { font-weight: bold; }
+  dd { margin: 0; }
+  table { border-collapse: collapse; width: 100%; margin: 4px 0 8px; font-size: 9pt; }
+  th, td { border: 1px solid #ccc; padding: 3px 5px; text-align: left; vertical-align: top; }
+  th { background: #f0f0f0; }
+  tr, dl, h4 { break-inside: avoid; }
+  h2, h3 { break-after: avoid; }
+  article { break-inside: auto; }
+  ul { margin: 4px 0; padding-left: 18px; }
+  p { margin: 4px 0; }
+`;
+
+const renderSummaryHtml = (summary) => [
+  '<!DOCTYPE html>',
+  '<html lang="en">',
+  `<head><meta charset="utf-8"><title>${escapeHtml(summary.title)}</title><style>${HTML_STYLE}</style></head>`,
+  '<body>',
+  `<header><h1>${escapeHtml(summary.title)}</h1>`,
+  `<div class="meta">Generated ${escapeHtml(summary.generatedAt)} from board ${escapeHtml(summary.board.id)}</div>`,
+  summary.patient.length > 0 ? htmlBlock({ kind: 'fields', rows: summary.patient }) : '',
+  '</header>',
+  ...summary.sections.map(section => [
+    `<section><h2>${escapeHtml(section.title)}</h2>`,
+    ...section.items.map(item => `<article id="${escapeHtml(item.id)}"><h3>${escapeHtml(item.heading)}</h3>${item.blocks.map(htmlBlock).join('')}</article>`),
+    '</section>'
+  ].join('\n')),
+  '</body>',
+  '</html>'
+].join('\n');
+
+const GREY = [110, 110, 110];
+const LABEL_WIDTH = 110;
+const TABLE_SIZE = 8;
+const CELL_PADDING = 3;
+
+// Column widths in proportion to each column's longest line, within bounds, filling the page
+const columnWidths = (columns, rows, total) => {
+  const wanted = columns.map((column, index) => Math.min(Math.max(
+    textWidth(column, TABLE_SIZE, 'bold'),
+    ...rows.map(row => textWidth(row[index] ?? '', TABLE_SIZE))
+  ) + 2 * CELL_PADDING, 220));
+  const floor = wanted.map(width => Math.max(width, 28));
+  const sum = floor.reduce((a, b) => a + b, 0);
+  return floor.map(width => (width / sum) * total);
+};
+
+const pdfTable = (pdf, { columns, rows }) => {
+  const widths = columnWidths(columns, rows, pdf.contentWidth);
+  const lineHeight = TABLE_SIZE * 1.3;
+  const layout = (cells, font) => cells.map((cell, index) => wrapText(cell ?? '', widths[index] - 2 * CELL_PADDING, TABLE_SIZE, font));
+
+  const drawRow = (lines, font, shaded) => {
+    const height = Math.max(...lines.map(cell => cell.length)) * lineHeight + 2 * CELL_PADDING;
+    if (shaded) pdf.rect(0, pdf.y, pdf.contentWidth, height);
+    let x = 0;
+    lines.forEach((cell, index) => {
+      cell.forEach((line, number) => pdf.text(line, x + CELL_PADDING, pdf.y + CELL_PADDING + number * lineHeight, { size: TABLE_SIZE, font }));
+      x += widths[index];
+    });
+    pdf.line(0, pdf.y + height, pdf.contentWidth, pdf.y + height);
+    pdf.y += height;
+  };
+
+  const header = layout(columns, 'bold');
+  const headerHeight = Math.max(...header.map(cell => cell.length)) * lineHeight + 2 * CELL_PADDING;
+  pdf.ensureSpace(headerHeight * 2);
+  drawRow(header, 'bold', true);
+  for (const row of rows) {
+    const lines = layout(row, 'regular');
+    const height = Math.max(...lines.map(cell => cell.length)) * lineHeight + 2 * CELL_PADDING;
+    const before = pdf.y;
+    pdf.ensureSpace(height);
+    // The header is repeated at the top of each page the table runs onto
+    if (pdf.y < before) drawRow(header, 'bold', true);
+    drawRow(lines, 'regular', false);
+  }
+  pdf.y += 6;
+};
+
+const pdfBlock = (pdf, block) => {
+  switch (block.kind) {
+    case 'fields':
+      for (const [label, value] of block.rows) {
+        // Keep the label with at least the start of its value
+        const lines = wrapText(value, pdf.contentWidth - LABEL_WIDTH, 9);
+        pdf.ensureSpace(Math.min(lines.length, 3) * 9 * 1.35);
+        pdf.text(label, 0, pdf.y, { size: 9, font: 'bold' });
+        pdf.paragraph(value, { x: LABEL_WIDTH, size: 9, gap: 1 });
+      }
+      pdf.y += 3;
+      break;
+    case 'table':
+      pdfTable(pdf, block);
+      break;
+    case 'list':
+      for (const entry of block.items) {
+        pdf.ensureSpace(12);
+        pdf.text('•', 4, pdf.y, { size: 9 });
+        pdf.paragraph(entry, { x: 14, size: 9, gap: 1 });
+      }
+      pdf.y += 3;
+      break;
+    case 'subheading':
+      pdf.ensureSpace(30);
+      pdf.y += 3;
+      pdf.paragraph(block.text, { size: 10, font: 'bold', gap: 2 });
+      break;
+    default:
+      pdf.paragraph(block.text, { size: 9 });
+  }
+};
+
+const renderSummaryPdf = (summary) => {
+  const pdf = createPdfDocument({ title: summary.title });
+  pdf.ensureSpace(0);
+  pdf.paragraph(summary.title, { size: 18, font: 'bold', gap: 2 });
+  pdf.paragraph(`Generated ${summary.generatedAt} from board ${summary.board.id}`, { size: 8, rgb: GREY, gap: 8 });
+  if (summary.patient.length > 0) pdfBlock(pdf, { kind: 'fields', rows: summary.patient });
+
+  for (const section of summary.sections) {
+    // Room for the zone heading and the start of its first item
+    pdf.ensureSpace(120);
+    pdf.y += 10;
+    pdf.paragraph(section.title, { size: 14, font: 'bold', gap: 2 });
+    pdf.line(0, pdf.y, pdf.contentWidth, pdf.y, { rgb: [150, 150, 150], width: 0.8 });
+    pdf.y += 6;
+    for (const item of section.items) {
+      pdf.ensureSpace(60);
+      pdf.y += 4;
+      pdf.paragraph(item.heading, { size: 12, font: 'bold', gap: 3 });
+      item.blocks.forEach(block => pdfBlock(pdf, block));
+    }
+  }
+  return pdf.toBuffer();
+};
+
+module.exports = { buildSummary, renderSummaryHtml, renderSummaryPdf, SUMMARY_FORMATS };
@@ -0,0 +1,242 @@
+// Focus tours - scripted walks through a board for presenting a case. A tour is an ordered
+// list of focus steps; playing it shows each step for its dwell time, then the next one.
+const { generateId } = require('./items');
+
+// Thrown when a tour cannot be written or played as given
+class TourError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TourError';
+  }
+}
+
+const MAX_STEPS = 100;
+const MAX_TITLE_LENGTH = 200;
+const MAX_CAPTION_LENGTH = 1000;
+const DEFAULT_DWELL = 5000; // ms
+const MAX_DWELL = 10 * 60 * 1000;
+const MIN_ZOOM = 0.1; // The canvas zooms between these
+const MAX_ZOOM = 3;
+const DEFAULT_ZOOM = 0.8;
+
+const documentKey = (boardId) => `tours-${boardId}`;
+
+const checkTitle = (title) => {
+  if (typeof title !== 'string' || title.trim() === '') {
+    throw new TourError('title must be a non-empty string');
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    throw new TourError(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  return title.trim();
+};
+
+// The steps as stored, with defaults filled in; throws TourError naming the first bad field
+const checkSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+    throw new TourError(`steps must be an array of 1 to ${MAX_STEPS} steps`);
+  }
+  return steps.map((step, index) => {
+    const fail = (message) => new TourError(`steps[${index}].${message}`);
+    const { objectId, subElement = null, zoom = DEFAULT_ZOOM, dwell = DEFAULT_DWELL, caption = '' } = step || {};
+    if (typeof objectId !== 'string' || objectId === '') throw fail('objectId must be a non-empty string');
+    if (subElement !== null && typeof subElement !== 'string') throw fail('subElement must be a string');
+    if (!Number.isFinite(zoom) || zoom < MIN_ZOOM || zoom > MAX_ZOOM) throw fail(`zoom must be between ${MIN_ZOOM} and ${MAX_ZOOM}`);
+    if (!Number.isFinite(dwell) || dwell <= 0 || dwell > MAX_DWELL) throw fail(`dwell must be 1 to ${MAX_DWELL} ms`);
+    if (typeof caption !== 'string' || caption.length > MAX_CAPTION_LENGTH) {
+      throw fail(`caption must be a string of at most ${MAX_CAPTION_LENGTH} characters`);
+    }
+    return { objectId, subElement, zoom, dwell, caption };
+  });
+};
+
+const createTourStore = ({ storage }) => {
+  const load = async (boardId) => (await storage.loadDocument(documentKey(boardId))) || [];
+
+  const list = (boardId) => load(boardId);
+
+  const get = async (boardId, tourId) => (await load(boardId)).find(tour => tour.id === tourId) || null;
+
+  const create = async (boardId, { title, steps, createdBy = null }) => {
+    const now = new Date().toISOString();
+    const tour = {
+      id: generateId('tour'),
+      title: checkTitle(title),
+      steps: checkSteps(steps),
+      // status is stopped (not started, or stopped), playing, paused or finished (ran
+      // past its last step); step is the index on screen, null when none is
+      playback: { status: 'stopped', step: null, updatedAt: now },
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+    await storage.updateDocument(documentKey(boardId), (current) => [...(current || []), tour]);
+    return tour;
+  };
+
+  // Apply change(tour) to one tour; resolves to { before, tour }, with tour null when there
+  // is no such tour. change() returns the new tour, or null to leave it as it is.
+  const modify = async (boardId, tourId, change) => {
+    let before = null;
+    let tour = null;
+    await storage.updateDocument(documentKey(boardId), (current) => {
+      const tours = current || [];
+      before = tours.find(existing => existing.id === tourId) || null;
+      tour = before && (change(before) || before);
+      return tours.map(existing => (existing === before ? tour : existing));
+    });
+    return { before, tour };
+  };
+
+  // Change the title or steps; a running tour carries on from the same step number, or
+  // from the new last step when there are fewer steps now
+  const update = (boardId, tourId, { title, steps }) => {
+    const changes = {
+      ...(title !== undefined ? { title: checkTitle(title) } : {}),
+      ...(steps !== undefined ? { steps: checkSteps(steps) } : {})
+    };
+    return modify(boardId, tourId, (tour) => {
+      const updated = { ...tour, ...changes, updatedAt: new Date().toISOString() };
+      if (updated.playback.step !== null && updated.playback.step >= updated.steps.length) {
+        updated.playback = { ...updated.playback, step: updated.steps.length - 1 };
+      }
+      return updated;
+    });
+  };
+
+  // Resolves to the removed tour, or null when there was none
+  const remove = async (boardId, tourId) => {
+    let removed = null;
+    await storage.updateDocument(documentKey(boardId), (current) => {
+      const tours = current || [];
+      removed = tours.find(tour => tour.id === tourId) || null;
+      return tours.filter(tour => tour !== removed);
+    });
+    return removed;
+  };
+
+  // Move playback on: next(tour) returns { status, step } or null for no change. Resolves
+  // to { tour, changed }, with tour null when there is no such tour.
+  const setPlayback = async (boardId, tourId, next) => {
+    let changed = false;
+    const { tour } = await modify(boardId, tourId, (current) => {
+      const playback = next(current);
+      changed = Boolean(playback);
+      return playback && { ...current, playback: { ...playback, updatedAt: new Date().toISOString() } };
+    });
+    return { tour, changed };
+  };
+
+  // Drop all of a board's tours, for a board that is deleted
+  const reset = (boardId) => storage.saveDocument(documentKey(boardId), null);
+
+  return { list, get, create, update, remove, setPlayback, reset };
+};
+
+// Plays tours: keeps a timer per playing tour that moves it on after the step's dwell time,
+// and sends every change to the board's clients as a tour-step event. Timers live in this
+// process, so a tour only advances by itself while the instance that started it runs.
+const createTourPlayer = ({ tours }) => {
+  const timers = new Map();
+  const timerKey = (boardId, tourId) => `${boardId}:${tourId}`;
+
+  const clearTimer = (boardId, tourId) => {
+    clearTimeout(timers.get(timerKey(boardId, tourId)));
+    timers.delete(timerKey(boardId, tourId));
+  };
+
+  // Tell clients where the tour is; `action` says what moved it
+  const announce = (board, tour, action) => board.broadcast({
+    event: 'tour-step',
+    tourId: tour.id,
+    title: tour.title,
+    status: tour.playback.status,
+    action,
+    index: tour.playback.step,
+    total: tour.steps.length,
+    step: tour.playback.step === null ? null : tour.steps[tour.playback.step],
+    timestamp: new Date().toISOString()
+  });
+
+  // Apply a playback change, (re)start the dwell timer of a playing tour and tell clients.
+  // Resolves to the tour, or null when there is no such tour.
+  const go = async (board, tourId, action, next) => {
+    const { tour, changed } = await tours.setPlayback(board.id, tourId, next);
+    if (!tour || !changed) return tour;
+
+    clearTimer(board.id, tourId);
+    if (tour.playback.status === 'playing') {
+      const timer = setTimeout(() => {
+        advance(board, tourId).catch(error => console.error(`Error advancing tour ${tourId}:`, error));
+      }, tour.steps[tour.playback.step].dwell);
+      if (timer.unref) timer.unref();
+      timers.set(timerKey(board.id, tourId), timer);
+    }
+
+    console.log(`🎬 Tour ${tourId} on board ${board.id}: ${action} -> ${tour.playback.status}${tour.playback.step === null ? '' : ` at step ${tour.playback.step + 1}/${tour.steps.length}`}`);
+    announce(board, tour, action);
+    return tour;
+  };
+
+  const lastStep = (tour) => tour.steps.length - 1;
+
+  // Stepping by hand keeps a playing tour playing; any other tour is paused on the step
+  const stepTo = (tour, step) => (step > lastStep(tour)
+    ? { status: 'finished', step: null }
+    : { status: tour.playback.status === 'playing' ? 'playing' : 'paused', step: Math.max(0, step) });
+
+  const advance = (board, tourId) => go(board, tourId, 'advance', tour =>
+    (tour.playback.status === 'playing' ? stepTo(tour, tour.playback.step + 1) : null));
+
+  // Play from `step`, else resume a paused tour or start from the top. Only one tour plays
+  // on a board at a time, so any other running tour is stopped.
+  const play = async (board, tourId, { step } = {}) => {
+    const others = (await tours.list(board.id))
+      .filter(tour => tour.id !== tourId && ['playing', 'paused'].includes(tour.playback.status));
+    for (const other of others) {
+      await stop(board, other.id);
+    }
+
+    return go(board, tourId, 'play', (tour) => {
+      if (step !== undefined && (!Number.isInteger(step) || step < 0 || step > lastStep(tour))) {
+        throw new TourError(`step must be an index from 0 to ${lastStep(tour)}`);
+      }
+      const resume = ['playing', 'paused'].includes(tour.playback.status) ? tour.playback.step : 0;
+      return { status: 'playing', step: step ?? resume };
+    });
+  };
+
+  const pause = (board, tourId) => go(board, tourId, 'pause', tour =>
+    (tour.playback.status === 'playing' ? { status: 'paused', step: tour.playback.step } : null));
+
+  const next = (board, tourId) => go(board, tourId, 'next', tour =>
+    stepTo(tour, tour.playback.step === null ? 0 : tour.playback.step + 1));
+
+  const prev = (board, tourId) => go(board, tourId, 'prev', tour =>
+    stepTo(tour, tour.playback.step === null ? 0 : tour.playback.step - 1));
+
+  const stop = (board, tourId) => go(board, tourId, 'stop', tour =>
+    (['playing', 'paused'].includes(tour.playback.status) ? { status: 'stopped', step: null } : null));
+
+  // A removed tour that was on screen is taken off it
+  const forget = (board, tour) => {
+    clearTimer(board.id, tour.id);
+    if (['playing', 'paused'].includes(tour.playback.status)) {
+      announce(board, { ...tour, playback: { status: 'stopped', step: null } }, 'stop');
+    }
+  };
+
+  // A deleted board's tours stop where they are
+  const forgetBoard = (boardId) => {
+    [...timers.keys()]
+      .filter(key => key.startsWith(`${boardId}:`))
+      .forEach((key) => {
+        clearTimeout(timers.get(key));
+        timers.delete(key);
+      });
+  };
+
+  return { play, pause, next, prev, stop, forget, forgetBoard };
+};
+
+module.exports = { createTourStore, createTourPlayer, TourError };
@@ -0,0 +1,67 @@
+// Schema validation for board item writes, using the schemas in ./schemas
+const Ajv = require('ajv');
+const { itemSchemas, componentSchemas, SCHEMA_BASE } = require('./schemas');
+
+// Thrown when an item would be stored in a shape its schema does not allow;
+// `details` lists one { path, message, keyword, params } entry per problem
+class ValidationError extends Error {
+  constructor(details) {
+    super('Board item failed schema validation');
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+Object.values(itemSchemas).forEach(schema => ajv.addSchema(schema));
+Object.values(componentSchemas).forEach(schema => ajv.addSchema(schema));
+
+// Paths are JSON Pointers into the item, e.g. /todoData/todos/0/status
+const formatErrors = (errors, prefix = '') => errors.map(({ instancePath, message, keyword, params }) => ({
+  path: `${prefix}${instancePath}` || '/',
+  message,
+  keyword,
+  params
+}));
+
+// List every schema problem with an item; empty when the item is valid
+const validateItem = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return [{ path: '/', message: 'must be object', keyword: 'type', params: { type: 'object' } }];
+  }
+
+  const validate = ajv.getSchema(`${SCHEMA_BASE}/items/${item.type}`);
+  if (!validate) {
+    const allowedValues = Object.keys(itemSchemas);
+    return [{
+      path: '/type',
+      message: `must be one of: ${allowedValues.join(', ')}`,
+      keyword: 'enum',
+      params: { allowedValues }
+    }];
+  }
+  if (!validate(item)) {
+    return formatErrors(validate.errors);
+  }
+
+  if (item.type === 'component') {
+    const validateProps = ajv.getSchema(`${SCHEMA_BASE}/components/${item.componentType}`);
+    if (!validateProps(item.content.props)) {
+      return formatErrors(validateProps.errors, '/content/props');
+    }
+  }
+
+  return [];
+};
+
+const assertValidItem = (item) => {
+  const details = validateItem(item);
+  if (details.length > 0) {
+    throw new ValidationError(details);
+  }
+};
+
+// Response body for a ValidationError (sent with 422)
+const validationErrorBody = (error) => ({ error: error.message, details: error.details });
+
+module.exports = { ValidationError, validateItem, assertValidItem, validationErrorBody };
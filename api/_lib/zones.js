@@ -0,0 +1,169 @@
+// Canvas zones - the labelled regions of a board. Each board keeps its own zones, starting
+// from the ones defined in src/data/zone-config.json
+const fs = require('fs').promises;
+const path = require('path');
+
+// Thrown when a zone cannot be created, changed or used as given
+class ZoneError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZoneError';
+  }
+}
+
+const ZONE_CONFIG_FILE = path.join(__dirname, '..', '..', 'src', 'data', 'zone-config.json');
+
+const ZONE_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,63}$/;
+
+// Fields a zone keeps; anything else sent with it is dropped
+const ZONE_FIELDS = ['name', 'label', 'x', 'y', 'width', 'height', 'color', 'gradient', 'borderGradient', 'description'];
+
+const loadZoneConfig = async () => {
+  try {
+    const config = JSON.parse(await fs.readFile(ZONE_CONFIG_FILE, 'utf8'));
+    return config.zones || [];
+  } catch (error) {
+    console.log('Zone config not found, placing items without zones');
+    return [];
+  }
+};
+
+// Zones are addressed by name; the label is accepted too, as older callers use it
+const findZone = (zones, name) =>
+  zones.find(zone => zone.name === name) || zones.find(zone => zone.label === name) || null;
+
+// Zone each dashboard component belongs in, mirroring the bundled board
+const PREFERRED_ZONES = {
+  PatientContext: 'Adverse Events Zone',
+  EncounterTimeline: 'Adverse Events Zone',
+  AdverseEventAnalytics: 'Adverse Events Zone',
+  LabTable: 'Adverse Events Zone',
+  LabChart: 'Adverse Events Zone',
+  DifferentialDiagnosis: 'Adverse Events Zone',
+  DrugInteractions: 'Adverse Events Zone',
+  SingleEncounterDocument: 'Data Zone',
+  EncounterDocument: 'Data Zone'
+};
+
+const preferredZone = (item) => (item.type === 'component' ? PREFERRED_ZONES[item.componentType] || null : null);
+
+const slugify = (label) => String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+
+// The zone as stored: known fields only, with its name and label filled in from each other.
+// Throws ZoneError when a field is missing or out of range.
+const checkZone = (fields) => {
+  const zone = Object.fromEntries(ZONE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]]));
+  zone.label = zone.label ?? zone.name;
+  zone.name = zone.name ?? (zone.label ? slugify(zone.label) : undefined);
+
+  if (typeof zone.name !== 'string' || !ZONE_NAME_PATTERN.test(zone.name)) {
+    throw new ZoneError('name must be 1-64 letters, digits, "-" or "_" and start with a letter or digit');
+  }
+  if (typeof zone.label !== 'string' || zone.label.trim() === '') {
+    throw new ZoneError('label must be a non-empty string');
+  }
+  for (const field of ['x', 'y']) {
+    if (!Number.isFinite(zone[field])) throw new ZoneError(`${field} must be a number`);
+  }
+  for (const field of ['width', 'height']) {
+    if (!Number.isFinite(zone[field]) || zone[field] <= 0) throw new ZoneError(`${field} must be a positive number`);
+  }
+  const text = ['color', 'gradient', 'borderGradient', 'description'].find(field => zone[field] !== undefined && typeof zone[field] !== 'string');
+  if (text) throw new ZoneError(`${text} must be a string`);
+  return zone;
+};
+
+const createZoneStore = ({ storage }) => {
+  const documentKey = (boardId) => `zones-${boardId}`;
+
+  // A board that has never changed its zones uses the bundled ones
+  const list = async (boardId) => (await storage.loadDocument(documentKey(boardId))) || loadZoneConfig();
+
+  const get = async (boardId, name) => findZone(await list(boardId), name);
+
+  // Apply change(zones) to the board's zones and save the list it returns; resolves to
+  // { zones, result } with whatever change() set as result
+  const modify = async (boardId, change) => {
+    const defaults = await loadZoneConfig();
+    const outcome = { zones: null, result: null };
+    await storage.updateDocument(documentKey(boardId), (current) => {
+      const { zones, result } = change(current || defaults);
+      outcome.zones = zones;
+      outcome.result = result;
+      return zones;
+    });
+    return outcome;
+  };
+
+  // Resolves to { zones, zone }, with zone null when the name is taken
+  const create = async (boardId, fields) => {
+    const zone = checkZone(fields);
+    const { zones, result } = await modify(boardId, (current) => (current.some(existing => existing.name === zone.name)
+      ? { zones: current, result: null }
+      : { zones: [...current, zone], result: zone }));
+    return { zones, zone: result };
+  };
+
+  // Resolves to { zones, before, zone }, with zone null when there is no such zone; the
+  // name cannot be changed
+  const update = async (boardId, name, changes) => {
+    if (changes.name !== undefined && changes.name !== name) {
+      throw new ZoneError('name cannot be changed');
+    }
+    let before = null;
+    const { zones, result } = await modify(boardId, (current) => {
+      before = findZone(current, name);
+      if (!before) return { zones: current, result: null };
+      const zone = checkZone({ ...before, ...changes, name: before.name });
+      return { zones: current.map(existing => (existing === before ? zone : existing)), result: zone };
+    });
+    return { zones, before, zone: result };
+  };
+
+  // Resolves to { zones, zone } with the removed zone, or zone null when there was none.
+  // Items in the zone stay where they are.
+  const remove = async (boardId, name) => {
+    const { zones, result } = await modify(boardId, (current) => {
+      const zone = findZone(current, name);
+      return { zones: current.filter(existing => existing !== zone), result: zone };
+    });
+    return { zones, zone: result };
+  };
+
+  // Stretch a zone down so `bounds` (plus `padding`) fits inside it; resolves to
+  // { zones, before, zone } with the grown zone, or null when it already fits
+  const grow = async (boardId, name, bounds, padding = 0) => {
+    let before = null;
+    const { zones, result } = await modify(boardId, (current) => {
+      before = findZone(current, name);
+      const height = before ? bounds.y + bounds.height + padding - before.y : 0;
+      if (!before || height <= before.height) return { zones: current, result: null };
+      const grown = { ...before, height };
+      return { zones: current.map(existing => (existing === before ? grown : existing)), result: grown };
+    });
+    return result ? { zones, before, zone: result } : null;
+  };
+
+  // Swap all of the board's zones, e.g. for those of an imported board
+  const replace = async (boardId, zones) => {
+    const checked = zones.map(checkZone);
+    await storage.saveDocument(documentKey(boardId), checked);
+    return checked;
+  };
+
+  // Back to the bundled zones, for a board that is deleted
+  const reset = (boardId) => storage.saveDocument(documentKey(boardId), null);
+
+  return { list, get, create, update, remove, grow, replace, reset };
+};
+
+module.exports = {
+  createZoneStore,
+  loadZoneConfig,
+  findZone,
+  checkZone,
+  preferredZone,
+  ZoneError,
+  PREFERRED_ZONES,
+  ZONE_CONFIG_FILE
+};
@@ -1,10 +1,19 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import styled from 'styled-components';
 import Canvas from './components/Canvas';
 import MeetSidePanel from './components/MeetSidePanel';
 import MeetMainStage from './components/MeetMainStage';
+import TourCaption from './components/TourCaption';
+import PresenterBar from './components/PresenterBar';
+import ReadOnlyNotice from './components/ReadOnlyNotice';
 import boardItemsData from './data/boardItems.json';
+import { NOTE_SSE_EVENTS, relayNoteEvent } from './components/dashboard/notesApi';
+import { authHeaders, withAccessToken } from './authToken';
+import { useBoardZones, ZONES_SSE_EVENT } from './boardZones';
+import { animateLayout, LAYOUT_SSE_EVENT } from './boardLayout';
+import { TOUR_SSE_EVENT, TourStepEvent, tourFocusRequest, visibleTour, movesCamera } from './tourPlayback';
+import { PRESENTER_CHANGED_EVENT, PRESENTER_SSE_EVENTS, usePresenterSync } from './presenterSync';
 
 const AppContainer = styled.div`
   width: 100vw;
@@ -32,16 +41,29 @@ function BoardApp() {
   const [items, setItems] = useState([]);
   const [selectedItemId, setSelectedItemId] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [tour, setTour] = useState<TourStepEvent | null>(null);
 
   // Get API base URL - use env var if set, fallback to production backend
   const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://patientcanvas-ai.vercel.app';
 
+  // Board (patient workspace) to open - e.g. /?board=pt_000392, defaults to the shared demo board
+  const BOARD_ID = new URLSearchParams(window.location.search).get('board') || 'default';
+  const BOARD_API_URL = `${API_BASE_URL}/api/boards/${encodeURIComponent(BOARD_ID)}`;
+
+  const [zones, setZones] = useBoardZones(BOARD_API_URL);
+  const presenterSync = usePresenterSync(BOARD_API_URL);
+  const { handlePresenterEvent } = presenterSync;
+
+  // Only the default board is seeded from the bundled static data
+  const staticItems = useMemo(() => (BOARD_ID === 'default' ? boardItemsData : []), [BOARD_ID]);
+
   // Debug: Log the API base URL on mount
   useEffect(() => {
     console.log('🌐 API_BASE_URL:', API_BASE_URL);
+    console.log('🗂️ BOARD_ID:', BOARD_ID);
     console.log('🌐 window.location.hostname:', window.location.hostname);
     console.log('🌐 window.location.origin:', window.location.origin);
-  }, [API_BASE_URL]);
+  }, [API_BASE_URL, BOARD_ID]);
 
   // Load items from both backend API and static data
   useEffect(() => {
@@ -50,21 +72,21 @@ function BoardApp() {
         setIsLoading(true);
         
         // Start with static data from src/data/boardItems.json
-        let allItems = [...boardItemsData];
-        console.log('📁 Loaded static items:', boardItemsData.length, 'items');
+        let allItems = [...staticItems];
+        console.log('📁 Loaded static items:', staticItems.length, 'items');
         
         // Try to load additional items from backend API
         try {
-          const response = await fetch(`${API_BASE_URL}/api/board-items`);
+          const response = await fetch(`${BOARD_API_URL}/items`, { headers: authHeaders() });
           if (response.ok) {
             const apiItems = await response.json();
             console.log('🌐 Loaded API items:', apiItems.length, 'items');
             
             // Merge API items with static items, avoiding duplicates
-            const staticIds = new Set(boardItemsData.map(item => item.id));
+            const staticIds = new Set(staticItems.map(item => item.id));
             const uniqueApiItems = apiItems.filter(item => !staticIds.has(item.id));
             
-            allItems = [...boardItemsData, ...uniqueApiItems];
+            allItems = [...staticItems, ...uniqueApiItems];
             console.log('✅ Combined items:', allItems.length, 'total items');
           } else {
             console.log('⚠️ API not available, using only static data');
@@ -76,14 +98,14 @@ function BoardApp() {
         setItems(allItems);
       } catch (error) {
         console.error('❌ Error loading items:', error);
-        setItems(boardItemsData);
+        setItems(staticItems);
       } finally {
         setIsLoading(false);
       }
     };
 
     loadItemsFromBothSources();
-  }, [API_BASE_URL]);
+  }, [BOARD_API_URL, staticItems]);
 
   // Note: Items are now managed by the backend API, no localStorage needed
 
@@ -141,13 +163,13 @@ function BoardApp() {
     
     // If height was updated, sync to backend
     if (updates.height !== undefined) {
-      fetch(`${API_BASE_URL}/api/board-items/${id}`, {
+      fetch(`${BOARD_API_URL}/items/${id}`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({ height: updates.height })
       }).catch(() => {});
     }
-  }, [API_BASE_URL]);
+  }, [BOARD_API_URL]);
 
   const deleteItem = useCallback((id) => {
     setItems(prev => prev.filter(item => item.id !== id));
@@ -163,15 +185,15 @@ function BoardApp() {
   const resetBoard = useCallback(async () => {
     try {
       // Reset to both static data and API data
-      let allItems = [...boardItemsData];
+      let allItems = [...staticItems];
       
       try {
-        const response = await fetch(`${API_BASE_URL}/api/board-items`);
+        const response = await fetch(`${BOARD_API_URL}/items`, { headers: authHeaders() });
         if (response.ok) {
           const apiItems = await response.json();
-          const staticIds = new Set(boardItemsData.map(item => item.id));
+          const staticIds = new Set(staticItems.map(item => item.id));
           const uniqueApiItems = apiItems.filter(item => !staticIds.has(item.id));
-          allItems = [...boardItemsData, ...uniqueApiItems];
+          allItems = [...staticItems, ...uniqueApiItems];
           console.log('✅ Board reset with combined data:', allItems.length, 'items');
         } else {
           console.log('⚠️ API not available for reset, using only static data');
@@ -184,10 +206,10 @@ function BoardApp() {
       setSelectedItemId(null);
     } catch (error) {
       console.error('❌ Error resetting board:', error);
-      setItems(boardItemsData);
+      setItems(staticItems);
       setSelectedItemId(null);
     }
-  }, [API_BASE_URL]);
+  }, [BOARD_API_URL, staticItems]);
 
   // Handle focus requests from POST requests (simulated)
   const handleFocusRequest = useCallback((request) => {
@@ -267,13 +289,38 @@ function BoardApp() {
   useEffect(() => {
     let es: EventSource | null = null;
     let reconnectTimeout: NodeJS.Timeout | null = null;
+    // A new EventSource does not resend Last-Event-ID, so remember it for manual reconnects
+    let lastEventId: string | null = null;
+    const rememberEventId = (event: any) => {
+      if (event.lastEventId) lastEventId = event.lastEventId;
+    };
     
     const connect = () => {
       try {
         // Connect directly to the backend SSE endpoint
-        const sseUrl = `${API_BASE_URL}/api/events`;
+        const sseUrl = `${BOARD_API_URL}/events`;
         console.log('🔌 Connecting to SSE:', sseUrl);
-        es = new EventSource(sseUrl);
+        es = new EventSource(withAccessToken(lastEventId ? `${sseUrl}?lastEventId=${encodeURIComponent(lastEventId)}` : sseUrl));
+
+        ['connected', 'focus-item', 'new-item', 'item-updated', 'item-deleted', 'resync-required', ZONES_SSE_EVENT, LAYOUT_SSE_EVENT, TOUR_SSE_EVENT, PRESENTER_CHANGED_EVENT, ...NOTE_SSE_EVENTS].forEach((type) => {
+          es?.addEventListener(type, rememberEventId);
+        });
+
+        // Patient notes are handed to the NotesPanel components on the board
+        NOTE_SSE_EVENTS.forEach((type) => {
+          es?.addEventListener(type, (event: any) => relayNoteEvent(type, event));
+        });
+
+        // Presenter mode: who presents, and where they are looking
+        PRESENTER_SSE_EVENTS.forEach((type) => {
+          es?.addEventListener(type, (event: any) => {
+            try {
+              handlePresenterEvent(type, JSON.parse(event.data));
+            } catch (err) {
+              console.error(`❌ Error handling ${type} event:`, err);
+            }
+          });
+        });
 
         es.addEventListener('connected', () => {
           console.log('✅ Connected to SSE:', sseUrl);
@@ -305,9 +352,10 @@ function BoardApp() {
             if (!newItem) return;
 
             // Position the item at viewport center + 500px in both X and Y
+            // (imported items and items created into a zone arrive already placed)
             try {
               const center = (window as any).getViewportCenterWorld?.();
-              if (center) {
+              if (center && data.action === 'created' && !data.zone) {
                 const width = newItem.width || 420;
                 const height = newItem.height || 300;
                 const x = Math.round(center.x - width / 2 + 500); // Offset 500px to the right
@@ -316,9 +364,9 @@ function BoardApp() {
                 newItem.y = y;
                 
                 // Persist position to backend
-                fetch(`${API_BASE_URL}/api/board-items/${newItem.id}`, {
+                fetch(`${BOARD_API_URL}/items/${newItem.id}`, {
                   method: 'PUT',
-                  headers: { 'Content-Type': 'application/json' },
+                  headers: authHeaders({ 'Content-Type': 'application/json' }),
                   body: JSON.stringify({ x, y })
                 }).catch(() => {});
               }
@@ -334,6 +382,72 @@ function BoardApp() {
           }
         });
 
+        // Apply changes made through the API (by agents or other clients)
+        es.addEventListener('item-updated', (event: any) => {
+          try {
+            const data = JSON.parse(event.data);
+            console.log('🔄 Item-updated event received via SSE:', data);
+            if (!data.id || !data.patch) return;
+            // A revert or restore sends the whole item, which replaces ours
+            setItems((prev: any[]) => prev.map((it) => (
+              it.id === data.id ? (data.replace ? data.patch : { ...it, ...data.patch }) : it
+            )));
+          } catch (err) {
+            console.error('❌ Error handling item-updated event:', err);
+          }
+        });
+
+        es.addEventListener('item-deleted', (event: any) => {
+          try {
+            const data = JSON.parse(event.data);
+            console.log('🗑️ Item-deleted event received via SSE:', data);
+            if (!data.id) return;
+            setItems((prev: any[]) => prev.filter((it) => it.id !== data.id));
+            setSelectedItemId((prevId) => (prevId === data.id ? null : prevId));
+          } catch (err) {
+            console.error('❌ Error handling item-deleted event:', err);
+          }
+        });
+
+        // Zones were added, changed or grew to take a new item
+        es.addEventListener(ZONES_SSE_EVENT, (event: any) => {
+          try {
+            const data = JSON.parse(event.data);
+            if (Array.isArray(data.zones)) setZones(data.zones);
+          } catch (err) {
+            console.error(`❌ Error handling ${ZONES_SSE_EVENT} event:`, err);
+          }
+        });
+
+        // The board was rearranged - glide the items to their new places
+        es.addEventListener(LAYOUT_SSE_EVENT, (event: any) => {
+          try {
+            const data = JSON.parse(event.data);
+            console.log(`🧩 ${data.strategy} layout received via SSE: ${data.moves?.length || 0} items moved`);
+            if (Array.isArray(data.moves)) animateLayout(data.moves, setItems);
+          } catch (err) {
+            console.error(`❌ Error handling ${LAYOUT_SSE_EVENT} event:`, err);
+          }
+        });
+
+        // A focus tour moved on - follow it and show its caption
+        es.addEventListener(TOUR_SSE_EVENT, (event: any) => {
+          try {
+            const data: TourStepEvent = JSON.parse(event.data);
+            console.log(`🎬 Tour ${data.tourId} ${data.action}: ${data.status}`, data.step?.objectId || '');
+            setTour(visibleTour(data));
+            if (data.step && movesCamera(data)) handleFocusRequest(tourFocusRequest(data.step));
+          } catch (err) {
+            console.error(`❌ Error handling ${TOUR_SSE_EVENT} event:`, err);
+          }
+        });
+
+        // Missed events are no longer in the server's log - reload the board instead
+        es.addEventListener('resync-required', () => {
+          console.log('🔁 SSE resync required, reloading board items');
+          resetBoard();
+        });
+
         es.onerror = (error) => {
           console.error('❌ SSE connection error:', error);
           console.log('🔄 Will attempt to reconnect in 5 seconds...');
@@ -361,7 +475,7 @@ function BoardApp() {
         es.close();
       }
     };
-  }, [handleFocusRequest, API_BASE_URL]);
+  }, [handleFocusRequest, handlePresenterEvent, resetBoard, setZones, BOARD_API_URL]);
 
   if (isLoading) {
     return (
@@ -388,6 +502,20 @@ function BoardApp() {
         onFocusRequest={handleFocusRequest}
         onAddItem={addItem}
         onResetBoard={resetBoard}
+        zones={zones}
+        followViewport={presenterSync.followViewport}
+        onViewportChange={presenterSync.reportViewport}
+        onUserNavigate={presenterSync.breakAway}
+      />
+      <TourCaption tour={tour} />
+      <ReadOnlyNotice apiBaseUrl={API_BASE_URL} />
+      <PresenterBar
+        mode={presenterSync.mode}
+        presenter={presenterSync.presenter}
+        onPresent={presenterSync.startPresenting}
+        onStop={presenterSync.stopPresenting}
+        onBreakAway={presenterSync.breakAway}
+        onRejoin={presenterSync.rejoin}
       />
     </AppContainer>
   );
@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+import { createAuditLog } from '../../../api/_lib/audit';
+
+// The document half of a storage adapter, which is all the audit log uses
+const createDocumentStorage = () => {
+  const documents = new Map();
+  const copy = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+  return {
+    loadDocument: async (key) => copy(documents.get(key)),
+    saveDocument: async (key, value) => {
+      documents.set(key, copy(value));
+    },
+    updateDocument: async (key, update) => {
+      const next = update(copy(documents.get(key)));
+      documents.set(key, copy(next));
+      return copy(next);
+    }
+  };
+};
+
+const createLog = (options = {}) => {
+  const storage = createDocumentStorage();
+  return { storage, audit: createAuditLog({ storage, secret: null, required: false, ...options }) };
+};
+
+const recordItems = async (audit, count) => {
+  for (let n = 1; n <= count; n++) {
+    await audit.record({ action: 'create', boardId: 'b', itemId: `item-${n}`, itemType: 'text', after: { id: `item-${n}`, content: `text ${n}` } });
+  }
+};
+
+// Rewrite the stored entries of the first segment, the way someone with access to the store could
+const tamper = async (storage, change) => {
+  const entries = await storage.loadDocument('audit-log-0');
+  await storage.saveDocument('audit-log-0', change(entries));
+};
+
+describe('audit log hash chain', () => {
+  it('chains entries and verifies an untouched log', async () => {
+    const { audit } = createLog();
+    await recordItems(audit, 3);
+    const result = await audit.verify();
+    expect(result).toMatchObject({ valid: true, checked: 3, latestSeq: 3, problem: null });
+
+    const { entries } = await audit.query({ limit: 10 });
+    expect(entries.map(entry => entry.seq)).toEqual([3, 2, 1]);
+    expect(entries[0].prevHash).toBe(entries[1].hash);
+    expect(entries[2].prevHash).toBe('0'.repeat(64));
+  });
+
+  it('detects an edited entry', async () => {
+    const { audit, storage } = createLog();
+    await recordItems(audit, 3);
+    await tamper(storage, entries => entries.map(entry => (entry.seq === 2 ? { ...entry, actor: { ...entry.actor, name: 'someone else' } } : entry)));
+    expect((await audit.verify()).problem).toEqual({ seq: 2, reason: 'Entry content does not match its hash' });
+  });
+
+  it('detects a removed or reordered entry', async () => {
+    const removed = createLog();
+    await recordItems(removed.audit, 3);
+    await tamper(removed.storage, entries => entries.filter(entry => entry.seq !== 2));
+    expect((await removed.audit.verify()).problem).toEqual({ seq: 2, reason: 'Entry is missing' });
+
+    const reordered = createLog();
+    await recordItems(reordered.audit, 3);
+    await tamper(reordered.storage, ([first, second, third]) => [first, { ...third, seq: 2 }, { ...second, seq: 3 }]);
+    expect((await reordered.audit.verify()).valid).toBe(false);
+  });
+
+  it('detects a truncated log through the head', async () => {
+    const { audit, storage } = createLog();
+    await recordItems(audit, 3);
+    await tamper(storage, entries => entries.slice(0, 2));
+    expect((await audit.verify()).problem).toEqual({ seq: 3, reason: 'Entry is missing' });
+  });
+
+  it('uses an HMAC chain when a secret is set', async () => {
+    const { audit, storage } = createLog({ secret: 'chain-secret' });
+    await recordItems(audit, 2);
+    expect((await audit.verify()).valid).toBe(true);
+    expect((await createAuditLog({ storage, secret: 'other-secret' }).verify()).problem)
+      .toEqual({ seq: 1, reason: 'Entry content does not match its hash' });
+  });
+
+  it('keeps a valid chain when appends run at the same time', async () => {
+    const { audit } = createLog();
+    await Promise.all(Array.from({ length: 8 }, (_, n) => audit.record({ action: 'update', itemId: `item-${n}` })));
+    expect(await audit.verify()).toMatchObject({ valid: true, checked: 8, latestSeq: 8 });
+  });
+
+  it('writes the entry before the head, and catches the head up after a failed move', async () => {
+    const { audit, storage } = createLog();
+    await recordItems(audit, 1);
+
+    const updateDocument = storage.updateDocument;
+    storage.updateDocument = async (key, update) => {
+      if (key === 'audit-head') throw new Error('store unavailable');
+      return updateDocument(key, update);
+    };
+    await expect(audit.record({ action: 'update', itemId: 'item-1' })).rejects.toThrow('store unavailable');
+    storage.updateDocument = updateDocument;
+
+    // The entry is in its segment but the head still points at the one before
+    expect((await storage.loadDocument('audit-head')).seq).toBe(1);
+    expect(await audit.verify()).toMatchObject({ valid: true, checked: 2, latestSeq: 1 });
+
+    const next = await audit.record({ action: 'delete', itemId: 'item-1' });
+    expect(next.seq).toBe(3);
+    expect(await audit.verify()).toMatchObject({ valid: true, checked: 3, latestSeq: 3 });
+  });
+
+  it('counts failures for the health report', () => {
+    const { audit } = createLog({ required: true });
+    audit.recordFailure(new Error('disk full'));
+    expect(audit.status()).toMatchObject({ required: true, failures: 1, lastError: 'disk full' });
+  });
+});
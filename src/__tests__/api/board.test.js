@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+import { createBoardService } from '../../../api/_lib/board';
+import { createAuditLog } from '../../../api/_lib/audit';
+
+const copy = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+// The item and document halves of a storage adapter, kept in memory
+const createStorage = () => {
+  const items = new Map();
+  const documents = new Map();
+  return {
+    items,
+    loadBoardItems: async () => [...items.values()].map(copy),
+    getItem: async (boardId, id) => copy(items.get(id)),
+    insertItem: async (boardId, item) => {
+      if (items.has(item.id)) return null;
+      items.set(item.id, copy(item));
+      return item;
+    },
+    updateItem: async (boardId, id, update) => {
+      if (!items.has(id)) return null;
+      const next = update(copy(items.get(id)));
+      items.set(id, copy(next));
+      return next;
+    },
+    removeItem: async (boardId, id, check = () => {}) => {
+      const current = items.get(id);
+      if (!current) return null;
+      check(copy(current));
+      items.delete(id);
+      return current;
+    },
+    loadDocument: async (key) => copy(documents.get(key)),
+    saveDocument: async (key, value) => {
+      documents.set(key, copy(value));
+    },
+    updateDocument: async (key, update) => {
+      const next = update(copy(documents.get(key)));
+      documents.set(key, copy(next));
+      return copy(next);
+    }
+  };
+};
+
+// An audit log whose store can be switched off
+const createAudit = ({ required }) => {
+  const storage = createStorage();
+  const updateDocument = storage.updateDocument;
+  const log = createAuditLog({ storage, secret: null, required });
+  log.fail = (failing) => {
+    storage.updateDocument = failing
+      ? async () => { throw new Error('audit store unavailable'); }
+      : updateDocument;
+  };
+  return log;
+};
+
+const text = (id, fields = {}) => ({ id, type: 'text', x: 0, y: 0, width: 400, height: 300, content: 'text', ...fields });
+
+const createBoard = ({ required = true } = {}) => {
+  const storage = createStorage();
+  const audit = createAudit({ required });
+  const channel = { broadcast: jest.fn() };
+  const board = createBoardService({ storage, channel, boardId: 'b', audit });
+  return { storage, audit, channel, board };
+};
+
+describe('board writes with AUDIT_REQUIRED', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes back a create whose entry cannot be written', async () => {
+    const { storage, audit, channel, board } = createBoard();
+    audit.fail(true);
+    await expect(board.addItem(text('a'), { avoidCollisions: false })).rejects.toThrow('audit store unavailable');
+    expect(storage.items.has('a')).toBe(false);
+    expect(channel.broadcast).not.toHaveBeenCalled();
+    expect(audit.status()).toMatchObject({ failures: 1, lastError: 'audit store unavailable' });
+  });
+
+  it('puts back the item an unaudited update or delete changed', async () => {
+    const { storage, audit, channel, board } = createBoard();
+    await board.addItem(text('a'), { avoidCollisions: false });
+    channel.broadcast.mockClear();
+    audit.fail(true);
+
+    await expect(board.updateItem('a', { content: 'changed' })).rejects.toThrow('audit store unavailable');
+    expect(storage.items.get('a')).toMatchObject({ content: 'text', version: 1 });
+
+    await expect(board.deleteItem('a')).rejects.toThrow('audit store unavailable');
+    expect(storage.items.get('a')).toMatchObject({ content: 'text', version: 1 });
+    expect(channel.broadcast).not.toHaveBeenCalled();
+
+    audit.fail(false);
+    expect((await board.updateItem('a', { content: 'changed' })).version).toBe(2);
+    expect((await audit.query()).entries.map(entry => entry.action)).toEqual(['update', 'create']);
+  });
+
+  it('keeps the write and counts the failure when auditing is not required', async () => {
+    const { storage, audit, channel, board } = createBoard({ required: false });
+    audit.fail(true);
+    await board.addItem(text('a'), { avoidCollisions: false });
+    expect(storage.items.has('a')).toBe(true);
+    expect(channel.broadcast.mock.calls[0][0]).toMatchObject({ event: 'new-item' });
+    expect(audit.status().failures).toBe(1);
+  });
+});
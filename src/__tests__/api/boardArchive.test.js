@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileStorage } from '../../../api/_lib/storage/file';
+import { createAuditLog } from '../../../api/_lib/audit';
+import { createBoardRegistry } from '../../../api/_lib/boards';
+import { createNoteStore } from '../../../api/_lib/notes';
+import { createZoneStore } from '../../../api/_lib/zones';
+import { ValidationError } from '../../../api/_lib/validation';
+import { exportBoard, importBoard } from '../../../api/_lib/boardArchive';
+
+const text = (id, x = 0) => ({ id, type: 'text', x, y: 0, width: 400, height: 300, content: `text ${id}` });
+
+const admin = { actor: { id: 'user-admin', name: 'Admin', role: 'admin', kind: 'user' }, origin: null };
+const clinician = { actor: { id: 'user-b', name: 'Dr B', role: 'clinician', kind: 'user' }, origin: null };
+
+let root;
+beforeAll(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'board-archive-'));
+});
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// Boards, notes and zones over file storage in a directory of their own
+const createWorkspace = () => {
+  const dataDir = fs.mkdtempSync(path.join(root, 'store-'));
+  const storage = createFileStorage({ file: path.join(dataDir, 'default.json'), dataDir });
+  const audit = createAuditLog({ storage, secret: null, required: false });
+  const boards = createBoardRegistry({ storage, hub: { channel: () => ({ broadcast: () => {} }) }, audit });
+  const notes = createNoteStore({ storage });
+  const zones = createZoneStore({ storage });
+  const importInto = (boardId, bundle, options = {}, requester = admin) => importBoard({
+    board: boards.forBoard(boardId, requester), zones, notes, patientId: boardId, bundle, audit, requester, ...options
+  });
+  return { boards, notes, zones, audit, importInto };
+};
+
+// A board with two items, a zone and a note by Dr A
+const createSourceBoard = async (workspace) => {
+  const { boards, notes, zones } = workspace;
+  await boards.createBoard({ id: 'source' });
+  const board = boards.forBoard('source');
+  await board.addItem(text('item-1'), { avoidCollisions: false });
+  await board.addItem(text('item-2', 600), { avoidCollisions: false });
+  await zones.create('source', { name: 'review', label: 'Review', x: 0, y: 0, width: 2000, height: 1000 });
+  const note = await notes.create('source', { content: 'Started on methotrexate', author: 'Dr A', authorId: 'user-a' });
+  return { board, note };
+};
+
+const itemFields = ({ version, updatedAt, ...item }) => item;
+
+describe('board archives', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('round-trips items, zones and notes into another board', async () => {
+    const workspace = createWorkspace();
+    const { note } = await createSourceBoard(workspace);
+    const archive = JSON.parse(JSON.stringify(await exportBoard({ boards: workspace.boards, notes: workspace.notes, boardId: 'source' })));
+
+    await workspace.boards.createBoard({ id: 'copy' });
+    const result = await workspace.importInto('copy', archive);
+    expect(result.items.created).toEqual(['item-1', 'item-2']);
+    expect(result.notes.created).toEqual([note.id]);
+    expect(result.zones.created).toEqual(['review']);
+
+    const copied = await workspace.boards.forBoard('copy').listItems();
+    expect(copied.map(itemFields)).toEqual(archive.items.map(itemFields));
+    expect(await workspace.zones.get('copy', 'review')).toMatchObject({ label: 'Review', height: 1000 });
+    expect(await workspace.notes.get('copy', note.id)).toMatchObject({ content: note.content, author: 'Dr A', authorId: 'user-a' });
+  });
+
+  it('gives clashing records new ids when remapping', async () => {
+    const workspace = createWorkspace();
+    await createSourceBoard(workspace);
+    const archive = await exportBoard({ boards: workspace.boards, notes: workspace.notes, boardId: 'source' });
+
+    const result = await workspace.importInto('source', archive);
+    expect(Object.keys(result.idMap)).toEqual(['item-1', 'item-2', archive.notes.notes[0].id]);
+    expect(result.idMap['item-1']).toMatch(/^item-\d+-/);
+    expect(await workspace.boards.forBoard('source').listItems()).toHaveLength(4);
+    expect(result.zones.created).toEqual([]); // The board already has every zone by name
+  });
+
+  it('checks every item before a replace removes anything', async () => {
+    const workspace = createWorkspace();
+    await createSourceBoard(workspace);
+    const archive = await exportBoard({ boards: workspace.boards, notes: workspace.notes, boardId: 'source' });
+    archive.items = [text('item-3'), { ...text('item-4'), width: -1 }];
+
+    await expect(workspace.importInto('source', archive, { mode: 'replace' })).rejects.toThrow(ValidationError);
+    expect((await workspace.boards.forBoard('source').listItems()).map(item => item.id)).toEqual(['item-1', 'item-2']);
+  });
+
+  it('saves an overwritten note as an edit and keeps the earlier text', async () => {
+    const workspace = createWorkspace();
+    const { note } = await createSourceBoard(workspace);
+    const archive = await exportBoard({ boards: workspace.boards, notes: workspace.notes, boardId: 'source' });
+    archive.notes.notes[0] = { ...note, content: 'Stopped methotrexate', author: 'Someone else', authorId: 'user-x', history: [] };
+
+    const result = await workspace.importInto('source', archive, { onConflict: 'overwrite' });
+    expect(result.notes.overwritten).toEqual([note.id]);
+    expect(await workspace.notes.get('source', note.id)).toMatchObject({
+      content: 'Stopped methotrexate',
+      author: 'Dr A',
+      authorId: 'user-a',
+      updatedBy: 'Admin',
+      version: 2,
+      history: [expect.objectContaining({ version: 1, content: 'Started on methotrexate' })]
+    });
+    expect((await workspace.audit.query({ resource: 'note', action: 'update' })).entries[0].actor.name).toBe('Admin');
+  });
+
+  it('leaves a note the importer may not edit as it is', async () => {
+    const workspace = createWorkspace();
+    const { note } = await createSourceBoard(workspace);
+    const archive = await exportBoard({ boards: workspace.boards, notes: workspace.notes, boardId: 'source' });
+    archive.notes.notes[0] = { ...note, content: 'Forged' };
+
+    const result = await workspace.importInto('source', archive, { onConflict: 'overwrite' }, clinician);
+    expect(result.notes.skipped).toEqual([note.id]);
+    expect(result.warnings).toEqual([`Note ${note.id} is kept as it is: only its author or an admin may edit it`]);
+    expect((await workspace.notes.get('source', note.id)).content).toBe('Started on methotrexate');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * @jest-environment node
+ */
+import { gradeLabs, mergeAdverseEvents, isGradable } from '../../../api/_lib/ctcae';
+
+const gradeOf = (labs, options) => {
+  const { results } = gradeLabs(labs, options);
+  return results.length ? results[0].grade : null;
+};
+
+const alt = (value, date = '2025-06-01') => ({ name: 'ALT', value, unit: 'U/L', date, referenceRange: { low: 7, high: 40 } });
+
+describe('gradeLabs', () => {
+  it('grades ALT against multiples of ULN', () => {
+    expect(gradeOf([alt(40)])).toBe(0);
+    expect(gradeOf([alt(100)])).toBe(1); // 2.5x
+    expect(gradeOf([alt(130)])).toBe(2); // 3.25x
+    expect(gradeOf([alt(210)])).toBe(3); // 5.25x
+    expect(gradeOf([alt(900)])).toBe(4); // 22.5x
+  });
+
+  it('grades against the baseline when the baseline was above ULN', () => {
+    expect(gradeOf([alt(130)], { baselines: { alt: 80 } })).toBe(1); // 1.6x baseline
+    expect(gradeOf([alt(250)], { baselines: { alt: 80 } })).toBe(2); // 3.1x baseline
+  });
+
+  it('raises creatinine to grade 2 and 3 on the rise from baseline alone', () => {
+    const creatinine = (value) => [{ name: 'Creatinine', value, unit: 'mg/dL', date: '2025-06-02' }];
+    expect(gradeOf(creatinine(1.0), { baselines: { creatinine: 0.6 } })).toBe(2); // 1.7x baseline, below ULN
+    expect(gradeOf(creatinine(2.0), { baselines: { creatinine: 0.6 } })).toBe(3); // 3.3x baseline
+    expect(gradeOf(creatinine(1.0))).toBe(0);
+  });
+
+  it('grades count decreases in 10^9/L, converting cells per microlitre', () => {
+    expect(gradeOf([{ name: 'Neutrophils', value: 1.8, unit: '10^9/L' }])).toBe(1);
+    expect(gradeOf([{ name: 'Neutrophils', value: 1.2, unit: '10^9/L' }])).toBe(2);
+    expect(gradeOf([{ name: 'ANC', value: 800, unit: 'cells/uL' }])).toBe(3);
+    expect(gradeOf([{ name: 'Platelets', value: 40, unit: '10^9/L' }])).toBe(3);
+    expect(gradeOf([{ name: 'Platelets', value: 20000 }])).toBe(4);
+    expect(gradeOf([{ name: 'Platelets', value: 160, unit: '10^9/L' }])).toBe(0);
+  });
+
+  it('reports the worst grade and the grade of the latest value', () => {
+    const grading = gradeLabs([alt(30, '2025-06-01'), alt(250, '2025-06-10'), alt(35, '2025-06-20')]);
+    const [result] = grading.results;
+    expect(result.grade).toBe(3);
+    expect(result.currentGrade).toBe(0);
+    expect(result.currentValue).toBe(35);
+    expect(grading.overall_grade).toBe('CTCAE Grade 3 — Severe');
+  });
+
+  it('ignores analytes it does not grade', () => {
+    expect(isGradable({ name: 'Sodium' })).toBe(false);
+    expect(isGradable({ code: '1742-6' })).toBe(true);
+    expect(gradeLabs([{ name: 'Sodium', value: 120 }]).overall_grade).toBe('No CTCAE-gradable abnormality');
+  });
+});
+
+describe('mergeAdverseEvents', () => {
+  it('replaces graded entries and keeps the ones typed in by hand', () => {
+    const existing = [
+      { event: 'Rash', severity: 'Mild' },
+      { event: 'Alanine aminotransferase increased', source: 'ctcae', analyte: 'alt', grade: 1 }
+    ];
+    const merged = mergeAdverseEvents(existing, gradeLabs([alt(210)]));
+    expect(merged).toHaveLength(2);
+    expect(merged[0].event).toBe('Rash');
+    expect(merged[1]).toMatchObject({ source: 'ctcae', analyte: 'alt', grade: 3, severity: 'Severe' });
+
+    // An analyte that no longer grades drops its entry
+    expect(mergeAdverseEvents(merged, gradeLabs([alt(35)]))).toEqual([existing[0]]);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+import { mapFhirBundle, FhirImportError } from '../../../api/_lib/fhir';
+
+const entry = (resource, fullUrl) => ({ fullUrl, resource });
+
+const patient = {
+  resourceType: 'Patient',
+  id: 'pat-1',
+  name: [{ use: 'usual', given: ['Jo'] }, { use: 'official', given: ['Joanna', 'M'], family: 'Smith' }],
+  gender: 'female',
+  birthDate: '1970-06-15',
+  identifier: [
+    { system: 'urn:nhs', value: '999' },
+    { type: { coding: [{ code: 'MR' }] }, value: 'MRN-42' }
+  ]
+};
+
+// Two encounters given out of order, referenced by fullUrl and by ResourceType/id
+const bundle = (extra = []) => ({
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    entry(patient, 'urn:uuid:patient'),
+    entry({
+      resourceType: 'Encounter',
+      id: 'enc-2',
+      period: { start: '2024-03-10T09:00:00Z' },
+      type: [{ text: 'Follow-up' }],
+      participant: [{ individual: { display: 'Dr Lee' } }]
+    }, 'urn:uuid:enc-2'),
+    entry({
+      resourceType: 'Encounter',
+      id: 'enc-1',
+      period: { start: '2024-01-05T09:00:00Z' },
+      class: { code: 'AMB' },
+      reasonCode: [{ text: 'Joint pain' }]
+    }),
+    entry({
+      resourceType: 'Condition',
+      code: { coding: [{ system: 'http://snomed.info/sct', code: '69896004', display: 'Rheumatoid arthritis' }] },
+      clinicalStatus: { coding: [{ code: 'active' }] },
+      onsetDateTime: '2023-11-02T00:00:00Z',
+      encounter: { reference: 'Encounter/enc-1' }
+    }),
+    entry({ resourceType: 'Medication', id: 'med-1', code: { text: 'Methotrexate' } }),
+    entry({
+      resourceType: 'MedicationStatement',
+      status: 'active',
+      medicationReference: { reference: 'Medication/med-1' },
+      effectivePeriod: { start: '2024-01-05' },
+      dosage: [{
+        doseAndRate: [{ doseQuantity: { value: 15, unit: 'mg' } }],
+        route: { text: 'Oral' },
+        timing: { repeat: { frequency: 1, period: 1, periodUnit: 'wk' } }
+      }]
+    }),
+    entry({
+      resourceType: 'Observation',
+      category: [{ coding: [{ code: 'laboratory' }] }],
+      code: { coding: [{ system: 'http://loinc.org', code: '1742-6', display: 'ALT' }] },
+      valueQuantity: { value: 88, unit: 'U/L' },
+      referenceRange: [{ low: { value: 7 }, high: { value: 56 } }],
+      interpretation: [{ coding: [{ code: 'H' }] }],
+      effectiveDateTime: '2024-03-10T08:00:00Z',
+      encounter: { reference: 'urn:uuid:enc-2' }
+    }),
+    entry({
+      resourceType: 'Observation',
+      category: [{ coding: [{ code: 'vital-signs' }] }],
+      code: { text: 'Heart rate' },
+      valueQuantity: { value: 72, unit: '/min' },
+      effectiveDateTime: '2024-03-10'
+    }),
+    ...extra
+  ]
+});
+
+describe('mapFhirBundle', () => {
+  it('maps the patient from their official name and MR identifier', () => {
+    const { patientId, patientData } = mapFhirBundle(bundle());
+    expect(patientId).toBe('pat-1');
+    expect(patientData.patient).toMatchObject({
+      name: 'Joanna M Smith',
+      sex: 'Female',
+      birthDate: '1970-06-15',
+      age_at_first_encounter: 53,
+      identifiers: { mrn: 'MRN-42' }
+    });
+  });
+
+  it('maps problems and medications with their codes, doses and referenced names', () => {
+    const { patientData } = mapFhirBundle(bundle());
+    expect(patientData.problem_list).toEqual([{
+      name: 'Rheumatoid arthritis',
+      status: 'active',
+      codes: [{ system: 'SNOMED', code: '69896004', display: 'Rheumatoid arthritis' }],
+      first_recorded: '2023-11-02'
+    }]);
+    expect(patientData.medication_timeline).toEqual([{
+      name: 'Methotrexate',
+      dose: '15 mg',
+      route: 'Oral',
+      frequency: '1x per wk',
+      start: '2024-01-05',
+      end: null,
+      indication: null,
+      status: 'active'
+    }]);
+  });
+
+  it('numbers encounters in date order and links their diagnoses, medications and labs', () => {
+    const { patientData, timeline } = mapFhirBundle(bundle());
+    expect(timeline.map(({ encounter_no: number, date, type }) => [number, date, type])).toEqual([
+      [1, '2024-01-05', 'AMB'],
+      [2, '2024-03-10', 'Follow-up']
+    ]);
+    expect(timeline[0].diagnosis).toBe('Rheumatoid arthritis');
+    expect(timeline[1]).toMatchObject({ provider: 'Dr Lee', medications: ['Methotrexate 15 mg 1x per wk'] });
+
+    const [first, second] = patientData.encounters;
+    expect(first.diagnoses).toEqual([{ system: 'SNOMED', code: '69896004', display: 'Rheumatoid arthritis', status: 'active' }]);
+    expect(first.reason_for_visit).toBe('Joint pain');
+    expect(second.labs.map(lab => lab.name)).toEqual(['ALT']);
+    expect(second).not.toHaveProperty('references');
+  });
+
+  it('keeps only laboratory observations, each with its encounter number', () => {
+    const { labs } = mapFhirBundle(bundle([entry({
+      resourceType: 'Observation',
+      code: { text: 'CRP' },
+      valueQuantity: { value: 4, unit: 'mg/L' },
+      effectiveDateTime: '2024-02-01'
+    })]));
+    expect(labs).toEqual([
+      { name: 'CRP', code: null, value: 4, unit: 'mg/L', referenceRange: null, interpretation: null, date: '2024-02-01', encounter_no: null },
+      { name: 'ALT', code: '1742-6', value: 88, unit: 'U/L', referenceRange: { low: 7, high: 56 }, interpretation: 'H', date: '2024-03-10', encounter_no: 2 }
+    ]);
+  });
+
+  it('rejects payloads that are not a Bundle with exactly one Patient', () => {
+    expect(() => mapFhirBundle({ resourceType: 'Patient' })).toThrow(FhirImportError);
+    expect(() => mapFhirBundle({ resourceType: 'Bundle', entry: [] })).toThrow('exactly one Patient resource (found 0)');
+    expect(() => mapFhirBundle(bundle([entry({ ...patient, id: 'pat-2' })]))).toThrow('(found 2)');
+  });
+});
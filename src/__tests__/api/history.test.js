@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileStorage } from '../../../api/_lib/storage/file';
+import { createBoardService } from '../../../api/_lib/board';
+import { createHistoryStore, revertItem, restoreBoard, HistoryError } from '../../../api/_lib/history';
+
+const text = (id, fields = {}) => ({ id, type: 'text', x: 0, y: 0, width: 400, height: 300, content: 'first', ...fields });
+
+let root;
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'item-history-'));
+});
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+// A board with history over file storage in a directory of its own
+const createBoard = ({ limit } = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(root, 'store-'));
+  const storage = createFileStorage({ file: path.join(dataDir, 'default.json'), dataDir });
+  const history = createHistoryStore({ storage, limit });
+  const board = createBoardService({ storage, channel: { broadcast: () => {} }, boardId: 'b', history });
+  return { storage, history, board };
+};
+
+// A moment strictly between the writes made before and after it
+const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+const moment = async () => {
+  await pause();
+  const time = Date.now();
+  await pause();
+  return time;
+};
+
+const contents = async (board) => Object.fromEntries((await board.listItems()).map(item => [item.id, item.content]));
+
+describe('item revert', () => {
+  it('undoes the latest change when no revision is named', async () => {
+    const { history, board } = createBoard();
+    await board.addItem(text('a'), { avoidCollisions: false });
+    await board.updateItem('a', { content: 'second' });
+
+    const { revision, item } = await revertItem(board, history, 'a');
+    expect(revision.revision).toBe(1);
+    expect(item).toMatchObject({ content: 'first', version: 3 });
+    expect((await history.getHistory('b', 'a')).revisions.map(entry => entry.cause)).toEqual([null, null, 'revert']);
+  });
+
+  it('brings back a deleted item and deletes one reverted to before it existed', async () => {
+    const { history, board } = createBoard();
+    await board.addItem(text('a'), { avoidCollisions: false });
+    await board.deleteItem('a');
+
+    expect((await revertItem(board, history, 'a')).item).toMatchObject({ id: 'a', content: 'first' });
+    expect(await board.getItem('a')).toMatchObject({ content: 'first' });
+
+    const { revisions } = await history.getHistory('b', 'a');
+    expect(revisions.map(entry => entry.action)).toEqual(['create', 'delete', 'create']);
+    await revertItem(board, history, 'a', { revision: revisions[1].revision });
+    expect(await board.getItem('a')).toBeNull();
+  });
+
+  it('rejects a revision the item does not have', async () => {
+    const { history, board } = createBoard();
+    await board.addItem(text('a'), { avoidCollisions: false });
+    await expect(revertItem(board, history, 'a', { revision: 9 })).rejects.toThrow(HistoryError);
+    await expect(revertItem(board, history, 'missing')).rejects.toThrow('Item missing has no history');
+  });
+});
+
+describe('board restore', () => {
+  it('puts back changed and deleted items and removes later ones', async () => {
+    const { history, board } = createBoard();
+    await board.addItem(text('a'), { avoidCollisions: false });
+    await board.addItem(text('b', { x: 600 }), { avoidCollisions: false });
+    const time = await moment();
+    await board.updateItem('a', { content: 'second' });
+    await board.deleteItem('b');
+    await board.addItem(text('c', { x: 1200 }), { avoidCollisions: false });
+
+    expect(await restoreBoard(board, history, time)).toEqual({ created: ['b'], updated: ['a'], deleted: ['c'], unknown: [] });
+    expect(await contents(board)).toEqual({ a: 'first', b: 'first' });
+  });
+
+  it('leaves items whose kept history does not reach back that far as they are', async () => {
+    const { history, board } = createBoard({ limit: 2 });
+    const time = await moment();
+    await board.addItem(text('a'), { avoidCollisions: false });
+    await board.updateItem('a', { content: 'second' });
+    await board.updateItem('a', { content: 'third' });
+    expect((await history.getHistory('b', 'a')).truncated).toBe(true);
+
+    expect(await restoreBoard(board, history, time)).toEqual({ created: [], updated: [], deleted: [], unknown: ['a'] });
+    expect(await contents(board)).toEqual({ a: 'third' });
+  });
+
+  it('stops at a write that fails and reports the writes already made', async () => {
+    const { storage, history, board } = createBoard();
+    await board.addItem(text('a'), { avoidCollisions: false });
+    await board.addItem(text('b', { x: 600 }), { avoidCollisions: false });
+    const time = await moment();
+    await board.updateItem('a', { content: 'second' });
+    await board.updateItem('b', { content: 'second' });
+    await board.addItem(text('c', { x: 1200 }), { avoidCollisions: false });
+
+    const updateItem = storage.updateItem;
+    storage.updateItem = (boardId, id, update) => (id === 'b'
+      ? Promise.reject(new Error('disk full'))
+      : updateItem(boardId, id, update));
+
+    const error = await restoreBoard(board, history, time).catch(failure => failure);
+    expect(error.message).toBe('disk full');
+    expect(error.restore).toEqual({ itemId: 'b', created: [], updated: ['a'], deleted: ['c'], unknown: [] });
+    expect(await contents(board)).toEqual({ a: 'first', b: 'second' });
+
+    // The writes that went through are revisions of their own, so a retry finishes the job
+    storage.updateItem = updateItem;
+    expect(await restoreBoard(board, history, time)).toMatchObject({ updated: ['b'], deleted: [] });
+    expect(await contents(board)).toEqual({ a: 'first', b: 'first' });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+import { checkInteractions, canonicalNames } from '../../../api/_lib/interactions';
+
+const NOW = Date.parse('2025-07-01T00:00:00Z');
+
+const check = (medications) => checkInteractions(medications, { now: NOW });
+
+describe('canonicalNames', () => {
+  it('maps brand names and abbreviations to generic names', () => {
+    expect(canonicalNames('Bactrim DS')).toEqual(['trimethoprim-sulfamethoxazole']);
+    expect(canonicalNames('TMP-SMX 800/160 mg')).toEqual(['trimethoprim-sulfamethoxazole']);
+    expect(canonicalNames('Methotrexate 15 mg weekly')).toEqual(['methotrexate']);
+  });
+
+  it('matches whole words only', () => {
+    expect(canonicalNames('Ampicillin')).toEqual(['ampicillin']);
+    expect(canonicalNames('Vitamin D')).toEqual([]);
+  });
+});
+
+describe('checkInteractions', () => {
+  it('reports pairs taken at the same time, most severe first', () => {
+    const results = check([
+      { medication: 'Methotrexate 15 mg', start: '2025-01-01' },
+      { medication: 'Ibuprofen 400 mg', start: '2025-06-01', end: '2025-06-10' },
+      { medication: 'Bactrim DS', start: '2025-06-05', end: '2025-06-12' }
+    ]);
+
+    expect(results.map(result => result.interactionId)).toEqual(['methotrexate-tmp-smx', 'methotrexate-nsaid']);
+    expect(results[0]).toMatchObject({
+      drugs: ['Methotrexate 15 mg', 'Bactrim DS'],
+      severity: 'contraindicated',
+      overlap: { start: '2025-06-05', end: '2025-06-12', ongoing: false, days: 8 }
+    });
+  });
+
+  it('matches table entries that name a drug class, in either order', () => {
+    const [result] = check([
+      { name: 'Naproxen', start: '2025-06-01' },
+      { name: 'Lisinopril 10 mg', start: '2025-05-01' }
+    ]);
+    expect(result.interactionId).toBe('ace-inhibitor-nsaid');
+    expect(result.drugs).toEqual(['Lisinopril 10 mg', 'Naproxen']);
+    expect(result.overlap).toMatchObject({ start: '2025-06-01', end: null, ongoing: true, days: 31 });
+  });
+
+  it('skips pairs that never overlapped or lack a start date', () => {
+    expect(check([
+      { medication: 'Warfarin', start: '2025-01-01', end: '2025-02-01' },
+      { medication: 'Fluconazole', start: '2025-03-01' }
+    ])).toEqual([]);
+    expect(check([
+      { medication: 'Warfarin', start: '2025-01-01' },
+      { medication: 'Fluconazole' }
+    ])).toEqual([]);
+  });
+
+  it('does not pair two entries for the same drug', () => {
+    expect(check([
+      { medication: 'Methotrexate', start: '2025-01-01' },
+      { medication: 'MTX 20 mg', start: '2025-02-01' }
+    ])).toEqual([]);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * @jest-environment node
+ */
+import { createLabStore, LabObservationError } from '../../../api/_lib/labs';
+
+// The document half of a storage adapter, which is all the lab store uses
+const createDocumentStorage = () => {
+  const documents = new Map();
+  const copy = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+  return {
+    loadDocument: async (key) => copy(documents.get(key)),
+    updateDocument: async (key, update) => {
+      const next = update(copy(documents.get(key)));
+      documents.set(key, copy(next));
+      return copy(next);
+    }
+  };
+};
+
+const range = { min: 7, max: 56 };
+
+describe('lab store', () => {
+  it('flags status and trend over the series, oldest first', async () => {
+    const labs = createLabStore({ storage: createDocumentStorage() });
+    await labs.record('p1', { parameter: 'ALT', value: 30, unit: 'U/L', range, observedAt: '2025-06-01' });
+    const { observation } = await labs.record('p1', { parameter: 'ALT', value: 80, observedAt: '2025-06-10' });
+    expect(observation).toMatchObject({ value: 80, status: 'warning', trend: 'up', previousValue: 30 });
+
+    // A value observed earlier goes before the others
+    const late = await labs.record('p1', { parameter: 'ALT', value: 150, observedAt: '2025-05-01' });
+    expect(late.observation).toMatchObject({ status: 'critical', trend: 'stable', previousValue: null });
+    expect(late.analyte.observations.map(entry => entry.trend)).toEqual(['stable', 'down', 'up']);
+  });
+
+  it('needs the unit and range the first time an analyte is seen', async () => {
+    const labs = createLabStore({ storage: createDocumentStorage() });
+    await expect(labs.record('p1', { parameter: 'AST', value: 30 })).rejects.toThrow(LabObservationError);
+  });
+
+  it('finds an analyte stored under its code by the code or the parameter, in any case', async () => {
+    const labs = createLabStore({ storage: createDocumentStorage() });
+    await labs.record('p1', { parameter: 'ALT', code: '1742-6', value: 30, unit: 'U/L', range });
+
+    for (const name of ['1742-6', 'ALT', 'alt', ' Alt ']) {
+      expect(await labs.getAnalyte('p1', name)).toMatchObject({ key: '1742-6', parameter: 'ALT', code: '1742-6' });
+    }
+    expect(await labs.getAnalyte('p1', 'AST')).toBeNull();
+    expect(await labs.getAnalyte('p2', 'ALT')).toBeNull();
+  });
+});
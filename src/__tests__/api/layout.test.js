@@ -0,0 +1,115 @@
+/**
+ * @jest-environment node
+ */
+import { createSpatialIndex, placeItem, checkCollision } from '../../../api/_lib/layout';
+import { arrangeItems } from '../../../api/_lib/arrange';
+
+const card = (id, x, y, width = 400, height = 300, extra = {}) => ({ id, type: 'text', x, y, width, height, ...extra });
+
+const zone = { name: 'main', label: 'Main Zone', x: 0, y: 0, width: 2000, height: 1500 };
+
+const overlapsAny = (box, others) => others.some(other => other.id !== box.id && checkCollision(box, other));
+
+describe('createSpatialIndex', () => {
+  it('finds the rectangles that overlap an area', () => {
+    const index = createSpatialIndex([card('a', 0, 0), card('b', 1000, 1000), card('c', 5000, 0)]);
+    expect(index.search({ x: 300, y: 200, width: 800, height: 900 }).map(box => box.id).sort()).toEqual(['a', 'b']);
+    expect(index.collision({ x: 450, y: 0, width: 100, height: 100 })).toBeNull();
+    expect(index.collision({ x: 450, y: 0, width: 100, height: 100 }, 60).id).toBe('a');
+  });
+
+  it('keeps oversized rectangles out of the grid instead of filing them under every cell', () => {
+    const huge = card('huge', -5e7, -5e7, 1e8, 1e8);
+    const index = createSpatialIndex([huge, card('small', 200000, 0)]);
+
+    expect(index.collision({ x: 1e6, y: 1e6, width: 100, height: 100 }).id).toBe('huge');
+    expect(index.search({ x: 199000, y: 0, width: 1100, height: 100 }).map(box => box.id).sort()).toEqual(['huge', 'small']);
+    // An area as big as the board is scanned rather than split into cells
+    expect(index.search({ x: -1e9, y: -1e9, width: 2e9, height: 2e9 })).toHaveLength(2);
+    expect(index.collision({ x: 6e7, y: 0, width: 100, height: 100 })).toBeNull();
+  });
+});
+
+describe('placeItem', () => {
+  it('keeps a requested position that is clear', () => {
+    expect(placeItem(card('new', 900, 900), [card('a', 0, 0)], { zones: [zone] }))
+      .toEqual({ x: 900, y: 900, zone: 'main', overflow: false });
+  });
+
+  it('moves an item off one it would cover, to the nearest free side', () => {
+    const placed = placeItem(card('new', 100, 100), [card('a', 0, 0)], { zones: [zone] });
+    expect(placed).toMatchObject({ x: 0, y: 350, zone: 'main' }); // Below it, nearest to where it was wanted
+  });
+
+  it('places beside related items first', () => {
+    const existing = [card('a', 100, 100), card('b', 1000, 900, 400, 300, { encounterNo: 2 })];
+    const placed = placeItem(card('new', undefined, undefined, 400, 300, { encounterNo: 2 }), existing, { zones: [zone] });
+    expect(placed).toMatchObject({ x: 1000, y: 550, zone: 'main' }); // Above it, the nearest free side
+  });
+
+  it('goes below a full zone and reports the overflow', () => {
+    const full = card('full', 0, 0, 2000, 1500);
+    const placed = placeItem(card('new', undefined, undefined), [full], { zones: [zone], zone: 'main' });
+    expect(placed).toEqual({ x: 100, y: 1550, zone: 'main', overflow: true });
+  });
+
+  it('places around an oversized item without walking its cells', () => {
+    const huge = card('huge', -5e7, 0, 1e8, 1e8);
+    const placed = placeItem(card('new', undefined, undefined), [huge], { zones: [zone], zone: 'main' });
+    expect(placed).toMatchObject({ x: 100, y: 1e8 + 50, overflow: true });
+  });
+});
+
+describe('arrangeItems', () => {
+  const items = [
+    card('short', 0, 0, 400, 200),
+    card('tall', 600, 0, 400, 600),
+    card('wide', 0, 800, 900, 300)
+  ];
+
+  it('packs a grid tallest first without overlaps', () => {
+    const { positions, bounds } = arrangeItems(items, 'grid', { zone });
+    expect(positions.map(position => position.id)).toEqual(['tall', 'wide', 'short']);
+    expect(positions[0]).toMatchObject({ x: 100, y: 100 });
+
+    const placed = positions.map(({ id, x, y }) => ({ ...items.find(item => item.id === id), x, y }));
+    placed.forEach(box => expect(overlapsAny(box, placed)).toBe(false));
+    expect(bounds).toMatchObject({ x: 100, y: 100 });
+  });
+
+  it('steps past items that are not being arranged, oversized ones included', () => {
+    const huge = card('huge', 1500, -5e7, 1e8, 1e8);
+    const fixed = card('fixed', 100, 100, 400, 300);
+    const { positions } = arrangeItems(items, 'grid', { zone, boardItems: [...items, fixed, huge] });
+
+    const placed = positions.map(({ id, x, y }) => ({ ...items.find(item => item.id === id), x, y }));
+    placed.forEach(box => expect(overlapsAny(box, [...placed, fixed, huge])).toBe(false));
+  });
+
+  it('lines encounters up oldest first on the timeline', () => {
+    const encounter = (id, date, x) => ({
+      id, type: 'component', componentType: 'SingleEncounterDocument', x, y: 0, width: 600, height: 800,
+      content: { props: { encounter: { date } } }
+    });
+    const { positions } = arrangeItems([
+      encounter('later', '2025-03-01', 0),
+      encounter('earlier', '2025-01-01', 800),
+      card('note', 0, 1000)
+    ], 'timeline');
+    expect(positions.map(position => position.id)).toEqual(['earlier', 'later', 'note']);
+    expect(positions[1].x).toBe(positions[0].x + 650);
+    expect(positions[2].y).toBeGreaterThan(800);
+  });
+
+  it('wraps the timeline row at the width of the zone it is laid out in', () => {
+    const encounters = Array.from({ length: 8 }, (_, index) => ({
+      id: `encounter-${index}`, type: 'component', componentType: 'SingleEncounterDocument', x: 0, y: 0, width: 600, height: 800,
+      content: { props: { encounter: { encounter_no: index + 1 } } }
+    }));
+    const { positions, bounds } = arrangeItems(encounters, 'timeline', { zone });
+    expect(positions.map(position => position.id)).toEqual(encounters.map(item => item.id));
+    positions.forEach(position => expect(position.x + 600).toBeLessThanOrEqual(zone.x + zone.width - 100));
+    expect(positions[2]).toMatchObject({ x: positions[0].x, y: positions[0].y + 850 }); // Two fit across the zone
+    expect(bounds.x + bounds.width).toBeLessThanOrEqual(zone.x + zone.width);
+  });
+});
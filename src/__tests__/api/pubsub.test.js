@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createApp } from '../../../api/_lib/app';
+import { createAuthService } from '../../../api/_lib/auth';
+import { createMemoryPubSub } from '../../../api/_lib/pubsub';
+import { createFileStorage } from '../../../api/_lib/storage/file';
+
+let dataDir;
+let servers;
+
+// Two app instances sharing one store and one broker, like two servers behind Redis
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sse-relay-'));
+  const storage = createFileStorage({ file: path.join(dataDir, 'default.json'), dataDir });
+  const pubsub = createMemoryPubSub();
+  const auth = createAuthService({ storage, secret: 'relay-test', anonymousRole: 'clinician', envApiKeys: [] });
+  servers = await Promise.all([0, 1].map(() => new Promise((resolve) => {
+    const server = createApp({ storage, pubsub, auth }).listen(0, '127.0.0.1', () => resolve(server));
+  })));
+});
+
+afterAll(async () => {
+  await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+const portOf = (server) => server.address().port;
+
+// Open an event stream; `next(event)` resolves with the data of the next event of that
+// name, including one that arrived before it was asked for
+const openEvents = (server, streamPath) => new Promise((resolve, reject) => {
+  const request = http.get({ host: '127.0.0.1', port: portOf(server), path: streamPath }, (res) => {
+    let buffer = '';
+    const arrived = [];
+    const waiting = [];
+    const settle = () => {
+      for (let index = 0; index < waiting.length;) {
+        const match = arrived.findIndex(entry => entry.event === waiting[index].event);
+        if (match === -1) {
+          index += 1;
+        } else {
+          waiting.splice(index, 1)[0].resolve(arrived.splice(match, 1)[0].data);
+        }
+      }
+    };
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        arrived.push({ event: block.match(/^event: (.*)$/m)?.[1], data: JSON.parse(block.match(/^data: (.*)$/m)?.[1]) });
+      }
+      settle();
+    });
+    resolve({
+      next: (event) => new Promise((done) => {
+        waiting.push({ event, resolve: done });
+        settle();
+      }),
+      close: () => request.destroy()
+    });
+  });
+  request.on('error', reject);
+});
+
+const send = (method, server, requestPath, body) => new Promise((resolve, reject) => {
+  const request = http.request({
+    host: '127.0.0.1', port: portOf(server), path: requestPath, method, headers: { 'Content-Type': 'application/json' }
+  }, (res) => {
+    let text = '';
+    res.on('data', (chunk) => { text += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+  });
+  request.on('error', reject);
+  request.end(JSON.stringify(body));
+});
+
+const post = (...args) => send('POST', ...args);
+const put = (...args) => send('PUT', ...args);
+
+describe('SSE relay between instances', () => {
+  it('delivers a write made on one instance to the clients of the other', async () => {
+    const [writer, reader] = servers;
+    const created = await post(writer, '/api/boards', { id: 'relay-board' });
+    expect(created.status).toBe(201);
+
+    const events = await openEvents(reader, '/api/boards/relay-board/events');
+    expect(await events.next('connected')).toBe('ok');
+
+    // Created items are not broadcast (the creating client adds them itself); edits are
+    const { body: item } = await post(writer, '/api/boards/relay-board/items', { type: 'text', content: 'draft', x: 0, y: 0 });
+    const arriving = events.next('item-updated');
+    expect((await put(writer, `/api/boards/relay-board/items/${item.id}`, { content: 'relayed' })).status).toBe(200);
+    expect(await arriving).toMatchObject({ boardId: 'relay-board', id: item.id, patch: { content: 'relayed', version: 2 } });
+    events.close();
+  });
+
+  it('keeps other boards\' events away from a board\'s clients', async () => {
+    const [writer, reader] = servers;
+    await post(writer, '/api/boards', { id: 'quiet-board' });
+    const events = await openEvents(reader, '/api/boards/quiet-board/events');
+    await events.next('connected');
+
+    const received = [];
+    events.next('item-updated').then(data => received.push(data));
+    const { body: item } = await post(writer, '/api/boards/relay-board/items', { type: 'text', content: 'draft', x: 0, y: 600 });
+    await put(writer, `/api/boards/relay-board/items/${item.id}`, { content: 'elsewhere' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(received).toEqual([]);
+    events.close();
+  });
+});
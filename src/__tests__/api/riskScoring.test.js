@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scoreEncounters, loadRiskRules, RiskRuleError } from '../../../api/_lib/riskScoring';
+
+const LEVELS = [{ level: 'high', min: 60 }, { level: 'moderate', min: 30 }, { level: 'low', min: 0 }];
+
+const rules = (ruleList, baseline = 5) => ({ version: 'test', baseline, levels: LEVELS, rules: ruleList });
+
+const score = (ruleList, input = {}) => scoreEncounters({
+  encounters: [{ encounter_no: 1, date: '2025-06-21' }],
+  rules: rules(ruleList),
+  ...input
+}).scores[0];
+
+const methotrexate = { id: 'mtx', type: 'drug-exposure', drugs: ['methotrexate'], points: 20 };
+
+describe('scoreEncounters', () => {
+  it('adds the points of each rule that fires to the baseline', () => {
+    const result = score([methotrexate], { medications: [{ medication: 'Methotrexate 15 mg', start: '2025-01-01' }] });
+    expect(result.score).toBe(25);
+    expect(result.level).toBe('low');
+    expect(result.rules).toEqual([expect.objectContaining({ id: 'mtx', points: 20, detail: 'Methotrexate 15 mg on 2025-06-21' })]);
+    expect(score([methotrexate]).score).toBe(5);
+  });
+
+  it('moves through the levels at their minimum scores and clamps to 0-100', () => {
+    const flat = (points) => score([{ id: 'age', type: 'risk-factor', factor: 'age', min: 18, points }], { patient: { age: 60 } });
+    expect(flat(24).level).toBe('low'); // 29
+    expect(flat(25).level).toBe('moderate'); // 30
+    expect(flat(54).level).toBe('moderate'); // 59
+    expect(flat(55).level).toBe('high'); // 60
+    expect(flat(200).score).toBe(100);
+    expect(flat(-50).score).toBe(0);
+  });
+
+  it('fires exposure-change rules only within withinDays before the encounter', () => {
+    const rule = { id: 'abx', type: 'exposure-change', drugs: ['trimethoprim-sulfamethoxazole'], change: 'start', withinDays: 14, points: 15 };
+    const startedOn = (start) => score([rule], { medications: [{ medication: 'Bactrim DS', start }] }).score;
+    expect(startedOn('2025-06-15')).toBe(20);
+    expect(startedOn('2025-06-01')).toBe(5);
+    expect(startedOn('2025-06-25')).toBe(5);
+  });
+
+  it('fires lab-delta rules on the change against the lowest value in the window', () => {
+    const rule = {
+      id: 'alt-rise', type: 'lab-delta', analyte: { names: ['alt'] }, direction: 'increase', withinDays: 30, minChangePercent: 100, points: 20
+    };
+    const labs = (latest) => [
+      { name: 'ALT', value: 40, date: '2025-06-01' },
+      { name: 'ALT', value: 30, date: '2025-06-10' },
+      { name: 'ALT', value: latest, date: '2025-06-20' }
+    ];
+    expect(score([rule], { labs: labs(60) }).score).toBe(25); // +100% on 30
+    expect(score([rule], { labs: labs(59) }).score).toBe(5);
+  });
+
+  it('does not count a condition recorded after the encounter', () => {
+    const rule = { id: 'liver', type: 'risk-factor', factor: 'condition', conditions: ['cirrhosis'], points: 10 };
+    expect(score([rule], { problems: [{ name: 'Cirrhosis', first_recorded: '2025-01-01' }] }).score).toBe(15);
+    expect(score([rule], { problems: [{ name: 'Cirrhosis', first_recorded: '2025-07-01' }] }).score).toBe(5);
+  });
+});
+
+describe('loadRiskRules', () => {
+  let dir;
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-rules-'));
+  });
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const load = (config) => {
+    const file = path.join(dir, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return () => loadRiskRules(file);
+  };
+
+  it('loads the bundled rules', () => {
+    expect(loadRiskRules().rules.length).toBeGreaterThan(0);
+  });
+
+  it('rejects a file without rules or levels', () => {
+    expect(load({ levels: LEVELS })).toThrow('rules must be an array');
+    expect(load({ rules: [], levels: [] })).toThrow('levels must be a non-empty array');
+  });
+
+  it('names the rule and the problem when a rule is invalid', () => {
+    expect(load(rules([{ ...methotrexate, type: 'dose' }]))).toThrow(RiskRuleError);
+    expect(load(rules([{ ...methotrexate, type: 'dose' }]))).toThrow('risk rule mtx: type must be one of');
+    expect(load(rules([{ ...methotrexate, points: 'many' }]))).toThrow('risk rule mtx: points must be a number');
+    expect(load(rules([{ ...methotrexate, drugs: [] }]))).toThrow('risk rule mtx: drugs is required');
+    expect(load(rules([{ type: 'drug-exposure', drugs: ['methotrexate'], points: 1 }]))).toThrow('risk rule (no id): id is required');
+    expect(load(rules([{ id: 'rise', type: 'lab-delta', analyte: { names: ['alt'] }, direction: 'up', withinDays: 7, minChangePercent: 50, points: 5 }])))
+      .toThrow('direction must be increase or decrease');
+    expect(load(rules([{ id: 'old', type: 'risk-factor', factor: 'weight', points: 5 }]))).toThrow('factor must be age or condition');
+  });
+});
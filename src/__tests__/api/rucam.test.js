@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+import { assessRucam, RucamInputError } from '../../../api/_lib/rucam';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = (n) => new Date(Date.UTC(2025, 5, 1) + n * DAY_MS).toISOString().slice(0, 10);
+
+const ALL_EXCLUDED = {
+  hav: 'excluded', hbv: 'excluded', hcv: 'excluded', hev: 'excluded', imaging: 'excluded', alcohol: 'excluded', hypotension: 'excluded',
+  underlyingDisease: 'excluded', cmv: 'excluded', ebv: 'excluded', hsv: 'excluded', vzv: 'excluded'
+};
+
+// Hepatocellular injury: ALT 10x ULN on day 20, halved 5 days after the drug was stopped
+const liverLabs = [
+  { name: 'ALT', value: 30, date: day(0) },
+  { name: 'ALT', value: 400, date: day(20) },
+  { name: 'ALP', value: 100, date: day(20) },
+  { name: 'ALT', value: 150, date: day(27) }
+];
+
+const score = (overrides = {}) => assessRucam({
+  suspectDrug: 'Amoxicillin',
+  medications: [{ name: 'Amoxicillin 500 mg', start: day(0), end: day(22) }],
+  labs: liverLabs,
+  exclusions: ALL_EXCLUDED,
+  now: Date.parse(day(60)),
+  ...overrides
+});
+
+const criterion = (result, id) => result.criteria.find(entry => entry.id === id);
+
+describe('assessRucam', () => {
+  it('scores a hepatocellular case criterion by criterion', () => {
+    const result = score();
+
+    expect(result.pattern).toBe('hepatocellular');
+    expect(result.rRatio).toBe(12);
+    expect(criterion(result, 'timeToOnset').score).toBe(2);
+    expect(criterion(result, 'course').score).toBe(3);
+    expect(criterion(result, 'riskFactors').score).toBe(0);
+    expect(criterion(result, 'concomitantDrugs').score).toBe(0);
+    expect(criterion(result, 'alternativeCauses').score).toBe(2);
+    expect(criterion(result, 'previousHepatotoxicity').score).toBe(0);
+    expect(result.total_score).toBe(7);
+    expect(result.causality_category).toBe('Probable');
+  });
+
+  it('gives +1 for onset outside the 5-90 day window', () => {
+    const result = score({ medications: [{ name: 'Amoxicillin', start: day(17), end: day(22) }] });
+    expect(criterion(result, 'timeToOnset').score).toBe(1);
+  });
+
+  it('excludes a drug started after the injury began', () => {
+    const result = score({ medications: [{ name: 'Amoxicillin', start: day(25) }] });
+    expect(result.excluded_by).toMatch(/before the suspect drug/);
+    expect(result.causality_category).toBe('Excluded');
+  });
+
+  it('moves through the causality categories at 0, 2, 5 and 8', () => {
+    const categoryFor = (exclusions, rechallenge) => score({ exclusions, rechallenge }).causality_category;
+    expect(categoryFor(ALL_EXCLUDED, 'positive')).toBe('Highly probable'); // 7 + 3
+    expect(categoryFor(ALL_EXCLUDED, 'positive-with-co-drugs')).toBe('Probable'); // 7 + 1
+    expect(categoryFor({ ...ALL_EXCLUDED, cmv: 'pending' }, null)).toBe('Probable'); // 6
+    expect(categoryFor({}, null)).toBe('Possible'); // 3
+    expect(categoryFor({}, 'negative')).toBe('Unlikely'); // 1
+    expect(categoryFor({ hav: 'positive' }, 'negative')).toBe('Excluded'); // 0
+  });
+
+  it('scores age and alcohol as risk factors', () => {
+    expect(criterion(score({ age: 60, alcohol: true }), 'riskFactors').score).toBe(2);
+    expect(criterion(score({ age: 54 }), 'riskFactors').score).toBe(0);
+  });
+
+  it('recognises labelled hepatotoxins by alias and dose-qualified name', () => {
+    const result = score({
+      suspectDrug: 'TMP-SMX',
+      medications: [{ name: 'Trimethoprim-Sulfamethoxazole 800/160 mg', start: day(0), end: day(22) }]
+    });
+    expect(result.suspectDrug).toBe('Trimethoprim-Sulfamethoxazole 800/160 mg');
+    expect(criterion(result, 'previousHepatotoxicity').score).toBe(2);
+  });
+
+  it('does not match a short suspect name inside other drug names', () => {
+    const medications = [
+      { name: 'Irbesartan 150 mg', start: day(0) },
+      { name: 'Amoxicillin', start: day(0), end: day(22) }
+    ];
+    expect(() => score({ suspectDrug: 'ir', medications })).toThrow(RucamInputError);
+    expect(() => score({ suspectDrug: 'a', medications })).toThrow('a is not in the medication timeline');
+  });
+
+  it('only counts concomitant drugs that are labelled hepatotoxins as such', () => {
+    const withCoDrug = (name) => score({
+      medications: [
+        { name: 'Amoxicillin', start: day(0), end: day(22) },
+        { name, start: day(0) }
+      ]
+    });
+    expect(criterion(withCoDrug('Methotrexate 20 mg'), 'concomitantDrugs').score).toBe(-2);
+    // "Aminophylline" contains no labelled hepatotoxin's whole name
+    expect(criterion(withCoDrug('Aminophylline'), 'concomitantDrugs').score).toBe(-1);
+  });
+
+  it('treats exclusions: null as no work-up and rejects other non-objects', () => {
+    expect(criterion(score({ exclusions: null }), 'alternativeCauses').score).toBe(-2);
+    expect(() => score({ exclusions: 'all' })).toThrow('exclusions must be an object');
+    expect(() => score({ exclusions: ['hav'] })).toThrow(RucamInputError);
+  });
+
+  it('asks for an onset date when no liver test is above its upper limit', () => {
+    expect(() => score({ labs: [{ name: 'ALT', value: 20, date: day(5) }] })).toThrow(/onsetDate/);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @jest-environment node
+ */
+import zlib from 'zlib';
+// Renamed so the testing-library lint rules do not take them for component renders
+import { buildSummary, renderSummaryHtml as summaryHtml, renderSummaryPdf as summaryPdf } from '../../../api/_lib/summary';
+import { wrapText, textWidth } from '../../../api/_lib/pdf';
+
+const board = { id: 'board-1', name: 'Ward <3>', patientId: 'p-1' };
+const zones = [
+  { name: 'data-zone', label: 'Data', x: 0, y: 2000, width: 3000, height: 2000 },
+  { name: 'context-zone', label: 'Context', x: 0, y: 0, width: 3000, height: 2000 }
+];
+const component = (id, componentType, props, x, y) => ({
+  id, type: 'component', componentType, x, y, width: 400, height: 300, content: { props }
+});
+
+const items = [
+  component('labs-table', 'LabTable', {}, 0, 2100),
+  component('labs-chart', 'LabChart', {}, 600, 2100),
+  component('context', 'PatientContext', {
+    patientData: { patient: { name: 'Joanna Smith', identifiers: { mrn: 'MRN-42' } }, primaryDiagnosis: 'Rheumatoid arthritis' }
+  }, 0, 100),
+  { id: 'note-"1"', type: 'text', x: 5000, y: 0, width: 200, height: 100, content: '<script>alert("x")</script> & more' }
+];
+const labs = [{ parameter: 'ALT', value: 88, unit: 'U/L', range: { min: 7, max: 56 }, observedAt: '2024-03-10T08:00:00Z' }];
+
+const summarise = (overrides = {}) => buildSummary({ board, items, zones, labs, generatedAt: '2024-04-01T00:00:00Z', ...overrides });
+
+// Page content streams of a PDF, inflated
+const pageStreams = (buffer) => {
+  const streams = [];
+  const pattern = />>\nstream\n/g;
+  let match;
+  while ((match = pattern.exec(buffer.toString('latin1')))) {
+    const start = match.index + match[0].length;
+    const end = buffer.indexOf('\nendstream', start, 'latin1');
+    streams.push(zlib.inflateSync(buffer.subarray(start, end)).toString('latin1'));
+  }
+  return streams;
+};
+
+describe('buildSummary', () => {
+  it('reads zones top to bottom, lists lab observations once and puts unzoned items last', () => {
+    const summary = summarise();
+    expect(summary.title).toBe('Clinical summary - Joanna Smith');
+    expect(summary.patient).toEqual([['Name', 'Joanna Smith'], ['MRN', 'MRN-42'], ['Board', 'Ward <3>']]);
+    expect(summary.sections.map(section => [section.title, section.items.map(item => item.id)])).toEqual([
+      ['Context', ['context']],
+      ['Data', ['labs-table']],
+      ['Other items', ['note-"1"']]
+    ]);
+    expect(summary.sections[1].items[0].blocks[0].rows).toEqual([['ALT', '88 U/L', '7-56', 'warning', '2024-03-10']]);
+  });
+});
+
+describe('renderSummaryHtml', () => {
+  it('escapes every value taken from the board', () => {
+    const html = summaryHtml(summarise());
+    expect(html).toContain('<dd>Ward &lt;3&gt;</dd>');
+    expect(html).toContain('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; more</p>');
+    expect(html).toContain('<article id="note-&quot;1&quot;">');
+    expect(html).not.toContain('<script>');
+  });
+});
+
+describe('renderSummaryPdf', () => {
+  it('writes a PDF whose cross-reference table points at its objects', () => {
+    const buffer = summaryPdf(summarise());
+    const source = buffer.toString('latin1');
+    expect(source.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(source.endsWith('%%EOF\n')).toBe(true);
+
+    const startxref = Number(source.match(/startxref\n(\d+)\n%%EOF/)[1]);
+    expect(source.slice(startxref, startxref + 4)).toBe('xref');
+    const offsets = [...source.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+    expect(offsets).toHaveLength(Number(source.match(/^xref\n0 (\d+)$/m)[1]) - 1);
+    offsets.forEach((offset, index) => {
+      expect(source.slice(offset, offset + `${index + 1} 0 obj`.length)).toBe(`${index + 1} 0 obj`);
+    });
+  });
+
+  it('escapes text for PDF strings and numbers its pages', () => {
+    const summary = summarise({
+      items: [{ id: 'n', type: 'text', x: 5000, y: 0, width: 200, height: 100, content: 'ALT (raised) \\ → 3x ULN' }]
+    });
+    const [page] = pageStreams(summaryPdf(summary));
+    expect(page).toContain('(ALT \\(raised\\) \\\\ -> 3x ULN) Tj');
+    expect(page).toContain('- page 1 of 1) Tj');
+  });
+
+  it('runs a long table onto new pages with its header repeated', () => {
+    const many = Array.from({ length: 120 }, (_, index) => ({ ...labs[0], value: index, observedAt: `2024-03-10T${String(index % 24).padStart(2, '0')}:00:00Z` }));
+    const streams = pageStreams(summaryPdf(summarise({ labs: many })));
+    expect(streams.length).toBeGreaterThan(2);
+    streams.slice(1).forEach((page, index) => {
+      expect(page).toContain('(Reference range) Tj');
+      expect(page).toContain(`page ${index + 2} of ${streams.length}) Tj`);
+    });
+  });
+});
+
+describe('wrapText', () => {
+  it('keeps every line within the width and splits words longer than a line', () => {
+    const lines = wrapText('Methotrexate weekly with folic acid Supercalifragilisticexpialidocious', 60, 10);
+    lines.forEach(line => expect(textWidth(line, 10)).toBeLessThanOrEqual(60));
+    expect(lines).toContain('Methotrexate');
+    expect(lines.join(' ').replace(/ /g, '')).toBe('MethotrexateweeklywithfolicacidSupercalifragilisticexpialidocious');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+import { createTourStore, createTourPlayer, TourError } from '../../../api/_lib/tours';
+
+const copy = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+// The document half of a storage adapter, kept in memory
+const createStorage = () => {
+  const documents = new Map();
+  return {
+    loadDocument: async (key) => copy(documents.get(key)),
+    saveDocument: async (key, value) => {
+      documents.set(key, copy(value));
+    },
+    updateDocument: async (key, update) => {
+      const next = update(copy(documents.get(key)));
+      documents.set(key, copy(next));
+      return copy(next);
+    }
+  };
+};
+
+// Let the writes a fired timer started run to the end
+const settle = async () => {
+  for (let turn = 0; turn < 20; turn += 1) await Promise.resolve();
+};
+
+const steps = [
+  { objectId: 'context', dwell: 1000 },
+  { objectId: 'labs', dwell: 3000 },
+  { objectId: 'timeline', dwell: 2000 }
+];
+
+const createPlayer = () => {
+  const tours = createTourStore({ storage: createStorage() });
+  const player = createTourPlayer({ tours });
+  const board = { id: 'b', broadcast: jest.fn() };
+  const announced = () => board.broadcast.mock.calls.map(([event]) => [event.action, event.status, event.index]);
+  return { tours, player, board, announced };
+};
+
+describe('tour playback', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('moves on after each step\'s dwell time and finishes after the last', async () => {
+    const { tours, player, board, announced } = createPlayer();
+    const tour = await tours.create('b', { title: 'Case walk', steps });
+    await player.play(board, tour.id);
+
+    jest.advanceTimersByTime(999);
+    await settle();
+    expect(announced()).toEqual([['play', 'playing', 0]]);
+
+    jest.advanceTimersByTime(1);
+    await settle();
+    jest.advanceTimersByTime(2999);
+    await settle();
+    expect(announced()).toEqual([['play', 'playing', 0], ['advance', 'playing', 1]]);
+
+    jest.advanceTimersByTime(1);
+    await settle();
+    jest.advanceTimersByTime(2000);
+    await settle();
+    expect(announced().slice(2)).toEqual([['advance', 'playing', 2], ['advance', 'finished', null]]);
+    expect(jest.getTimerCount()).toBe(0);
+    expect((await tours.get('b', tour.id)).playback).toMatchObject({ status: 'finished', step: null });
+  });
+
+  it('holds a paused tour on its step and resumes it with the step\'s full dwell', async () => {
+    const { tours, player, board, announced } = createPlayer();
+    const tour = await tours.create('b', { title: 'Case walk', steps });
+    await player.play(board, tour.id, { step: 1 });
+    jest.advanceTimersByTime(2500);
+    await player.pause(board, tour.id);
+    expect(jest.getTimerCount()).toBe(0);
+
+    jest.advanceTimersByTime(60000);
+    await settle();
+    await player.play(board, tour.id);
+    jest.advanceTimersByTime(2999);
+    await settle();
+    expect(announced()).toEqual([['play', 'playing', 1], ['pause', 'paused', 1], ['play', 'playing', 1]]);
+
+    jest.advanceTimersByTime(1);
+    await settle();
+    expect(announced()[3]).toEqual(['advance', 'playing', 2]);
+  });
+
+  it('restarts the dwell timer when a playing tour is stepped by hand', async () => {
+    const { tours, player, board, announced } = createPlayer();
+    const tour = await tours.create('b', { title: 'Case walk', steps });
+    await player.play(board, tour.id);
+    jest.advanceTimersByTime(900);
+    await player.next(board, tour.id);
+
+    jest.advanceTimersByTime(2999);
+    await settle();
+    expect(announced()).toEqual([['play', 'playing', 0], ['next', 'playing', 1]]);
+    expect(jest.getTimerCount()).toBe(1);
+  });
+
+  it('stops the tour already playing on the board when another starts', async () => {
+    const { tours, player, board, announced } = createPlayer();
+    const first = await tours.create('b', { title: 'First', steps });
+    const second = await tours.create('b', { title: 'Second', steps: [{ objectId: 'labs', dwell: 5000 }] });
+    await player.play(board, first.id);
+    await player.play(board, second.id);
+    expect(jest.getTimerCount()).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+    await settle();
+    expect(announced()).toEqual([['play', 'playing', 0], ['stop', 'stopped', null], ['play', 'playing', 0]]);
+    expect((await tours.get('b', first.id)).playback.status).toBe('stopped');
+  });
+
+  it('drops the timers of a deleted board and rejects a step out of range', async () => {
+    const { tours, player, board } = createPlayer();
+    const tour = await tours.create('b', { title: 'Case walk', steps });
+    await expect(player.play(board, tour.id, { step: 3 })).rejects.toThrow(TourError);
+    await player.play(board, tour.id);
+
+    player.forgetBoard('b');
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
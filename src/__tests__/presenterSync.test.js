@@ -0,0 +1,53 @@
+import { fromSharedViewport, glideTowards, toSharedViewport } from '../presenterSync';
+
+const laptop = { clientWidth: 1280, clientHeight: 800 };
+const wall = { clientWidth: 3840, clientHeight: 2160 };
+
+describe('shared viewports', () => {
+  it('names the world point at the centre of the screen', () => {
+    // Translated 200px right and 100px down at zoom 2: the screen centre (640, 400) is world (220, 150)
+    expect(toSharedViewport({ x: 200, y: 100, zoom: 2 }, laptop)).toEqual({ x: 220, y: 150, zoom: 2 });
+  });
+
+  it('centres the same world point on a screen of another size', () => {
+    const shared = toSharedViewport({ x: -350, y: 120, zoom: 0.8 }, laptop);
+    const onWall = fromSharedViewport(shared, wall);
+    expect(onWall.zoom).toBe(0.8);
+    expect(toSharedViewport(onWall, wall).x).toBeCloseTo(shared.x, 9);
+    expect(toSharedViewport(onWall, wall).y).toBeCloseTo(shared.y, 9);
+    expect(fromSharedViewport(shared, laptop)).toEqual({ x: -350, y: 120, zoom: 0.8 });
+  });
+});
+
+describe('glideTowards', () => {
+  const target = { x: 1000, y: -500, zoom: 1.5 };
+
+  it('covers the share of the distance its smoothing allows for the time elapsed', () => {
+    const { viewport, done } = glideTowards({ x: 0, y: 0, zoom: 1 }, target, 150);
+    const blend = 1 - Math.exp(-1);
+    expect(done).toBe(false);
+    expect(viewport.x).toBeCloseTo(1000 * blend, 9);
+    expect(viewport.y).toBeCloseTo(-500 * blend, 9);
+    expect(viewport.zoom).toBeCloseTo(1 + 0.5 * blend, 9);
+  });
+
+  it('does not move for no elapsed time, or time running backwards', () => {
+    const start = { x: 10, y: 20, zoom: 1 };
+    expect(glideTowards(start, target, 0).viewport).toEqual(start);
+    expect(glideTowards(start, target, -40).viewport).toEqual(start);
+  });
+
+  it('settles on the target once within half a pixel at the target zoom', () => {
+    let current = { x: 0, y: 0, zoom: 1 };
+    let frames = 0;
+    for (let done = false; !done && frames < 1000; frames += 1) {
+      ({ viewport: current, done } = glideTowards(current, target, 16));
+    }
+    expect(current).toBe(target);
+    expect(frames).toBeLessThan(200);
+
+    // 0.4 world units is 0.6px at zoom 1.5, so it still moves
+    expect(glideTowards({ ...target, x: target.x - 0.4 }, target, 16).done).toBe(false);
+    expect(glideTowards({ ...target, x: target.x - 0.3 }, target, 16)).toEqual({ viewport: target, done: true });
+  });
+});
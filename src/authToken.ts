@@ -0,0 +1,34 @@
+// Bearer token for the board API. A link can carry ?token=, which is kept in this browser
+// so later page loads stay signed in; without one, requests go unauthenticated.
+const TOKEN_KEY = 'board-api-token';
+
+export const getAuthToken = (): string | null => {
+  const url = new URL(window.location.href);
+  const fromUrl = url.searchParams.get('token');
+  if (fromUrl) {
+    localStorage.setItem(TOKEN_KEY, fromUrl);
+    // Keep the token out of the address bar, browser history and copied links
+    url.searchParams.delete('token');
+    window.history.replaceState(window.history.state, '', url.toString());
+    return fromUrl;
+  }
+  return localStorage.getItem(TOKEN_KEY);
+};
+
+export const setAuthToken = (token: string | null) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+};
+
+// Headers for fetch, merged over any the caller passes
+export const authHeaders = (headers: Record<string, string> = {}): Record<string, string> => {
+  const token = getAuthToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+};
+
+// EventSource cannot send headers, so the token goes in the query string
+export const withAccessToken = (url: string) => {
+  const token = getAuthToken();
+  if (!token) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`;
+};
@@ -0,0 +1,55 @@
+// Moves made by POST /api/layout arrive together in one layout-applied SSE event; the
+// canvas glides the items to their new places instead of jumping there.
+export const LAYOUT_SSE_EVENT = 'layout-applied';
+
+const LAYOUT_ANIMATION_MS = 800;
+
+export interface LayoutMove {
+  id: string;
+  x: number;
+  y: number;
+  height?: number;
+  version: number;
+  updatedAt: string;
+}
+
+const easeInOut = (t: number) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t);
+
+// Animate items from where they are now to the layout's positions, then apply the moves
+// (new height, version and updatedAt included) exactly
+export const animateLayout = (
+  moves: LayoutMove[],
+  setItems: (update: (items: any[]) => any[]) => void,
+  duration = LAYOUT_ANIMATION_MS
+) => {
+  const targets = new Map(moves.map(move => [move.id, move]));
+  let origins: Map<string, { x: number; y: number }> | null = null;
+  let start: number | null = null;
+
+  const frame = (now: number) => {
+    if (start === null) start = now;
+    const t = Math.min(1, (now - start) / duration);
+    const eased = easeInOut(t);
+
+    setItems((prev) => {
+      if (!origins) {
+        origins = new Map(prev.filter(item => targets.has(item.id)).map(item => [item.id, { x: item.x, y: item.y }]));
+      }
+      return prev.map((item) => {
+        const target = targets.get(item.id);
+        const origin = origins?.get(item.id);
+        if (!target) return item;
+        if (!origin || t === 1) return { ...item, ...target };
+        return {
+          ...item,
+          x: Math.round(origin.x + (target.x - origin.x) * eased),
+          y: Math.round(origin.y + (target.y - origin.y) * eased)
+        };
+      });
+    });
+
+    if (t < 1) requestAnimationFrame(frame);
+  };
+
+  requestAnimationFrame(frame);
+};
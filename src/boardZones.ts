@@ -0,0 +1,40 @@
+// The board's zones (/api/zones). Until the API answers, and when it cannot be reached,
+// the zones bundled in src/data/zone-config.json are shown.
+import { useEffect, useState } from 'react';
+import zoneConfig from './data/zone-config.json';
+import { authHeaders } from './authToken';
+
+export interface BoardZone {
+  name: string;
+  label: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  color?: string;
+  gradient?: string;
+  borderGradient?: string;
+  description?: string;
+}
+
+// SSE event carrying the board's full list of zones after any change
+export const ZONES_SSE_EVENT = 'zones-updated';
+
+export const useBoardZones = (boardApiUrl: string) => {
+  const [zones, setZones] = useState<BoardZone[]>(zoneConfig.zones);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${boardApiUrl}/zones`, { headers: authHeaders() })
+      .then(response => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!cancelled && Array.isArray(data?.zones)) setZones(data.zones);
+      })
+      .catch(err => console.warn('⚠️ Could not load board zones from API:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [boardApiUrl]);
+
+  return [zones, setZones] as const;
+};
@@ -8,6 +8,8 @@ import AdverseEventAnalytics from './dashboard/AdverseEventAnalytics';
 import LabTable from './dashboard/LabTable';
 import LabChart from './dashboard/LabChart';
 import DifferentialDiagnosis from './dashboard/DifferentialDiagnosis';
+import DrugInteractions from './dashboard/DrugInteractions';
+import NotesPanel from './dashboard/NotesPanel';
 import EHRSystemComponent from './encounters/EHRSystemComponent';
 import EncounterDocument from './encounters/EncounterDocument';
 import SingleEncounterDocument from './encounters/SingleEncounterDocument';
@@ -655,6 +657,8 @@ const BoardItem = ({
                   <EncounterTimeline
                     encounters={componentProps.encounters || []}
                     medicationTimeline={componentProps.medicationTimeline || []}
+                    interactions={componentProps.interactions || []}
+                    riskScores={componentProps.riskScores}
                   />
                 );
               
@@ -662,19 +666,40 @@ const BoardItem = ({
                 return <AdverseEventAnalytics patientData={componentProps.patientData} />;
               
               case 'LabTable':
-                return <LabTable encounters={componentProps.encounters || []} />;
+                return (
+                  <LabTable
+                    encounters={componentProps.encounters || []}
+                    labs={componentProps.labs}
+                    demo={componentProps.demo}
+                  />
+                );
               
               case 'LabChart':
                 return (
                   <LabChart
                     encounters={componentProps.encounters || []}
                     medicationTimeline={componentProps.medicationTimeline || []}
+                    labs={componentProps.labs}
+                    demo={componentProps.demo}
                   />
                 );
               
               case 'DifferentialDiagnosis':
                 return <DifferentialDiagnosis patientData={componentProps.patientData} />;
               
+              case 'DrugInteractions':
+                return (
+                  <DrugInteractions
+                    interactions={componentProps.interactions || []}
+                    checkedAt={componentProps.checkedAt}
+                    tableVersion={componentProps.tableVersion}
+                    medicationCount={componentProps.medicationCount}
+                  />
+                );
+
+              case 'NotesPanel':
+                return <NotesPanel patientId={componentProps.patientId} />;
+              
               case 'EHRSystemComponent':
                 return <EHRSystemComponent patientData={componentProps.patientData} />;
               
@@ -3,6 +3,9 @@ import styled from 'styled-components';
 import { motion, AnimatePresence } from 'framer-motion';
 import BoardItem from './BoardItem';
 import zoneConfig from '../data/zone-config.json';
+import { authHeaders } from '../authToken';
+import { BoardZone } from '../boardZones';
+import { fromSharedViewport, glideTowards, toSharedViewport } from '../presenterSync';
 
 // Types for styled components
 interface ZoneContainerProps {
@@ -11,6 +14,9 @@ interface ZoneContainerProps {
   borderGradient?: string;
 }
 
+// Zones added through the API may leave out their colour
+const DEFAULT_ZONE_COLOR = '#9E9E9E';
+
 const CanvasContainer = styled.div`
   width: 100%;
   height: 100%;
@@ -73,15 +79,21 @@ const Canvas = ({
   onFocusRequest,
   onAddItem,
   onResetBoard,
+  zones = zoneConfig.zones as BoardZone[],
+  followViewport = null, // A presenter's view to glide to (see presenterSync)
+  onViewportChange = null, // Called with the view as a SharedViewport whenever it changes
+  onUserNavigate = null, // Called when the user pans or zooms by hand
 }) => {
   const canvasRef = useRef(null);
   const [viewport, setViewport] = useState({ x: 0, y: 0, zoom: 1 });
+  const viewportRef = useRef(viewport);
   const [isDragging, setIsDragging] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   const [lastPanPoint, setLastPanPoint] = useState({ x: 0, y: 0 });
 
   // Handle viewport changes
   const updateViewport = useCallback((newViewport) => {
+    viewportRef.current = newViewport;
     setViewport(newViewport);
     if (canvasRef.current) {
       canvasRef.current.style.transform = `translate(${newViewport.x}px, ${newViewport.y}px) scale(${newViewport.zoom})`;
@@ -175,6 +187,7 @@ const Canvas = ({
   // Handle mouse wheel for zooming (zoom around cursor)
   const handleWheel = useCallback((e) => {
     e.preventDefault();
+    if (onUserNavigate) onUserNavigate();
     const container = e.currentTarget as HTMLElement;
     const rect = container.getBoundingClientRect();
 
@@ -196,7 +209,7 @@ const Canvas = ({
     const newY = mouseY - worldY * newZoom;
 
     updateViewport({ x: newX, y: newY, zoom: newZoom });
-  }, [viewport, updateViewport]);
+  }, [viewport, updateViewport, onUserNavigate]);
 
   // Handle panning
   const handleMouseDown = useCallback((e) => {
@@ -205,12 +218,13 @@ const Canvas = ({
       // Only start panning if clicking on the canvas background (not on items)
       if (e.target === e.currentTarget || e.target.closest('[data-item-id]') === null) {
         e.preventDefault();
+        if (onUserNavigate) onUserNavigate();
         setIsDragging(true);
         setDragStart({ x: e.clientX, y: e.clientY });
         setLastPanPoint({ x: viewport.x, y: viewport.y });
       }
     }
-  }, [viewport]);
+  }, [viewport, onUserNavigate]);
 
   const handleMouseMove = useCallback((e) => {
     // This is now handled by global event listeners
@@ -311,7 +325,7 @@ const Canvas = ({
         try {
           await fetch(`/api/board-items/${itemId}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify({ x: newX, y: newY })
           });
         } catch (_) { /* ignore */ }
@@ -332,6 +346,41 @@ const Canvas = ({
     };
   }, [viewport]);
 
+  // Report the view to a presenter
+  useEffect(() => {
+    const container = canvasRef.current?.parentElement as HTMLElement | null;
+    if (onViewportChange && container) onViewportChange(toSharedViewport(viewport, container));
+  }, [viewport, onViewportChange]);
+
+  // Follow a presenter: every frame, glide part of the way to their latest view, which
+  // smooths out the jumps between their updates
+  const followTarget = useRef(followViewport);
+  const followFrame = useRef<number | null>(null);
+  useEffect(() => {
+    followTarget.current = followViewport;
+    if (!followViewport || followFrame.current !== null) return;
+
+    let last = performance.now();
+    const glide = (now: number) => {
+      const target = followTarget.current;
+      const container = canvasRef.current?.parentElement as HTMLElement | null;
+      if (!target || !container) {
+        followFrame.current = null;
+        return;
+      }
+      const current = toSharedViewport(viewportRef.current, container);
+      const { viewport: next, done } = glideTowards(current, target, now - last);
+      last = now;
+      updateViewport(fromSharedViewport(next, container));
+      followFrame.current = done ? null : requestAnimationFrame(glide);
+    };
+    followFrame.current = requestAnimationFrame(glide);
+  }, [followViewport, updateViewport]);
+
+  useEffect(() => () => {
+    if (followFrame.current !== null) cancelAnimationFrame(followFrame.current);
+  }, []);
+
   return (
     <CanvasContainer
       onWheel={handleWheel}
@@ -349,7 +398,7 @@ const Canvas = ({
         }}
       >
         {/* Render Zones - Behind objects */}
-        {zoneConfig.zones.map((zone) => (
+        {zones.map((zone) => (
           <ZoneContainer
             key={zone.name}
             style={{
@@ -357,9 +406,9 @@ const Canvas = ({
               top: zone.y,
               width: zone.width,
               height: zone.height,
-              borderColor: zone.color,
+              borderColor: zone.color || DEFAULT_ZONE_COLOR,
             }}
-            color={zone.color}
+            color={zone.color || DEFAULT_ZONE_COLOR}
             gradient={zone.gradient}
             borderGradient={zone.borderGradient}
           >
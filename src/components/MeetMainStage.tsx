@@ -3,6 +3,14 @@ import styled from 'styled-components';
 import { meet } from '@googleworkspace/meet-addons/meet.addons';
 import Canvas from './Canvas';
 import boardItemsData from '../data/boardItems.json';
+import { NOTE_SSE_EVENTS, relayNoteEvent } from './dashboard/notesApi';
+import { authHeaders, withAccessToken } from '../authToken';
+import { useBoardZones, ZONES_SSE_EVENT } from '../boardZones';
+import { animateLayout, LAYOUT_SSE_EVENT } from '../boardLayout';
+import { TOUR_SSE_EVENT, TourStepEvent, tourFocusRequest, visibleTour, movesCamera } from '../tourPlayback';
+import TourCaption from './TourCaption';
+import PresenterBar from './PresenterBar';
+import { PRESENTER_SSE_EVENTS, usePresenterSync } from '../presenterSync';
 
 const MainStageContainer = styled.div`
   width: 100vw;
@@ -44,15 +52,24 @@ const ErrorText = styled.div`
 `;
 
 const MeetMainStage: React.FC = () => {
-  const [items, setItems] = useState(boardItemsData);
+  // Board (patient workspace) shown on the main stage - e.g. ?board=pt_000392
+  const BOARD_ID = new URLSearchParams(window.location.search).get('board') || 'default';
+  const initialItems = BOARD_ID === 'default' ? boardItemsData : [];
+
+  const [items, setItems] = useState(initialItems);
   const [selectedItemId, setSelectedItemId] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string>('');
+  const [tour, setTour] = useState<TourStepEvent | null>(null);
 
   // API base URL
   const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://patientcanvas-ai.vercel.app';
+  const BOARD_API_URL = `${API_BASE_URL}/api/boards/${encodeURIComponent(BOARD_ID)}`;
+  const [zones, setZones] = useBoardZones(BOARD_API_URL);
+  const presenterSync = usePresenterSync(BOARD_API_URL);
+  const { handlePresenterEvent } = presenterSync;
 
-  const handleFocusRequest = useCallback((itemId: string) => {
+  const handleFocusRequest = useCallback((itemId: string, zoom = 0.8, duration = 3000) => {
     console.log('🎯 Focus requested for item:', itemId);
     setSelectedItemId(itemId);
     
@@ -60,7 +77,7 @@ const MeetMainStage: React.FC = () => {
     setTimeout(() => {
       if ((window as any).centerOnItem) {
         console.log('📍 Centering on item:', itemId);
-        (window as any).centerOnItem(itemId, 0.8, 3000);
+        (window as any).centerOnItem(itemId, zoom, duration);
       } else {
         console.warn('⚠️ centerOnItem function not available yet');
       }
@@ -87,13 +104,26 @@ const MeetMainStage: React.FC = () => {
     initializeMeetSession();
   }, []);
 
+  // Load the board's stored items, merged over the bundled data for the default board
+  useEffect(() => {
+    fetch(`${BOARD_API_URL}/items`, { headers: authHeaders() })
+      .then(response => (response.ok ? response.json() : []))
+      .then((apiItems: any[]) => {
+        setItems(prevItems => {
+          const knownIds = new Set(prevItems.map(item => item.id));
+          return [...prevItems, ...apiItems.filter(item => !knownIds.has(item.id))];
+        });
+      })
+      .catch(err => console.warn('⚠️ Could not load board items from API:', err));
+  }, [BOARD_API_URL]);
+
   // Listen for real-time updates via Server-Sent Events
   useEffect(() => {
-    const sseUrl = `${API_BASE_URL}/api/events`;
+    const sseUrl = `${BOARD_API_URL}/events`;
     console.log('🔌 Connecting to SSE for real-time updates...');
     console.log('📡 SSE URL:', sseUrl);
     
-    const eventSource = new EventSource(sseUrl);
+    const eventSource = new EventSource(withAccessToken(sseUrl));
 
     eventSource.onopen = () => {
       console.log('🟢 SSE connection opened successfully!');
@@ -136,37 +166,97 @@ const MeetMainStage: React.FC = () => {
       }
     });
 
-    eventSource.addEventListener('update-item', (event) => {
+    eventSource.addEventListener('item-updated', (event) => {
       try {
         const data = JSON.parse(event.data);
-        console.log('🔄 Update item event received:', data);
-        if (data.id) {
+        console.log('🔄 Item-updated event received:', data);
+        if (data.id && data.patch) {
           setItems(prevItems => 
             prevItems.map(item => 
-              item.id === data.id ? { ...item, ...data.updates } : item
+              item.id === data.id ? (data.replace ? data.patch : { ...item, ...data.patch }) : item
             )
           );
         }
       } catch (err) {
-        console.error('Error parsing update-item event:', err);
+        console.error('Error parsing item-updated event:', err);
       }
     });
 
-    eventSource.addEventListener('delete-item', (event) => {
+    eventSource.addEventListener('item-deleted', (event) => {
       try {
         const data = JSON.parse(event.data);
-        console.log('🗑️ Delete item event received:', data);
+        console.log('🗑️ Item-deleted event received:', data);
         if (data.id) {
           setItems(prevItems => prevItems.filter(item => item.id !== data.id));
-          if (selectedItemId === data.id) {
-            setSelectedItemId(null);
-          }
+          setSelectedItemId(prevId => (prevId === data.id ? null : prevId));
+        }
+      } catch (err) {
+        console.error('Error parsing item-deleted event:', err);
+      }
+    });
+
+    // Notes added by any participant appear in everyone's NotesPanel
+    NOTE_SSE_EVENTS.forEach((type) => {
+      eventSource.addEventListener(type, (event) => relayNoteEvent(type, event));
+    });
+
+    // Participants follow whoever presents, and can break away and rejoin
+    PRESENTER_SSE_EVENTS.forEach((type) => {
+      eventSource.addEventListener(type, (event) => {
+        try {
+          handlePresenterEvent(type, JSON.parse(event.data));
+        } catch (err) {
+          console.error(`Error parsing ${type} event:`, err);
+        }
+      });
+    });
+
+    eventSource.addEventListener(ZONES_SSE_EVENT, (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        if (Array.isArray(data.zones)) setZones(data.zones);
+      } catch (err) {
+        console.error(`Error parsing ${ZONES_SSE_EVENT} event:`, err);
+      }
+    });
+
+    eventSource.addEventListener(LAYOUT_SSE_EVENT, (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        console.log(`🧩 ${data.strategy} layout received: ${data.moves?.length || 0} items moved`);
+        if (Array.isArray(data.moves)) animateLayout(data.moves, setItems);
+      } catch (err) {
+        console.error(`Error parsing ${LAYOUT_SSE_EVENT} event:`, err);
+      }
+    });
+
+    eventSource.addEventListener(TOUR_SSE_EVENT, (event) => {
+      try {
+        const data: TourStepEvent = JSON.parse(event.data);
+        console.log(`🎬 Tour ${data.tourId} ${data.action}: ${data.status}`);
+        setTour(visibleTour(data));
+        if (data.step && movesCamera(data)) {
+          const { objectId, focusOptions } = tourFocusRequest(data.step);
+          handleFocusRequest(objectId, focusOptions.zoom, focusOptions.duration);
         }
       } catch (err) {
-        console.error('Error parsing delete-item event:', err);
+        console.error(`Error parsing ${TOUR_SSE_EVENT} event:`, err);
       }
     });
 
+    // The auto-reconnect sends Last-Event-ID; if the missed events are gone, reload the board
+    eventSource.addEventListener('resync-required', () => {
+      console.log('🔁 SSE resync required, reloading board items');
+      fetch(`${BOARD_API_URL}/items`, { headers: authHeaders() })
+        .then(response => (response.ok ? response.json() : []))
+        .then((apiItems: any[]) => {
+          const baseItems: any[] = BOARD_ID === 'default' ? boardItemsData : [];
+          const apiIds = new Set(apiItems.map(item => item.id));
+          setItems([...baseItems.filter(item => !apiIds.has(item.id)), ...apiItems]);
+        })
+        .catch(err => console.warn('⚠️ Could not reload board items from API:', err));
+    });
+
     eventSource.onerror = (err) => {
       console.error('❌ SSE connection error:', err);
       // Don't close - EventSource auto-reconnects
@@ -177,7 +267,7 @@ const MeetMainStage: React.FC = () => {
       console.log('🔌 Closing SSE connection');
       eventSource.close();
     };
-  }, [API_BASE_URL, selectedItemId, handleFocusRequest]);
+  }, [BOARD_API_URL, BOARD_ID, handleFocusRequest, handlePresenterEvent, setZones]);
 
   const handleUpdateItem = useCallback((id: string, updates: any) => {
     setItems(prevItems => 
@@ -203,9 +293,9 @@ const MeetMainStage: React.FC = () => {
   }, []);
 
   const handleResetBoard = useCallback(() => {
-    setItems(boardItemsData);
+    setItems(BOARD_ID === 'default' ? boardItemsData : []);
     setSelectedItemId(null);
-  }, []);
+  }, [BOARD_ID]);
 
   if (isLoading) {
     return (
@@ -239,6 +329,19 @@ const MeetMainStage: React.FC = () => {
         onFocusRequest={handleFocusRequest}
         onAddItem={handleAddItem}
         onResetBoard={handleResetBoard}
+        zones={zones}
+        followViewport={presenterSync.followViewport}
+        onViewportChange={presenterSync.reportViewport}
+        onUserNavigate={presenterSync.breakAway}
+      />
+      <TourCaption tour={tour} />
+      <PresenterBar
+        mode={presenterSync.mode}
+        presenter={presenterSync.presenter}
+        onPresent={presenterSync.startPresenting}
+        onStop={presenterSync.stopPresenting}
+        onBreakAway={presenterSync.breakAway}
+        onRejoin={presenterSync.rejoin}
       />
     </MainStageContainer>
   );
@@ -0,0 +1,44 @@
+import { Meta, StoryObj } from '@storybook/react';
+import PresenterBar from './PresenterBar';
+import { Presenter } from '../presenterSync';
+
+const presenter: Presenter = {
+  sessionId: 'lqz8k2-4f9a1c3e',
+  name: 'Dr. Rivera',
+  viewport: { x: 1200, y: 800, zoom: 0.8 },
+  startedAt: '2025-10-17T10:30:00.000Z',
+  updatedAt: '2025-10-17T10:35:22.123Z',
+};
+
+const meta: Meta<typeof PresenterBar> = {
+  title: 'Components/PresenterBar',
+  component: PresenterBar,
+  parameters: {
+    layout: 'fullscreen',
+  },
+  args: {
+    onPresent: () => {},
+    onStop: () => {},
+    onBreakAway: () => {},
+    onRejoin: () => {},
+  },
+};
+
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+export const Idle: Story = {
+  args: { mode: 'idle', presenter: null },
+};
+
+export const Presenting: Story = {
+  args: { mode: 'presenting', presenter },
+};
+
+export const Following: Story = {
+  args: { mode: 'following', presenter },
+};
+
+export const Detached: Story = {
+  args: { mode: 'detached', presenter },
+};
@@ -0,0 +1,84 @@
+import React from 'react';
+import styled from 'styled-components';
+import { Presenter, PresenterMode } from '../presenterSync';
+
+const BarContainer = styled.div`
+  position: absolute;
+  top: 16px;
+  right: 16px;
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  padding: 6px 8px 6px 12px;
+  border-radius: 8px;
+  background: rgba(255, 255, 255, 0.92);
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+  backdrop-filter: blur(8px);
+  z-index: 1001; /* Above the canvas instructions */
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  font-size: 13px;
+  color: #3c4043;
+`;
+
+const LiveDot = styled.span<{ active: boolean }>`
+  width: 8px;
+  height: 8px;
+  border-radius: 50%;
+  background: ${props => (props.active ? '#d93025' : '#9aa0a6')};
+`;
+
+const BarButton = styled.button`
+  padding: 4px 10px;
+  border: 1px solid #dadce0;
+  border-radius: 4px;
+  background: white;
+  color: #1a73e8;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:hover {
+    background: #f1f3f4;
+  }
+`;
+
+interface PresenterBarProps {
+  mode: PresenterMode;
+  presenter: Presenter | null;
+  onPresent: () => void;
+  onStop: () => void;
+  onBreakAway: () => void;
+  onRejoin: () => void;
+}
+
+// Presenter controls: present this view, or follow (break away from, rejoin) whoever presents
+const PresenterBar: React.FC<PresenterBarProps> = ({ mode, presenter, onPresent, onStop, onBreakAway, onRejoin }) => {
+  const name = presenter?.name || 'the presenter';
+
+  return (
+    <BarContainer>
+      <LiveDot active={mode === 'presenting' || mode === 'following'} />
+      {mode === 'idle' && <BarButton onClick={onPresent}>Present</BarButton>}
+      {mode === 'presenting' && (
+        <>
+          <span>You are presenting</span>
+          <BarButton onClick={onStop}>Stop</BarButton>
+        </>
+      )}
+      {mode === 'following' && (
+        <>
+          <span>Following {name}</span>
+          <BarButton onClick={onBreakAway}>Break away</BarButton>
+        </>
+      )}
+      {mode === 'detached' && (
+        <>
+          <span>{name} is presenting</span>
+          <BarButton onClick={onRejoin}>Rejoin</BarButton>
+          <BarButton onClick={onPresent}>Take over</BarButton>
+        </>
+      )}
+    </BarContainer>
+  );
+};
+
+export default PresenterBar;
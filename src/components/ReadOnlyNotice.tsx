@@ -0,0 +1,56 @@
+import React, { useEffect, useState } from 'react';
+import styled from 'styled-components';
+import { authHeaders } from '../authToken';
+
+const NoticeContainer = styled.div`
+  position: absolute;
+  top: 16px;
+  left: 50%;
+  transform: translateX(-50%);
+  max-width: min(640px, calc(100% - 48px));
+  padding: 8px 14px;
+  border-radius: 8px;
+  background: rgba(255, 243, 205, 0.95);
+  border: 1px solid #f0c36d;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+  z-index: 1001; /* Above the canvas instructions */
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  font-size: 13px;
+  color: #5f4300;
+`;
+
+interface ReadOnlyNoticeProps {
+  apiBaseUrl: string;
+}
+
+// Says so when the API only lets this page read the board, e.g. anonymous requests on a
+// server left at the default AUTH_ANONYMOUS_ROLE=viewer, so edits do not fail unexplained
+const ReadOnlyNotice: React.FC<ReadOnlyNoticeProps> = ({ apiBaseUrl }) => {
+  const [principal, setPrincipal] = useState<{ role: string; kind: string } | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${apiBaseUrl}/api/auth/me`, { headers: authHeaders() })
+      .then(response => (response.ok ? response.json() : null))
+      .then((auth) => {
+        if (!cancelled) setPrincipal(auth);
+      })
+      .catch(() => {}); // No API, or an older one: nothing to say
+    return () => {
+      cancelled = true;
+    };
+  }, [apiBaseUrl]);
+
+  if (principal?.role !== 'viewer') return null;
+
+  return (
+    <NoticeContainer role="status">
+      <strong>Read-only:</strong>{' '}
+      {principal.kind === 'anonymous'
+        ? 'changes are not saved without signing in. For a local setup, start the API with AUTH_ANONYMOUS_ROLE=clinician.'
+        : 'your account is a viewer, so changes are not saved.'}
+    </NoticeContainer>
+  );
+};
+
+export default ReadOnlyNotice;
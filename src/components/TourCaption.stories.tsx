@@ -0,0 +1,34 @@
+import { Meta, StoryObj } from '@storybook/react';
+import TourCaption from './TourCaption';
+import { TourStep } from '../tourPlayback';
+
+const step: TourStep = {
+  objectId: 'dashboard-item-1759906246155-lab-table',
+  subElement: null,
+  zoom: 1.2,
+  dwell: 8000,
+  caption: 'ALT rose to 9x the upper limit six days after starting TMP-SMX.',
+};
+
+const meta: Meta<typeof TourCaption> = {
+  title: 'Components/TourCaption',
+  component: TourCaption,
+  parameters: {
+    layout: 'fullscreen',
+  },
+};
+
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+export const Playing: Story = {
+  args: {
+    tour: { tourId: 'tour-1', title: 'Case walkthrough', status: 'playing', action: 'next', index: 1, total: 5, step },
+  },
+};
+
+export const Paused: Story = {
+  args: {
+    tour: { tourId: 'tour-1', title: 'Case walkthrough', status: 'paused', action: 'pause', index: 1, total: 5, step },
+  },
+};
@@ -0,0 +1,67 @@
+import React from 'react';
+import styled from 'styled-components';
+import { TourStepEvent } from '../tourPlayback';
+
+const CaptionContainer = styled.div`
+  position: absolute;
+  left: 50%;
+  bottom: 48px;
+  transform: translateX(-50%);
+  max-width: min(720px, calc(100% - 48px));
+  padding: 14px 20px;
+  border-radius: 10px;
+  background: rgba(20, 24, 32, 0.85);
+  color: white;
+  box-shadow: 0 8px 24px rgba(0, 0, 0, 0.25);
+  backdrop-filter: blur(8px);
+  pointer-events: none;
+  z-index: 1001; /* Above the canvas instructions */
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+`;
+
+const CaptionHeader = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 6px;
+  font-size: 12px;
+  color: rgba(255, 255, 255, 0.7);
+  text-transform: uppercase;
+  letter-spacing: 0.04em;
+`;
+
+const PausedBadge = styled.span`
+  padding: 1px 6px;
+  border-radius: 4px;
+  background: rgba(255, 193, 7, 0.9);
+  color: #222;
+  font-weight: 600;
+`;
+
+const CaptionText = styled.div`
+  font-size: 16px;
+  line-height: 1.45;
+  white-space: pre-wrap;
+`;
+
+interface TourCaptionProps {
+  tour: TourStepEvent | null;
+}
+
+// Caption of the tour step on screen, over the canvas
+const TourCaption: React.FC<TourCaptionProps> = ({ tour }) => {
+  if (!tour?.step) return null;
+
+  return (
+    <CaptionContainer role="status" aria-live="polite">
+      <CaptionHeader>
+        <span>{tour.title}</span>
+        <span>Step {(tour.index ?? 0) + 1} of {tour.total}</span>
+        {tour.status === 'paused' && <PausedBadge>Paused</PausedBadge>}
+      </CaptionHeader>
+      {tour.step.caption && <CaptionText>{tour.step.caption}</CaptionText>}
+    </CaptionContainer>
+  );
+};
+
+export default TourCaption;
@@ -97,6 +97,7 @@ const SeverityBadge = styled.span<{ severity: string }>`
 
   ${(props) => {
     switch (props.severity.toLowerCase()) {
+      case "life-threatening":
       case "severe":
       case "4":
         return `
@@ -293,75 +294,15 @@ const AdverseEventAnalytics: React.FC<AdverseEventAnalyticsProps> = ({
   const adverseEvents = patientData?.adverseEvents || [];
   const riskAssessment = patientData?.riskAssessment || {};
 
-  // Mock RUCAM data for display
-  const rucam = {
-    total_score: 8,
-    causality_category: "Probable DILI",
-    columns: ["#", "Parameter", "Finding", "Score", "Notes"],
-    rows: [
-      [
-        "1",
-        "Time to onset",
-        "5-90 days from drug start",
-        "+2",
-        "MTX reintroduced Sept 2025",
-      ],
-      [
-        "2",
-        "Course after stopping",
-        "Not yet stopped",
-        "0",
-        "Ongoing exposure",
-      ],
-      [
-        "3",
-        "Risk factors",
-        "Age >55, alcohol use",
-        "+1",
-        "Multiple risk factors present",
-      ],
-      [
-        "4",
-        "Concomitant drugs",
-        "Turmeric supplement",
-        "+1",
-        "Known hepatotoxin",
-      ],
-      [
-        "5",
-        "Exclusion of non-drug causes",
-        "Viral hepatitis pending",
-        "+2",
-        "Awaiting serology",
-      ],
-      [
-        "6",
-        "Previous hepatotoxicity",
-        "Prior GI intolerance to MTX",
-        "+1",
-        "Known sensitivity",
-      ],
-      [
-        "7",
-        "Response to rechallenge",
-        "Symptoms worsened",
-        "+1",
-        "Temporal correlation",
-      ],
-    ],
-  };
+  // Scored by POST /api/analysis/rucam; older boards only carry an encounter's analysis
+  const latestEncounter = patientData?.encounters?.[patientData.encounters.length - 1];
+  const rucam = patientData?.rucam || latestEncounter?.rucam_ctcae_analysis?.rucam || null;
+  const rucamColumns = rucam?.columns || ["#", "Parameter", "Finding", "Score", "Notes"];
+  const hasRucamScore = typeof rucam?.total_score === "number";
 
-  const ctcae = {
-    overall_grade: "Grade 3-4 (Severe)",
-    parameters: [
-      { name: "ALT elevation", grade: "3-4", description: "Expected >5x ULN" },
-      {
-        name: "Fatigue",
-        grade: "3",
-        description: "Severe, limiting self-care",
-      },
-    ],
-  };
+  // Graded by POST /api/analysis/ctcae (and on every graded lab result)
+  const ctcae =
+    patientData?.ctcae || latestEncounter?.rucam_ctcae_analysis?.ctcae || null;
 
   const reasoning =
     riskAssessment?.keyRiskFactors?.join(". ") ||
@@ -447,37 +388,56 @@ const AdverseEventAnalytics: React.FC<AdverseEventAnalyticsProps> = ({
           Auto-calculated RUCAM like scoring system
         </SectionDescription>
 
-        <RucamWidget>
-          <div style={{ fontWeight: "600", marginBottom: "8px" }}>
-            Causality Assessment Widget
-          </div>
-          <RucamScore>RUCAM: {rucam.total_score}</RucamScore>
-          <RucamLabel>{rucam.causality_category}</RucamLabel>
-          <RucamBar>
-            <RucamIndicator position={getRucamPosition(rucam.total_score)} />
-          </RucamBar>
-          <RucamCategories>
-            <span>Mild</span>
-            <span>Moderate</span>
-            <span>Severe</span>
-            <span>Life threatening</span>
-          </RucamCategories>
-        </RucamWidget>
-
-        <RucamTable>
-          <RucamTableRow>
-            {rucam.columns.map((col, index) => (
-              <RucamCell key={index}>{col}</RucamCell>
-            ))}
-          </RucamTableRow>
-          {rucam.rows.map((row, index) => (
-            <RucamTableRow key={index}>
-              {row.map((cell, cellIndex) => (
-                <RucamCell key={cellIndex}>{cell}</RucamCell>
+        {rucam ? (
+          <>
+            <RucamWidget>
+              <div style={{ fontWeight: "600", marginBottom: "8px" }}>
+                Causality Assessment Widget
+              </div>
+              <RucamScore>
+                RUCAM: {hasRucamScore ? rucam.total_score : "—"}
+              </RucamScore>
+              <RucamLabel>
+                {[rucam.causality_category, rucam.suspectDrug]
+                  .filter(Boolean)
+                  .join(" • ")}
+              </RucamLabel>
+              {hasRucamScore && (
+                <RucamBar>
+                  <RucamIndicator position={getRucamPosition(rucam.total_score)} />
+                </RucamBar>
+              )}
+              <RucamCategories>
+                <span>Excluded</span>
+                <span>Unlikely</span>
+                <span>Possible</span>
+                <span>Probable</span>
+                <span>Highly probable</span>
+              </RucamCategories>
+            </RucamWidget>
+
+            <RucamTable>
+              <RucamTableRow>
+                {rucamColumns.map((col, index) => (
+                  <RucamCell key={index}>{col}</RucamCell>
+                ))}
+              </RucamTableRow>
+              {(rucam.rows || []).map((row, index) => (
+                <RucamTableRow key={index}>
+                  {row.map((cell, cellIndex) => (
+                    <RucamCell key={cellIndex}>{cell}</RucamCell>
+                  ))}
+                </RucamTableRow>
               ))}
-            </RucamTableRow>
-          ))}
-        </RucamTable>
+            </RucamTable>
+          </>
+        ) : (
+          <RucamWidget>
+            <RucamLabel>
+              No RUCAM assessment yet. Score one with POST /api/analysis/rucam.
+            </RucamLabel>
+          </RucamWidget>
+        )}
       </CausalitySection>
 
       {/* Medical Reasoning */}
@@ -491,8 +451,13 @@ const AdverseEventAnalytics: React.FC<AdverseEventAnalyticsProps> = ({
 
         <HighlightBox>
           <HighlightText>
-            <strong>Assessment:</strong> {rucam.causality_category} DILI •{" "}
-            <strong>CTCAE Grade:</strong> {ctcae.overall_grade}
+            <strong>Assessment:</strong>{" "}
+            {rucam?.causality_category
+              ? `${rucam.causality_category} DILI`
+              : "Not assessed"}{" "}
+            •{" "}
+            <strong>CTCAE Grade:</strong>{" "}
+            {ctcae?.overall_grade || "Not graded"}
           </HighlightText>
         </HighlightBox>
 
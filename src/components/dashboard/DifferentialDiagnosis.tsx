@@ -1,5 +1,6 @@
 import React from 'react';
 import styled from 'styled-components';
+import { DrugInteraction, drugTerms } from './interactionSeverity';
 
 const DiagnosisContainer = styled.div`
   background: white;
@@ -114,6 +115,8 @@ const DifferentialDiagnosis: React.FC<DifferentialDiagnosisProps> = ({ patientDa
   const latestEncounter = patientData?.encounters?.[patientData.encounters.length - 1];
   const differentialList = latestEncounter?.assessment?.differential || [];
   const rucamData = latestEncounter?.rucam_ctcae_analysis?.rucam;
+  // Computed by POST /api/analysis/rucam, with the suspect drug and each cause's work-up status
+  const rucamAssessment = patientData?.rucam;
   const reasoning = latestEncounter?.rucam_ctcae_analysis?.reasoning || '';
 
   // Extract ruled out information from RUCAM data and reasoning
@@ -147,11 +150,18 @@ const DifferentialDiagnosis: React.FC<DifferentialDiagnosisProps> = ({ patientDa
 
   const ruledOutItems = getRuledOutInfo();
 
+  // Drugs in an interaction found by POST /api/analysis/interactions, by every name they go by
+  const interactionTerms: string[] = Array.from(new Set(
+    (patientData?.interactions || []).flatMap((interaction: DrugInteraction) =>
+      interaction.drugs.flatMap(drugTerms)
+    )
+  ));
+
   // Determine status for each differential diagnosis
   const getDiagnosisStatus = (diagnosis: string) => {
     const lowerDiag = diagnosis.toLowerCase();
     
-    if (lowerDiag.includes('tmp-smx') || lowerDiag.includes('dili')) {
+    if (lowerDiag.includes('dili') || interactionTerms.some(term => lowerDiag.includes(term))) {
       return 'primary'; // Primary suspected cause
     }
     if (lowerDiag.includes('viral hepatitis')) {
@@ -183,8 +193,36 @@ const DifferentialDiagnosis: React.FC<DifferentialDiagnosisProps> = ({ patientDa
     }
   };
 
+  const exclusionStatus = {
+    excluded: 'ruled-out',
+    pending: 'pending',
+    positive: 'needs-investigation'
+  } as const;
+
+  const exclusionDetails = {
+    excluded: 'Ruled Out - RUCAM work-up',
+    pending: 'Pending - RUCAM work-up',
+    positive: 'Positive finding - possible alternative cause'
+  };
+
+  const rucamDiagnoses = rucamAssessment ? [
+    ...(rucamAssessment.suspectDrug ? [{
+      name: `DILI - ${rucamAssessment.suspectDrug}`,
+      status: 'primary' as const,
+      details: `RUCAM ${rucamAssessment.total_score} (${rucamAssessment.causality_category})`
+    }] : []),
+    ...(rucamAssessment.exclusions || [])
+      .filter((exclusion: any) => exclusionStatus[exclusion.status])
+      .map((exclusion: any) => ({
+        name: exclusion.label,
+        status: exclusionStatus[exclusion.status],
+        details: exclusionDetails[exclusion.status]
+      }))
+  ] : [];
+
   // Combine all diagnoses for the table
   const allDiagnoses = [
+    ...rucamDiagnoses,
     ...differentialList.map((diagnosis: string) => ({
       name: diagnosis,
       status: getDiagnosisStatus(diagnosis),
@@ -0,0 +1,155 @@
+import React from 'react';
+import styled from 'styled-components';
+import {
+  DrugInteraction,
+  SEVERITY_COLORS,
+  SEVERITY_LABELS,
+  formatOverlap,
+} from './interactionSeverity';
+
+const PanelContainer = styled.div`
+  background: white;
+  border: 1px solid #e0e0e0;
+  border-radius: 6px;
+  padding: 12px;
+  transition: all 0.3s ease;
+
+  /* Add focus highlighting */
+  &.focused {
+    border: 3px solid #dc2626;
+    box-shadow: 0 0 0 4px rgba(220, 38, 38, 0.2), 0 8px 32px rgba(0, 0, 0, 0.1);
+    transform: scale(1.02);
+  }
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: baseline;
+  margin-bottom: 12px;
+`;
+
+const PanelTitle = styled.h4`
+  margin: 0;
+  font-size: 12px;
+  font-weight: 600;
+  color: #333;
+`;
+
+const PanelMeta = styled.span`
+  font-size: 9px;
+  color: #888;
+`;
+
+const InteractionTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 11px;
+`;
+
+const TableHeader = styled.th`
+  background: #f5f5f5;
+  padding: 8px;
+  text-align: left;
+  font-weight: 600;
+  color: #333;
+  border-bottom: 1px solid #ddd;
+  font-size: 10px;
+`;
+
+const TableRow = styled.tr`
+  &:nth-child(even) {
+    background: #fafafa;
+  }
+`;
+
+const TableCell = styled.td`
+  padding: 8px;
+  border-bottom: 1px solid #eee;
+  vertical-align: top;
+  font-size: 10px;
+  color: #444;
+`;
+
+const SeverityBadge = styled.span<{ color: string }>`
+  display: inline-block;
+  padding: 2px 6px;
+  border-radius: 10px;
+  font-size: 9px;
+  font-weight: 600;
+  text-transform: uppercase;
+  color: white;
+  background: ${props => props.color};
+`;
+
+const Management = styled.div`
+  margin-top: 4px;
+  color: #666;
+  font-style: italic;
+`;
+
+interface DrugInteractionsProps {
+  interactions: DrugInteraction[];
+  checkedAt?: string;
+  tableVersion?: string;
+  medicationCount?: number;
+}
+
+const DrugInteractions: React.FC<DrugInteractionsProps> = ({
+  interactions,
+  checkedAt,
+  tableVersion,
+  medicationCount,
+}) => {
+  const meta = [
+    medicationCount !== undefined && `${medicationCount} medications`,
+    checkedAt && `checked ${checkedAt.slice(0, 10)}`,
+    tableVersion && `table ${tableVersion}`,
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <PanelContainer id="drug-interactions-zone">
+      <PanelHeader>
+        <PanelTitle>Drug-Drug Interactions</PanelTitle>
+        {meta && <PanelMeta>{meta}</PanelMeta>}
+      </PanelHeader>
+
+      <InteractionTable>
+        <thead>
+          <tr>
+            <TableHeader>Severity</TableHeader>
+            <TableHeader>Drugs</TableHeader>
+            <TableHeader>Taken together</TableHeader>
+            <TableHeader>Mechanism &amp; effect</TableHeader>
+          </tr>
+        </thead>
+        <tbody>
+          {interactions.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={4}>No interactions found in the medication timeline</TableCell>
+            </TableRow>
+          )}
+          {interactions.map(interaction => (
+            <TableRow key={interaction.id}>
+              <TableCell>
+                <SeverityBadge color={SEVERITY_COLORS[interaction.severity] || '#64748b'}>
+                  {SEVERITY_LABELS[interaction.severity] || interaction.severity}
+                </SeverityBadge>
+              </TableCell>
+              <TableCell>
+                <strong>{interaction.drugs.join(' + ')}</strong>
+              </TableCell>
+              <TableCell>{formatOverlap(interaction.overlap)}</TableCell>
+              <TableCell>
+                {interaction.mechanism} {interaction.effect}
+                {interaction.management && <Management>{interaction.management}</Management>}
+              </TableCell>
+            </TableRow>
+          ))}
+        </tbody>
+      </InteractionTable>
+    </PanelContainer>
+  );
+};
+
+export default DrugInteractions;
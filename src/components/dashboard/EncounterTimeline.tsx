@@ -1,5 +1,12 @@
 import React from "react";
 import styled from "styled-components";
+import {
+  DrugInteraction,
+  SEVERITY_COLORS,
+  SEVERITY_LABELS,
+  formatOverlap,
+  involves,
+} from "./interactionSeverity";
 
 const TimelineContainer = styled.div`
   width: 100%;
@@ -227,12 +234,18 @@ const MedicationChange = styled.div<{ type: "start" | "stop" | "change" }>`
       : "#ef6c00"};
 `;
 
-const ConfidenceScore = styled.div`
+const RISK_LEVEL_COLORS: Record<string, string> = {
+  high: "#c62828",
+  moderate: "#ef6c00",
+  low: "#2e7d32",
+};
+
+const ConfidenceScore = styled.div<{ level?: string | null }>`
   position: absolute;
   top: 8px;
   right: 8px;
   background: #f5f5f5;
-  color: #666;
+  color: ${(props) => (props.level && RISK_LEVEL_COLORS[props.level]) || "#666"};
   padding: 2px 6px;
   border-radius: 10px;
   font-size: 9px;
@@ -240,57 +253,51 @@ const ConfidenceScore = styled.div`
   border: 1px solid #e0e0e0;
 `;
 
+const RiskRule = styled.div`
+  display: flex;
+  gap: 4px;
+  font-size: 9px;
+  margin-bottom: 2px;
+  color: #555;
+`;
+
+const RiskPoints = styled.span`
+  font-weight: 600;
+  color: #333;
+  min-width: 22px;
+`;
+
+interface EncounterRiskScore {
+  encounter_no: number | null;
+  date: string | null;
+  score: number;
+  level: string | null;
+  baseline: number;
+  rules: { id: string; label: string; points: number; detail: string }[];
+}
+
 interface EncounterTimelineProps {
   encounters: any[];
   medicationTimeline: any[];
+  // From POST /api/analysis/interactions; marked on the lines of the drugs involved
+  interactions?: DrugInteraction[];
+  // From POST /api/analysis/risk; each card shows its score and the rules that fired
+  riskScores?: { rulesVersion: string | null; scoredAt: string; scores: EncounterRiskScore[] };
 }
 
 const EncounterTimeline: React.FC<EncounterTimelineProps> = ({
   encounters,
   medicationTimeline,
+  interactions = [],
+  riskScores,
 }) => {
-  const getConfidenceScore = (encounter: any): number => {
-    // Calculate AE risk based on encounter data
-    const encounterDate = new Date(encounter.date || encounter.meta?.date_time);
-    const currentDate = new Date();
-    const daysSince = Math.floor((currentDate.getTime() - encounterDate.getTime()) / (1000 * 60 * 60 * 24));
-    
-    // Check for risk indicators in notes or diagnosis
-    const notes = (encounter.notes || '').toLowerCase();
-    const diagnosis = (encounter.diagnosis || '').toLowerCase();
-    const medications = encounter.medications || [];
-    
-    // High risk indicators
-    if (notes.includes('mtx') || notes.includes('methotrexate') || 
-        diagnosis.includes('mtx') || diagnosis.includes('methotrexate')) {
-      if (notes.includes('reintroduction') || notes.includes('reintroduc') || notes.includes('restarted')) {
-        return 85; // Very high risk - MTX reintroduction
-      }
-      return 65; // High risk - MTX use
-    }
-    
-    // Check for concerning medications
-    const hasMethotrexate = medications.some((med: string) => 
-      med.toLowerCase().includes('methotrexate') || med.toLowerCase().includes('mtx')
+  // Scores from POST /api/analysis/risk, matched by encounter number, else by date
+  const getRiskScore = (encounter: any): EncounterRiskScore | undefined =>
+    riskScores?.scores.find((score) =>
+      score.encounter_no != null && encounter.encounter_no != null
+        ? score.encounter_no === encounter.encounter_no
+        : score.date === (encounter.date || encounter.meta?.date_time)
     );
-    
-    if (hasMethotrexate) {
-      return 70; // High risk
-    }
-    
-    // Check for flare or elevated markers
-    if (diagnosis.includes('flare') || notes.includes('elevated')) {
-      return 55; // Moderate-high risk
-    }
-    
-    // Older encounters with no specific risk indicators
-    if (daysSince > 365) {
-      return 20; // Low risk - old encounter
-    }
-    
-    // Default moderate risk
-    return 35;
-  };
 
   const getMedicationChangesForEncounter = (encounter: any) => {
     const encounterDate = new Date(encounter.date || encounter.meta?.date_time);
@@ -374,13 +381,15 @@ const EncounterTimeline: React.FC<EncounterTimelineProps> = ({
   };
 
   const renderEncounterCard = (encounter: any, index: number) => {
-    const confidenceScore = getConfidenceScore(encounter);
+    const riskScore = getRiskScore(encounter);
     const medicationChanges = getMedicationChangesForEncounter(encounter);
     const keyDiagnoses = getKeyDiagnoses(encounter);
 
     return (
       <EncounterCard key={encounter.encounter_no || index}>
-        <ConfidenceScore>AE Risk: {confidenceScore}%</ConfidenceScore>
+        <ConfidenceScore level={riskScore?.level}>
+          {riskScore ? `AE Risk: ${riskScore.score}` : "AE Risk: not scored"}
+        </ConfidenceScore>
 
         <EncounterDate>{formatDate(encounter.date || encounter.meta?.date_time)}</EncounterDate>
 
@@ -408,6 +417,34 @@ const EncounterTimeline: React.FC<EncounterTimelineProps> = ({
           </InfoSection>
         )}
 
+        {riskScore && (
+          <InfoSection>
+            <InfoLabel>
+              AE Risk {riskScore.score}
+              {riskScore.level ? ` (${riskScore.level})` : ""}:
+            </InfoLabel>
+            <InfoValue>
+              {riskScore.baseline > 0 && (
+                <RiskRule>
+                  <RiskPoints>{riskScore.baseline}</RiskPoints>
+                  <span>Baseline</span>
+                </RiskRule>
+              )}
+              {riskScore.rules.map((rule) => (
+                <RiskRule key={rule.id} title={rule.detail}>
+                  <RiskPoints>
+                    {rule.points > 0 ? `+${rule.points}` : rule.points}
+                  </RiskPoints>
+                  <span>{rule.label}</span>
+                </RiskRule>
+              ))}
+              {riskScore.rules.length === 0 && (
+                <RiskRule>No risk rules fired</RiskRule>
+              )}
+            </InfoValue>
+          </InfoSection>
+        )}
+
         {encounter.notes && (
           <InfoSection>
             <InfoLabel>Notes:</InfoLabel>
@@ -427,7 +464,7 @@ const EncounterTimeline: React.FC<EncounterTimelineProps> = ({
 
   // Create medication timeline data
   const createMedicationLines = () => {
-    if (encounters.length === 0) return { lines: [], legend: [] };
+    if (encounters.length === 0) return { lines: [], legend: [], markers: [] };
 
     const medicationColors = {
       Methotrexate: "#dc2626", // Red
@@ -449,61 +486,32 @@ const EncounterTimeline: React.FC<EncounterTimelineProps> = ({
     const slotSpacing = 200; // Same as timeline layout
     const dotOffset = 90; // Same as timeline layout
 
-    medicationTimeline.forEach((med) => {
-      const medName = med.medication || med.name;
-      const startDate = new Date(med.startDate || med.start);
-      const endDate = (med.endDate || med.end) ? new Date(med.endDate || med.end) : new Date();
-
-      // Find closest encounter dates for start and end
-      let startPosition = 0;
-      let endPosition = 0;
-
-      // Find start position - align with encounter dots
+    // Pixel offset of a date on the timeline, interpolated between encounter dots and
+    // clamped to the first and last encounter
+    const positionForDate = (date: Date) => {
       for (let i = 0; i < encounterDates.length; i++) {
-        if (startDate <= encounterDates[i]) {
-          if (i === 0) {
-            startPosition = dotOffset;
-          } else {
-            // Interpolate between encounters
-            const prevDate = encounterDates[i - 1];
-            const nextDate = encounterDates[i];
-            const ratio =
-              (startDate.getTime() - prevDate.getTime()) /
-              (nextDate.getTime() - prevDate.getTime());
-            startPosition =
-              (i - 1) * slotSpacing + dotOffset + ratio * slotSpacing;
-          }
-          break;
+        if (date <= encounterDates[i]) {
+          if (i === 0) return dotOffset;
+          // Interpolate between encounters
+          const prevDate = encounterDates[i - 1];
+          const nextDate = encounterDates[i];
+          const ratio =
+            (date.getTime() - prevDate.getTime()) /
+            (nextDate.getTime() - prevDate.getTime());
+          return (i - 1) * slotSpacing + dotOffset + ratio * slotSpacing;
         }
       }
+      // After all encounters, position at the end
+      return (encounterDates.length - 1) * slotSpacing + dotOffset;
+    };
 
-      // If start date is after all encounters, position at the end
-      if (startDate > encounterDates[encounterDates.length - 1]) {
-        startPosition = (encounterDates.length - 1) * slotSpacing + dotOffset;
-      }
+    medicationTimeline.forEach((med) => {
+      const medName = med.medication || med.name;
+      const startDate = new Date(med.startDate || med.start);
+      const endDate = (med.endDate || med.end) ? new Date(med.endDate || med.end) : new Date();
 
-      // Find end position
-      for (let i = 0; i < encounterDates.length; i++) {
-        if (endDate <= encounterDates[i]) {
-          if (i === 0) {
-            endPosition = dotOffset;
-          } else {
-            const prevDate = encounterDates[i - 1];
-            const nextDate = encounterDates[i];
-            const ratio =
-              (endDate.getTime() - prevDate.getTime()) /
-              (nextDate.getTime() - prevDate.getTime());
-            endPosition =
-              (i - 1) * slotSpacing + dotOffset + ratio * slotSpacing;
-          }
-          break;
-        }
-      }
-
-      // If end date is after all encounters, position at the end
-      if (endDate > encounterDates[encounterDates.length - 1]) {
-        endPosition = (encounterDates.length - 1) * slotSpacing + dotOffset;
-      }
+      const startPosition = positionForDate(startDate);
+      const endPosition = positionForDate(endDate);
 
       const color =
         medicationColors[medName as keyof typeof medicationColors] || "#888888";
@@ -529,7 +537,35 @@ const EncounterTimeline: React.FC<EncounterTimelineProps> = ({
         medicationColors[medName as keyof typeof medicationColors] || "#888888",
     }));
 
-    return { lines: medicationLines, legend };
+    // One marker per interaction on each involved drug's line, spanning the overlap
+    const markers = interactions.flatMap((interaction) => {
+      const startPosition = positionForDate(new Date(interaction.overlap.start));
+      const endPosition = positionForDate(
+        interaction.overlap.end ? new Date(interaction.overlap.end) : new Date()
+      );
+      // A drug restarted at a new dose has several lines; mark the ones that overlap
+      return medicationLines
+        .filter(
+          (line) =>
+            involves(interaction, line.name) &&
+            line.startPosition <= endPosition &&
+            line.endPosition >= startPosition
+        )
+        .map((line) => ({
+          id: `${interaction.id}-${line.id}`,
+          offset: line.offset,
+          startPosition: Math.max(line.startPosition, startPosition),
+          width: Math.max(
+            12,
+            Math.min(line.endPosition, endPosition) -
+              Math.max(line.startPosition, startPosition)
+          ),
+          color: SEVERITY_COLORS[interaction.severity] || "#64748b",
+          title: `${SEVERITY_LABELS[interaction.severity] || interaction.severity} interaction: ${interaction.drugs.join(" + ")}\n${formatOverlap(interaction.overlap)}\n${interaction.mechanism}`,
+        }));
+    });
+
+    return { lines: medicationLines, legend, markers };
   };
 
   // Create timeline layout: A-[empty]-C-[empty]-E / [empty]-B-[empty]-D-[empty]-F
@@ -619,7 +655,7 @@ const EncounterTimeline: React.FC<EncounterTimelineProps> = ({
   };
 
   const { upperSlots, lowerSlots, dots } = createTimelineLayout();
-  const { lines: medicationLines, legend } = createMedicationLines();
+  const { lines: medicationLines, legend, markers } = createMedicationLines();
 
   return (
     <TimelineContainer id="encounter-timeline-zone">
@@ -710,6 +746,38 @@ const EncounterTimeline: React.FC<EncounterTimelineProps> = ({
               />
             </div>
           ))}
+
+          {/* Drug interaction markers - over the overlapping part of each drug's line */}
+          {markers.map((marker) => (
+            <div
+              key={marker.id}
+              style={{
+                position: "absolute",
+                top: `calc(${50 + marker.offset * 10}% - 5px)`,
+                left: `${marker.startPosition}px`,
+                width: `${marker.width}px`,
+                height: "12px",
+                border: `2px solid ${marker.color}`,
+                background: `${marker.color}33`,
+                borderRadius: "6px",
+                zIndex: 3,
+                cursor: "help",
+              }}
+              title={marker.title}
+            >
+              <span
+                style={{
+                  position: "absolute",
+                  top: "-16px",
+                  left: "-2px",
+                  fontSize: "10px",
+                  color: marker.color,
+                }}
+              >
+                ⚠
+              </span>
+            </div>
+          ))}
         </TimelineMiddle>
 
         {/* Lower row: [empty]-B-[empty]-D-[empty]-F */}
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import styled from 'styled-components';
+import { collectLabObservations, groupByAnalyte, isDemoLabsEnabled } from './labObservations';
 
 const ChartContainer = styled.div`
   background: white;
@@ -176,27 +177,68 @@ interface LabDataPoint {
   encounter: number;
 }
 
+interface LabTest {
+  name: string;
+  color: string;
+  normalRange: number[] | null;
+  unit: string;
+}
+
 interface LabChartProps {
   encounters: any[];
   medicationTimeline: any[];
+  labs?: any[];
+  demo?: boolean;
 }
 
-const LabChart: React.FC<LabChartProps> = ({ encounters, medicationTimeline }) => {
-  const [selectedLabs, setSelectedLabs] = useState<string[]>(['ALT', 'AST', 'Total Bilirubin', 'INR']);
+const DEMO_LAB_TESTS: LabTest[] = [
+  { name: 'ALT', color: '#1976d2', normalRange: [7, 56], unit: 'U/L' },
+  { name: 'AST', color: '#d32f2f', normalRange: [10, 40], unit: 'U/L' },
+  { name: 'ALP', color: '#388e3c', normalRange: [44, 147], unit: 'U/L' },
+  { name: 'GGT', color: '#f57c00', normalRange: [9, 48], unit: 'U/L' },
+  { name: 'Total Bilirubin', color: '#7b1fa2', normalRange: [0.3, 1.2], unit: 'mg/dL' },
+  { name: 'INR', color: '#c2185b', normalRange: [0.8, 1.1], unit: '' },
+  { name: 'Creatinine', color: '#00796b', normalRange: [0.7, 1.3], unit: 'mg/dL' }
+];
+
+const CHART_COLORS = ['#1976d2', '#d32f2f', '#388e3c', '#f57c00', '#7b1fa2', '#c2185b', '#00796b', '#5d4037'];
+
+const LabChart: React.FC<LabChartProps> = ({ encounters, medicationTimeline, labs, demo }) => {
+  const demoMode = isDemoLabsEnabled(demo);
+  const analytes = Array.from(groupByAnalyte(collectLabObservations(encounters, labs)).values());
+
+  // One chart per observed analyte, using its latest reference range
+  const labTests: LabTest[] = demoMode ? DEMO_LAB_TESTS : analytes.map((series, index) => {
+    const latest = series[series.length - 1];
+    const { low, high } = latest.referenceRange || { low: null, high: null };
+    return {
+      name: latest.name,
+      color: DEMO_LAB_TESTS.find(test => test.name === latest.name)?.color || CHART_COLORS[index % CHART_COLORS.length],
+      normalRange: low !== null || high !== null ? [low ?? 0, high ?? low ?? 0] : null,
+      unit: latest.unit
+    };
+  });
+
+  const [selectedLabs, setSelectedLabs] = useState<string[]>(() => (
+    demoMode ? ['ALT', 'AST', 'Total Bilirubin', 'INR'] : labTests.slice(0, 4).map(test => test.name)
+  ));
   const [tooltip, setTooltip] = useState({ visible: false, x: 0, y: 0, content: '' });
 
-  const labTests = [
-    { name: 'ALT', color: '#1976d2', normalRange: [7, 56], unit: 'U/L' },
-    { name: 'AST', color: '#d32f2f', normalRange: [10, 40], unit: 'U/L' },
-    { name: 'ALP', color: '#388e3c', normalRange: [44, 147], unit: 'U/L' },
-    { name: 'GGT', color: '#f57c00', normalRange: [9, 48], unit: 'U/L' },
-    { name: 'Total Bilirubin', color: '#7b1fa2', normalRange: [0.3, 1.2], unit: 'mg/dL' },
-    { name: 'INR', color: '#c2185b', normalRange: [0.8, 1.1], unit: '' },
-    { name: 'Creatinine', color: '#00796b', normalRange: [0.7, 1.3], unit: 'mg/dL' }
-  ];
-
-  // Generate lab data based on encounters
-  const generateLabData = () => {
+  // Observed values per analyte, oldest first
+  const getObservedLabData = () => {
+    const labData: { [key: string]: LabDataPoint[] } = {};
+    analytes.forEach(series => {
+      labData[series[series.length - 1].name] = series.map(observation => ({
+        date: observation.date,
+        value: observation.value,
+        encounter: observation.encounterNo ?? 0
+      }));
+    });
+    return labData;
+  };
+
+  // Demo only: synthesize a lab progression from each encounter's risk colour and tags
+  const generateDemoLabData = () => {
     const labData: { [key: string]: LabDataPoint[] } = {};
     
     encounters.forEach((encounter, index) => {
@@ -210,7 +252,7 @@ const LabChart: React.FC<LabChartProps> = ({ encounters, medicationTimeline }) =
       const baselineMultiplier = index === 0 ? 1 : (1 + (index * 0.1));
       const riskMultiplier = isHighRisk ? 3.5 : hasLiverConcerns ? 2 : 1;
       
-      labTests.forEach(lab => {
+      DEMO_LAB_TESTS.forEach(lab => {
         if (!labData[lab.name]) labData[lab.name] = [];
         
         let value: number;
@@ -243,7 +285,7 @@ const LabChart: React.FC<LabChartProps> = ({ encounters, medicationTimeline }) =
     return labData;
   };
 
-  const labData = generateLabData();
+  const labData = demoMode ? generateDemoLabData() : getObservedLabData();
 
   const toggleLab = (labName: string) => {
     setSelectedLabs(prev => 
@@ -253,7 +295,8 @@ const LabChart: React.FC<LabChartProps> = ({ encounters, medicationTimeline }) =
     );
   };
 
-  const getLabStatus = (value: number, normalRange: number[]) => {
+  const getLabStatus = (value: number, normalRange: number[] | null) => {
+    if (!normalRange) return 'normal';
     if (value > normalRange[1] * 2) return 'critical';
     if (value > normalRange[1]) return 'high';
     if (value < normalRange[0]) return 'low';
@@ -311,21 +354,22 @@ const LabChart: React.FC<LabChartProps> = ({ encounters, medicationTimeline }) =
       </ChartHeader>
       
       <ChartGrid>
+        {labTests.length === 0 && <ChartLabel>No lab observations recorded</ChartLabel>}
         {selectedLabs.map(labName => {
           const lab = labTests.find(l => l.name === labName);
           const data = labData[labName] || [];
           const currentValue = data[data.length - 1]?.value || 0;
-          const status = getLabStatus(currentValue, lab?.normalRange || [0, 100]);
+          const status = getLabStatus(currentValue, lab?.normalRange || null);
           
           if (!lab) return null;
           
           // Calculate chart dimensions
-          const maxValue = Math.max(...data.map(d => d.value), lab.normalRange[1] * 1.2);
+          const maxValue = Math.max(...data.map(d => d.value), (lab.normalRange ? lab.normalRange[1] : 0) * 1.2) || 1;
           const minValue = 0;
           
           // Calculate normal range position
-          const normalRangeTop = ((maxValue - lab.normalRange[1]) / (maxValue - minValue)) * 100;
-          const normalRangeBottom = ((maxValue - lab.normalRange[0]) / (maxValue - minValue)) * 100;
+          const normalRangeTop = lab.normalRange ? ((maxValue - lab.normalRange[1]) / (maxValue - minValue)) * 100 : 0;
+          const normalRangeBottom = lab.normalRange ? ((maxValue - lab.normalRange[0]) / (maxValue - minValue)) * 100 : 0;
           
           return (
             <MiniChart key={labName} className="mini-chart">
@@ -338,12 +382,14 @@ const LabChart: React.FC<LabChartProps> = ({ encounters, medicationTimeline }) =
               
               <MiniChartArea>
                 {/* Normal range band */}
-                <NormalRangeBand
-                  style={{
-                    top: `${normalRangeTop}%`,
-                    height: `${normalRangeBottom - normalRangeTop}%`
-                  }}
-                />
+                {lab.normalRange && (
+                  <NormalRangeBand
+                    style={{
+                      top: `${normalRangeTop}%`,
+                      height: `${normalRangeBottom - normalRangeTop}%`
+                    }}
+                  />
+                )}
                 
                 {/* Medication events */}
                 {medicationEvents.map((event, index) => {
@@ -387,7 +433,9 @@ const LabChart: React.FC<LabChartProps> = ({ encounters, medicationTimeline }) =
               
               <ChartLabel>
                 <span>{data[0]?.date || ''}</span>
-                <span>Normal: {lab.normalRange[0]}-{lab.normalRange[1]} {lab.unit}</span>
+                <span>
+                  {lab.normalRange ? `Normal: ${lab.normalRange[0]}-${lab.normalRange[1]} ${lab.unit}` : 'No reference range'}
+                </span>
                 <span>{data[data.length - 1]?.date || ''}</span>
               </ChartLabel>
             </MiniChart>
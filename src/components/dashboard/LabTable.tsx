@@ -1,5 +1,12 @@
 import React from 'react';
 import styled from 'styled-components';
+import {
+  collectLabObservations,
+  formatReferenceRange,
+  getLabStatus,
+  groupByAnalyte,
+  isDemoLabsEnabled,
+} from './labObservations';
 
 const TableContainer = styled.div`
   background: white;
@@ -85,6 +92,7 @@ const NormalRange = styled.span`
 
 interface LabResult {
   name: string;
+  code?: string | null;
   value: number;
   unit: string;
   normalRange: string;
@@ -95,12 +103,33 @@ interface LabResult {
 
 interface LabTableProps {
   encounters: any[];
+  labs?: any[];
+  demo?: boolean;
 }
 
-const LabTable: React.FC<LabTableProps> = ({ encounters }) => {
+const LabTable: React.FC<LabTableProps> = ({ encounters, labs, demo }) => {
   
-  // Generate lab results based on encounter data and clinical context
-  const generateLabResults = (): LabResult[] => {
+  // Latest observed value of each analyte, with the one before it for the delta
+  const getObservedLabResults = (): LabResult[] => {
+    const observations = collectLabObservations(encounters, labs);
+    return Array.from(groupByAnalyte(observations).values()).map(series => {
+      const latest = series[series.length - 1];
+      const previous = series[series.length - 2];
+      return {
+        name: latest.name,
+        code: latest.code,
+        value: latest.value,
+        unit: latest.unit,
+        normalRange: formatReferenceRange(latest),
+        status: getLabStatus(latest),
+        previousValue: previous?.value,
+        date: latest.date
+      };
+    });
+  };
+
+  // Demo only: synthesize lab results from the encounter's risk colour and tags
+  const generateDemoLabResults = (): LabResult[] => {
     const latestEncounter = encounters[encounters.length - 1];
     const isHighRisk = latestEncounter?.meta?.ui_risk_color === 'red';
     const hasLiverConcerns = latestEncounter?.meta?.event_tags?.some((tag: string) => 
@@ -176,7 +205,7 @@ const LabTable: React.FC<LabTableProps> = ({ encounters }) => {
     return baseResults;
   };
 
-  const labResults = generateLabResults();
+  const labResults = isDemoLabsEnabled(demo) ? generateDemoLabResults() : getObservedLabResults();
 
   const getTrend = (current: number, previous?: number) => {
     if (!previous) return 'stable';
@@ -207,10 +236,16 @@ const LabTable: React.FC<LabTableProps> = ({ encounters }) => {
           </TableRow>
         </TableHead>
         <tbody>
+          {labResults.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={5}>No lab observations recorded</TableCell>
+            </TableRow>
+          )}
           {labResults.map((lab, index) => (
             <TableRow key={index}>
               <TableCell>
                 <strong>{lab.name}</strong>
+                {lab.code && <NormalRange> LOINC {lab.code}</NormalRange>}
               </TableCell>
               <TableCell>
                 <LabValue status={lab.status}>
@@ -223,7 +258,7 @@ const LabTable: React.FC<LabTableProps> = ({ encounters }) => {
                 </DeltaValue>
               </TableCell>
               <TableCell>
-                <NormalRange>{lab.normalRange} {lab.unit}</NormalRange>
+                <NormalRange>{lab.normalRange}{lab.normalRange !== '—' && ` ${lab.unit}`}</NormalRange>
               </TableCell>
               <TableCell>{lab.date}</TableCell>
             </TableRow>
@@ -4,6 +4,7 @@ import EncounterTimeline from "./EncounterTimeline";
 import LabTable from "./LabTable";
 import LabChart from "./LabChart";
 import NotesPanel from "./NotesPanel";
+import { createNote, resolvePatientId } from "./notesApi";
 import PatientContext from "./PatientContext";
 import AdverseEventAnalytics from "./AdverseEventAnalytics";
 import DifferentialDiagnosis from "./DifferentialDiagnosis";
@@ -426,6 +427,7 @@ const ModernAdverseEventDashboard: React.FC<
   const [activeTab, setActiveTab] = useState("overview");
   const [isQuickNoteOpen, setIsQuickNoteOpen] = useState(false);
   const [quickNoteContent, setQuickNoteContent] = useState("");
+  const [quickNoteError, setQuickNoteError] = useState<string | null>(null);
 
   // Extract patient info from the data
   const patient = patientData?.patient || {};
@@ -443,18 +445,23 @@ const ModernAdverseEventDashboard: React.FC<
 
   const riskLevel = getRiskLevel();
 
-  const handleQuickNoteSave = () => {
+  // Saved through the notes API; NotesPanel picks the note up from the SSE stream
+  const handleQuickNoteSave = async () => {
     if (quickNoteContent.trim()) {
-      // Here you would typically save to a backend or state management
-      console.log("Quick note saved:", quickNoteContent);
-      setQuickNoteContent("");
-      setIsQuickNoteOpen(false);
-      // You could also trigger a refresh of the NotesPanel here
+      try {
+        await createNote(await resolvePatientId(), quickNoteContent.trim());
+        setQuickNoteContent("");
+        setQuickNoteError(null);
+        setIsQuickNoteOpen(false);
+      } catch (err: any) {
+        setQuickNoteError(`Could not save note: ${err.message}`);
+      }
     }
   };
 
   const handleQuickNoteCancel = () => {
     setQuickNoteContent("");
+    setQuickNoteError(null);
     setIsQuickNoteOpen(false);
   };
 
@@ -465,7 +472,12 @@ const ModernAdverseEventDashboard: React.FC<
         <HeaderSection>
           <HeaderTop>
             <HeaderTitle>Adverse Event Monitoring System</HeaderTitle>
-            <RiskBadge level={riskLevel}>{riskLevel} Risk</RiskBadge>
+            <div style={{ display: "flex", alignItems: "center", gap: "12px" }}>
+              <ActionButton onClick={() => setIsQuickNoteOpen(true)}>
+                📝 Quick Note
+              </ActionButton>
+              <RiskBadge level={riskLevel}>{riskLevel} Risk</RiskBadge>
+            </div>
           </HeaderTop>
         </HeaderSection>
 
@@ -537,6 +549,11 @@ const ModernAdverseEventDashboard: React.FC<
             <DifferentialDiagnosis patientData={patientData} />
           </Card>
         </div>
+
+        {/* Clinical Notes */}
+        <div id="clinical-notes-zone" style={{ marginTop: "20px" }}>
+          <NotesPanel />
+        </div>
       </DashboardContent>
 
       {/* Quick Note Modal */}
@@ -554,6 +571,12 @@ const ModernAdverseEventDashboard: React.FC<
             autoFocus
           />
 
+          {quickNoteError && (
+            <div style={{ color: "#c62828", fontSize: "12px", marginTop: "8px" }}>
+              {quickNoteError}
+            </div>
+          )}
+
           <QuickNoteActions>
             <ActionButton onClick={handleQuickNoteCancel}>Cancel</ActionButton>
             <ActionButton onClick={handleQuickNoteSave}>Save Note</ActionButton>
@@ -1,5 +1,17 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import styled from 'styled-components';
+import {
+  ClinicalNote,
+  NOTE_EVENT,
+  NoteEventDetail,
+  createNote,
+  deleteNote,
+  fetchNotes,
+  getNoteAuthor,
+  resolvePatientId,
+  setNoteAuthor,
+  updateNote
+} from './notesApi';
 
 const NotesContainer = styled.div`
   background: rgba(255, 255, 255, 0.95);
@@ -69,6 +81,40 @@ const AddNoteButton = styled.button`
   }
 `;
 
+const HeaderControls = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+`;
+
+const AuthorInput = styled.input`
+  width: 120px;
+  border: 1px solid rgba(102, 126, 234, 0.3);
+  border-radius: 8px;
+  padding: 6px 10px;
+  font-size: 12px;
+  font-family: inherit;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const ErrorMessage = styled.div`
+  margin-bottom: 12px;
+  padding: 8px 12px;
+  border-radius: 8px;
+  background: #ffebee;
+  color: #c62828;
+  font-size: 12px;
+`;
+
+const EditedMarker = styled.span`
+  font-style: italic;
+  cursor: help;
+`;
+
 const NotesList = styled.div`
   display: flex;
   flex-direction: column;
@@ -190,52 +236,93 @@ const EmptyIcon = styled.div`
   opacity: 0.3;
 `;
 
-interface Note {
-  id: string;
-  content: string;
-  timestamp: Date;
-  author?: string;
-}
-
 interface NotesPanelProps {
+  // Defaults to the patient of the board in the URL
   patientId?: string;
 }
 
 const NotesPanel: React.FC<NotesPanelProps> = ({ patientId }) => {
-  const [notes, setNotes] = useState<Note[]>([]);
+  const [resolvedPatientId, setResolvedPatientId] = useState<string | null>(patientId || null);
+  const [notes, setNotes] = useState<ClinicalNote[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [author, setAuthor] = useState(getNoteAuthor());
   const [editingId, setEditingId] = useState<string | null>(null);
   const [editContent, setEditContent] = useState('');
   const [isAddingNew, setIsAddingNew] = useState(false);
   const [newNoteContent, setNewNoteContent] = useState('');
 
-  const addNote = () => {
-    if (newNoteContent.trim()) {
-      const newNote: Note = {
-        id: `note-${Date.now()}`,
-        content: newNoteContent.trim(),
-        timestamp: new Date(),
-        author: 'Current User'
-      };
-      setNotes(prev => [newNote, ...prev]);
-      setNewNoteContent('');
-      setIsAddingNew(false);
+  useEffect(() => {
+    let cancelled = false;
+    resolvePatientId(patientId).then(id => {
+      if (!cancelled) setResolvedPatientId(id);
+    });
+    return () => { cancelled = true; };
+  }, [patientId]);
+
+  useEffect(() => {
+    if (!resolvedPatientId) return;
+    fetchNotes(resolvedPatientId)
+      .then(loaded => {
+        setNotes(loaded);
+        setError(null);
+      })
+      .catch(err => setError(`Could not load notes: ${err.message}`));
+  }, [resolvedPatientId]);
+
+  // Notes written anywhere else (other participants, the quick note) arrive over SSE
+  useEffect(() => {
+    const handleNoteEvent = (event: Event) => {
+      const { type, patientId: eventPatientId, note } = (event as CustomEvent<NoteEventDetail>).detail;
+      if (!note || eventPatientId !== resolvedPatientId) return;
+      setNotes(prev => {
+        const others = prev.filter(existing => existing.id !== note.id);
+        if (type === 'note-deleted') return others;
+        return [note, ...others].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      });
+    };
+    window.addEventListener(NOTE_EVENT, handleNoteEvent);
+    return () => window.removeEventListener(NOTE_EVENT, handleNoteEvent);
+  }, [resolvedPatientId]);
+
+  // Apply our own change straight away rather than waiting for its SSE echo
+  const upsert = (note: ClinicalNote) =>
+    setNotes(prev => [note, ...prev.filter(existing => existing.id !== note.id)]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+
+  const changeAuthor = (name: string) => {
+    setAuthor(name);
+    if (name.trim()) setNoteAuthor(name.trim());
+  };
+
+  const addNote = async () => {
+    if (newNoteContent.trim() && resolvedPatientId) {
+      try {
+        upsert(await createNote(resolvedPatientId, newNoteContent.trim()));
+        setNewNoteContent('');
+        setIsAddingNew(false);
+        setError(null);
+      } catch (err: any) {
+        setError(`Could not save note: ${err.message}`);
+      }
     }
   };
 
-  const startEditing = (note: Note) => {
+  const startEditing = (note: ClinicalNote) => {
     setEditingId(note.id);
     setEditContent(note.content);
   };
 
-  const saveEdit = () => {
-    if (editContent.trim() && editingId) {
-      setNotes(prev => prev.map(note => 
-        note.id === editingId 
-          ? { ...note, content: editContent.trim() }
-          : note
-      ));
-      setEditingId(null);
-      setEditContent('');
+  const saveEdit = async () => {
+    const note = notes.find(existing => existing.id === editingId);
+    if (editContent.trim() && note) {
+      try {
+        upsert(await updateNote(note, editContent.trim()));
+        setEditingId(null);
+        setEditContent('');
+        setError(null);
+      } catch (err: any) {
+        setError(`Could not save edit: ${err.message}`);
+      }
     }
   };
 
@@ -244,12 +331,18 @@ const NotesPanel: React.FC<NotesPanelProps> = ({ patientId }) => {
     setEditContent('');
   };
 
-  const deleteNote = (id: string) => {
-    setNotes(prev => prev.filter(note => note.id !== id));
+  const removeNote = async (note: ClinicalNote) => {
+    try {
+      await deleteNote(note);
+      setNotes(prev => prev.filter(existing => existing.id !== note.id));
+      setError(null);
+    } catch (err: any) {
+      setError(`Could not delete note: ${err.message}`);
+    }
   };
 
-  const formatTimestamp = (date: Date) => {
-    return date.toLocaleString('en-US', {
+  const formatTimestamp = (timestamp: string) => {
+    return new Date(timestamp).toLocaleString('en-US', {
       month: 'short',
       day: 'numeric',
       hour: '2-digit',
@@ -257,6 +350,12 @@ const NotesPanel: React.FC<NotesPanelProps> = ({ patientId }) => {
     });
   };
 
+  // Earlier versions, shown as a tooltip on the "edited" marker
+  const describeHistory = (note: ClinicalNote) =>
+    note.history
+      .map(entry => `v${entry.version} • ${entry.updatedBy} • ${formatTimestamp(entry.updatedAt)}\n${entry.content}`)
+      .join('\n\n');
+
   return (
     <NotesContainer>
       <NotesHeader>
@@ -264,11 +363,21 @@ const NotesPanel: React.FC<NotesPanelProps> = ({ patientId }) => {
           <NotesIcon>📝</NotesIcon>
           Clinical Notes
         </NotesTitle>
-        <AddNoteButton onClick={() => setIsAddingNew(true)}>
-          ➕ Add Note
-        </AddNoteButton>
+        <HeaderControls>
+          <AuthorInput
+            value={author}
+            onChange={(e) => changeAuthor(e.target.value)}
+            placeholder="Your name"
+            title="Notes are signed with this name"
+          />
+          <AddNoteButton onClick={() => setIsAddingNew(true)}>
+            ➕ Add Note
+          </AddNoteButton>
+        </HeaderControls>
       </NotesHeader>
 
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
       {isAddingNew && (
         <NoteCard isEditing>
           <NoteTextArea
@@ -308,8 +417,12 @@ const NotesPanel: React.FC<NotesPanelProps> = ({ patientId }) => {
             <NoteCard key={note.id} isEditing={editingId === note.id}>
               <NoteHeader>
                 <NoteTimestamp>
-                  {formatTimestamp(note.timestamp)}
-                  {note.author && ` • ${note.author}`}
+                  {formatTimestamp(note.createdAt)} • {note.author}
+                  {note.history.length > 0 && (
+                    <EditedMarker title={describeHistory(note)}>
+                      {` • edited by ${note.updatedBy} ${formatTimestamp(note.updatedAt)}`}
+                    </EditedMarker>
+                  )}
                 </NoteTimestamp>
                 <NoteActions>
                   {editingId === note.id ? (
@@ -326,7 +439,7 @@ const NotesPanel: React.FC<NotesPanelProps> = ({ patientId }) => {
                       <ActionButton variant="edit" onClick={() => startEditing(note)}>
                         Edit
                       </ActionButton>
-                      <ActionButton variant="delete" onClick={() => deleteNote(note.id)}>
+                      <ActionButton variant="delete" onClick={() => removeNote(note)}>
                         Delete
                       </ActionButton>
                     </>
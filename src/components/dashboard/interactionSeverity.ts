@@ -0,0 +1,55 @@
+// Drug-drug interactions as returned by POST /api/analysis/interactions, shared by the
+// DrugInteractions panel and the EncounterTimeline markers
+import interactionTable from '../../data/drug-interactions.json';
+
+export type InteractionSeverity = 'contraindicated' | 'major' | 'moderate' | 'minor';
+
+export interface DrugInteraction {
+  id: string;
+  interactionId: string;
+  drugs: [string, string];
+  severity: InteractionSeverity;
+  mechanism: string;
+  effect: string;
+  management: string;
+  overlap: { start: string; end: string | null; ongoing: boolean; days: number };
+}
+
+export const SEVERITY_COLORS: Record<InteractionSeverity, string> = {
+  contraindicated: '#b91c1c',
+  major: '#dc2626',
+  moderate: '#f59e0b',
+  minor: '#64748b',
+};
+
+export const SEVERITY_LABELS: Record<InteractionSeverity, string> = {
+  contraindicated: 'Contraindicated',
+  major: 'Major',
+  moderate: 'Moderate',
+  minor: 'Minor',
+};
+
+export const formatOverlap = ({ start, end, days }: DrugInteraction['overlap']) =>
+  `${start} → ${end || 'ongoing'} (${days} ${days === 1 ? 'day' : 'days'})`;
+
+// Does the interaction involve a drug by this timeline name?
+export const involves = (interaction: DrugInteraction, drugName: string) =>
+  interaction.drugs.includes(drugName);
+
+// Lowercase names a timeline drug goes by, e.g. "Trimethoprim-Sulfamethoxazole 800/160 mg"
+// -> trimethoprim-sulfamethoxazole, tmp-smx, bactrim, ...
+export const drugTerms = (drugName: string) => {
+  const text = drugName.toLowerCase();
+  const aliases = Object.entries(interactionTable.aliases as Record<string, string>);
+  const canonical = new Set(
+    aliases.filter(([alias]) => text.includes(alias)).map(([, name]) => name)
+  );
+  aliases.forEach(([, name]) => {
+    if (text.includes(name)) canonical.add(name);
+  });
+  const terms = new Set([text.split(/\s+/)[0], ...Array.from(canonical)]);
+  aliases.forEach(([alias, name]) => {
+    if (canonical.has(name)) terms.add(alias);
+  });
+  return Array.from(terms);
+};
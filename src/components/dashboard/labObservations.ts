@@ -0,0 +1,103 @@
+// Real lab observations for LabTable and LabChart, read from a `labs` prop or from
+// each encounter's `labs` (the shape produced by POST /api/import/fhir)
+
+export type LabStatus = 'normal' | 'high' | 'low' | 'critical';
+
+export interface LabObservation {
+  name: string;
+  code: string | null;
+  value: number;
+  unit: string;
+  referenceRange: { low: number | null; high: number | null } | null;
+  interpretation: string | null;
+  date: string;
+  encounterNo: number | null;
+}
+
+// Synthesized values are only for demos and must be asked for explicitly, either with
+// a `demo` prop on the component or REACT_APP_DEMO_LABS=true for the whole app
+export const isDemoLabsEnabled = (demo?: boolean) =>
+  demo === true || process.env.REACT_APP_DEMO_LABS === 'true';
+
+const toNumber = (value: any): number | null => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+};
+
+const normalize = (lab: any, encounter?: any): LabObservation | null => {
+  const value = toNumber(lab?.value);
+  if (!lab?.name || value === null) return null;
+
+  const range = lab.referenceRange || lab.range;
+  return {
+    name: lab.name,
+    code: lab.code || null,
+    value,
+    unit: lab.unit || '',
+    referenceRange: range
+      ? { low: toNumber(range.low ?? range.min), high: toNumber(range.high ?? range.max) }
+      : null,
+    interpretation: lab.interpretation || null,
+    date: lab.date || encounter?.date || encounter?.meta?.date_time?.split('T')[0] || '',
+    encounterNo: lab.encounter_no ?? encounter?.encounter_no ?? null
+  };
+};
+
+// All observations, oldest first; an explicit labs prop wins over encounter labs
+export const collectLabObservations = (encounters: any[] = [], labs?: any[]): LabObservation[] => {
+  const observations = Array.isArray(labs)
+    ? labs.map(lab => normalize(lab))
+    : encounters.flatMap(encounter => (encounter?.labs || []).map((lab: any) => normalize(lab, encounter)));
+
+  return observations
+    .filter((observation): observation is LabObservation => observation !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Observations of the same analyte share a LOINC code, or a name when there is no code
+export const analyteKey = (observation: LabObservation) => observation.code || observation.name;
+
+export const groupByAnalyte = (observations: LabObservation[]) => {
+  const groups = new Map<string, LabObservation[]>();
+  observations.forEach(observation => {
+    const key = analyteKey(observation);
+    groups.set(key, [...(groups.get(key) || []), observation]);
+  });
+  return groups;
+};
+
+// FHIR interpretation codes take precedence; otherwise compare with the reference range
+export const getLabStatus = (observation: LabObservation): LabStatus => {
+  switch (observation.interpretation) {
+    case 'HH':
+    case 'LL':
+    case 'AA':
+      return 'critical';
+    case 'H':
+      return 'high';
+    case 'L':
+      return 'low';
+    case 'N':
+      return 'normal';
+    default:
+      break;
+  }
+
+  const { low, high } = observation.referenceRange || { low: null, high: null };
+  if (high !== null && observation.value > high * 2) return 'critical';
+  if (high !== null && observation.value > high) return 'high';
+  if (low !== null && observation.value < low) return 'low';
+  return 'normal';
+};
+
+export const formatReferenceRange = (observation: LabObservation) => {
+  const { low, high } = observation.referenceRange || { low: null, high: null };
+  if (low !== null && high !== null) return `${low}-${high}`;
+  if (high !== null) return `<${high}`;
+  if (low !== null) return `>${low}`;
+  return '—';
+};
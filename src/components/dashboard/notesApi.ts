@@ -0,0 +1,92 @@
+// Client for the patient notes API (/api/patients/:patientId/notes), shared by NotesPanel
+// and the quick note in ModernAdverseEventDashboard
+import { authHeaders } from '../../authToken';
+
+export interface ClinicalNote {
+  id: string;
+  patientId: string;
+  content: string;
+  author: string;
+  createdAt: string;
+  updatedAt: string;
+  updatedBy: string;
+  version: number;
+  history: { version: number; content: string; updatedBy: string; updatedAt: string }[];
+  deletedAt: string | null;
+  deletedBy: string | null;
+}
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://patientcanvas-ai.vercel.app';
+
+// Window event the board's SSE connection re-dispatches note-* events as
+export const NOTE_EVENT = 'clinical-note';
+export const NOTE_SSE_EVENTS = ['note-created', 'note-updated', 'note-deleted'];
+
+export interface NoteEventDetail {
+  type: string;
+  patientId: string;
+  note: ClinicalNote;
+}
+
+// Hand a note-* SSE event to the notes components on the page
+export const relayNoteEvent = (type: string, event: MessageEvent) => {
+  try {
+    const data = JSON.parse(event.data);
+    window.dispatchEvent(new CustomEvent<NoteEventDetail>(NOTE_EVENT, { detail: { ...data, type } }));
+  } catch (err) {
+    console.error(`❌ Error handling ${type} event:`, err);
+  }
+};
+
+// Signed-in requests are attributed by the server; otherwise notes are signed with a name kept in this browser
+const AUTHOR_KEY = 'clinical-notes-author';
+
+export const getNoteAuthor = () => localStorage.getItem(AUTHOR_KEY) || 'Clinician';
+
+export const setNoteAuthor = (author: string) => localStorage.setItem(AUTHOR_KEY, author);
+
+const currentBoardId = () => new URLSearchParams(window.location.search).get('board') || 'default';
+
+// Notes belong to the board's patient; boards without one use their own id
+export const resolvePatientId = async (patientId?: string) => {
+  if (patientId) return patientId;
+  const boardId = currentBoardId();
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/boards/${encodeURIComponent(boardId)}`, { headers: authHeaders() });
+    if (response.ok) return (await response.json()).patientId || boardId;
+  } catch (_) {}
+  return boardId;
+};
+
+const notesUrl = (patientId: string, noteId?: string) =>
+  `${API_BASE_URL}/api/patients/${encodeURIComponent(patientId)}/notes${noteId ? `/${encodeURIComponent(noteId)}` : ''}`;
+
+const request = async (url: string, init?: RequestInit) => {
+  const response = await fetch(url, { ...init, headers: authHeaders(init?.headers as Record<string, string>) });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.error || `Request failed (${response.status})`);
+  return body;
+};
+
+export const fetchNotes = async (patientId: string): Promise<ClinicalNote[]> =>
+  (await request(notesUrl(patientId))).notes;
+
+export const createNote = (patientId: string, content: string): Promise<ClinicalNote> =>
+  request(notesUrl(patientId), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content, author: getNoteAuthor() }),
+  });
+
+// Sends the version being edited, so an edit made meanwhile by someone else is not overwritten
+export const updateNote = (note: ClinicalNote, content: string): Promise<ClinicalNote> =>
+  request(notesUrl(note.patientId, note.id), {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', 'If-Match': `"${note.version}"` },
+    body: JSON.stringify({ content, author: getNoteAuthor() }),
+  });
+
+export const deleteNote = (note: ClinicalNote): Promise<ClinicalNote> =>
+  request(`${notesUrl(note.patientId, note.id)}?author=${encodeURIComponent(getNoteAuthor())}`, {
+    method: 'DELETE',
+  });
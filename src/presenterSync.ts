@@ -0,0 +1,211 @@
+// Presenter mode (/api/presenter): one client streams its viewport and the others follow it
+// with smoothing. Followers can break away to look around on their own, then rejoin.
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { authHeaders } from './authToken';
+
+// The world point at the centre of the screen and the zoom. Unlike the canvas translation,
+// this shows the same part of the board on screens of any size.
+export interface SharedViewport {
+  x: number;
+  y: number;
+  zoom: number;
+}
+
+// The canvas transform: translation in screen pixels, then zoom
+export interface CanvasViewport {
+  x: number;
+  y: number;
+  zoom: number;
+}
+
+export interface Presenter {
+  sessionId: string;
+  name: string | null;
+  viewport: SharedViewport;
+  startedAt: string;
+  updatedAt: string;
+}
+
+export type PresenterMode = 'idle' | 'presenting' | 'following' | 'detached';
+
+export const PRESENTER_CHANGED_EVENT = 'presenter-changed';
+export const PRESENTER_VIEWPORT_EVENT = 'presenter-viewport';
+export const PRESENTER_SSE_EVENTS = [PRESENTER_CHANGED_EVENT, PRESENTER_VIEWPORT_EVENT];
+
+const SEND_INTERVAL_MS = 200; // At most five viewport updates a second
+const KEEPALIVE_MS = 10000; // Resent while the view is still, so the server keeps the presenter
+const PRESENTER_TIMEOUT_MS = 30000; // As on the server: a presenter not heard from is gone
+const FOLLOW_SMOOTHING_MS = 150; // Time constant of the glide towards the presenter's view
+
+// Identifies this page to the server while it presents
+const SESSION_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+type Size = { clientWidth: number; clientHeight: number };
+
+export const toSharedViewport = (viewport: CanvasViewport, container: Size): SharedViewport => ({
+  x: (container.clientWidth / 2 - viewport.x) / viewport.zoom,
+  y: (container.clientHeight / 2 - viewport.y) / viewport.zoom,
+  zoom: viewport.zoom
+});
+
+export const fromSharedViewport = (shared: SharedViewport, container: Size): CanvasViewport => ({
+  x: container.clientWidth / 2 - shared.x * shared.zoom,
+  y: container.clientHeight / 2 - shared.y * shared.zoom,
+  zoom: shared.zoom
+});
+
+// One frame of the glide from `current` towards `target`, `elapsed` ms after the last one;
+// done once it is within half a pixel
+export const glideTowards = (current: SharedViewport, target: SharedViewport, elapsed: number) => {
+  const done = Math.abs(target.x - current.x) * target.zoom < 0.5
+    && Math.abs(target.y - current.y) * target.zoom < 0.5
+    && Math.abs(target.zoom - current.zoom) < 0.001;
+  if (done) return { viewport: target, done };
+
+  const blend = 1 - Math.exp(-Math.max(elapsed, 0) / FOLLOW_SMOOTHING_MS);
+  return {
+    viewport: {
+      x: current.x + (target.x - current.x) * blend,
+      y: current.y + (target.y - current.y) * blend,
+      zoom: current.zoom + (target.zoom - current.zoom) * blend
+    },
+    done
+  };
+};
+
+export const usePresenterSync = (boardApiUrl: string) => {
+  const [presenter, setPresenter] = useState<Presenter | null>(null);
+  const [presenterView, setPresenterView] = useState<SharedViewport | null>(null);
+  const [detached, setDetached] = useState(false);
+  const ownView = useRef<SharedViewport>({ x: 0, y: 0, zoom: 1 });
+  const sendTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  const presenting = presenter?.sessionId === SESSION_ID;
+  const presentingRef = useRef(presenting);
+  presentingRef.current = presenting;
+
+  let mode: PresenterMode = 'idle';
+  if (presenting) mode = 'presenting';
+  else if (presenter) mode = detached ? 'detached' : 'following';
+
+  const showPresenter = useCallback((next: Presenter | null) => {
+    setPresenter(next);
+    setPresenterView(next?.viewport ?? null);
+    setDetached(false);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${boardApiUrl}/presenter`, { headers: authHeaders() })
+      .then(response => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!cancelled && data) showPresenter(data.presenter);
+      })
+      .catch(err => console.warn('⚠️ Could not load the board presenter:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [boardApiUrl, showPresenter]);
+
+  // Apply a presenter SSE event
+  const handlePresenterEvent = useCallback((type: string, data: any) => {
+    if (type === PRESENTER_CHANGED_EVENT) {
+      showPresenter(data.presenter);
+    } else if (type === PRESENTER_VIEWPORT_EVENT) {
+      setPresenterView({ x: data.x, y: data.y, zoom: data.zoom });
+    }
+  }, [showPresenter]);
+
+  // A presenter whose page closed without stopping sends nothing more; let them go
+  useEffect(() => {
+    if (!presenter || presenting) return undefined;
+    const timer = setTimeout(() => showPresenter(null), PRESENTER_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [presenter, presenting, presenterView, showPresenter]);
+
+  const sendViewport = useCallback(() => {
+    fetch(`${boardApiUrl}/presenter/viewport`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ sessionId: SESSION_ID, ...ownView.current })
+    })
+      .then(async (response) => {
+        // Someone took over, or this page was idle too long
+        if (response.status === 409) showPresenter((await response.json()).presenter);
+      })
+      .catch(err => console.warn('⚠️ Could not send the presenter viewport:', err));
+  }, [boardApiUrl, showPresenter]);
+
+  // The Canvas reports every view change here; while presenting, the latest is sent at
+  // most every SEND_INTERVAL_MS
+  const reportViewport = useCallback((viewport: SharedViewport) => {
+    ownView.current = viewport;
+    if (!presentingRef.current || sendTimer.current) return;
+    sendTimer.current = setTimeout(() => {
+      sendTimer.current = null;
+      if (presentingRef.current) sendViewport();
+    }, SEND_INTERVAL_MS);
+  }, [sendViewport]);
+
+  useEffect(() => {
+    if (!presenting) return undefined;
+    const keepalive = setInterval(sendViewport, KEEPALIVE_MS);
+    // Hand the board back when the page goes away
+    const release = () => {
+      fetch(`${boardApiUrl}/presenter?sessionId=${encodeURIComponent(SESSION_ID)}`, {
+        method: 'DELETE',
+        headers: authHeaders(),
+        keepalive: true
+      }).catch(() => {});
+    };
+    window.addEventListener('pagehide', release);
+    return () => {
+      clearInterval(keepalive);
+      window.removeEventListener('pagehide', release);
+    };
+  }, [presenting, boardApiUrl, sendViewport]);
+
+  // Present from the current view, taking over from anyone presenting now
+  const startPresenting = useCallback(async () => {
+    try {
+      const response = await fetch(`${boardApiUrl}/presenter`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ sessionId: SESSION_ID, viewport: ownView.current, takeOver: true })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      showPresenter(data.presenter);
+    } catch (err) {
+      console.error('❌ Could not start presenting:', err);
+    }
+  }, [boardApiUrl, showPresenter]);
+
+  const stopPresenting = useCallback(async () => {
+    try {
+      await fetch(`${boardApiUrl}/presenter?sessionId=${encodeURIComponent(SESSION_ID)}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+    } catch (err) {
+      console.error('❌ Could not stop presenting:', err);
+    }
+    showPresenter(null);
+  }, [boardApiUrl, showPresenter]);
+
+  const breakAway = useCallback(() => setDetached(true), []);
+  const rejoin = useCallback(() => setDetached(false), []);
+
+  return {
+    mode,
+    presenter,
+    // The view the Canvas should glide to: the presenter's, unless this page presents or broke away
+    followViewport: mode === 'following' ? presenterView : null,
+    handlePresenterEvent,
+    reportViewport,
+    startPresenting,
+    stopPresenting,
+    breakAway,
+    rejoin
+  };
+};
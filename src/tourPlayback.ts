@@ -0,0 +1,41 @@
+// Focus tours (/api/tours) play on the server; every step change reaches the board as a
+// tour-step SSE event, which the canvas follows and TourCaption shows.
+export const TOUR_SSE_EVENT = 'tour-step';
+
+export interface TourStep {
+  objectId: string;
+  subElement: string | null;
+  zoom: number;
+  dwell: number;
+  caption: string;
+}
+
+export interface TourStepEvent {
+  tourId: string;
+  title: string;
+  status: 'stopped' | 'playing' | 'paused' | 'finished';
+  action: 'play' | 'pause' | 'next' | 'prev' | 'stop' | 'advance';
+  index: number | null;
+  total: number;
+  step: TourStep | null;
+}
+
+// The camera gets at most half the dwell time to reach a step, so there is time to read it
+const MAX_TOUR_FOCUS_MS = 2000;
+
+// A focus request (as for the focus-item event) for a step
+export const tourFocusRequest = (step: TourStep) => ({
+  objectId: step.objectId,
+  subElement: step.subElement,
+  focusOptions: {
+    zoom: step.zoom,
+    duration: Math.min(MAX_TOUR_FOCUS_MS, step.dwell / 2),
+    highlight: Boolean(step.subElement)
+  }
+});
+
+// The tour to show a caption for after an event: none once it has stopped or finished
+export const visibleTour = (event: TourStepEvent) => (event.step ? event : null);
+
+// Pausing leaves the view where it is; every other change moves to the step
+export const movesCamera = (event: TourStepEvent) => Boolean(event.step) && event.action !== 'pause';